@@ -0,0 +1,273 @@
+// Price / fair-value alerts: user rules, a scheduler that recomputes each watched company's weighted
+// fair value and evaluates the rules, and the history of fired alerts.
+//
+// out/alerts/rules.json      [{ id, name, exchange, ticker, metric, op, value, channels, enabled,
+//                               webhookUrl, weights, targetPE, state: { match, value, checkedAt, firedAt } }]
+// out/alerts/history.jsonl   one fired alert per line (oldest first)
+//
+// Rule metrics and evaluation live in shared/alerts.js; notification channels in notifiers.js.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import express from 'express';
+import { z } from 'zod';
+import { fileURLToPath } from 'url';
+import { symbolSchema, validateRows } from './schema.js';
+import { writeJsonAtomic, loadDataset } from './store.js';
+import { loadPrices } from './prices.js';
+import { metricsIn, conversionRate } from './fx.js';
+import { notify, webhookAllowed } from './notifiers.js';
+import {
+  ALERT_METRICS, ALERT_OPS, ALERT_CHANNELS, describeRule, formatMetric, valuationSnapshot, evaluateRule,
+} from '../shared/alerts.js';
+import { DEFAULT_WEIGHTS, normalizeWeights } from '../shared/valuation.js';
+import { MARKETS, DEFAULT_CURRENCY } from '../shared/currency.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const ALERTS_DIR = process.env.ALERTS_DIR
+  ? path.resolve(__dirname, process.env.ALERTS_DIR)
+  : path.join(__dirname, 'out', 'alerts');
+const RULES_FILE = path.join(ALERTS_DIR, 'rules.json');
+const HISTORY_FILE = path.join(ALERTS_DIR, 'history.jsonl');
+const INTERVAL_MS = Number(process.env.ALERT_INTERVAL_MS ?? 900000); // 0 disables the scheduler
+const TARGET_PE = Number(process.env.TARGET_PE || 25);
+
+// ----------------- Store -----------------
+export function loadRules() {
+  if (!fs.existsSync(RULES_FILE)) return [];
+  return JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+}
+
+const saveRules = (rules) => writeJsonAtomic(RULES_FILE, rules);
+
+function appendHistory(alert) {
+  fs.mkdirSync(ALERTS_DIR, { recursive: true });
+  fs.appendFileSync(HISTORY_FILE, `${JSON.stringify(alert)}\n`);
+}
+
+/** Fired alerts matching `filter`, newest first. */
+export function readHistory({ ruleId, exchange, ticker, channel, since, limit = 100 } = {}) {
+  if (!fs.existsSync(HISTORY_FILE)) return [];
+  const out = [];
+  const lines = fs.readFileSync(HISTORY_FILE, 'utf8').split('\n').filter(Boolean);
+  for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+    const a = JSON.parse(lines[i]);
+    if (since && a.firedAt <= since) break; // appended in time order
+    if (ruleId && a.ruleId !== ruleId) continue;
+    if (exchange && a.exchange !== exchange) continue;
+    if (ticker && a.ticker !== ticker) continue;
+    if (channel && !(channel in a.channels)) continue;
+    out.push(a);
+  }
+  return out;
+}
+
+// ----------------- Evaluation -----------------
+/**
+ * Rule metrics for one company, in its reporting currency. The price is the live quote, else the
+ * latest stored close (prices.js); without live metrics the weighted FV comes from the rows (the
+ * per-year P/E value, see valuationSnapshot), so rules still work without a TwelveData key.
+ */
+async function companySnapshot(exchange, ticker, { targetPE, weights }) {
+  const stored = loadDataset(exchange, ticker);
+  if (!stored) throw new Error('dataset not found');
+  const { currency } = stored;
+
+  let metrics = null;
+  try {
+    metrics = await metricsIn(exchange, ticker, { suffix: stored.suffix, currency });
+  } catch (err) {
+    console.error(`Alerts: live metrics for ${exchange}:${ticker} failed:`, err.message);
+  }
+  let price = metrics?.price > 0 ? metrics.price : null, priceSource = 'live';
+  if (price == null) {
+    const history = loadPrices(exchange, ticker);
+    const last = history?.points[history.points.length - 1];
+    const from = history?.currency || MARKETS[exchange]?.currency || DEFAULT_CURRENCY;
+    const rate = last ? await conversionRate(from, currency) : null;
+    price = rate != null ? last.close * rate : null;
+    priceSource = price != null ? `close ${last.date}` : null;
+  }
+  const { rows } = validateRows(stored.rows || []);
+  return {
+    currency,
+    priceSource,
+    ...valuationSnapshot({ rows, metrics: metrics?.price > 0 ? metrics : null, price, targetPE, weights }),
+  };
+}
+
+const round = (v) => (v == null ? v : Number(v.toPrecision(6)));
+
+let queue = Promise.resolve();
+
+/**
+ * Evaluate enabled rules (or only `ruleId`, enabled or not), notify for those that fire and record
+ * them in the history. Runs are queued so two never update rule state at once.
+ * @returns {Promise<{ checkedAt, results: [{ ruleId, value, match, fired, error }] }>}
+ */
+export function runAlerts({ ruleId = null } = {}) {
+  const run = queue.then(() => evaluateRules(ruleId));
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function evaluateRules(ruleId) {
+  const rules = loadRules();
+  const checkedAt = new Date().toISOString();
+  const snapshots = new Map(); // one snapshot per company and valuation settings
+  const states = new Map(); // rule id -> new evaluation state
+  const results = [];
+
+  for (const rule of rules) {
+    if (ruleId ? rule.id !== ruleId : !rule.enabled) continue;
+    const targetPE = rule.targetPE ?? TARGET_PE;
+    const weights = normalizeWeights(rule.weights ?? DEFAULT_WEIGHTS);
+    const key = `${rule.exchange}:${rule.ticker}|${targetPE}|${JSON.stringify(weights)}`;
+    if (!snapshots.has(key)) {
+      snapshots.set(key, companySnapshot(rule.exchange, rule.ticker, { targetPE, weights }).catch((err) => ({ error: err.message })));
+    }
+    const snapshot = await snapshots.get(key);
+    if (snapshot.error) {
+      results.push({ ruleId: rule.id, value: null, match: null, fired: false, error: snapshot.error });
+      continue;
+    }
+
+    const prev = rule.state || {};
+    const { value, match, fire } = evaluateRule(rule, snapshot, prev);
+    // An unknown value (e.g. provider outage) keeps the previous state so the rule does not re-fire
+    const state = { match: match ?? prev.match ?? null, value: round(value), checkedAt, firedAt: prev.firedAt ?? null };
+    states.set(rule.id, state);
+    if (fire) {
+      state.firedAt = checkedAt;
+      const alert = {
+        id: crypto.randomUUID(),
+        ruleId: rule.id,
+        ruleName: rule.name || describeRule(rule),
+        exchange: rule.exchange,
+        ticker: rule.ticker,
+        metric: rule.metric,
+        op: rule.op,
+        threshold: rule.value,
+        value: round(value),
+        currency: snapshot.currency,
+        snapshot: Object.fromEntries(Object.entries(snapshot).map(([k, v]) => [k, typeof v === 'number' ? round(v) : v])),
+        message: `${describeRule(rule)} (now ${formatMetric(rule.metric, value)}; price ${formatMetric('price', snapshot.price)} vs weighted FV ${formatMetric('weighted', snapshot.weighted)} ${snapshot.currency})`,
+        firedAt: checkedAt,
+      };
+      alert.channels = await notify(alert, rule, rule.channels);
+      appendHistory(alert);
+    }
+    results.push({ ruleId: rule.id, value: round(value), match, fired: fire, error: null });
+  }
+
+  // Re-read so rules edited during the run keep their edits; only the evaluation state is merged
+  if (states.size) saveRules(loadRules().map((r) => (states.has(r.id) ? { ...r, state: states.get(r.id) } : r)));
+  return { checkedAt, results };
+}
+
+/** Evaluate every ALERT_INTERVAL_MS (default 15 min; 0 disables). */
+export function startAlertScheduler() {
+  if (!(INTERVAL_MS > 0)) return null;
+  const timer = setInterval(() => {
+    runAlerts().catch((err) => console.error('Alert run failed:', err.message));
+  }, INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+// ----------------- Routes -----------------
+const idSchema = z.object({ id: z.string().uuid() });
+
+const ruleSchema = z.object({
+  name: z.string().trim().max(100).regex(/^\P{Cc}*$/u, 'Name must be one line of text').default(''),
+  exchange: symbolSchema.transform((s) => s.toUpperCase()),
+  ticker: symbolSchema.transform((s) => s.toUpperCase()),
+  metric: z.enum(ALERT_METRICS.map((m) => m.key)),
+  op: z.enum(Object.keys(ALERT_OPS)),
+  value: z.number().finite(),
+  channels: z.array(z.enum(ALERT_CHANNELS)).min(1).default(['log']),
+  enabled: z.boolean().default(true),
+  webhookUrl: z
+    .string()
+    .url()
+    .refine(webhookAllowed, 'Webhook URL must be http(s) and on an allowed host (ALERT_WEBHOOK_ALLOWLIST)')
+    .nullable()
+    .default(null),
+  weights: z.record(z.number().nonnegative()).nullable().default(null), // null = DEFAULT_WEIGHTS
+  targetPE: z.number().positive().nullable().default(null), // null = TARGET_PE
+});
+
+const historyQuerySchema = z.object({
+  ruleId: z.string().uuid().optional(),
+  exchange: symbolSchema.transform((s) => s.toUpperCase()).optional(),
+  ticker: symbolSchema.transform((s) => s.toUpperCase()).optional(),
+  channel: z.enum(ALERT_CHANNELS).optional(),
+  since: z.string().datetime().optional(),
+  limit: z.coerce.number().int().min(1).max(1000).default(100),
+});
+
+export const alertsRouter = express.Router();
+
+// GET /alerts/rules?exchange=&ticker=
+alertsRouter.get('/rules', (req, res) => {
+  const { exchange, ticker } = req.query;
+  const rules = loadRules().filter(
+    (r) => (!exchange || r.exchange === String(exchange).toUpperCase()) && (!ticker || r.ticker === String(ticker).toUpperCase())
+  );
+  return res.json({ items: rules.map((r) => ({ ...r, description: describeRule(r) })), intervalMs: INTERVAL_MS });
+});
+
+// POST /alerts/rules  { exchange, ticker, metric, op, value, channels?, name?, enabled?, webhookUrl?, weights?, targetPE? }
+alertsRouter.post('/rules', (req, res) => {
+  const parsed = ruleSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid rule', details: parsed.error.flatten() });
+  const rule = { id: crypto.randomUUID(), ...parsed.data, state: null, createdAt: new Date().toISOString() };
+  saveRules([...loadRules(), rule]);
+  return res.status(201).json({ ...rule, description: describeRule(rule) });
+});
+
+// PUT /alerts/rules/:id  (same body; replaces the rule and resets its state when the condition changes)
+alertsRouter.put('/rules/:id', (req, res) => {
+  const key = idSchema.safeParse(req.params);
+  const body = ruleSchema.safeParse(req.body);
+  if (!key.success || !body.success) {
+    return res.status(400).json({ error: 'Invalid request', details: (key.success ? body : key).error.flatten() });
+  }
+  const rules = loadRules();
+  const prev = rules.find((r) => r.id === key.data.id);
+  if (!prev) return res.status(404).json({ error: 'Rule not found' });
+  const same = ['exchange', 'ticker', 'metric', 'op', 'value'].every((k) => prev[k] === body.data[k]);
+  const rule = { ...prev, ...body.data, state: same ? prev.state : null };
+  saveRules(rules.map((r) => (r.id === rule.id ? rule : r)));
+  return res.json({ ...rule, description: describeRule(rule) });
+});
+
+// DELETE /alerts/rules/:id  (its history is kept)
+alertsRouter.delete('/rules/:id', (req, res) => {
+  const key = idSchema.safeParse(req.params);
+  if (!key.success) return res.status(400).json({ error: 'Invalid rule id', details: key.error.flatten() });
+  const rules = loadRules();
+  if (!rules.some((r) => r.id === key.data.id)) return res.status(404).json({ error: 'Rule not found' });
+  saveRules(rules.filter((r) => r.id !== key.data.id));
+  return res.status(204).end();
+});
+
+// POST /alerts/run?ruleId=  evaluate now instead of waiting for the scheduler
+alertsRouter.post('/run', async (req, res) => {
+  const parsed = z.object({ ruleId: z.string().uuid().optional() }).safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid query', details: parsed.error.flatten() });
+  try {
+    return res.json(await runAlerts({ ruleId: parsed.data.ruleId ?? null }));
+  } catch (err) {
+    console.error('Error in /alerts/run:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /alerts/history?ruleId=&exchange=&ticker=&channel=browser&since=ISO&limit=100  (newest first)
+alertsRouter.get('/history', (req, res) => {
+  const parsed = historyQuerySchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid query', details: parsed.error.flatten() });
+  return res.json({ items: readHistory(parsed.data) });
+});
@@ -0,0 +1,93 @@
+// Server-side charts as plain SVG strings (no browser, no randomness): same data -> same bytes.
+// Used by the PDF report (via svg-to-pdfkit) and embedded as data URIs in the Markdown report.
+
+const W = 520;
+const H = 220;
+const PAD = { top: 28, right: 16, bottom: 28, left: 64 };
+const COLOR = '#2563eb';
+const NEG_COLOR = '#dc2626';
+
+/** 1234567 -> "1.23M" (same buckets as the web UI's fmtNumber). */
+export function fmtNumber(n) {
+  if (n == null || !Number.isFinite(n)) return '—';
+  const a = Math.abs(n);
+  if (a >= 1e9) return `${(n / 1e9).toFixed(2)}B`;
+  if (a >= 1e6) return `${(n / 1e6).toFixed(2)}M`;
+  if (a >= 1e3) return `${(n / 1e3).toFixed(2)}K`;
+  return String(Number(n.toFixed(2)));
+}
+
+const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const r1 = (n) => Math.round(n * 10) / 10;
+
+// y-axis range padded to include 0 and rounded to 4 "nice" ticks
+function scaleY(values) {
+  const finite = values.filter(Number.isFinite);
+  let lo = Math.min(0, ...finite), hi = Math.max(0, ...finite);
+  if (lo === hi) hi = lo + 1;
+  const step = niceStep((hi - lo) / 4);
+  lo = Math.floor(lo / step) * step;
+  hi = Math.ceil(hi / step) * step;
+  const ticks = [];
+  for (let v = lo; v <= hi + step / 2; v += step) ticks.push(Number(v.toPrecision(12)));
+  const y = (v) => r1(PAD.top + (H - PAD.top - PAD.bottom) * (1 - (v - lo) / (hi - lo)));
+  return { y, ticks };
+}
+function niceStep(raw) {
+  const p = 10 ** Math.floor(Math.log10(raw));
+  const f = raw / p;
+  return (f <= 1 ? 1 : f <= 2 ? 2 : f <= 5 ? 5 : 10) * p;
+}
+
+function frame(title, ticks, y, fmt, body) {
+  const grid = ticks.map((t) =>
+    `<line x1="${PAD.left}" y1="${y(t)}" x2="${W - PAD.right}" y2="${y(t)}" stroke="#e5e7eb" stroke-width="1"/>` +
+    `<text x="${PAD.left - 6}" y="${y(t) + 3}" font-size="9" text-anchor="end" fill="#6b7280" font-family="Helvetica">${esc(fmt(t))}</text>`
+  ).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">` +
+    `<rect width="${W}" height="${H}" fill="#ffffff"/>` +
+    `<text x="${PAD.left}" y="16" font-size="11" font-weight="bold" fill="#111827" font-family="Helvetica">${esc(title)}</text>` +
+    grid + body + '</svg>';
+}
+
+const xPositions = (n) => {
+  const inner = W - PAD.left - PAD.right;
+  return Array.from({ length: n }, (_, i) => r1(PAD.left + (n === 1 ? inner / 2 : (inner * i) / (n - 1))));
+};
+const xLabels = (data, xs) => data.map((d, i) =>
+  `<text x="${xs[i]}" y="${H - 10}" font-size="9" text-anchor="middle" fill="#6b7280" font-family="Helvetica">${esc(d.year)}</text>`
+).join('');
+
+/** Line chart of [{ year, value }]; gaps (null) break the line. */
+export function lineChartSvg({ title, data, format = fmtNumber }) {
+  const { y, ticks } = scaleY(data.map((d) => d.value));
+  const xs = xPositions(data.length);
+  const segments = [];
+  let current = [];
+  data.forEach((d, i) => {
+    if (Number.isFinite(d.value)) current.push(`${xs[i]},${y(d.value)}`);
+    else if (current.length) { segments.push(current); current = []; }
+  });
+  if (current.length) segments.push(current);
+  const lines = segments.map((pts) =>
+    `<polyline points="${pts.join(' ')}" fill="none" stroke="${COLOR}" stroke-width="2"/>`).join('');
+  const dots = data.map((d, i) => (Number.isFinite(d.value)
+    ? `<circle cx="${xs[i]}" cy="${y(d.value)}" r="2.5" fill="${COLOR}"/>` : '')).join('');
+  return frame(title, ticks, y, format, lines + dots + xLabels(data, xs));
+}
+
+/** Bar chart of [{ year, value }] around a zero baseline (negative bars in red). */
+export function barChartSvg({ title, data, format = fmtNumber }) {
+  const { y, ticks } = scaleY(data.map((d) => d.value));
+  const n = data.length || 1;
+  const slot = (W - PAD.left - PAD.right) / n;
+  const xs = data.map((_, i) => r1(PAD.left + slot * (i + 0.5)));
+  const bw = r1(Math.min(40, slot * 0.6));
+  const bars = data.map((d, i) => {
+    if (!Number.isFinite(d.value)) return '';
+    const top = Math.min(y(d.value), y(0));
+    const h = r1(Math.abs(y(d.value) - y(0)));
+    return `<rect x="${r1(xs[i] - bw / 2)}" y="${top}" width="${bw}" height="${h}" fill="${d.value < 0 ? NEG_COLOR : COLOR}"/>`;
+  }).join('');
+  return frame(title, ticks, y, format, bars + xLabels(data, xs));
+}
@@ -0,0 +1,153 @@
+// Company dataset catalog: list/search, fetch, upload (same parser as ingest.js) and delete.
+
+import express from 'express';
+import { z } from 'zod';
+import { symbolSchema, currencySchema, suffixSchema } from './schema.js';
+import { loadMapping } from './mapping.js';
+import { parseBuffer, isSupported, SUPPORTED } from './parse.js';
+import { listCompanies, listVersions, loadDataset, saveVersion, deleteDataset } from './store.js';
+import { checkDataQuality, DEFAULT_MAX_YOY_JUMP } from '../shared/quality.js';
+
+const MAX_YOY_JUMP = Number(process.env.MAX_YOY_JUMP || DEFAULT_MAX_YOY_JUMP);
+const UPLOAD_LIMIT = process.env.UPLOAD_LIMIT || '10mb';
+
+const listQuerySchema = z.object({
+  search: z.string().trim().default(''),
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(200).default(50),
+});
+
+const keySchema = z.object({ exchange: symbolSchema, ticker: symbolSchema });
+
+// Company metadata; omitted -> the mapping file's value, else the company's stored one (else exchange defaults)
+const metaSchema = z.object({
+  fiscalYearEnd: z.coerce.number().int().min(1).max(12).optional(), // month the fiscal year ends in
+  currency: currencySchema.optional(), // reporting currency of the rows
+  suffix: suffixSchema.optional(), // TwelveData symbol suffix, e.g. ":LSE"
+});
+
+const uploadQuerySchema = keySchema.merge(metaSchema).extend({
+  filename: z.string().min(1).optional(),
+});
+
+const jsonUploadSchema = keySchema.merge(metaSchema).extend({
+  rows: z.array(z.record(z.unknown())).min(1),
+});
+
+const metaOf = (source) => Object.fromEntries(Object.keys(metaSchema.shape).map((k) => [k, source?.[k]]));
+
+// Spreadsheet uploads arrive as the raw request body (no multipart)
+const rawUpload = express.raw({
+  type: [
+    'application/octet-stream',
+    'text/csv',
+    'text/tab-separated-values',
+    'text/plain',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel',
+  ],
+  limit: UPLOAD_LIMIT,
+});
+
+export const companiesRouter = express.Router();
+
+companiesRouter.get('/', (req, res) => {
+  const parsed = listQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid query', details: parsed.error.flatten() });
+  }
+  const { search, page, pageSize } = parsed.data;
+  const q = search.toLowerCase();
+  const all = listCompanies().filter(
+    (c) => !q || c.ticker.toLowerCase().includes(q) || c.exchange.toLowerCase().includes(q)
+  );
+  const items = all.slice((page - 1) * pageSize, page * pageSize);
+  return res.json({ items, total: all.length, page, pageSize });
+});
+
+companiesRouter.get('/:exchange/:ticker', (req, res) => {
+  const key = keySchema.safeParse(req.params);
+  if (!key.success) return res.status(400).json({ error: 'Invalid symbol', details: key.error.flatten() });
+  const { exchange, ticker } = key.data;
+  const asOf = typeof req.query.asOf === 'string' ? req.query.asOf : null;
+
+  const data = loadDataset(exchange, ticker, asOf);
+  if (!data) return res.status(404).json({ error: 'Dataset not found' });
+  return res.json({
+    ticker: data.ticker,
+    exchange: data.exchange,
+    version: data.version ?? null,
+    rows: data.rows,
+    fiscalYearEnd: data.fiscalYearEnd,
+    currency: data.currency,
+    suffix: data.suffix,
+    versions: listVersions(exchange, ticker)?.versions ?? [],
+    dataQuality: checkDataQuality(data.rows, { maxYoYJump: MAX_YOY_JUMP }),
+  });
+});
+
+// POST /companies
+//   JSON:  { exchange, ticker, rows: [...], fiscalYearEnd?, currency?, suffix? }   rows may carry `quarter` (1..4)
+//   file:  raw body + ?exchange=&ticker=&filename=data.xlsx[&fiscalYearEnd=6&currency=EUR&suffix=:XETR]  (or an X-Filename header)
+companiesRouter.post('/', rawUpload, (req, res) => {
+  let exchange, ticker, buffer, filename, given;
+  if (Buffer.isBuffer(req.body)) {
+    const parsed = uploadQuerySchema.safeParse({ ...req.query, filename: req.query.filename ?? req.get('X-Filename') });
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid query', details: parsed.error.flatten() });
+    }
+    ({ exchange, ticker, filename } = parsed.data);
+    given = metaOf(parsed.data);
+    if (!filename || !isSupported(filename)) {
+      return res.status(415).json({ error: `Unsupported or missing filename (supported: ${SUPPORTED})` });
+    }
+    buffer = req.body;
+  } else {
+    const parsed = jsonUploadSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid body', details: parsed.error.flatten() });
+    }
+    ({ exchange, ticker } = parsed.data);
+    given = metaOf(parsed.data);
+    filename = 'upload.json';
+    buffer = Buffer.from(JSON.stringify(parsed.data.rows));
+  }
+
+  exchange = exchange.toUpperCase();
+  ticker = ticker.toUpperCase();
+
+  let result, mapping;
+  try {
+    mapping = loadMapping({ exchange, ticker });
+    result = parseBuffer(buffer, filename, mapping);
+  } catch (err) {
+    return res.status(422).json({ error: `Could not parse upload: ${err.message}` });
+  }
+  if (!result.rows.length) {
+    return res.status(422).json({ error: 'No valid rows found', issues: result.issues });
+  }
+
+  const dataQuality = checkDataQuality(result.rows, { maxYoYJump: MAX_YOY_JUMP });
+  if (dataQuality.errors.length) {
+    return res.status(422).json({ error: 'Data quality errors', dataQuality, issues: result.issues });
+  }
+
+  const mappingMeta = metaOf(mapping);
+  const meta = Object.fromEntries(Object.entries(given).map(([k, v]) => [k, v ?? mappingMeta[k] ?? null]));
+  const { version, created } = saveVersion({ ticker, exchange, rows: result.rows, sourceFile: filename, meta, dataQuality });
+  const stored = loadDataset(exchange, ticker);
+  return res.status(created ? 201 : 200).json({
+    ticker, exchange, version, created,
+    fiscalYearEnd: stored.fiscalYearEnd, currency: stored.currency, suffix: stored.suffix,
+    rowCount: result.rows.length, dataQuality, issues: result.issues,
+  });
+});
+
+companiesRouter.delete('/:exchange/:ticker', (req, res) => {
+  const key = keySchema.safeParse(req.params);
+  if (!key.success) return res.status(400).json({ error: 'Invalid symbol', details: key.error.flatten() });
+  if (!deleteDataset(key.data.exchange, key.data.ticker)) {
+    return res.status(404).json({ error: 'Dataset not found' });
+  }
+  return res.sendStatus(204);
+});
@@ -0,0 +1,46 @@
+import 'dotenv/config';
+import { listVersions, diffVersions, rollback } from './store.js';
+
+// Dataset version CLI:
+//   node datasets.js list <exchange> <ticker>
+//   node datasets.js diff <exchange> <ticker> <fromVersion> <toVersion>
+//   node datasets.js rollback <exchange> <ticker> <version>
+const [,, cmd, exchange, ticker, a, b] = process.argv;
+const usage = () => {
+  console.error(
+    'Usage:\n' +
+    '  node datasets.js list <exchange> <ticker>\n' +
+    '  node datasets.js diff <exchange> <ticker> <fromVersion> <toVersion>\n' +
+    '  node datasets.js rollback <exchange> <ticker> <version>'
+  );
+  process.exit(1);
+};
+if (!cmd || !exchange || !ticker) usage();
+
+const label = `${exchange.toUpperCase()}:${ticker.toUpperCase()}`;
+const fmt = (v) => (v != null && typeof v === 'object' ? JSON.stringify(v) : String(v));
+
+if (cmd === 'list') {
+  const info = listVersions(exchange, ticker);
+  if (!info) { console.error(`No versions stored for ${label}`); process.exit(1); }
+  for (const v of info.versions) {
+    const mark = v.version === info.current ? '*' : ' ';
+    const warnings = v.dataQuality?.warnings.length ? `  warnings=${v.dataQuality.warnings.length}` : '';
+    console.log(`${mark} v${v.version}  ${v.createdAt}  rows=${v.rowCount}${warnings}  ${v.hash.slice(0, 12)}  ${v.sourceFile ?? ''}`);
+  }
+} else if (cmd === 'diff') {
+  if (!a || !b) usage();
+  const d = diffVersions(exchange, ticker, Number(a), Number(b));
+  if (!d) { console.error(`Unknown version(s) for ${label}: ${a}, ${b}`); process.exit(1); }
+  console.log(`${label}  v${d.from} -> v${d.to}`);
+  if (d.added.length) console.log(`  added years:   ${d.added.join(', ')}`);
+  if (d.removed.length) console.log(`  removed years: ${d.removed.join(', ')}`);
+  for (const c of d.changed) console.log(`  ${c.year} ${c.field}: ${fmt(c.from)} -> ${fmt(c.to)}`);
+  if (!d.added.length && !d.removed.length && !d.changed.length) console.log('  no differences');
+} else if (cmd === 'rollback') {
+  if (!a) usage();
+  if (!rollback(exchange, ticker, Number(a))) { console.error(`Unknown version for ${label}: ${a}`); process.exit(1); }
+  console.log(`${label} now points at v${a}`);
+} else {
+  usage();
+}
@@ -0,0 +1,118 @@
+// FX rates for showing reported figures and live prices in one display currency, and the
+// conversions of stored datasets / live metrics the report routes and the alert scheduler use.
+// A local rates file comes first; currencies it lacks are fetched from TwelveData /exchange_rate
+// (when TWELVE_API_KEY is set).
+//
+// data/fx.json  { base: 'USD', asOf: 'YYYY-MM-DD', rates: { EUR: 0.92, ... } }   (units per 1 base;
+//               fx.example.json is a starting point)
+
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import { z } from 'zod';
+import { fileURLToPath } from 'url';
+import { currencySchema } from './schema.js';
+import { getExchangeRate, getValuationMetrics, isConfigured as twelveConfigured } from './twelvedata.js';
+import {
+  MARKETS, DEFAULT_CURRENCY, fxRate, currenciesNeeded, convertRows, convertMetrics,
+} from '../shared/currency.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FX_FILE = process.env.FX_RATES_FILE
+  ? path.resolve(__dirname, process.env.FX_RATES_FILE)
+  : path.join(__dirname, 'data', 'fx.json');
+
+const ratesFileSchema = z.object({
+  base: currencySchema,
+  asOf: z.string().optional(),
+  rates: z.record(z.number().positive()),
+});
+
+// ----------------- Rates -----------------
+/** The local rates file, or null when missing. Throws on an invalid file. */
+export function loadRatesFile() {
+  if (!fs.existsSync(FX_FILE)) return null;
+  const parsed = ratesFileSchema.safeParse(JSON.parse(fs.readFileSync(FX_FILE, 'utf8')));
+  if (!parsed.success) {
+    const first = parsed.error.issues[0];
+    throw new Error(`Invalid FX rates file ${path.basename(FX_FILE)}: ${first.path.join('.') || '(root)'}: ${first.message}`);
+  }
+  const { base, asOf = null, rates } = parsed.data;
+  return { base, asOf, rates: Object.fromEntries(Object.entries(rates).map(([k, v]) => [k.toUpperCase(), v])) };
+}
+
+/**
+ * Units of each currency per one `base`.
+ * @returns {Promise<{ base, rates: Record<string, number>, sources: Record<string, 'file'|'twelvedata'>, missing: string[], asOf: string|null }>}
+ */
+export async function getFxRates(base, currencies) {
+  const file = loadRatesFile();
+  const rates = {}, sources = {}, missing = [];
+  for (const c of new Set(currencies)) {
+    if (c === base) continue;
+    const fromFile = fxRate(file, base, c);
+    if (fromFile != null) {
+      rates[c] = fromFile;
+      sources[c] = 'file';
+      continue;
+    }
+    try {
+      if (!twelveConfigured()) throw new Error('not configured');
+      rates[c] = await getExchangeRate(base, c);
+      sources[c] = 'twelvedata';
+    } catch {
+      missing.push(c);
+    }
+  }
+  return { base, rates, sources, missing, asOf: file?.asOf ?? null };
+}
+
+/** Units of `to` per one `from`, or null when neither source knows the pair. */
+export async function conversionRate(from, to) {
+  const direct = fxRate(null, from, to); // same currency or a sub-unit of it
+  if (direct != null) return direct;
+  const { rates } = await getFxRates(DEFAULT_CURRENCY, currenciesNeeded(from, [to]));
+  return fxRate({ base: DEFAULT_CURRENCY, rates }, from, to);
+}
+
+// ----------------- Conversion -----------------
+// Dataset rows converted from the reporting currency into `currency`; null when no FX rate is known
+export async function inCurrency(data, currency) {
+  if (!currency || currency === data.currency) return data;
+  const rate = await conversionRate(data.currency, currency);
+  return rate == null ? null : { ...data, rows: convertRows(data.rows, rate), currency };
+}
+
+// Live metrics for a company in `currency` (the trading currency falls back to the exchange's)
+export async function metricsIn(exchange, ticker, { suffix, currency }) {
+  const tradingFallback = MARKETS[exchange.toUpperCase()]?.currency ?? DEFAULT_CURRENCY;
+  const metrics = await getValuationMetrics(`${ticker}${suffix}`, tradingFallback);
+  if (!currency || currency === metrics.currency) return metrics;
+  const rate = await conversionRate(metrics.currency, currency);
+  if (rate == null) throw new Error(`no FX rate for ${metrics.currency}/${currency}`);
+  return convertMetrics(metrics, rate, currency);
+}
+
+// ----------------- Routes -----------------
+const querySchema = z.object({
+  base: currencySchema.default(DEFAULT_CURRENCY),
+  symbols: z
+    .string()
+    .min(1)
+    .transform((s) => s.split(',').map((c) => c.trim()).filter(Boolean))
+    .pipe(z.array(currencySchema).min(1).max(50)),
+});
+
+export const fxRouter = express.Router();
+
+// GET /fx?base=USD&symbols=EUR,GBP,JPY
+fxRouter.get('/', async (req, res) => {
+  const parsed = querySchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid query', details: parsed.error.flatten() });
+  try {
+    return res.json(await getFxRates(parsed.data.base, parsed.data.symbols));
+  } catch (err) {
+    console.error('Error in /fx:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+});
@@ -1,11 +1,48 @@
 import 'dotenv/config';
-import fs from 'fs';
 import path from 'path';
 import express from 'express';
 import cors from 'cors';
 import { z } from 'zod';
 import { fileURLToPath } from 'url';
-import OpenAI from 'openai';
+import {
+  calcGrowth,
+  calcRatios,
+  computeFairValuePerYear,
+  normalizeWeights,
+  weightedFairValue,
+  DEFAULT_WEIGHTS,
+} from '../shared/valuation.js';
+import { computeDCF } from '../shared/dcf.js';
+import {
+  annualRows,
+  quarterlyRows,
+  ttmRows,
+  ttmFairValues,
+  periodGrowth,
+  latestFairValue,
+} from '../shared/periods.js';
+import { checkDataQuality, DEFAULT_MAX_YOY_JUMP } from '../shared/quality.js';
+import { symbolSchema, currencySchema, suffixSchema, validateRows } from './schema.js';
+import { loadDataset, loadCompanyMeta, resolveVersion } from './store.js';
+import { companiesRouter } from './companies.js';
+import { pricesRouter } from './prices.js';
+import { fxRouter, inCurrency, metricsIn } from './fx.js';
+import { listsRouter } from './lists.js';
+import { alertsRouter, startAlertScheduler } from './alerts.js';
+import { screenerRouter } from './screener.js';
+import { MARKETS, DEFAULT_CURRENCY } from '../shared/currency.js';
+import {
+  buildNarrativeMessages,
+  streamNarrative,
+  completeNarrative,
+  NarrativeError,
+  cachedNarrative,
+  narrativeInfo,
+  narrativeUnavailable,
+} from './narrative.js';
+import { NARRATIVE_ERRORS, NARRATIVE_SECTIONS } from '../shared/narrative.js';
+import { getValuationMetrics, isConfigured as twelveConfigured } from './twelvedata.js';
+import { buildReportModel, renderMarkdown, renderPdf } from './reportdoc.js';
 
 // ----------------- Paths & env -----------------
 const __filename = fileURLToPath(import.meta.url);
@@ -13,7 +50,7 @@ const __dirname = path.dirname(__filename);
 
 const PORT = Number(process.env.PORT || 5050);
 const TARGET_PE = Number(process.env.TARGET_PE || 25);
-const DATA_DIR = path.join(__dirname, 'out');
+const MAX_YOY_JUMP = Number(process.env.MAX_YOY_JUMP || DEFAULT_MAX_YOY_JUMP);
 
 // ----------------- App -----------------
 const app = express();
@@ -23,8 +60,8 @@ app.use((req, res, next) => {
   const origin = req.headers.origin || '*';
   res.setHeader('Access-Control-Allow-Origin', origin);
   res.setHeader('Vary', 'Origin'); // so caches vary per origin
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Filename');
   // If your frontend ever sends credentials, also add:
   // res.setHeader('Access-Control-Allow-Credentials', 'true');
 
@@ -38,62 +75,277 @@ app.use((req, res, next) => {
 app.use(
   cors({
     origin: true,
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'X-Filename'],
   })
 );
 
 app.use(express.json());
 
-// ----------------- OpenAI (optional) -----------------
-const openai = process.env.OPENAI_API_KEY
-  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-  : null;
-
 // ----------------- Schemas -----------------
+// DCF assumptions are optional; omitted fields are derived from history (see shared/dcf.js)
+const dcfSchema = z
+  .object({
+    years: z.number().int().min(1).max(20),
+    revenueGrowth: z.number(),
+    operatingMargin: z.number(),
+    taxRate: z.number().min(0).max(1),
+    reinvestmentRate: z.number(),
+    wacc: z.number().positive(),
+    terminalGrowth: z.number(),
+    netDebt: z.number(),
+  })
+  .partial();
+
 const querySchema = z.object({
-  ticker: z.string().min(1),
-  exchange: z.string().min(1),
+  ticker: symbolSchema,
+  exchange: symbolSchema,
+  dcf: dcfSchema.optional(),
+  // Dataset version number or ISO date (latest version at that time); defaults to current
+  asOf: z.union([z.string().min(1), z.number().int().positive()]).optional(),
+  refreshNarrative: z.boolean().optional(),
+  // Convert amounts from the company's reporting currency (DCF netDebt is then in this currency too)
+  currency: currencySchema.optional(),
 });
 
-// ----------------- Helpers -----------------
-function loadDataset(exchange, ticker) {
-  const fp = path.join(DATA_DIR, `${exchange.toUpperCase()}_${ticker.toUpperCase()}.json`);
-  if (!fs.existsSync(fp)) return null;
-  return JSON.parse(fs.readFileSync(fp, 'utf8'));
-}
+const streamQuerySchema = z.object({
+  ticker: symbolSchema,
+  exchange: symbolSchema,
+  asOf: z.string().min(1).optional(),
+  // Skip the narrative disk cache and ask the provider again
+  refresh: z.enum(['0', '1', 'true', 'false']).optional().transform((v) => v === '1' || v === 'true'),
+});
 
-function calcGrowth(series) {
-  const out = [];
-  for (let i = 1; i < series.length; i++) {
-    const prev = series[i - 1];
-    const curr = series[i];
-    if (Number.isFinite(prev.revenue) && Number.isFinite(curr.revenue)) {
-      const g = (curr.revenue - prev.revenue) / prev.revenue;
-      out.push({ year: curr.year, growth: g });
-    } else {
-      out.push({ year: curr.year, growth: null });
-    }
-  }
-  return out;
-}
+// "ev:0.5,pe:0.25,ps:0.25" (same keys as WEIGHT_METHODS); omitted -> DEFAULT_WEIGHTS
+const weightsParam = z
+  .string()
+  .regex(/^(\w+:\d*\.?\d+)(,\w+:\d*\.?\d+)*$/, 'Expected key:weight pairs, e.g. ev:0.5,pe:0.25')
+  .transform((s) => Object.fromEntries(s.split(',').map((p) => { const [k, w] = p.split(':'); return [k, Number(w)]; })));
 
-function computeFairValuePerYear(rows, targetPE = TARGET_PE) {
-  return rows.map((r) => {
-    const equityValue = Number.isFinite(r.netIncome) ? r.netIncome * targetPE : null;
-    const perShare =
-      r.sharesOutstanding && equityValue != null ? equityValue / r.sharesOutstanding : null;
-    return { year: r.year, equityValue, fairValuePerShare: perShare };
-  });
+// currency = display currency (default: the company's reporting currency); suffix defaults to the company's
+const exportQuerySchema = z.object({
+  asOf: z.string().min(1).optional(),
+  currency: currencySchema.optional(),
+  suffix: suffixSchema.optional(),
+  weights: weightsParam.optional(),
+  narrative: z.enum(['0', '1']).default('1'),
+});
+
+// Omitted -> the company's stored suffix / exchange default; `currency` labels the values only when
+// TwelveData does not report the trading currency
+const metricsQuerySchema = z.object({
+  currency: currencySchema.optional(),
+  suffix: suffixSchema.optional(),
+});
+
+// ----------------- Analysis -----------------
+// Growth, per-year fair value and DCF for a stored dataset (shared by /report and /report/stream).
+// Year-based figures use annual rows (given, or summed from four quarters); fiscal quarters add
+// TTM rows, YoY / QoQ growth and a fair value on TTM net income.
+function analyze(data, dcfAssumptions) {
+  const { rows: all, issues: rowIssues } = validateRows(data.rows || []);
+  const rows = annualRows(all);
+  const quarters = quarterlyRows(all);
+  return {
+    rows,
+    allRows: all,
+    quarters,
+    ttm: ttmRows(all),
+    rowIssues,
+    growth: calcGrowth(rows),
+    quarterlyGrowth: { yoy: periodGrowth(quarters, 'revenue', 'yoy'), qoq: periodGrowth(quarters, 'revenue', 'qoq') },
+    fairValues: computeFairValuePerYear(rows, TARGET_PE),
+    ttmFairValues: ttmFairValues(all, TARGET_PE),
+    dcf: computeDCF(rows, dcfAssumptions),
+  };
 }
 
+const noRateMessage = (from, to) => `No FX rate for ${from}/${to}. Add it to the rates file or configure TwelveData.`;
+
+const notFoundMessage = (asOf) =>
+  asOf != null ? `No dataset version matches asOf=${asOf}.` : 'Data not found. Ingest Excel first.';
+
 // ----------------- Routes -----------------
 app.get('/', (_req, res) => {
-  res.status(200).send('AI Stock Report API is running. Try GET /health or POST /report.');
+  res.status(200).send('AI Stock Report API is running. Try GET /health, GET /companies, GET /prices/:exchange/:ticker, GET /fx?symbols=EUR, GET /lists, GET /alerts/rules, GET /screener, POST /report or GET /report/:exchange/:ticker.pdf.');
 });
 
 app.get('/health', (_req, res) => res.json({ ok: true }));
 
+// Dataset catalog: GET/POST /companies, GET/DELETE /companies/:exchange/:ticker
+app.use('/companies', companiesRouter);
+
+// Historical closing prices: GET/POST/DELETE /prices/:exchange/:ticker, POST .../refresh (TwelveData)
+app.use('/prices', pricesRouter);
+
+// FX rates for the display currency: GET /fx?base=USD&symbols=EUR,GBP
+app.use('/fx', fxRouter);
+
+// Watchlists and portfolios: GET /lists, GET/PUT/DELETE /lists/:id
+app.use('/lists', listsRouter);
+
+// Price / fair-value alerts: GET/POST /alerts/rules, PUT/DELETE /alerts/rules/:id, POST /alerts/run, GET /alerts/history
+app.use('/alerts', alertsRouter);
+
+// Screener over every stored company: GET /screener?filters=&sort=, saved screens under /screener/screens
+app.use('/screener', screenerRouter);
+
+// Live valuation metrics via TwelveData (key stays server-side)
+app.get('/metrics/:exchange/:ticker', async (req, res) => {
+  const parsed = metricsQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid query', details: parsed.error.flatten() });
+  }
+
+  const key = z.object({ exchange: symbolSchema, ticker: symbolSchema }).safeParse(req.params);
+  if (!key.success) return res.status(400).json({ error: 'Invalid symbol', details: key.error.flatten() });
+  const { ticker, exchange } = key.data;
+  const suffix = parsed.data.suffix ?? loadCompanyMeta(exchange, ticker).suffix;
+  const fallback = parsed.data.currency ?? MARKETS[exchange.toUpperCase()]?.currency ?? DEFAULT_CURRENCY;
+  try {
+    const metrics = await getValuationMetrics(`${ticker}${suffix}`, fallback);
+    return res.json({ ...metrics, ticker, exchange, suffix, live: twelveConfigured() });
+  } catch (err) {
+    console.error('Error in /metrics:', err.message);
+    return res.status(502).json({ error: 'Failed to fetch live metrics' });
+  }
+});
+
+// Streaming narrative (Server-Sent Events)
+//   event: meta   { ticker, exchange, version, provider, model, cached, sections: [{ key, label }] }
+//   event: token  { text }                      (raw model output, in order; none on a cache hit)
+//   event: done   { sections: { summary, growth, profitability, valuation, risks }, cached, createdAt }
+//   event: error  { code, message }             (see NARRATIVE_ERRORS)
+// Validation / lookup / configuration failures are plain JSON responses with the same `code`.
+app.get('/report/stream', async (req, res) => {
+  const parsed = streamQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: NARRATIVE_ERRORS.invalid_query, code: 'invalid_query', details: parsed.error.flatten() });
+  }
+  const { ticker, exchange, asOf, refresh } = parsed.data;
+  const data = loadDataset(exchange, ticker, asOf ?? null);
+  if (!data) return res.status(404).json({ error: notFoundMessage(asOf), code: 'dataset_not_found' });
+  const unavailable = narrativeUnavailable();
+  if (unavailable) return res.status(503).json({ error: unavailable.message, code: unavailable.code });
+  const info = narrativeInfo();
+
+  let messages;
+  try {
+    const { rows, growth, fairValues, dcf } = analyze(data);
+    messages = buildNarrativeMessages({ ticker, exchange, rows, growth, fairValues, dcf, targetPE: TARGET_PE });
+  } catch (err) {
+    console.error('Error in /report/stream:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  const send = (event, payload) => res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+
+  // Stop the upstream completion when the browser goes away
+  const abort = new AbortController();
+  res.on('close', () => abort.abort());
+
+  const hit = !refresh && cachedNarrative(messages);
+  send('meta', {
+    ticker, exchange, version: data.version ?? null, ...info, cached: Boolean(hit), sections: NARRATIVE_SECTIONS,
+  });
+  if (hit) {
+    send('done', { sections: hit.sections, cached: true, createdAt: hit.createdAt });
+    return res.end();
+  }
+  try {
+    const { sections, createdAt } = await streamNarrative(messages, {
+      refresh: true, // cache already checked above
+      signal: abort.signal,
+      onToken: (text) => send('token', { text }),
+    });
+    send('done', { sections, cached: false, createdAt });
+  } catch (err) {
+    if (abort.signal.aborted) return;
+    if (err instanceof NarrativeError) send('error', { code: err.code, message: err.message });
+    else {
+      console.error('Error in /report/stream:', err);
+      send('error', { code: 'ai_request_failed', message: NARRATIVE_ERRORS.ai_request_failed });
+    }
+  }
+  res.end();
+});
+
+// Exportable report: GET /report/:exchange/:ticker.pdf | .md
+// (matched by hand because tickers may contain dots, e.g. BRK.B.pdf)
+app.get('/report/:exchange/:file', async (req, res, next) => {
+  const m = /^(.+)\.(pdf|md)$/i.exec(req.params.file);
+  if (!m) return next();
+  const format = m[2].toLowerCase();
+  const key = z.object({ exchange: symbolSchema, ticker: symbolSchema }).safeParse({ exchange: req.params.exchange, ticker: m[1] });
+  const query = exportQuerySchema.safeParse(req.query);
+  if (!key.success || !query.success) {
+    return res.status(400).json({ error: 'Invalid request', details: (key.success ? query : key).error.flatten() });
+  }
+  const { exchange, ticker } = key.data;
+  const { asOf, weights: rawWeights, narrative: withNarrative } = query.data;
+
+  try {
+    const stored = loadDataset(exchange, ticker, asOf ?? null);
+    if (!stored) return res.status(404).json({ error: notFoundMessage(asOf), code: 'dataset_not_found' });
+    const currency = query.data.currency ?? stored.currency;
+    const suffix = query.data.suffix ?? stored.suffix;
+    const data = await inCurrency(stored, currency);
+    if (!data) return res.status(422).json({ error: noRateMessage(stored.currency, currency), code: 'fx_rate_missing' });
+    const { rows, growth, fairValues, ttmFairValues: ttmFair, dcf } = analyze(data);
+
+    // Weighted FV: live per-share values + latest per-year (or newer TTM) PE fair value (as in the web app)
+    let valuation;
+    try {
+      const metrics = await metricsIn(exchange, ticker, { suffix, currency });
+      const inputs = { ...metrics, perYearPE: latestFairValue(fairValues, ttmFair)?.value ?? 0 };
+      const weights = normalizeWeights(rawWeights ?? DEFAULT_WEIGHTS);
+      valuation = { inputs, weights, weighted: weightedFairValue(inputs, weights), currency, live: twelveConfigured() };
+    } catch (err) {
+      valuation = { error: `live metrics failed (${err.message})` };
+    }
+
+    let narrative = null;
+    if (withNarrative === '1') {
+      try {
+        const messages = buildNarrativeMessages({ ticker, exchange, rows, growth, fairValues, dcf, targetPE: TARGET_PE });
+        narrative = { sections: (await completeNarrative(messages)).sections };
+      } catch (err) {
+        if (!(err instanceof NarrativeError)) throw err;
+        narrative = { error: { code: err.code, message: err.message } };
+      }
+    }
+
+    const model = buildReportModel({
+      meta: {
+        ticker, exchange, version: data.version ?? null, targetPE: TARGET_PE, fiscalYearEnd: data.fiscalYearEnd,
+        currency, reportingCurrency: stored.currency,
+        createdAt: resolveVersion(exchange, ticker, asOf ?? null)?.createdAt ?? null,
+      },
+      rows, growth, fairValues, ttmFairValues: ttmFair, valuation, narrative,
+    });
+
+    const base = `${exchange}_${ticker}${data.version ? `_v${data.version}` : ''}`;
+    if (format === 'md') {
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${base}.md"`);
+      return res.send(renderMarkdown(model));
+    }
+    const pdf = await renderPdf(model);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${base}.pdf"`);
+    return res.send(pdf);
+  } catch (err) {
+    console.error('Error in /report export:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 app.post('/report', async (req, res) => {
   try {
     const parsed = querySchema.safeParse(req.body);
@@ -101,60 +353,60 @@ app.post('/report', async (req, res) => {
       return res.status(400).json({ error: 'Invalid body', details: parsed.error.flatten() });
     }
 
-    const { ticker, exchange } = parsed.data;
-    const data = loadDataset(exchange, ticker);
+    const { ticker, exchange, dcf: dcfAssumptions, asOf, refreshNarrative } = parsed.data;
+    const stored = loadDataset(exchange, ticker, asOf ?? null);
+    if (!stored) {
+      return res.status(404).json({ error: notFoundMessage(asOf), code: 'dataset_not_found' });
+    }
+    const data = await inCurrency(stored, parsed.data.currency);
     if (!data) {
-      return res.status(404).json({ error: 'Data not found. Ingest Excel first.' });
+      return res.status(422).json({ error: noRateMessage(stored.currency, parsed.data.currency), code: 'fx_rate_missing' });
     }
 
-    const rows = data.rows.filter((r) => Number.isFinite(r.year));
-    const salesGrowth = calcGrowth(rows);
-    const fairValues = computeFairValuePerYear(rows);
+    const {
+      rows, allRows, quarters, ttm, rowIssues, growth: salesGrowth, quarterlyGrowth, fairValues, ttmFairValues: ttmFair, dcf,
+    } = analyze(data, dcfAssumptions);
 
     const response = {
-      meta: { ticker, exchange, targetPE: TARGET_PE },
-      rows,
+      meta: {
+        ticker, exchange, targetPE: TARGET_PE, version: data.version ?? null, fiscalYearEnd: data.fiscalYearEnd,
+        currency: data.currency, reportingCurrency: stored.currency, suffix: data.suffix,
+      },
+      rows, // annual
+      quarters,
+      ttm,
       charts: {
         revenue: rows.map((r) => ({ year: r.year, value: r.revenue })),
         operatingIncome: rows.map((r) => ({ year: r.year, value: r.operatingIncome })),
         netIncome: rows.map((r) => ({ year: r.year, value: r.netIncome })),
+        freeCashFlow: rows.map((r) => ({ year: r.year, value: r.freeCashFlow })),
+        capex: rows.map((r) => ({ year: r.year, value: r.capex })),
       },
+      ratios: rows.map(calcRatios),
+      rowIssues,
+      dataQuality: checkDataQuality(allRows, { maxYoYJump: MAX_YOY_JUMP }),
       growth: salesGrowth,
+      quarterlyGrowth,
       fairValues,
+      ttmFairValues: ttmFair,
+      dcf,
     };
 
-    // Optional AI narrative
-    let ai = null;
-    if (openai) {
-      const sys = 'You are a financial analyst. Be concise and numeric-first.';
-      const years = rows.map((r) => r.year).join(', ');
-      const prompt =
-        `Ticker ${ticker} on ${exchange}. Years: ${years}.\n` +
-        `Revenue: ${rows.map((r) => r.revenue).join(', ')}.\n` +
-        `Operating Income: ${rows.map((r) => r.operatingIncome).join(', ')}.\n` +
-        `Net Income: ${rows.map((r) => r.netIncome).join(', ')}.\n` +
-        `Revenue growth by year (yoy from 2nd year): ${salesGrowth
-          .map((g) => `${g.year}:${(g.growth ?? 0).toFixed(3)}`)
-          .join(', ')}.\n` +
-        `Fair Value (equity) per year = NetIncome * PE(${TARGET_PE}).` +
-        `Provide a short bullet report with insights, risks, and whether valuation trends are improving.`;
-
-      try {
-        const chat = await openai.chat.completions.create({
-          model: 'gpt-4o-mini',
-          messages: [
-            { role: 'system', content: sys },
-            { role: 'user', content: prompt },
-          ],
-          temperature: 0.3,
-        });
-        ai = chat.choices?.[0]?.message?.content ?? null;
-      } catch {
-        ai = null;
-      }
+    // Optional AI narrative: sections on success, otherwise an error code (never a silent null)
+    let aiNarrative = null;
+    let aiSource = null;
+    let aiError = null;
+    try {
+      const messages = buildNarrativeMessages({ ticker, exchange, rows, growth: salesGrowth, fairValues, dcf, targetPE: TARGET_PE });
+      const { sections, provider, model, cached } = await completeNarrative(messages, { refresh: refreshNarrative });
+      aiNarrative = sections;
+      aiSource = { provider, model, cached };
+    } catch (err) {
+      if (!(err instanceof NarrativeError)) throw err;
+      aiError = { code: err.code, message: err.message };
     }
 
-    return res.json({ ...response, aiNarrative: ai });
+    return res.json({ ...response, aiNarrative, aiSource, aiError });
   } catch (err) {
     console.error('Error in /report:', err);
     return res.status(500).json({ error: 'Internal server error' });
@@ -164,4 +416,5 @@ app.post('/report', async (req, res) => {
 // ----------------- Start -----------------
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  if (startAlertScheduler()) console.log('Alert scheduler running');
 });
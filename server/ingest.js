@@ -1,53 +1,135 @@
+import 'dotenv/config';
 import fs from 'fs';
 import path from 'path';
-import xlsx from 'xlsx';
 import { fileURLToPath } from 'url';
+import { currencySchema, suffixSchema } from './schema.js';
+import { loadMapping } from './mapping.js';
+import { IGNORE, resolveField } from '../shared/tables.js';
+import { parseBuffer, parsePriceBuffer, SUPPORTED } from './parse.js';
+import { saveVersion } from './store.js';
+import { savePrices } from './prices.js';
+import { checkDataQuality, formatQualityReport, DEFAULT_MAX_YOY_JUMP } from '../shared/quality.js';
+import { periodLabel } from '../shared/periods.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const dataDir = path.join(__dirname, 'data');
-const outDir = path.join(__dirname, 'out');
-fs.mkdirSync(outDir, { recursive: true });
-
-function normalizeHeader(h) {
-  return String(h).trim().toLowerCase();
+function loadFileToJson(filePath, mapping) {
+  const result = parseBuffer(fs.readFileSync(filePath), filePath, mapping);
+  for (const i of result.issues) console.warn(`Skipped row ${i.index} (year ${i.year}): ${i.errors.join('; ')}`);
+  return result;
 }
 
-function loadExcelToJson(filePath) {
-  const wb = xlsx.readFile(filePath);
-  const sheet = wb.Sheets[wb.SheetNames[0]];
-  const rows = xlsx.utils.sheet_to_json(sheet, { defval: null });
-  const out = [];
-  for (const r of rows) {
-    // Flexible header names
-    const m = new Map(Object.entries(r).map(([k, v]) => [normalizeHeader(k), v]));
-    const year = Number(m.get('year'));
-    const revenue = Number(m.get('revenue') ?? m.get('sales'));
-    const op = Number(m.get('operatingincome') ?? m.get('operating_income'));
-    const net = Number(m.get('netincome') ?? m.get('net_income'));
-    const shares = m.has('sharesoutstanding') ? Number(m.get('sharesoutstanding')) : null;
-    if (!Number.isFinite(year)) continue;
-    out.push({ year, revenue, operatingIncome: op, netIncome: net, sharesOutstanding: shares });
+// --dry-run: show how every column is mapped, and which ones are not
+function printDryRun({ rows, sheets }, mapping) {
+  console.log(`Mapping: ${mapping.source ?? '(built-in defaults)'}  orientation=${mapping.orientation}`);
+  for (const s of sheets) {
+    const headers = [...new Set(s.records.flatMap((r) => Object.keys(r)))];
+    const mapped = headers.map((h) => [h, resolveField(h, mapping.columns)]);
+    console.log(`\nSheet "${s.name}" (${s.records.length} records)`);
+    for (const [h, f] of mapped.filter(([, f]) => f && f !== IGNORE)) {
+      const scale = f === 'year' ? 1 : mapping.scaleFor(f);
+      console.log(`  ${h} -> ${f}${scale !== 1 ? ` (x${scale})` : ''}`);
+    }
+    const ignored = mapped.filter(([, f]) => f === IGNORE).map(([h]) => h);
+    const unmapped = mapped.filter(([, f]) => !f).map(([h]) => h);
+    if (ignored.length) console.log(`  ignored: ${ignored.join(', ')}`);
+    console.log(`  unmapped (kept in extra): ${unmapped.length ? unmapped.join(', ') : 'none'}`);
   }
-  // sort by year
-  out.sort((a,b)=>a.year-b.year);
-  return out;
+  console.log(`\n${rows.length} valid rows, periods: ${rows.map(periodLabel).join(', ') || '—'}`);
+  if (rows.length) console.log('First row:', JSON.stringify(rows[0]));
+}
+
+function saveDataset({ ticker, exchange, rows, sourceFile, meta, dataQuality }) {
+  const { version, created } = saveVersion({ ticker, exchange, rows, sourceFile, meta, dataQuality });
+  console.log(
+    created
+      ? `Saved ${exchange.toUpperCase()}:${ticker.toUpperCase()} as version ${version}`
+      : `Unchanged: ${exchange.toUpperCase()}:${ticker.toUpperCase()} already matches version ${version}`
+  );
 }
 
-function saveJsonForTicker({ ticker, exchange, rows }) {
-  const slug = `${exchange.toUpperCase()}_${ticker.toUpperCase()}`;
-  const fp = path.join(outDir, slug + '.json');
-  fs.writeFileSync(fp, JSON.stringify({ ticker, exchange, rows }, null, 2));
-  console.log('Saved:', fp);
+// --prices: the file holds closing prices (date/year + close columns), merged into out/prices
+function ingestPrices(filePath, ticker, exchange, dryRun) {
+  const { points, skipped } = parsePriceBuffer(fs.readFileSync(filePath), filePath);
+  if (skipped) console.warn(`Skipped ${skipped} row(s) without a valid date and close`);
+  if (!points.length) throw new Error('No valid price points found (need a date or year column and a close column)');
+  console.log(`${points.length} price points, ${points[0].date} .. ${points[points.length - 1].date}`);
+  if (dryRun) return;
+  const r = savePrices({ exchange, ticker, points, source: path.basename(filePath) });
+  console.log(`Saved prices for ${exchange.toUpperCase()}:${ticker.toUpperCase()}: ${r.added} added, ${r.updated} updated, ${r.count} total`);
 }
 
-// Simple CLI: node ingest.js data/tesla.xlsx TSLA NASDAQ
-const [,, excelPath, ticker, exchange] = process.argv;
-if (!excelPath || !ticker || !exchange) {
-  console.error('Usage: node ingest.js <excelPath> <ticker> <exchange>');
+// Simple CLI: node ingest.js data/tesla.xlsx TSLA NASDAQ [--mapping mappings/x.json] [--max-jump 1.5] [--fy-end 6]
+//             [--currency EUR] [--suffix :XETR] [--dry-run] [--prices]
+const VALUE_FLAGS = new Set(['--mapping', '--max-jump', '--fy-end', '--currency', '--suffix']);
+const args = process.argv.slice(2);
+const flags = {};
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+  if (VALUE_FLAGS.has(args[i])) flags[args[i]] = args[++i];
+  else if (args[i].startsWith('--')) flags[args[i]] = true;
+  else positional.push(args[i]);
+}
+const [filePath, ticker, exchange] = positional;
+const dryRun = Boolean(flags['--dry-run']);
+if (!filePath || !ticker || !exchange) {
+  console.error(
+    'Usage: node ingest.js <file> <ticker> <exchange> [--mapping <mapping.json>] [--max-jump <ratio>] [--fy-end <month>]\n' +
+    '                      [--currency <code>] [--suffix <suffix>] [--dry-run] [--prices]\n' +
+    `  file types: ${SUPPORTED}\n` +
+    '  --fy-end: month (1-12) the fiscal year ends in, e.g. 6 for June fiscal years (default: mapping, else 12)\n' +
+    '  --currency: reporting currency of the figures, e.g. EUR (default: mapping, else the exchange\'s)\n' +
+    '  --suffix: TwelveData symbol suffix, e.g. :XETR (default: mapping, else the exchange\'s)'
+  );
+  process.exit(1);
+}
+const maxYoYJump = Number(flags['--max-jump'] ?? process.env.MAX_YOY_JUMP ?? DEFAULT_MAX_YOY_JUMP);
+const resolve = (p) => (path.isAbsolute(p) ? p : path.join(__dirname, p));
+if (flags['--prices']) {
+  try {
+    ingestPrices(resolve(filePath), ticker, exchange, dryRun);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+let result, mapping;
+try {
+  mapping = loadMapping({ file: flags['--mapping'] && resolve(flags['--mapping']), exchange, ticker });
+  result = loadFileToJson(resolve(filePath), mapping);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+// Validation stage: hard errors stop the ingest, warnings are reported and kept in the version entry
+const quality = checkDataQuality(result.rows, { maxYoYJump });
+if (dryRun) printDryRun(result, mapping);
+console.log(formatQualityReport(quality));
+if (quality.errors.length) {
+  console.error('Not saved: fix the errors above and re-run.');
+  process.exit(1);
+}
+const fiscalYearEnd = flags['--fy-end'] != null ? Number(flags['--fy-end']) : mapping.fiscalYearEnd ?? null;
+if (fiscalYearEnd != null && !(Number.isInteger(fiscalYearEnd) && fiscalYearEnd >= 1 && fiscalYearEnd <= 12)) {
+  console.error(`Invalid --fy-end: ${flags['--fy-end']} (expected a month 1-12)`);
+  process.exit(1);
+}
+const currency = flags['--currency'] != null ? currencySchema.safeParse(flags['--currency']) : null;
+const suffix = flags['--suffix'] != null ? suffixSchema.safeParse(flags['--suffix']) : null;
+if (currency && !currency.success) {
+  console.error(`Invalid --currency: ${flags['--currency']} (expected a 3-letter code such as EUR)`);
+  process.exit(1);
+}
+if (suffix && !suffix.success) {
+  console.error(`Invalid --suffix: ${flags['--suffix']}`);
   process.exit(1);
 }
-const full = path.isAbsolute(excelPath) ? excelPath : path.join(__dirname, excelPath);
-const rows = loadExcelToJson(full);
-saveJsonForTicker({ ticker, exchange, rows });
+const meta = {
+  fiscalYearEnd,
+  currency: currency?.data ?? mapping.currency ?? null,
+  suffix: suffix?.data ?? mapping.suffix ?? null,
+};
+if (!dryRun) saveDataset({ ticker, exchange, rows: result.rows, sourceFile: path.basename(filePath), meta, dataQuality: quality });
@@ -0,0 +1,114 @@
+// Saved watchlists and portfolios (ticker, shares, cost basis). One JSON file per list; the web app
+// keeps the same shape in localStorage when the server is unreachable.
+//
+// out/lists/<id>.json  { id, name, kind: 'watchlist'|'portfolio', currency, items: [{ exchange, ticker, shares, costBasis }], updatedAt }
+
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import { z } from 'zod';
+import { fileURLToPath } from 'url';
+import { symbolSchema, currencySchema } from './schema.js';
+import { writeJsonAtomic, loadCompanyMeta } from './store.js';
+import { LIST_KINDS, holdingKey, listCurrency } from '../shared/portfolio.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const LISTS_DIR = process.env.LISTS_DIR
+  ? path.resolve(__dirname, process.env.LISTS_DIR)
+  : path.join(__dirname, 'out', 'lists');
+
+const fileOf = (id) => path.join(LISTS_DIR, `${id}.json`);
+
+// ----------------- Store -----------------
+export function loadList(id) {
+  const fp = fileOf(id);
+  if (!fs.existsSync(fp)) return null;
+  return JSON.parse(fs.readFileSync(fp, 'utf8'));
+}
+
+/** Every saved list without its items, newest first. */
+export function listLists() {
+  const files = fs.existsSync(LISTS_DIR) ? fs.readdirSync(LISTS_DIR).filter((f) => f.endsWith('.json')) : [];
+  return files
+    .map((f) => JSON.parse(fs.readFileSync(path.join(LISTS_DIR, f), 'utf8')))
+    .map(({ items, ...rest }) => ({ ...rest, count: items.length }))
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+export function saveList(list) {
+  const saved = { ...list, updatedAt: new Date().toISOString() };
+  writeJsonAtomic(fileOf(list.id), saved);
+  return saved;
+}
+
+export function deleteList(id) {
+  const fp = fileOf(id);
+  if (!fs.existsSync(fp)) return false;
+  fs.rmSync(fp, { force: true });
+  return true;
+}
+
+// ----------------- Routes -----------------
+const idSchema = z.object({ id: z.string().regex(/^[a-z0-9][a-z0-9-]{0,59}$/, 'Invalid list id') });
+
+const itemSchema = z.object({
+  exchange: symbolSchema.transform((s) => s.toUpperCase()),
+  ticker: symbolSchema.transform((s) => s.toUpperCase()),
+  shares: z.number().positive().finite().nullable().default(null),
+  costBasis: z.number().nonnegative().finite().nullable().default(null), // per share, in the list's currency
+});
+
+const listSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  kind: z.enum(LIST_KINDS.map((k) => k.key)).default('watchlist'),
+  currency: currencySchema.nullable().default(null), // null = the first holding's reporting currency (pinned on save)
+  items: z
+    .array(itemSchema)
+    .max(500)
+    .refine((items) => new Set(items.map(holdingKey)).size === items.length, 'Duplicate holding'),
+});
+
+export const listsRouter = express.Router();
+
+// GET /lists -> { items: [{ id, name, kind, currency, count, updatedAt }] }
+listsRouter.get('/', (_req, res) => {
+  try {
+    return res.json({ items: listLists() });
+  } catch (err) {
+    console.error('Error in /lists:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /lists/:id
+listsRouter.get('/:id', (req, res) => {
+  const key = idSchema.safeParse(req.params);
+  if (!key.success) return res.status(400).json({ error: 'Invalid list id', details: key.error.flatten() });
+  const list = loadList(key.data.id);
+  if (!list) return res.status(404).json({ error: 'List not found' });
+  return res.json(list);
+});
+
+// PUT /lists/:id  { name, kind, currency?, items: [{ exchange, ticker, shares?, costBasis? }] } (create or replace)
+listsRouter.put('/:id', (req, res) => {
+  const key = idSchema.safeParse(req.params);
+  const body = listSchema.safeParse(req.body);
+  if (!key.success || !body.success) {
+    return res.status(400).json({ error: 'Invalid request', details: (key.success ? body : key).error.flatten() });
+  }
+  const created = !loadList(key.data.id);
+  // A list with holdings keeps one currency, so its cost bases mean the same after holdings change
+  const currency = body.data.items.length
+    ? listCurrency(body.data, (it) => loadCompanyMeta(it.exchange, it.ticker).currency)
+    : body.data.currency;
+  const saved = saveList({ id: key.data.id, ...body.data, currency });
+  return res.status(created ? 201 : 200).json(saved);
+});
+
+// DELETE /lists/:id
+listsRouter.delete('/:id', (req, res) => {
+  const key = idSchema.safeParse(req.params);
+  if (!key.success) return res.status(400).json({ error: 'Invalid list id', details: key.error.flatten() });
+  if (!deleteList(key.data.id)) return res.status(404).json({ error: 'List not found' });
+  return res.status(204).end();
+});
@@ -0,0 +1,174 @@
+// LLM provider layer, chosen by LLM_PROVIDER:
+//   openai  any OpenAI-compatible endpoint (OPENAI_BASE_URL; default api.openai.com)
+//   ollama  local Ollama / llama.cpp server via its OpenAI-compatible /v1 API
+//   mock    deterministic canned JSON, no network (tests, offline demos)
+// Unset: openai when OPENAI_API_KEY is present, otherwise no provider. An unknown name does not stop
+// the server: narratives then fail with ai_not_configured and the reason.
+//
+// Each provider reads <PREFIX>_MODEL, <PREFIX>_TEMPERATURE and <PREFIX>_TIMEOUT_MS;
+// LLM_RETRIES / LLM_RETRY_BASE_MS control retry with exponential backoff for all of them.
+
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import { NARRATIVE_KEYS } from '../shared/narrative.js';
+
+const env = (k, d) => (process.env[k] != null && process.env[k] !== '' ? process.env[k] : d);
+
+const RETRIES = Number(env('LLM_RETRIES', 2));
+const RETRY_BASE_MS = Number(env('LLM_RETRY_BASE_MS', 500));
+
+// Provider failure with a narrative error code (ai_request_failed | ai_timeout | ai_not_configured)
+export class LLMError extends Error {
+  constructor(code, message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const t = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => { clearTimeout(t); reject(signal.reason); }, { once: true });
+});
+
+function toLLMError(err) {
+  if (err instanceof LLMError) return err;
+  if (err instanceof OpenAI.APIConnectionTimeoutError) {
+    return new LLMError('ai_timeout', 'The AI provider timed out', { retryable: true });
+  }
+  if (err instanceof OpenAI.APIError && err.status) {
+    // 408/409/429 and 5xx are transient; other 4xx (bad key, bad model) are not worth retrying
+    const retryable = [408, 409, 429].includes(err.status) || err.status >= 500;
+    return new LLMError('ai_request_failed', `HTTP ${err.status}`, { status: err.status, retryable });
+  }
+  return new LLMError('ai_request_failed', err.message || 'Request failed', { retryable: true });
+}
+
+/**
+ * Run `fn(attempt)` with exponential backoff (base, 2×base, 4×base … plus jitter).
+ * `canRetry()` lets streaming callers stop retrying once tokens have been emitted.
+ */
+export async function withRetry(fn, { signal, retries = RETRIES, baseMs = RETRY_BASE_MS, canRetry = () => true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      const e = toLLMError(err);
+      if (!e.retryable || attempt >= retries || !canRetry()) throw e;
+      await sleep(baseMs * 2 ** attempt + Math.random() * baseMs * 0.25, signal);
+    }
+  }
+}
+
+// ----------------- OpenAI-compatible (openai, ollama) -----------------
+function openAICompatible({ name, apiKey, baseURL, model, temperature, timeoutMs }) {
+  // SDK retries are disabled; withRetry owns backoff so every provider behaves the same
+  const client = new OpenAI({ apiKey, baseURL, timeout: timeoutMs, maxRetries: 0 });
+  const params = (messages, json) => ({
+    model, messages, temperature, ...(json ? { response_format: { type: 'json_object' } } : {}),
+  });
+
+  return {
+    name, model, temperature, timeoutMs,
+    complete: (messages, { json = false, signal } = {}) =>
+      withRetry(async () => {
+        const chat = await client.chat.completions.create(params(messages, json), { signal });
+        return chat.choices?.[0]?.message?.content ?? '';
+      }, { signal }),
+    stream: (messages, { json = false, signal, onToken } = {}) => {
+      let emitted = false;
+      return withRetry(async () => {
+        let text = '';
+        const stream = await client.chat.completions.create({ ...params(messages, json), stream: true }, { signal });
+        for await (const chunk of stream) {
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (!delta) continue;
+          text += delta;
+          emitted = true;
+          onToken?.(delta);
+        }
+        return text;
+      }, { signal, canRetry: () => !emitted });
+    },
+  };
+}
+
+// ----------------- Mock (deterministic, offline) -----------------
+// Same input -> same output: the text is derived from a hash of the messages.
+function mockProvider({ model, temperature, timeoutMs, delayMs }) {
+  const reply = (messages) => {
+    const h = crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 8);
+    const user = messages.filter((m) => m.role === 'user').map((m) => m.content).join('\n');
+    const ticker = /Ticker (\S+)/.exec(user)?.[1] ?? 'the company';
+    return JSON.stringify(Object.fromEntries(
+      NARRATIVE_KEYS.map((k) => [k, `Mock ${k} for ${ticker} (input ${h}).`])
+    ));
+  };
+  return {
+    name: 'mock', model, temperature, timeoutMs,
+    complete: async (messages) => reply(messages),
+    stream: async (messages, { signal, onToken } = {}) => {
+      const text = reply(messages);
+      for (const part of text.match(/[\s\S]{1,16}/g)) {
+        if (delayMs) await sleep(delayMs, signal);
+        onToken?.(part);
+      }
+      return text;
+    },
+  };
+}
+
+// ----------------- Misconfigured -----------------
+// Stands in for a provider that cannot be built; `error` says why and every call fails with it.
+function unavailableProvider(name, error) {
+  const fail = async () => { throw new LLMError('ai_not_configured', error); };
+  return { name, model: null, temperature: null, timeoutMs: 0, error, complete: fail, stream: fail };
+}
+
+// ----------------- Selection -----------------
+function createProvider() {
+  const name = env('LLM_PROVIDER', process.env.OPENAI_API_KEY ? 'openai' : '').toLowerCase();
+  switch (name) {
+    case 'openai':
+      if (!process.env.OPENAI_API_KEY) return null;
+      return openAICompatible({
+        name,
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: env('OPENAI_BASE_URL', undefined),
+        model: env('OPENAI_MODEL', 'gpt-4o-mini'),
+        temperature: Number(env('OPENAI_TEMPERATURE', 0.3)),
+        timeoutMs: Number(env('OPENAI_TIMEOUT_MS', 60000)),
+      });
+    case 'ollama':
+      return openAICompatible({
+        name,
+        apiKey: env('OLLAMA_API_KEY', 'ollama'), // ignored by Ollama, required by the SDK
+        baseURL: `${env('OLLAMA_BASE_URL', 'http://localhost:11434').replace(/\/+$/, '')}/v1`,
+        model: env('OLLAMA_MODEL', 'llama3.1'),
+        temperature: Number(env('OLLAMA_TEMPERATURE', 0.3)),
+        timeoutMs: Number(env('OLLAMA_TIMEOUT_MS', 120000)),
+      });
+    case 'mock':
+      return mockProvider({
+        model: env('MOCK_MODEL', 'mock-1'),
+        temperature: 0,
+        timeoutMs: 0,
+        delayMs: Number(env('MOCK_DELAY_MS', 0)),
+      });
+    case '':
+      return null;
+    default: {
+      const error = `Unknown LLM_PROVIDER "${name}" (expected openai, ollama or mock)`;
+      console.error(`${error}; AI narratives are disabled.`);
+      return unavailableProvider(name, error);
+    }
+  }
+}
+
+const provider = createProvider();
+
+/** The configured provider ({ name, model, complete, stream, error? }) or null; `error` marks a misconfigured one. */
+export const getProvider = () => provider;
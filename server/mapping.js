@@ -0,0 +1,67 @@
+// Ingest mapping config: which sheets to read, layout (years as rows or columns),
+// header -> field overrides and unit scales. One JSON file per source or per ticker.
+//
+// {
+//   "sheets": ["Income Statement", "Balance Sheet"],   // names or 0-based indexes (default: first sheet)
+//   "orientation": "rows",                             // "columns" = years (or "2024 Q1" periods) across the top
+//   "fiscalYearEnd": 6,                                // month the fiscal year ends in (default 12)
+//   "currency": "EUR", "suffix": ":XETR",              // reporting currency / TwelveData suffix (default: exchange)
+//   "headerRow": 1,                                    // 1-based row holding the headers / years
+//   "columns": { "Total net sales": "revenue", "Notes": "-" },   // "-" drops the column
+//   "scale": "millions",                               // applied to every field except eps
+//   "fieldScales": { "sharesOutstanding": "thousands" }
+// }
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { FIELD_KEYS } from '../shared/fields.js';
+import { IGNORE, SCALE_WORDS, mappingOptions } from '../shared/tables.js';
+import { currencySchema, suffixSchema } from './schema.js';
+
+export const MAPPINGS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'mappings');
+
+const scaleSchema = z.union([z.number().positive(), z.enum(Object.keys(SCALE_WORDS))]);
+const TARGETS = new Set(['year', 'quarter', 'period', IGNORE, ...FIELD_KEYS]);
+
+export const mappingSchema = z.object({
+  sheets: z.array(z.union([z.string(), z.number().int().min(0)])).min(1).optional(),
+  orientation: z.enum(['rows', 'columns']).default('rows'),
+  headerRow: z.number().int().min(1).default(1),
+  fiscalYearEnd: z.number().int().min(1).max(12).optional(),
+  currency: currencySchema.optional(),
+  suffix: suffixSchema.optional(),
+  columns: z
+    .record(z.string())
+    .default({})
+    .refine((m) => Object.values(m).every((t) => TARGETS.has(t)), {
+      message: `column targets must be one of: ${[...TARGETS].join(', ')}`,
+    }),
+  scale: scaleSchema.default(1),
+  fieldScales: z.record(scaleSchema).default({}),
+});
+
+/** Parse and normalize a mapping object; throws with zod's messages when invalid. */
+export function compileMapping(raw = {}) {
+  const parsed = mappingSchema.safeParse(raw);
+  if (!parsed.success) {
+    const msg = parsed.error.issues.map((e) => `${e.path.join('.') || 'mapping'}: ${e.message}`).join('; ');
+    throw new Error(`Invalid mapping: ${msg}`);
+  }
+  // columns keyed by normalized header; scaleFor(field) never scales EPS (see shared/tables.js)
+  return { ...parsed.data, ...mappingOptions(parsed.data) };
+}
+
+/**
+ * Load the mapping for an ingest run: an explicit file wins, then
+ * mappings/<EXCHANGE>_<TICKER>.json, then the built-in defaults.
+ */
+export function loadMapping({ file = null, exchange, ticker } = {}) {
+  const candidate = file ?? path.join(MAPPINGS_DIR, `${exchange?.toUpperCase()}_${ticker?.toUpperCase()}.json`);
+  if (!fs.existsSync(candidate)) {
+    if (file) throw new Error(`Mapping file not found: ${file}`);
+    return { source: null, ...compileMapping({}) };
+  }
+  return { source: candidate, ...compileMapping(JSON.parse(fs.readFileSync(candidate, 'utf8'))) };
+}
@@ -0,0 +1,148 @@
+// AI narrative: prompt (asks for JSON sections), completion through the configured provider
+// (llm.js) and a disk cache keyed by a hash of the prompt, which embeds all input data.
+// Same data + same provider/model -> cached sections, no tokens spent.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { describePerYearFormula } from '../shared/valuation.js';
+import { NARRATIVE_KEYS, NARRATIVE_ERRORS, parseNarrative } from '../shared/narrative.js';
+import { getProvider, LLMError } from './llm.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const NARRATIVE_CACHE_DIR = process.env.NARRATIVE_CACHE_DIR
+  ? path.resolve(__dirname, process.env.NARRATIVE_CACHE_DIR)
+  : path.join(__dirname, 'out', 'narratives');
+
+/** { provider, model } of the configured provider, or null when narratives are disabled. */
+export function narrativeInfo() {
+  const p = getProvider();
+  return p && !p.error ? { provider: p.name, model: p.model } : null;
+}
+
+/** NarrativeError('ai_not_configured') (with the reason for a misconfigured provider), or null. */
+export function narrativeUnavailable() {
+  const p = getProvider();
+  if (!p) return new NarrativeError('ai_not_configured');
+  return p.error ? new NarrativeError('ai_not_configured', p.error) : null;
+}
+
+function requireProvider() {
+  const unavailable = narrativeUnavailable();
+  if (unavailable) throw unavailable;
+  return getProvider();
+}
+
+/** Error with one of the NARRATIVE_ERRORS codes. */
+export class NarrativeError extends Error {
+  constructor(code, detail = '') {
+    super(detail ? `${NARRATIVE_ERRORS[code]}: ${detail}` : NARRATIVE_ERRORS[code]);
+    this.code = code;
+  }
+}
+
+const list = (rows, f) => rows.map((r) => r[f] ?? 'n/a').join(', ');
+
+export function buildNarrativeMessages({ ticker, exchange, rows, growth, fairValues, dcf, targetPE }) {
+  const sys =
+    'You are a financial analyst. Be concise and numeric-first. ' +
+    `Reply with one JSON object only, with string fields: ${NARRATIVE_KEYS.join(', ')}. ` +
+    'Each field is 1-3 short sentences; no markdown, no extra keys.';
+  const lastFair = [...fairValues].reverse().find((f) => Number.isFinite(f.fairValuePerShare));
+  const prompt =
+    `Ticker ${ticker} on ${exchange}. Years: ${rows.map((r) => r.year).join(', ')}.\n` +
+    `Revenue: ${list(rows, 'revenue')}.\n` +
+    `Operating Income: ${list(rows, 'operatingIncome')}.\n` +
+    `Net Income: ${list(rows, 'netIncome')}.\n` +
+    `Free Cash Flow: ${list(rows, 'freeCashFlow')}.\n` +
+    `Revenue growth by year (yoy from 2nd year): ${growth
+      .map((g) => `${g.year}:${g.growth != null ? g.growth.toFixed(3) : 'n/a'}`)
+      .join(', ')}.\n` +
+    `Fair Value (equity) per year = ${describePerYearFormula(targetPE)}; ` +
+    `latest per share: ${lastFair ? lastFair.fairValuePerShare.toFixed(2) : 'n/a'}.\n` +
+    `DCF fair value per share: ${Number.isFinite(dcf?.fairValuePerShare) ? dcf.fairValuePerShare.toFixed(2) : 'n/a'}.\n` +
+    'Cover growth, profitability, valuation trends and key risks.';
+  return [
+    { role: 'system', content: sys },
+    { role: 'user', content: prompt },
+  ];
+}
+
+// ----------------- Disk cache -----------------
+function cacheKey(provider, messages) {
+  const input = JSON.stringify({ provider: provider.name, model: provider.model, temperature: provider.temperature, messages });
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+const cacheFile = (key) => path.join(NARRATIVE_CACHE_DIR, `${key}.json`);
+
+/** Cached { sections, provider, model, createdAt } for these messages, or null. */
+export function cachedNarrative(messages) {
+  const provider = getProvider();
+  if (!provider || provider.error) return null;
+  try {
+    return JSON.parse(fs.readFileSync(cacheFile(cacheKey(provider, messages)), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(provider, messages, sections) {
+  const entry = { sections, provider: provider.name, model: provider.model, createdAt: new Date().toISOString() };
+  try {
+    fs.mkdirSync(NARRATIVE_CACHE_DIR, { recursive: true });
+    const fp = cacheFile(cacheKey(provider, messages));
+    fs.writeFileSync(`${fp}.${process.pid}.tmp`, JSON.stringify(entry, null, 2));
+    fs.renameSync(`${fp}.${process.pid}.tmp`, fp);
+  } catch (err) {
+    console.warn('Narrative cache write failed:', err.message); // a cache miss next time, nothing worse
+  }
+  return entry;
+}
+
+// ----------------- Completion -----------------
+function finish(provider, messages, text) {
+  const { sections, error } = parseNarrative(text);
+  if (error) throw new NarrativeError(error);
+  return { ...writeCache(provider, messages, sections), cached: false };
+}
+
+function providerFailed(err) {
+  if (err instanceof LLMError) return new NarrativeError(err.code, err.code === 'ai_request_failed' ? err.message : '');
+  return err;
+}
+
+/**
+ * Stream a completion, calling onToken(text) per delta. Resolves to { sections, provider, model, cached }.
+ * Cache hits resolve without tokens unless `refresh` is set. Throws NarrativeError;
+ * an aborted `signal` rejects with the abort error.
+ */
+export async function streamNarrative(messages, { onToken, signal, refresh = false } = {}) {
+  const provider = requireProvider();
+  const hit = !refresh && cachedNarrative(messages);
+  if (hit) return { ...hit, cached: true };
+
+  let text;
+  try {
+    text = await provider.stream(messages, { json: true, signal, onToken });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    throw providerFailed(err);
+  }
+  return finish(provider, messages, text);
+}
+
+/** Non-streaming variant used by POST /report (same cache and errors). */
+export async function completeNarrative(messages, { refresh = false } = {}) {
+  const provider = requireProvider();
+  const hit = !refresh && cachedNarrative(messages);
+  if (hit) return { ...hit, cached: true };
+
+  let text;
+  try {
+    text = await provider.complete(messages, { json: true });
+  } catch (err) {
+    throw providerFailed(err);
+  }
+  return finish(provider, messages, text);
+}
@@ -0,0 +1,137 @@
+// Alert notifiers: one sender per channel, looked up by name when a rule fires. Add a channel with
+// registerNotifier(name, send); send(alert, rule) resolves to a short status or throws.
+//
+//   log      server console (always available)
+//   webhook  POST the alert as JSON to the rule's webhookUrl or ALERT_WEBHOOK_URL; a rule's own URL
+//            must be http(s) and, when ALERT_WEBHOOK_ALLOWLIST (comma-separated hosts) is set, on a
+//            listed host. Redirects are not followed.
+//   email    plain SMTP without auth to SMTP_HOST:SMTP_PORT, meant for a local stand-in such as
+//            MailHog / smtp4dev (default localhost:1025); recipients from ALERT_EMAIL_TO
+//   browser  nothing is sent: the web app polls GET /alerts/history?channel=browser and shows
+//            a browser notification
+
+import net from 'net';
+import os from 'os';
+
+const WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || '';
+const WEBHOOK_ALLOWLIST = (process.env.ALERT_WEBHOOK_ALLOWLIST || '')
+  .split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.ALERT_WEBHOOK_TIMEOUT_MS || 10000);
+const SMTP_HOST = process.env.SMTP_HOST || 'localhost';
+const SMTP_PORT = Number(process.env.SMTP_PORT || 1025);
+const SMTP_TIMEOUT_MS = Number(process.env.SMTP_TIMEOUT_MS || 10000);
+const EMAIL_FROM = process.env.ALERT_EMAIL_FROM || 'alerts@localhost';
+const EMAIL_TO = (process.env.ALERT_EMAIL_TO || '').split(',').map((s) => s.trim()).filter(Boolean);
+
+const NOTIFIERS = new Map();
+
+export function registerNotifier(name, send) {
+  NOTIFIERS.set(name, send);
+}
+
+/**
+ * Send `alert` on each channel; failures are reported per channel, never thrown.
+ * @returns {Promise<Record<string, string>>} channel -> 'sent' | 'queued' | 'error: …'
+ */
+export async function notify(alert, rule, channels) {
+  const out = {};
+  for (const ch of channels) {
+    const send = NOTIFIERS.get(ch);
+    try {
+      if (!send) throw new Error('unknown channel');
+      out[ch] = await send(alert, rule);
+    } catch (err) {
+      console.error(`Alert notifier ${ch} failed:`, err.message);
+      out[ch] = `error: ${err.message}`;
+    }
+  }
+  return out;
+}
+
+/** Whether a rule may post to `url`: http(s) only, on an ALERT_WEBHOOK_ALLOWLIST host when one is set. */
+export function webhookAllowed(url) {
+  let u;
+  try { u = new URL(url); } catch { return false; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return false;
+  return !WEBHOOK_ALLOWLIST.length || WEBHOOK_ALLOWLIST.includes(u.hostname.toLowerCase());
+}
+
+// ----------------- Channels -----------------
+registerNotifier('log', async (alert) => {
+  console.log(`[alert] ${alert.message}`);
+  return 'sent';
+});
+
+registerNotifier('webhook', async (alert, rule) => {
+  const url = rule.webhookUrl || WEBHOOK_URL;
+  if (!url) throw new Error('no webhook URL (set ALERT_WEBHOOK_URL or the rule\'s webhookUrl)');
+  // Rules stored before the allowlist changed are checked again here
+  if (rule.webhookUrl && !webhookAllowed(rule.webhookUrl)) throw new Error('webhook URL not allowed (see ALERT_WEBHOOK_ALLOWLIST)');
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: alert.message, alert }),
+    redirect: 'manual',
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!r.ok) throw new Error(`webhook responded ${r.status}`);
+  return 'sent';
+});
+
+registerNotifier('email', async (alert) => {
+  if (!EMAIL_TO.length) throw new Error('no recipients (set ALERT_EMAIL_TO)');
+  await sendMail({ to: EMAIL_TO, subject: `Alert: ${alert.ruleName}`, text: alert.message });
+  return 'sent';
+});
+
+registerNotifier('browser', async () => 'queued');
+
+// ----------------- SMTP -----------------
+// Header values are one line: CR, LF and other control characters would start new headers
+const headerValue = (v) => String(v).replace(/[\p{Cc}]+/gu, ' ').trim();
+
+// Minimal SMTP client (HELO, MAIL, RCPT, DATA): enough for a local capture server, no TLS or auth
+function sendMail({ to, subject, text }) {
+  const body = [
+    `From: ${headerValue(EMAIL_FROM)}`,
+    `To: ${headerValue(to.join(', '))}`,
+    `Subject: ${headerValue(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    ...text.split(/\r?\n/).map((l) => (l.startsWith('.') ? `.${l}` : l)), // dot-stuffing
+  ].join('\r\n');
+  const steps = [
+    [220, `HELO ${os.hostname()}`],
+    [250, `MAIL FROM:<${EMAIL_FROM}>`],
+    ...to.map((addr) => [250, `RCPT TO:<${addr}>`]),
+    [250, 'DATA'],
+    [354, `${body}\r\n.`],
+    [250, 'QUIT'],
+  ];
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: SMTP_HOST, port: SMTP_PORT });
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+    socket.on('error', reject);
+    let buf = '', step = 0;
+    socket.on('data', (chunk) => {
+      buf += chunk.toString('utf8');
+      const lines = buf.split('\r\n').filter(Boolean);
+      const last = lines[lines.length - 1] || '';
+      if (!buf.endsWith('\r\n') || !/^\d{3} /.test(last)) return; // wait for the end of a (multi-line) reply
+      buf = '';
+      if (step >= steps.length) return; // reply to QUIT
+      const [expected, command] = steps[step++];
+      if (Number(last.slice(0, 3)) !== expected) {
+        socket.destroy();
+        return reject(new Error(`SMTP ${last}`));
+      }
+      socket.write(`${command}\r\n`);
+      if (step === steps.length) {
+        socket.end();
+        resolve();
+      }
+    });
+  });
+}
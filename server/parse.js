@@ -0,0 +1,99 @@
+// Parsers shared by the ingest CLI and the upload endpoint (POST /companies).
+// File bytes -> sheets of raw records -> mapped financial rows -> validated rows.
+
+import path from 'path';
+import xlsx from 'xlsx';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { validateRows } from './schema.js';
+import { compileMapping } from './mapping.js';
+import { tableToRecords, toFinancialRow } from '../shared/tables.js';
+import { normalizePricePoints } from '../shared/prices.js';
+import { periodKey } from '../shared/periods.js';
+
+// ----------------- Readers (bytes -> sheets of raw tables) -----------------
+// Spreadsheets and delimited text yield array-of-arrays tables so both layouts
+// (years as rows or as columns) can be handled by tableToRecords; JSON yields records.
+function readExcel(buffer, name, mapping) {
+  const wb = xlsx.read(buffer, { type: 'buffer' });
+  const wanted = mapping.sheets ?? [0];
+  return wanted.map((s) => {
+    const sheetName = typeof s === 'number' ? wb.SheetNames[s] : s;
+    const sheet = sheetName != null ? wb.Sheets[sheetName] : null;
+    if (!sheet) throw new Error(`Sheet not found: ${s} (available: ${wb.SheetNames.join(', ')})`);
+    return { name: sheetName, table: xlsx.utils.sheet_to_json(sheet, { header: 1, defval: null, raw: true }) };
+  });
+}
+
+function readDelimited(buffer, name, delimiter) {
+  const table = parseCsv(buffer.toString('utf8'), {
+    delimiter,
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+  });
+  return [{ name, table }];
+}
+
+// JSON: an array of records, or { rows: [...] } / { points: [...] } as stored datasets / prices are written
+function readJson(buffer, name) {
+  const j = JSON.parse(buffer.toString('utf8'));
+  const records = Array.isArray(j) ? j : Array.isArray(j?.rows) ? j.rows : Array.isArray(j?.points) ? j.points : null;
+  if (!records) throw new Error(`${name}: expected an array of rows or an object with "rows"`);
+  return [{ name, records }];
+}
+
+const READERS = {
+  '.xlsx': readExcel,
+  '.xls': readExcel,
+  '.csv': (buf, name) => readDelimited(buf, name, ','),
+  '.tsv': (buf, name) => readDelimited(buf, name, '\t'),
+  '.json': readJson,
+};
+export const SUPPORTED = Object.keys(READERS).join(', ');
+
+export const isSupported = (filename) => path.extname(filename).toLowerCase() in READERS;
+
+function loadSheets(buffer, filename, mapping) {
+  const reader = READERS[path.extname(filename).toLowerCase()];
+  if (!reader) throw new Error(`Unsupported file type: ${filename} (supported: ${SUPPORTED})`);
+  return reader(buffer, path.basename(filename), mapping).map((s) => ({
+    name: s.name,
+    records: s.records ?? tableToRecords(s.table, mapping),
+  }));
+}
+
+// Rows from several sheets (e.g. income statement + balance sheet) are merged by period (year + quarter)
+function mergeByPeriod(sheets) {
+  if (sheets.length === 1) return sheets[0];
+  const byPeriod = new Map();
+  for (const rows of sheets) {
+    for (const r of rows) {
+      const prev = byPeriod.get(periodKey(r)) || { extra: {} };
+      const next = { ...prev, extra: { ...prev.extra, ...r.extra } };
+      for (const [k, v] of Object.entries(r)) if (k !== 'extra' && v != null && next[k] == null) next[k] = v;
+      byPeriod.set(periodKey(r), next);
+    }
+  }
+  return [...byPeriod.values()];
+}
+
+/**
+ * Every format goes through the same header mapping (shared/fields.js + mapping file) and row validation.
+ * `filename` only selects the reader (by extension). Returns { rows, sheets, issues }.
+ */
+export function parseBuffer(buffer, filename, mapping) {
+  const sheets = loadSheets(buffer, filename, mapping);
+  const mapped = mergeByPeriod(sheets.map((s) => s.records.map((r) => toFinancialRow(r, mapping)).filter(Boolean)));
+  const { rows, issues } = validateRows(mapped);
+  return { rows, sheets, issues };
+}
+
+/**
+ * Closing-price files (a date or year column and a close/price column, one row per point).
+ * Uses the same readers; the first sheet of a workbook. Returns { points, skipped }.
+ */
+export function parsePriceBuffer(buffer, filename) {
+  const [sheet] = loadSheets(buffer, filename, compileMapping({}));
+  return normalizePricePoints(sheet?.records ?? []);
+}
@@ -0,0 +1,175 @@
+// Historical closing prices per company: file imports (CLI / upload) and TwelveData time series,
+// merged by date into one file per company. Not versioned like datasets; a later import of the
+// same date overwrites the close.
+//
+// out/prices/<EXCHANGE>_<TICKER>.json  { ticker, exchange, currency, source, updatedAt, points: [{ date, close }] }
+
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import { z } from 'zod';
+import { fileURLToPath } from 'url';
+import { symbolSchema, suffixSchema } from './schema.js';
+import { writeJsonAtomic, loadCompanyMeta } from './store.js';
+import { parsePriceBuffer, isSupported, SUPPORTED } from './parse.js';
+import { getPriceHistory, isConfigured as twelveConfigured } from './twelvedata.js';
+import { mergePricePoints, normalizePricePoints, yearlyCloses } from '../shared/prices.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const PRICES_DIR = process.env.PRICES_DIR
+  ? path.resolve(__dirname, process.env.PRICES_DIR)
+  : path.join(__dirname, 'out', 'prices');
+const UPLOAD_LIMIT = process.env.UPLOAD_LIMIT || '10mb';
+
+const fileOf = (exchange, ticker) => path.join(PRICES_DIR, `${exchange.toUpperCase()}_${ticker.toUpperCase()}.json`);
+
+// ----------------- Store -----------------
+export function loadPrices(exchange, ticker) {
+  const fp = fileOf(exchange, ticker);
+  if (!fs.existsSync(fp)) return null;
+  return JSON.parse(fs.readFileSync(fp, 'utf8'));
+}
+
+/**
+ * Merge points into the company's history.
+ * @returns {{ count, added, updated, first, last }}
+ */
+export function savePrices({ exchange, ticker, points, currency = null, source = null }) {
+  const prev = loadPrices(exchange, ticker);
+  const merged = mergePricePoints(prev?.points ?? [], points);
+  writeJsonAtomic(fileOf(exchange, ticker), {
+    ticker: ticker.toUpperCase(),
+    exchange: exchange.toUpperCase(),
+    currency: currency ?? prev?.currency ?? null,
+    source,
+    updatedAt: new Date().toISOString(),
+    points: merged.points,
+  });
+  const { points: all, added, updated } = merged;
+  return { count: all.length, added, updated, first: all[0]?.date ?? null, last: all[all.length - 1]?.date ?? null };
+}
+
+export function deletePrices(exchange, ticker) {
+  const fp = fileOf(exchange, ticker);
+  if (!fs.existsSync(fp)) return false;
+  fs.rmSync(fp, { force: true });
+  return true;
+}
+
+// ----------------- Routes -----------------
+const keySchema = z.object({ exchange: symbolSchema, ticker: symbolSchema });
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected YYYY-MM-DD');
+
+const getQuerySchema = z.object({
+  interval: z.enum(['daily', 'yearly']).default('daily'),
+  from: isoDate.optional(),
+  to: isoDate.optional(),
+});
+
+const jsonUploadSchema = z.object({
+  points: z.array(z.record(z.unknown())).min(1),
+  currency: z.string().min(1).optional(),
+});
+
+const refreshSchema = z.object({
+  suffix: suffixSchema.optional(), // default: the company's suffix (or its exchange's)
+  interval: z.enum(['1day', '1week', '1month']).default('1day'),
+  outputsize: z.coerce.number().int().min(1).max(5000).default(5000),
+});
+
+// Same raw-body convention as POST /companies (no multipart)
+const rawUpload = express.raw({
+  type: [
+    'application/octet-stream',
+    'text/csv',
+    'text/tab-separated-values',
+    'text/plain',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel',
+  ],
+  limit: UPLOAD_LIMIT,
+});
+
+export const pricesRouter = express.Router();
+
+// GET /prices/:exchange/:ticker?interval=daily|yearly&from=YYYY-MM-DD&to=YYYY-MM-DD
+pricesRouter.get('/:exchange/:ticker', (req, res) => {
+  const key = keySchema.safeParse(req.params);
+  const query = getQuerySchema.safeParse(req.query);
+  if (!key.success || !query.success) {
+    return res.status(400).json({ error: 'Invalid request', details: (key.success ? query : key).error.flatten() });
+  }
+  const data = loadPrices(key.data.exchange, key.data.ticker);
+  if (!data) return res.status(404).json({ error: 'No price history. Import a file or refresh from the provider.' });
+
+  const { interval, from, to } = query.data;
+  const inRange = data.points.filter((p) => (!from || p.date >= from) && (!to || p.date <= to));
+  const points = interval === 'yearly' ? yearlyCloses(inRange).map(({ date, close }) => ({ date, close })) : inRange;
+  return res.json({ ...data, interval, points });
+});
+
+// POST /prices/:exchange/:ticker
+//   JSON:  { points: [{ date, close }], currency? }
+//   file:  raw body + ?filename=prices.csv (or an X-Filename header); date/year + close/price columns
+pricesRouter.post('/:exchange/:ticker', rawUpload, (req, res) => {
+  const key = keySchema.safeParse(req.params);
+  if (!key.success) return res.status(400).json({ error: 'Invalid symbol', details: key.error.flatten() });
+  const { exchange, ticker } = key.data;
+
+  let result, currency = null, source;
+  if (Buffer.isBuffer(req.body)) {
+    const filename = req.query.filename ?? req.get('X-Filename');
+    if (typeof filename !== 'string' || !isSupported(filename)) {
+      return res.status(415).json({ error: `Unsupported or missing filename (supported: ${SUPPORTED})` });
+    }
+    try {
+      result = parsePriceBuffer(req.body, filename);
+    } catch (err) {
+      return res.status(422).json({ error: `Could not parse upload: ${err.message}` });
+    }
+    source = path.basename(filename);
+  } else {
+    const parsed = jsonUploadSchema.safeParse(req.body);
+    if (!parsed.success) return res.status(400).json({ error: 'Invalid body', details: parsed.error.flatten() });
+    result = normalizePricePoints(parsed.data.points);
+    currency = parsed.data.currency ?? null;
+    source = 'upload.json';
+  }
+  if (!result.points.length) {
+    return res.status(422).json({ error: 'No valid price points found (need a date or year column and a close column)' });
+  }
+
+  const saved = savePrices({ exchange, ticker, points: result.points, currency, source });
+  return res.json({ ticker: ticker.toUpperCase(), exchange: exchange.toUpperCase(), ...saved, skipped: result.skipped });
+});
+
+// POST /prices/:exchange/:ticker/refresh?suffix=&interval=1day|1week|1month
+pricesRouter.post('/:exchange/:ticker/refresh', async (req, res) => {
+  const key = keySchema.safeParse(req.params);
+  const query = refreshSchema.safeParse(req.query);
+  if (!key.success || !query.success) {
+    return res.status(400).json({ error: 'Invalid request', details: (key.success ? query : key).error.flatten() });
+  }
+  if (!twelveConfigured()) {
+    return res.status(503).json({ error: 'Price provider is not configured (set TWELVE_API_KEY)' });
+  }
+  const { exchange, ticker } = key.data;
+  const { interval, outputsize } = query.data;
+  const suffix = query.data.suffix ?? loadCompanyMeta(exchange, ticker).suffix;
+  try {
+    const { points, currency } = await getPriceHistory(`${ticker}${suffix}`, { interval, outputsize });
+    if (!points.length) return res.status(502).json({ error: 'Provider returned no prices' });
+    const saved = savePrices({ exchange, ticker, points, currency, source: `twelvedata:${interval}` });
+    return res.json({ ticker: ticker.toUpperCase(), exchange: exchange.toUpperCase(), ...saved });
+  } catch (err) {
+    console.error('Error in /prices refresh:', err.message);
+    return res.status(502).json({ error: 'Failed to fetch price history' });
+  }
+});
+
+pricesRouter.delete('/:exchange/:ticker', (req, res) => {
+  const key = keySchema.safeParse(req.params);
+  if (!key.success) return res.status(400).json({ error: 'Invalid symbol', details: key.error.flatten() });
+  if (!deletePrices(key.data.exchange, key.data.ticker)) return res.status(404).json({ error: 'No price history' });
+  return res.sendStatus(204);
+});
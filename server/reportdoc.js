@@ -0,0 +1,242 @@
+// Exportable company report (GET /report/:exchange/:ticker.pdf | .md).
+// buildReportModel() gathers every section once; the Markdown and PDF renderers only lay it out.
+// Output is deterministic for the same dataset version, prices and narrative (no "generated at" clock).
+
+import PDFDocument from 'pdfkit';
+import SVGtoPDF from 'svg-to-pdfkit';
+import { WEIGHT_METHODS, describeWeightedFormula, describePerYearFormula } from '../shared/valuation.js';
+import { NARRATIVE_SECTIONS } from '../shared/narrative.js';
+import { lineChartSvg, barChartSvg, fmtNumber } from './charts.js';
+
+export const DISCLAIMER = 'This is not investment advice.';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const money = (n) => (Number.isFinite(n) ? n.toFixed(2) : '—');
+const pct = (n) => (Number.isFinite(n) ? `${(n * 100).toFixed(1)}%` : '—');
+
+/**
+ * @param {object} p
+ * @param {{ ticker, exchange, version, createdAt, targetPE, fiscalYearEnd, currency, reportingCurrency }} p.meta
+ * @param {object[]} p.rows  validated annual rows
+ * @param {{ year, growth }[]} p.growth
+ * @param {{ year, equityValue, fairValuePerShare }[]} p.fairValues
+ * @param {{ period, equityValue, fairValuePerShare }[]} [p.ttmFairValues]  on trailing-twelve-month net income
+ * @param {{ inputs, weights, weighted, currency } | { error: string }} p.valuation
+ * @param {{ sections } | { error: { code, message } } | null} p.narrative  null = not requested
+ */
+export function buildReportModel({ meta, rows, growth, fairValues, ttmFairValues = [], valuation, narrative }) {
+  const series = (field) => rows.map((r) => ({ year: r.year, value: r[field] }));
+  const charts = [
+    { title: 'Revenue', svg: lineChartSvg({ title: 'Revenue', data: series('revenue') }) },
+    { title: 'Operating Income', svg: lineChartSvg({ title: 'Operating Income', data: series('operatingIncome') }) },
+    { title: 'Net Income', svg: lineChartSvg({ title: 'Net Income', data: series('netIncome') }) },
+    {
+      title: 'Revenue YoY Growth',
+      svg: barChartSvg({
+        title: 'Revenue YoY Growth',
+        data: growth.map((g) => ({ year: g.year, value: g.growth })),
+        format: (v) => `${Math.round(v * 100)}%`,
+      }),
+    },
+  ];
+
+  const fairTable = {
+    headers: ['Year', 'Fair Value (Equity)', 'Fair Value / Share'],
+    rows: [
+      ...fairValues.map((f) => [String(f.year), fmtNumber(f.equityValue), money(f.fairValuePerShare)]),
+      ...ttmFairValues.map((f) => [`TTM to ${f.period}`, fmtNumber(f.equityValue), money(f.fairValuePerShare)]),
+    ],
+  };
+
+  let weighted;
+  if (valuation.error) weighted = { error: valuation.error };
+  else {
+    const { inputs, weights, currency } = valuation;
+    weighted = {
+      currency,
+      formula: describeWeightedFormula(weights) || '—',
+      items: WEIGHT_METHODS.map((m) => ({
+        label: m.label, value: inputs[m.input], weight: weights[m.key] ?? 0,
+      })),
+      weighted: valuation.weighted,
+      price: inputs.price,
+      upside: inputs.price > 0 && valuation.weighted > 0 ? valuation.weighted / inputs.price - 1 : null,
+      live: valuation.live,
+    };
+  }
+
+  return {
+    title: `${meta.ticker} (${meta.exchange}) — AI Stock Report`,
+    meta: [
+      ['Ticker', meta.ticker],
+      ['Exchange', meta.exchange],
+      ['Dataset version', meta.version ?? 'legacy'],
+      ['Dataset date', meta.createdAt ? meta.createdAt.slice(0, 10) : '—'],
+      ['Years', rows.length ? `${rows[0].year}–${rows[rows.length - 1].year}` : '—'],
+      ['Fiscal year ends', MONTHS[(meta.fiscalYearEnd ?? 12) - 1]],
+      ['Currency', meta.currency === meta.reportingCurrency ? meta.currency : `${meta.currency} (reported in ${meta.reportingCurrency})`],
+      ['Per-year fair value', describePerYearFormula(meta.targetPE)],
+    ],
+    charts,
+    fairTitle: `Fair Value per Year (PE=${meta.targetPE})`,
+    fairTable,
+    weighted,
+    narrative,
+    disclaimer: DISCLAIMER,
+    createdAt: meta.createdAt || null,
+  };
+}
+
+// ----------------- Markdown -----------------
+const mdTable = (headers, rows) => [
+  `| ${headers.join(' | ')} |`,
+  `| ${headers.map(() => '---').join(' | ')} |`,
+  ...rows.map((r) => `| ${r.join(' | ')} |`),
+].join('\n');
+
+export function renderMarkdown(model) {
+  const out = [`# ${model.title}`, '', mdTable(['Field', 'Value'], model.meta.map(([k, v]) => [k, String(v)])), ''];
+
+  out.push('## Charts', '');
+  for (const c of model.charts) {
+    out.push(`![${c.title}](data:image/svg+xml;base64,${Buffer.from(c.svg).toString('base64')})`, '');
+  }
+
+  out.push(`## ${model.fairTitle}`, '', mdTable(model.fairTable.headers, model.fairTable.rows), '');
+
+  out.push('## Weighted Fair Value', '');
+  const w = model.weighted;
+  if (w.error) out.push(`_Unavailable: ${w.error}_`, '');
+  else {
+    out.push(
+      mdTable(
+        ['Method', `Per share (${w.currency})`, 'Weight'],
+        w.items.map((i) => [i.label, money(i.value), pct(i.weight)])
+      ),
+      '',
+      `**Formula:** ${w.formula}  `,
+      `**Weighted fair value:** ${money(w.weighted)} ${w.currency}  `,
+      `**Price:** ${money(w.price)} ${w.currency}  `,
+      `**Upside:** ${pct(w.upside)}`,
+      ...(w.live ? [] : ['', '_Live metrics are not configured on the server; values may be zero._']),
+      ''
+    );
+  }
+
+  if (model.narrative) {
+    out.push('## AI Narrative', '');
+    if (model.narrative.error) out.push(`_Unavailable: ${model.narrative.error.message} (${model.narrative.error.code})_`, '');
+    else {
+      for (const s of NARRATIVE_SECTIONS) out.push(`### ${s.label}`, '', model.narrative.sections[s.key] || '—', '');
+    }
+  }
+
+  out.push('---', '', `> ⚠️ Disclaimer: ${model.disclaimer}`, '');
+  return out.join('\n');
+}
+
+// ----------------- PDF -----------------
+const PAGE = { size: 'A4', margin: 50 };
+const CONTENT_W = 595.28 - PAGE.margin * 2;
+
+function ensureSpace(doc, h) {
+  if (doc.y + h > doc.page.height - PAGE.margin) doc.addPage();
+}
+
+function heading(doc, text) {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.6).font('Helvetica-Bold').fontSize(13).fillColor('#111827').text(text);
+  doc.moveDown(0.3).font('Helvetica').fontSize(10);
+}
+
+function pdfTable(doc, headers, rows, widths) {
+  const rowH = 16;
+  const draw = (cells, bold) => {
+    ensureSpace(doc, rowH);
+    const y = doc.y;
+    let x = PAGE.margin;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#111827');
+    cells.forEach((c, i) => {
+      doc.text(String(c), x + 2, y + 4, { width: widths[i] - 4, align: i === 0 ? 'left' : 'right', lineBreak: false });
+      x += widths[i];
+    });
+    doc.moveTo(PAGE.margin, y + rowH).lineTo(PAGE.margin + widths.reduce((a, b) => a + b, 0), y + rowH)
+      .lineWidth(0.5).strokeColor('#e5e7eb').stroke();
+    doc.x = PAGE.margin;
+    doc.y = y + rowH;
+  };
+  draw(headers, true);
+  for (const r of rows) draw(r, false);
+  doc.moveDown(0.5);
+}
+
+/** Render the model to a PDF Buffer. */
+export function renderPdf(model) {
+  const info = { Title: model.title, Producer: 'ai-stock-report', Creator: 'ai-stock-report' };
+  // Fixed dates keep identical inputs byte-identical (pdfkit defaults to "now")
+  const fixed = model.createdAt ? new Date(model.createdAt) : new Date(0);
+  info.CreationDate = fixed;
+  info.ModDate = fixed;
+  const doc = new PDFDocument({ ...PAGE, info });
+
+  const done = new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#111827').text(model.title);
+  doc.moveDown(0.5);
+  pdfTable(doc, ['Field', 'Value'], model.meta.map(([k, v]) => [k, String(v)]), [160, CONTENT_W - 160]);
+
+  heading(doc, 'Charts');
+  const chartW = CONTENT_W;
+  const chartH = Math.round((chartW * 220) / 520);
+  for (const c of model.charts) {
+    ensureSpace(doc, chartH + 10);
+    // preserveAspectRatio makes the viewBox fill the given box instead of the SVG's own px size
+    SVGtoPDF(doc, c.svg, PAGE.margin, doc.y, { width: chartW, height: chartH, preserveAspectRatio: 'xMinYMin meet' });
+    doc.y += chartH + 10;
+    doc.x = PAGE.margin;
+  }
+
+  heading(doc, model.fairTitle);
+  pdfTable(doc, model.fairTable.headers, model.fairTable.rows, [95, 200, CONTENT_W - 295]);
+
+  heading(doc, 'Weighted Fair Value');
+  const w = model.weighted;
+  if (w.error) doc.font('Helvetica-Oblique').text(`Unavailable: ${w.error}`);
+  else {
+    pdfTable(
+      doc,
+      ['Method', `Per share (${w.currency})`, 'Weight'],
+      w.items.map((i) => [i.label, money(i.value), pct(i.weight)]),
+      [145, 175, CONTENT_W - 320]
+    );
+    doc.font('Helvetica').fontSize(10).fillColor('#111827')
+      .text(`Formula: ${w.formula}`)
+      .text(`Weighted fair value: ${money(w.weighted)} ${w.currency}`)
+      .text(`Price: ${money(w.price)} ${w.currency}    Upside: ${pct(w.upside)}`);
+    if (!w.live) doc.font('Helvetica-Oblique').fillColor('#6b7280').text('Live metrics are not configured on the server; values may be zero.');
+  }
+
+  if (model.narrative) {
+    heading(doc, 'AI Narrative');
+    if (model.narrative.error) {
+      doc.font('Helvetica-Oblique').text(`Unavailable: ${model.narrative.error.message} (${model.narrative.error.code})`);
+    } else {
+      for (const s of NARRATIVE_SECTIONS) {
+        ensureSpace(doc, 36);
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827').text(s.label);
+        doc.font('Helvetica').fontSize(10).text(model.narrative.sections[s.key] || '—').moveDown(0.4);
+      }
+    }
+  }
+
+  ensureSpace(doc, 40);
+  doc.moveDown(1).font('Helvetica-Oblique').fontSize(9).fillColor('#92400e').text(`Disclaimer: ${model.disclaimer}`);
+
+  doc.end();
+  return done;
+}
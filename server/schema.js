@@ -0,0 +1,47 @@
+// Dataset schema (zod) and row validation; raw records are mapped by shared/tables.js.
+// Used by ingest.js when writing datasets and by index.js when serving them.
+
+import { z } from 'zod';
+import { FINANCIAL_FIELDS } from '../shared/fields.js';
+import { comparePeriods } from '../shared/periods.js';
+import { normalizeCurrency } from '../shared/currency.js';
+
+const nullableNum = z.number().finite().nullable().default(null);
+
+export const financialRowSchema = z.object({
+  year: z.number().int(), // fiscal year (see shared/periods.js)
+  quarter: z.number().int().min(1).max(4).nullable().default(null), // null = annual row
+  ...Object.fromEntries(FINANCIAL_FIELDS.map((f) => [f.key, nullableNum])),
+  extra: z.record(z.unknown()).default({}),
+});
+
+// Tickers and exchanges end up in file names, so only plain symbol characters are allowed
+export const symbolSchema = z.string().regex(/^[A-Za-z0-9][A-Za-z0-9.\-]{0,19}$/, 'Invalid symbol');
+
+// ISO 4217 code (sub-units such as GBX allowed); stored upper-case except GBp-style pence codes
+export const currencySchema = z.string().regex(/^[A-Za-z]{3}$/, 'Expected a 3-letter currency code').transform(normalizeCurrency);
+
+// Appended to the ticker for TwelveData, e.g. ":LSE" (empty for US listings)
+export const suffixSchema = z.string().regex(/^[A-Za-z0-9.:\-]{0,20}$/, 'Invalid symbol suffix');
+
+export const datasetSchema = z.object({
+  ticker: symbolSchema,
+  exchange: symbolSchema,
+  rows: z.array(financialRowSchema),
+});
+
+/**
+ * Validate rows against financialRowSchema. Returns { rows, issues } where `issues`
+ * lists rejected rows (by index) with zod's messages; valid rows are sorted by period.
+ */
+export function validateRows(rawRows) {
+  const rows = [];
+  const issues = [];
+  rawRows.forEach((r, i) => {
+    const parsed = financialRowSchema.safeParse(r);
+    if (parsed.success) rows.push(parsed.data);
+    else issues.push({ index: i, year: r?.year ?? null, errors: parsed.error.issues.map((e) => `${e.path.join('.')}: ${e.message}`) });
+  });
+  rows.sort(comparePeriods);
+  return { rows, issues };
+}
@@ -0,0 +1,174 @@
+// Stock screener over every stored company, plus saved screens.
+// Metrics come from shared/screener.js; the price is the latest stored close (prices.js) or, with
+// live=1, the TwelveData quote (the close when the quote fails). Amounts are in each company's
+// reporting currency unless `currency` asks for one display currency.
+//
+// out/screens/<id>.json  { id, name, filters: [{ metric, op, value }], sort: { metric, dir }, updatedAt }
+
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import { z } from 'zod';
+import { fileURLToPath } from 'url';
+import { currencySchema, validateRows } from './schema.js';
+import { writeJsonAtomic, listCompanies, loadDataset } from './store.js';
+import { loadPrices } from './prices.js';
+import { conversionRate, metricsIn } from './fx.js';
+import {
+  SCREEN_METRICS, SCREEN_OPS, screenMetrics, applyScreen, parseFiltersParam, parseSortParam,
+} from '../shared/screener.js';
+import { MARKETS, DEFAULT_CURRENCY } from '../shared/currency.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const SCREENS_DIR = process.env.SCREENS_DIR
+  ? path.resolve(__dirname, process.env.SCREENS_DIR)
+  : path.join(__dirname, 'out', 'screens');
+const TARGET_PE = Number(process.env.TARGET_PE || 25);
+
+const MONEY_KEYS = SCREEN_METRICS.filter((m) => m.money).map((m) => m.key);
+const screenFile = (id) => path.join(SCREENS_DIR, `${id}.json`);
+
+// ----------------- Screening -----------------
+// Price in `currency` (the reporting currency): the live quote first when `live`, else the latest close
+async function latestPrice(company, currency, live) {
+  if (live) {
+    try {
+      const m = await metricsIn(company.exchange, company.ticker, { suffix: company.suffix, currency });
+      if (m.price > 0) return { price: m.price, priceSource: 'live' };
+    } catch (err) {
+      console.error(`Screener: live price for ${company.exchange}:${company.ticker} failed:`, err.message);
+    }
+  }
+  const history = loadPrices(company.exchange, company.ticker);
+  const last = history?.points[history.points.length - 1];
+  if (last) {
+    const from = history.currency || MARKETS[company.exchange]?.currency || DEFAULT_CURRENCY;
+    const rate = await conversionRate(from, currency);
+    if (rate != null) return { price: last.close * rate, priceSource: `close ${last.date}` };
+  }
+  return { price: null, priceSource: null };
+}
+
+/**
+ * Screen metrics for every stored company, in `currency` when given.
+ * @returns {Promise<object[]>} [{ exchange, ticker, currency, converted, priceSource, ...screenMetrics }]
+ */
+export async function screenCompanies({ targetPE = TARGET_PE, currency = null, live = false } = {}) {
+  const rates = new Map(); // reporting currency -> rate into `currency` (null = unknown)
+  const out = [];
+  for (const c of listCompanies()) {
+    const data = loadDataset(c.exchange, c.ticker);
+    if (!data) continue;
+    const { rows } = validateRows(data.rows || []);
+    const { price, priceSource } = await latestPrice(c, data.currency, live);
+    const metrics = screenMetrics(rows, { targetPE, price });
+
+    let rate = 1;
+    if (currency && currency !== data.currency) {
+      if (!rates.has(data.currency)) rates.set(data.currency, await conversionRate(data.currency, currency));
+      rate = rates.get(data.currency);
+    }
+    // Without a rate the money columns are blanked rather than compared across currencies
+    for (const k of MONEY_KEYS) metrics[k] = metrics[k] != null && rate != null ? metrics[k] * rate : null;
+    out.push({
+      exchange: c.exchange, ticker: c.ticker, version: c.version,
+      currency: rate != null ? currency || data.currency : data.currency,
+      converted: rate != null, priceSource, ...metrics,
+    });
+  }
+  return out;
+}
+
+// ----------------- Saved screens -----------------
+export function listScreens() {
+  const files = fs.existsSync(SCREENS_DIR) ? fs.readdirSync(SCREENS_DIR).filter((f) => f.endsWith('.json')) : [];
+  return files
+    .map((f) => JSON.parse(fs.readFileSync(path.join(SCREENS_DIR, f), 'utf8')))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// ----------------- Routes -----------------
+const screenQuerySchema = z.object({
+  filters: z.string().optional(),
+  sort: z.string().optional(),
+  currency: currencySchema.optional(),
+  targetPE: z.coerce.number().positive().optional(),
+  search: z.string().trim().max(40).optional(),
+  live: z.enum(['0', '1']).default('0'),
+  limit: z.coerce.number().int().min(1).max(5000).default(500),
+});
+
+const idSchema = z.object({ id: z.string().regex(/^[a-z0-9][a-z0-9-]{0,59}$/, 'Invalid screen id') });
+
+const screenSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  filters: z
+    .array(z.object({
+      metric: z.enum(SCREEN_METRICS.map((m) => m.key)),
+      op: z.enum(Object.keys(SCREEN_OPS)),
+      value: z.number().finite(),
+    }))
+    .max(20),
+  sort: z.object({ metric: z.enum(SCREEN_METRICS.map((m) => m.key)), dir: z.enum(['asc', 'desc']) }).nullable().default(null),
+});
+
+export const screenerRouter = express.Router();
+
+// GET /screener?filters=revenueCAGR:>:0.1,netMargin:>=:0.15&sort=upside:desc&currency=USD&targetPE=20&search=&live=0&limit=500
+//   -> { items, matched, total, currency, targetPE, metrics }
+screenerRouter.get('/', async (req, res) => {
+  const parsed = screenQuerySchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid query', details: parsed.error.flatten() });
+  const { currency = null, targetPE = TARGET_PE, search, live, limit } = parsed.data;
+  let filters, sort;
+  try {
+    filters = parseFiltersParam(parsed.data.filters);
+    sort = parseSortParam(parsed.data.sort);
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid screen: ${err.message}` });
+  }
+
+  try {
+    const q = search?.toLowerCase();
+    const all = (await screenCompanies({ targetPE, currency, live: live === '1' }))
+      .filter((c) => !q || c.ticker.toLowerCase().includes(q) || c.exchange.toLowerCase().includes(q));
+    const matched = applyScreen(all, { filters, sort });
+    return res.json({ items: matched.slice(0, limit), matched: matched.length, total: all.length, currency, targetPE, metrics: SCREEN_METRICS });
+  } catch (err) {
+    console.error('Error in /screener:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /screener/screens -> { items: [{ id, name, filters, sort, updatedAt }] }
+screenerRouter.get('/screens', (_req, res) => {
+  try {
+    return res.json({ items: listScreens() });
+  } catch (err) {
+    console.error('Error in /screener/screens:', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /screener/screens/:id  { name, filters, sort } (create or replace)
+screenerRouter.put('/screens/:id', (req, res) => {
+  const key = idSchema.safeParse(req.params);
+  const body = screenSchema.safeParse(req.body);
+  if (!key.success || !body.success) {
+    return res.status(400).json({ error: 'Invalid request', details: (key.success ? body : key).error.flatten() });
+  }
+  const created = !fs.existsSync(screenFile(key.data.id));
+  const saved = { id: key.data.id, ...body.data, updatedAt: new Date().toISOString() };
+  writeJsonAtomic(screenFile(saved.id), saved);
+  return res.status(created ? 201 : 200).json(saved);
+});
+
+// DELETE /screener/screens/:id
+screenerRouter.delete('/screens/:id', (req, res) => {
+  const key = idSchema.safeParse(req.params);
+  if (!key.success) return res.status(400).json({ error: 'Invalid screen id', details: key.error.flatten() });
+  const fp = screenFile(key.data.id);
+  if (!fs.existsSync(fp)) return res.status(404).json({ error: 'Screen not found' });
+  fs.rmSync(fp, { force: true });
+  return res.status(204).end();
+});
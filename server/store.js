@@ -0,0 +1,232 @@
+// Versioned dataset store (structured files, no external DB).
+//
+// out/datasets/<EXCHANGE>_<TICKER>/
+//   index.json   { ticker, exchange, current, fiscalYearEnd?, currency?, suffix?,
+//                  versions: [{ version, createdAt, sourceFile, hash, rowCount, dataQuality? }] }
+//   v<N>.json    { ticker, exchange, version, rows }   (immutable once written)
+//
+// Every ingest appends a version; rollback only moves `current`. Reads are cached in memory
+// and invalidated when index.json changes on disk (mtime), so CLI writes are picked up by the server.
+// Company metadata is not versioned with the rows: `fiscalYearEnd` (month 1..12, default 12), the
+// reporting `currency` of the rows and the TwelveData symbol `suffix` (both default from the exchange).
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { FIELD_KEYS } from '../shared/fields.js';
+import { DEFAULT_FISCAL_YEAR_END, periodKey, periodLabel } from '../shared/periods.js';
+import { marketOf } from '../shared/currency.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUT_DIR = path.join(__dirname, 'out');
+export const STORE_DIR = process.env.STORE_DIR
+  ? path.resolve(__dirname, process.env.STORE_DIR)
+  : path.join(OUT_DIR, 'datasets');
+
+const slugOf = (exchange, ticker) => `${exchange.toUpperCase()}_${ticker.toUpperCase()}`;
+const dirOf = (exchange, ticker) => path.join(STORE_DIR, slugOf(exchange, ticker));
+const indexPath = (exchange, ticker) => path.join(dirOf(exchange, ticker), 'index.json');
+const versionPath = (exchange, ticker, v) => path.join(dirOf(exchange, ticker), `v${v}.json`);
+
+export const hashRows = (rows) => crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex');
+
+export function writeJsonAtomic(fp, data) {
+  fs.mkdirSync(path.dirname(fp), { recursive: true });
+  const tmp = `${fp}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, fp);
+}
+
+// ----------------- Cache (index mtime based) -----------------
+const indexCache = new Map(); // slug -> { stamp, index }
+const versionCache = new Map(); // `${slug}@${v}` -> dataset (versions never change)
+
+function readIndex(exchange, ticker) {
+  const fp = indexPath(exchange, ticker);
+  let stat;
+  try { stat = fs.statSync(fp); } catch { return null; }
+  const slug = slugOf(exchange, ticker);
+  const stamp = `${stat.mtimeMs}:${stat.size}`;
+  const hit = indexCache.get(slug);
+  if (hit && hit.stamp === stamp) return hit.index;
+  const index = JSON.parse(fs.readFileSync(fp, 'utf8'));
+  indexCache.set(slug, { stamp, index });
+  return index;
+}
+
+function readVersion(exchange, ticker, v) {
+  const key = `${slugOf(exchange, ticker)}@${v}`;
+  if (versionCache.has(key)) return versionCache.get(key);
+  const fp = versionPath(exchange, ticker, v);
+  if (!fs.existsSync(fp)) return null;
+  const data = JSON.parse(fs.readFileSync(fp, 'utf8'));
+  versionCache.set(key, data);
+  return data;
+}
+
+// ----------------- Legacy flat files (out/EXCHANGE_TICKER.json) -----------------
+function readLegacy(exchange, ticker) {
+  const fp = path.join(OUT_DIR, `${slugOf(exchange, ticker)}.json`);
+  if (!fs.existsSync(fp)) return null;
+  return JSON.parse(fs.readFileSync(fp, 'utf8'));
+}
+
+// ----------------- Company metadata -----------------
+export const COMPANY_META_KEYS = ['fiscalYearEnd', 'currency', 'suffix'];
+
+// Stored values with defaults filled in (exchange defaults for currency / suffix)
+function companyMeta(exchange, source) {
+  const { suffix, currency } = marketOf({ exchange, suffix: source?.suffix, currency: source?.currency });
+  return { fiscalYearEnd: source?.fiscalYearEnd ?? DEFAULT_FISCAL_YEAR_END, currency, suffix };
+}
+
+// ----------------- Public API -----------------
+/**
+ * Append a new version. Identical rows (same hash as the current version) are not stored again.
+ * Given metadata ({ fiscalYearEnd, currency, suffix }; null/undefined keeps the stored value) is
+ * recorded on the company either way. `dataQuality` (a checkDataQuality result) keeps its warnings
+ * on the new version's entry.
+ * @returns {{ version: number, created: boolean }}
+ */
+export function saveVersion({ ticker, exchange, rows, sourceFile = null, meta = {}, dataQuality = null }) {
+  let index = readIndex(exchange, ticker) || { ticker, exchange, current: null, versions: [] };
+  const given = Object.fromEntries(COMPANY_META_KEYS.filter((k) => meta[k] != null).map((k) => [k, meta[k]]));
+  index = { ...index, ...given };
+  const hash = hashRows(rows);
+  const current = index.versions.find((v) => v.version === index.current);
+  if (current && current.hash === hash) {
+    if (Object.keys(given).length) writeJsonAtomic(indexPath(exchange, ticker), index);
+    return { version: current.version, created: false };
+  }
+
+  const version = index.versions.reduce((m, v) => Math.max(m, v.version), 0) + 1;
+  writeJsonAtomic(versionPath(exchange, ticker, version), { ticker, exchange, version, rows });
+  const entry = { version, createdAt: new Date().toISOString(), sourceFile, hash, rowCount: rows.length };
+  // Warnings from the ingest-time quality check (errors block the save, so there are none to keep)
+  if (dataQuality) entry.dataQuality = { status: dataQuality.status, warnings: dataQuality.warnings };
+  writeJsonAtomic(indexPath(exchange, ticker), { ...index, current: version, versions: [...index.versions, entry] });
+  return { version, created: true };
+}
+
+export function listVersions(exchange, ticker) {
+  const index = readIndex(exchange, ticker);
+  return index ? { current: index.current, versions: index.versions } : null;
+}
+
+/**
+ * Resolve `asOf` to a version entry: a version number ("3"), an ISO date/time
+ * (latest version created at or before it), or nothing (the current version).
+ */
+export function resolveVersion(exchange, ticker, asOf = null) {
+  const index = readIndex(exchange, ticker);
+  if (!index) return null;
+  if (asOf == null || asOf === '') return index.versions.find((v) => v.version === index.current) || null;
+  if (/^\d+$/.test(String(asOf))) return index.versions.find((v) => v.version === Number(asOf)) || null;
+  const t = Date.parse(asOf);
+  if (!Number.isFinite(t)) return null;
+  const eligible = index.versions.filter((v) => Date.parse(v.createdAt) <= t);
+  return eligible[eligible.length - 1] || null;
+}
+
+/**
+ * Load a dataset ({ ticker, exchange, version, rows, fiscalYearEnd, currency, suffix }) at `asOf` (see resolveVersion).
+ * Falls back to a legacy flat file when the company has never been stored and no asOf is given.
+ */
+export function loadDataset(exchange, ticker, asOf = null) {
+  const entry = resolveVersion(exchange, ticker, asOf);
+  if (entry) {
+    const data = readVersion(exchange, ticker, entry.version);
+    return data && { ...data, ...companyMeta(exchange, readIndex(exchange, ticker)) };
+  }
+  if (asOf == null && !readIndex(exchange, ticker)) {
+    const data = readLegacy(exchange, ticker);
+    return data && { ...data, ...companyMeta(exchange, data) };
+  }
+  return null;
+}
+
+/** { fiscalYearEnd, currency, suffix } for a company (exchange defaults when it is not stored). */
+export function loadCompanyMeta(exchange, ticker) {
+  return companyMeta(exchange, readIndex(exchange, ticker) || readLegacy(exchange, ticker));
+}
+
+/** Field-level diff between two versions: added/removed periods and changed values (`year` is the period label). */
+export function diffVersions(exchange, ticker, a, b) {
+  const va = readVersion(exchange, ticker, a);
+  const vb = readVersion(exchange, ticker, b);
+  if (!va || !vb) return null;
+  const byPeriod = (rows) => new Map(rows.map((r) => [periodKey(r), r]));
+  const ma = byPeriod(va.rows), mb = byPeriod(vb.rows);
+  const label = (m, k) => periodLabel(m.get(k));
+  const added = [...mb.keys()].filter((k) => !ma.has(k)).map((k) => label(mb, k));
+  const removed = [...ma.keys()].filter((k) => !mb.has(k)).map((k) => label(ma, k));
+  const changed = [];
+  for (const [key, ra] of ma) {
+    const rb = mb.get(key);
+    if (!rb) continue;
+    const year = periodLabel(ra);
+    for (const f of FIELD_KEYS) {
+      if ((ra[f] ?? null) !== (rb[f] ?? null)) changed.push({ year, field: f, from: ra[f] ?? null, to: rb[f] ?? null });
+    }
+    if (JSON.stringify(ra.extra ?? {}) !== JSON.stringify(rb.extra ?? {})) {
+      changed.push({ year, field: 'extra', from: ra.extra ?? {}, to: rb.extra ?? {} });
+    }
+  }
+  return { from: a, to: b, added, removed, changed };
+}
+
+/** Point `current` back at an existing version (nothing is deleted). */
+export function rollback(exchange, ticker, version) {
+  const index = readIndex(exchange, ticker);
+  if (!index || !index.versions.some((v) => v.version === version)) return false;
+  writeJsonAtomic(indexPath(exchange, ticker), { ...index, current: version });
+  return true;
+}
+
+/**
+ * Every stored company with its current version entry, sorted by exchange then ticker.
+ * Legacy flat files are included until they are re-ingested into the store.
+ */
+export function listCompanies() {
+  const out = new Map();
+  const dirs = fs.existsSync(STORE_DIR) ? fs.readdirSync(STORE_DIR, { withFileTypes: true }) : [];
+  for (const d of dirs) {
+    if (!d.isDirectory()) continue;
+    const [exchange, ...rest] = d.name.split('_');
+    const index = readIndex(exchange, rest.join('_'));
+    if (!index) continue;
+    const cur = index.versions.find((v) => v.version === index.current) || null;
+    out.set(d.name, {
+      ticker: index.ticker, exchange: index.exchange, version: index.current,
+      ...companyMeta(index.exchange, index), versions: index.versions.length, rowCount: cur?.rowCount ?? 0, updatedAt: cur?.createdAt ?? null,
+    });
+  }
+  for (const f of fs.existsSync(OUT_DIR) ? fs.readdirSync(OUT_DIR) : []) {
+    const slug = f.replace(/\.json$/, '');
+    if (!f.endsWith('.json') || out.has(slug)) continue;
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(OUT_DIR, f), 'utf8'));
+      if (!data?.ticker || !data?.exchange) continue;
+      out.set(slug, {
+        ticker: data.ticker, exchange: data.exchange, version: null,
+        ...companyMeta(data.exchange, data), versions: 0, rowCount: data.rows?.length ?? 0, updatedAt: null,
+      });
+    } catch { /* not a dataset file */ }
+  }
+  return [...out.values()].sort((a, b) =>
+    a.exchange.localeCompare(b.exchange) || a.ticker.localeCompare(b.ticker));
+}
+
+/** Remove a company's versions (and any legacy flat file). Returns false when nothing existed. */
+export function deleteDataset(exchange, ticker) {
+  const slug = slugOf(exchange, ticker);
+  const dir = dirOf(exchange, ticker);
+  const legacy = path.join(OUT_DIR, `${slug}.json`);
+  const existed = fs.existsSync(dir) || fs.existsSync(legacy);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.rmSync(legacy, { force: true });
+  indexCache.delete(slug);
+  for (const k of versionCache.keys()) if (k.startsWith(`${slug}@`)) versionCache.delete(k);
+  return existed;
+}
@@ -0,0 +1,165 @@
+// Alert rules (alerts.js) and their notifiers (notifiers.js): rule validation, the webhook allowlist
+// and one-line email headers, against stub webhook and SMTP servers.
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { seedStore, startServer, startStub, tmpDir } from './helpers.js';
+
+let webhook, smtp, server, alertsDir, pricesDir;
+let hookStatus; // what the webhook stub answers
+
+// Fake SMTP server: records the DATA of each message
+function startSmtp() {
+  const messages = [];
+  const srv = net.createServer((socket) => {
+    let buf = '', data = null;
+    socket.write('220 stub\r\n');
+    socket.on('data', (chunk) => {
+      buf += chunk.toString('utf8');
+      let i;
+      while ((i = buf.indexOf('\r\n')) >= 0) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        if (data != null) {
+          if (line === '.') { messages.push(data.join('\r\n')); data = null; socket.write('250 queued\r\n'); } else data.push(line);
+        } else if (line === 'DATA') { data = []; socket.write('354 go ahead\r\n'); } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  return new Promise((resolve) => srv.listen(0, '127.0.0.1', () => resolve({
+    port: srv.address().port,
+    messages,
+    close: () => new Promise((done) => srv.close(done)),
+  })));
+}
+
+const json = (method, body) => ({ method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+const rule = (patch = {}) => ({ exchange: 'NAS', ticker: 'TEST', metric: 'revenueGrowth', op: '>', value: 0, ...patch });
+const post = (body) => fetch(`${server.url}/alerts/rules`, json('POST', body));
+
+before(async () => {
+  webhook = await startStub((req, _body, res) => {
+    if (hookStatus === 302) res.writeHead(302, { Location: `${webhook.url}/redirected` });
+    else res.writeHead(hookStatus);
+    res.end();
+  });
+  smtp = await startSmtp();
+  alertsDir = tmpDir('alerts');
+  pricesDir = tmpDir('prices');
+  server = await startServer({
+    STORE_DIR: seedStore(),
+    ALERTS_DIR: alertsDir,
+    PRICES_DIR: pricesDir,
+    TARGET_PE: '25',
+    ALERT_WEBHOOK_ALLOWLIST: '127.0.0.1, hooks.example.com',
+    ALERT_EMAIL_TO: 'ops@example.com',
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtp.port),
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await Promise.all([webhook?.close(), smtp?.close()]);
+});
+
+beforeEach(async () => {
+  hookStatus = 204;
+  webhook.requests.length = 0;
+  smtp.messages.length = 0;
+  for (const r of await (await fetch(`${server.url}/alerts/rules`)).json().then((j) => j.items)) {
+    await fetch(`${server.url}/alerts/rules/${r.id}`, { method: 'DELETE' });
+  }
+});
+
+test('rule names must be one line', async () => {
+  for (const name of ['Cheap\r\nBcc: victim@example.com', 'Cheap\nX-Spam: 1', 'tab\there']) {
+    const res = await post(rule({ name }));
+    assert.equal(res.status, 400, JSON.stringify(name));
+    assert.ok((await res.json()).details.fieldErrors.name);
+  }
+  assert.equal((await post(rule({ name: '  Growth — still positive  ' }))).status, 201);
+});
+
+test('webhook URLs must be http(s) on an allowlisted host', async () => {
+  for (const webhookUrl of ['file:///etc/passwd', 'ftp://127.0.0.1/x', 'http://169.254.169.254/latest/meta-data', 'https://evil.example.net/hook']) {
+    const res = await post(rule({ channels: ['webhook'], webhookUrl }));
+    assert.equal(res.status, 400, webhookUrl);
+    assert.ok((await res.json()).details.fieldErrors.webhookUrl);
+  }
+  assert.equal((await post(rule({ channels: ['webhook'], webhookUrl: 'https://hooks.example.com/a' }))).status, 201);
+  assert.equal((await post(rule({ channels: ['webhook'], webhookUrl: `${webhook.url}/hook` }))).status, 201);
+});
+
+test('a firing rule posts to its webhook and mails a one-line subject', async () => {
+  const created = await (await post(rule({ name: 'Growth', channels: ['webhook', 'email'], webhookUrl: `${webhook.url}/hook` }))).json();
+  const run = await (await fetch(`${server.url}/alerts/run`, json('POST', {}))).json();
+  assert.equal(run.results.find((r) => r.ruleId === created.id).fired, true);
+
+  assert.equal(webhook.requests.length, 1);
+  assert.equal(webhook.requests[0].url, '/hook');
+  assert.equal(webhook.requests[0].body.alert.ruleName, 'Growth');
+  assert.equal(smtp.messages.length, 1);
+  assert.match(smtp.messages[0], /^Subject: Alert: Growth$/m);
+});
+
+test('stored rules are re-checked when sending: no redirects, no header injection', async () => {
+  // Rules written before validation tightened (or by hand) still cannot reach other hosts or headers
+  const stored = {
+    id: '00000000-0000-4000-8000-000000000001', name: 'Cheap\r\nBcc: victim@example.com',
+    ...rule(), channels: ['webhook', 'email'], enabled: true, webhookUrl: 'http://169.254.169.254/latest',
+    weights: null, targetPE: null, state: null, createdAt: '2024-01-01T00:00:00.000Z',
+  };
+  fs.writeFileSync(path.join(alertsDir, 'rules.json'), JSON.stringify([stored]));
+  let run = await (await fetch(`${server.url}/alerts/run`, json('POST', {}))).json();
+  assert.equal(run.results[0].fired, true);
+  const [alert] = (await (await fetch(`${server.url}/alerts/history?ruleId=${stored.id}`)).json()).items;
+  assert.match(alert.channels.webhook, /^error: webhook URL not allowed/);
+  assert.equal(alert.channels.email, 'sent');
+
+  const headers = smtp.messages[0].split('\r\n\r\n')[0].split('\r\n');
+  assert.ok(headers.includes('Subject: Alert: Cheap Bcc: victim@example.com'));
+  assert.ok(!headers.some((h) => h.startsWith('Bcc:')));
+
+  // An allowed host that redirects elsewhere is an error, not a second request
+  hookStatus = 302;
+  fs.writeFileSync(path.join(alertsDir, 'rules.json'), JSON.stringify([{ ...stored, name: 'Redirect', channels: ['webhook'], webhookUrl: `${webhook.url}/hook` }]));
+  run = await (await fetch(`${server.url}/alerts/run`, json('POST', {}))).json();
+  assert.equal(run.results[0].fired, true);
+  assert.deepEqual(webhook.requests.map((r) => r.url), ['/hook']);
+});
+
+test('price / FV rules work from the stored close without a TwelveData key, firing once per crossing', async () => {
+  // No live metrics: weighted FV = latest per-year P/E value = 190 × 25 / 100 shares = 47.5
+  const setClose = (close) => fs.writeFileSync(path.join(pricesDir, 'NAS_TEST.json'), JSON.stringify({
+    ticker: 'TEST', exchange: 'NAS', currency: 'USD', source: 'test', points: [{ date: '2024-06-28', close }],
+  }));
+  const created = await (await post(rule({ metric: 'priceToFV', op: '<', value: 0.8, channels: ['log'] }))).json();
+  const run = async () => (await (await fetch(`${server.url}/alerts/run`, json('POST', {}))).json())
+    .results.find((r) => r.ruleId === created.id);
+
+  setClose(30);
+  let r = await run();
+  assert.equal(r.error, null);
+  assert.equal(r.value, Number((30 / 47.5).toPrecision(6)));
+  assert.deepEqual([r.match, r.fired], [true, true]);
+
+  r = await run(); // still below: no second alert
+  assert.deepEqual([r.match, r.fired], [true, false]);
+
+  setClose(45);
+  r = await run();
+  assert.deepEqual([r.match, r.fired], [false, false]);
+
+  setClose(30);
+  r = await run(); // crossed again
+  assert.deepEqual([r.match, r.fired], [true, true]);
+
+  const history = (await (await fetch(`${server.url}/alerts/history?ruleId=${created.id}`)).json()).items;
+  assert.equal(history.length, 2);
+  assert.equal(history[0].snapshot.weighted, 47.5);
+});
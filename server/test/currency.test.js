@@ -0,0 +1,109 @@
+// Currencies (shared/currency.js, fx.js): cross rates, sub-units, row / metric conversion and where
+// getFxRates finds each rate.
+
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fxRate, convertRows, convertMetrics, currenciesNeeded } from '../../shared/currency.js';
+import { startStub, sendJson, tmpDir } from './helpers.js';
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} is not close to ${expected}`);
+
+const FX = { base: 'USD', rates: { EUR: 0.9, GBP: 0.8, JPY: 150 } };
+
+test('fxRate: direct, inverse and cross rates through the base', () => {
+  close(fxRate(FX, 'USD', 'EUR'), 0.9);
+  close(fxRate(FX, 'EUR', 'USD'), 1 / 0.9);
+  close(fxRate(FX, 'EUR', 'GBP'), 0.8 / 0.9);
+  close(fxRate(FX, 'GBP', 'JPY'), 150 / 0.8);
+  close(fxRate(FX, 'eur', 'gbp'), 0.8 / 0.9);
+  assert.equal(fxRate(FX, 'EUR', 'EUR'), 1);
+  assert.equal(fxRate(null, 'EUR', 'EUR'), 1);
+  assert.equal(fxRate(FX, 'EUR', 'CHF'), null);
+  assert.equal(fxRate(null, 'EUR', 'USD'), null);
+  assert.equal(fxRate(FX, null, 'USD'), null);
+  assert.equal(fxRate({ base: 'USD', rates: { EUR: 0 } }, 'USD', 'EUR'), null);
+});
+
+test('fxRate: sub-units are 1/100 of their major currency, in both directions', () => {
+  assert.equal(fxRate(null, 'GBX', 'GBP'), 0.01);
+  assert.equal(fxRate(null, 'GBp', 'GBP'), 0.01);
+  assert.equal(fxRate(null, 'GBP', 'GBX'), 100);
+  assert.equal(fxRate(null, 'GBX', 'GBp'), 1);
+  close(fxRate(FX, 'GBX', 'USD'), 1 / 0.8 / 100); // 100 pence = £1 = $1.25
+  close(fxRate(FX, 'USD', 'GBp'), 0.8 * 100);
+  close(fxRate(FX, 'EUR', 'GBX'), (0.8 / 0.9) * 100);
+  assert.deepEqual(currenciesNeeded('USD', ['GBX', 'GBP', 'EUR', null]), ['EUR', 'GBP', 'USD']);
+});
+
+test('convertRows: money fields scaled, shares and years untouched', () => {
+  const rows = [{ year: 2023, revenue: 100, netIncome: -10, cash: null, sharesOutstanding: 50, extra: { note: 1 } }];
+  const [out] = convertRows(rows, 2);
+  assert.deepEqual(
+    [out.year, out.revenue, out.netIncome, out.cash, out.sharesOutstanding, out.extra],
+    [2023, 200, -20, null, 50, { note: 1 }],
+  );
+  assert.equal(rows[0].revenue, 100); // not mutated
+  assert.equal(convertRows(rows, 1), rows);
+  assert.equal(convertRows(rows, NaN), rows);
+});
+
+test('convertMetrics: per-share money metrics scaled, margins and share counts not', () => {
+  const metrics = { currency: 'GBX', price: 250, fairPE: 300, weighted: null, grossMargin: 40, sharesOutstanding: 1e6 };
+  const out = convertMetrics(metrics, fxRate(null, 'GBX', 'GBP'), 'GBP');
+  assert.deepEqual(out, { currency: 'GBP', price: 2.5, fairPE: 3, weighted: null, grossMargin: 40, sharesOutstanding: 1e6 });
+  assert.equal('fairEV' in out, false);
+  assert.equal(convertMetrics(metrics, null, 'GBP'), metrics);
+  assert.equal(convertMetrics(null, 2, 'GBP'), null);
+});
+
+/* ============================== getFxRates ============================== */
+let stub, fx;
+
+before(async () => {
+  // TwelveData knows USD/JPY only
+  stub = await startStub((req, _body, res) => {
+    const symbol = new URL(req.url, 'http://stub').searchParams.get('symbol');
+    if (symbol === 'USD/JPY') return sendJson(res, 200, { symbol, rate: 150 });
+    return sendJson(res, 200, { status: 'error', code: 400, message: `unknown pair ${symbol}` });
+  });
+  const ratesFile = path.join(tmpDir('fx'), 'fx.json');
+  fs.writeFileSync(ratesFile, JSON.stringify({ base: 'EUR', asOf: '2024-06-28', rates: { usd: 1.1, GBP: 0.85, JPY: 170 } }));
+  Object.assign(process.env, { FX_RATES_FILE: ratesFile, TWELVE_API_KEY: 'test-key', TWELVE_BASE_URL: stub.url });
+  fx = await import('../fx.js');
+});
+
+after(() => stub?.close());
+
+test('getFxRates: the rates file first (crossed to the base), then TwelveData, else missing', async () => {
+  const r = await fx.getFxRates('USD', ['USD', 'GBP', 'EUR', 'CHF', 'GBP']);
+  assert.equal(r.base, 'USD');
+  assert.equal(r.asOf, '2024-06-28');
+  close(r.rates.GBP, 0.85 / 1.1);
+  close(r.rates.EUR, 1 / 1.1);
+  assert.deepEqual(r.sources, { GBP: 'file', EUR: 'file' });
+  assert.deepEqual(r.missing, ['CHF']);
+  assert.equal(stub.requests.length, 1); // only CHF went upstream
+
+  // The file wins over TwelveData for a pair both know
+  const jpy = await fx.getFxRates('USD', ['JPY']);
+  close(jpy.rates.JPY, 170 / 1.1);
+  assert.equal(jpy.sources.JPY, 'file');
+});
+
+test('getFxRates: TwelveData fills currencies the file lacks', async () => {
+  fs.writeFileSync(process.env.FX_RATES_FILE, JSON.stringify({ base: 'EUR', rates: { USD: 1.1 } }));
+  const r = await fx.getFxRates('USD', ['JPY', 'EUR']);
+  assert.deepEqual(r.rates, { JPY: 150, EUR: 1 / 1.1 });
+  assert.deepEqual(r.sources, { JPY: 'twelvedata', EUR: 'file' });
+  assert.deepEqual(r.missing, []);
+  assert.equal(r.asOf, null);
+
+
+  // conversionRate crosses through USD and is null when either side is missing
+  close(await fx.conversionRate('EUR', 'JPY'), 150 * 1.1);
+  assert.equal(await fx.conversionRate('GBX', 'JPY'), null);
+  assert.equal(await fx.conversionRate('GBX', 'GBP'), 0.01);
+});
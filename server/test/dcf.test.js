@@ -0,0 +1,57 @@
+// DCF model (shared/dcf.js): defaults from history and a projection checked by hand.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeDCF, dcfDefaults, DCF_DEFAULTS } from '../../shared/dcf.js';
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} is not close to ${expected}`);
+
+test('dcfDefaults: mean growth, latest margin and net debt from the last row reporting debt and cash', () => {
+  const rows = [
+    { year: 2021, revenue: 800, operatingIncome: 80, totalDebt: 500, cash: 50 },
+    { year: 2022, revenue: 1000, operatingIncome: 150, totalDebt: 400, cash: 100 },
+    { year: 2023, revenue: 1100, operatingIncome: 220, totalDebt: 350 }, // no cash reported
+  ];
+  const d = dcfDefaults(rows);
+  close(d.revenueGrowth, (0.25 + 0.1) / 2);
+  close(d.operatingMargin, 0.2);
+  assert.equal(d.netDebt, 300);
+  assert.equal(d.wacc, DCF_DEFAULTS.wacc);
+  assert.equal(dcfDefaults([{ year: 2023, revenue: 1 }]).netDebt, 0);
+  assert.equal(dcfDefaults([{ year: 2023, revenue: 1, totalDebt: 10, cash: 40 }]).netDebt, -30); // net cash
+});
+
+test('computeDCF: two-year projection, Gordon terminal value and the net-debt bridge', () => {
+  const rows = [{ year: 2023, revenue: 1000, operatingIncome: 200, sharesOutstanding: 10, totalDebt: 300, cash: 100 }];
+  const assumptions = { years: 2, revenueGrowth: 0.1, operatingMargin: 0.2, taxRate: 0.25, reinvestmentRate: 0.2, wacc: 0.1, terminalGrowth: 0.02 };
+  const dcf = computeDCF(rows, assumptions);
+  assert.equal(dcf.error, null);
+
+  // Year 1: revenue 1100, EBIT 220, NOPAT 165, reinvest 33, FCF 132, PV 132 / 1.1 = 120
+  // Year 2: revenue 1210, EBIT 242, NOPAT 181.5, reinvest 36.3, FCF 145.2, PV 145.2 / 1.21 = 120
+  const [y1, y2] = dcf.projection;
+  assert.deepEqual([y1.year, y2.year], [2024, 2025]);
+  for (const [p, want] of [[y1, [1100, 220, 165, 33, 132, 120]], [y2, [1210, 242, 181.5, 36.3, 145.2, 120]]]) {
+    [p.revenue, p.operatingIncome, p.nopat, p.reinvestment, p.fcf, p.presentValue].forEach((v, i) => close(v, want[i]));
+  }
+  // TV = 145.2 × 1.02 / (0.10 − 0.02) = 1851.3, discounted at 1.21 -> 1530
+  close(dcf.terminalValue, 1851.3);
+  close(dcf.pvTerminal, 1530);
+  close(dcf.enterpriseValue, 1770);
+  close(dcf.assumptions.netDebt, 200); // 300 debt − 100 cash
+  close(dcf.equityValue, 1570);
+  close(dcf.fairValuePerShare, 157);
+
+  // An explicit net debt overrides the one from the rows
+  close(computeDCF(rows, { ...assumptions, netDebt: 0 }).fairValuePerShare, 177);
+});
+
+test('computeDCF: errors and missing shares', () => {
+  assert.equal(computeDCF([]).error, 'no_revenue');
+  assert.equal(computeDCF([{ year: 2023, revenue: 100 }], { wacc: 0.02, terminalGrowth: 0.02 }).error, 'wacc_must_exceed_terminal_growth');
+  const noShares = computeDCF([{ year: 2023, revenue: 100, operatingIncome: 10 }]);
+  assert.ok(noShares.enterpriseValue > 0);
+  assert.equal(noShares.fairValuePerShare, null);
+  assert.equal(computeDCF([{ year: 2023, revenue: 100 }], { years: 50 }).projection.length, 20);
+});
@@ -0,0 +1,146 @@
+// Test helpers: temp dirs, a seeded dataset store, stub HTTP upstreams and the API server
+// started as a child process (env is read at import time, so each server gets a fresh process).
+
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import http from 'http';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const SERVER_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Temp dirs live until the test process exits
+const tmpDirs = [];
+process.on('exit', () => tmpDirs.forEach((d) => fs.rmSync(d, { recursive: true, force: true })));
+
+export function tmpDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `ai-stock-${prefix}-`));
+  tmpDirs.push(dir);
+  return dir;
+}
+
+export const ROWS = [
+  { year: 2021, revenue: 1000, operatingIncome: 200, netIncome: 150, freeCashFlow: 120, sharesOutstanding: 100 },
+  { year: 2022, revenue: 1100, operatingIncome: 230, netIncome: 170, freeCashFlow: 140, sharesOutstanding: 100 },
+  { year: 2023, revenue: 1250, operatingIncome: 260, netIncome: 190, freeCashFlow: 160, sharesOutstanding: 100 },
+];
+
+/** Write one stored company (index.json + v1.json, the store.js layout) and return the store dir.
+ * `meta` adds company metadata ({ fiscalYearEnd, currency, suffix }). */
+export function seedStore(dir = tmpDir('store'), { exchange = 'NAS', ticker = 'TEST', rows = ROWS, meta = {} } = {}) {
+  const slug = `${exchange}_${ticker}`;
+  fs.mkdirSync(path.join(dir, slug), { recursive: true });
+  fs.writeFileSync(path.join(dir, slug, 'v1.json'), JSON.stringify({ ticker, exchange, version: 1, rows }));
+  fs.writeFileSync(path.join(dir, slug, 'index.json'), JSON.stringify({
+    ticker, exchange, current: 1, ...meta,
+    versions: [{ version: 1, createdAt: '2024-01-01T00:00:00.000Z', sourceFile: null, hash: 'seed', rowCount: rows.length }],
+  }));
+  return dir;
+}
+
+const freePort = () => new Promise((resolve, reject) => {
+  const srv = net.createServer();
+  srv.unref();
+  srv.on('error', reject);
+  srv.listen(0, () => {
+    const { port } = srv.address();
+    srv.close(() => resolve(port));
+  });
+});
+
+// Variables that would otherwise leak from the developer's shell into the server under test
+const ISOLATED_ENV = [
+  'LLM_PROVIDER', 'OPENAI_API_KEY', 'OPENAI_BASE_URL', 'TWELVE_API_KEY', 'TWELVE_BASE_URL',
+  'ALERT_WEBHOOK_URL', 'ALERT_WEBHOOK_ALLOWLIST', 'ALERT_EMAIL_TO', 'FX_RATES_FILE',
+];
+
+/**
+ * Start index.js with `env` on a free port. Resolves to { url, stop, output() } once it listens.
+ * Storage dirs default to fresh temp dirs and the alert scheduler is off.
+ */
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      ...Object.fromEntries(ISOLATED_ENV.map((k) => [k, ''])),
+      STORE_DIR: tmpDir('store'),
+      NARRATIVE_CACHE_DIR: tmpDir('narratives'),
+      LISTS_DIR: tmpDir('lists'),
+      SCREENS_DIR: tmpDir('screens'),
+      ALERTS_DIR: tmpDir('alerts'),
+      PRICES_DIR: tmpDir('prices'),
+      ALERT_INTERVAL_MS: '0',
+      ...env,
+      PORT: String(port),
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  const ready = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+    child.stdout.on('data', (d) => {
+      output += d;
+      if (output.includes('Server running')) { clearTimeout(timer); resolve(); }
+    });
+    child.stderr.on('data', (d) => { output += d; });
+    child.on('exit', (code) => { clearTimeout(timer); reject(new Error(`Server exited (${code}):\n${output}`)); });
+  });
+  try {
+    await ready;
+  } catch (err) {
+    child.kill();
+    throw err;
+  }
+  return {
+    url: `http://127.0.0.1:${port}`,
+    output: () => output,
+    stop: () => new Promise((resolve) => {
+      if (child.exitCode != null) return resolve();
+      child.once('exit', resolve);
+      child.kill();
+    }),
+  };
+}
+
+/**
+ * Stub HTTP upstream: `handler(req, body, res)` answers each request; every request is recorded
+ * as { method, url, body }. Resolves to { url, requests, close }.
+ */
+export async function startStub(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (d) => { raw += d; });
+    req.on('end', () => {
+      let body = raw;
+      try { body = raw ? JSON.parse(raw) : null; } catch { /* keep the raw text */ }
+      requests.push({ method: req.method, url: req.url, body });
+      handler(req, body, res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => { server.closeAllConnections(); server.close(resolve); }),
+  };
+}
+
+export const sendJson = (res, status, payload) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+};
+
+/** Read a text/event-stream response into [{ event, data }] (data JSON-parsed). */
+export async function readSse(res) {
+  const text = await res.text();
+  return text.split('\n\n').filter((block) => block.trim()).map((block) => {
+    const event = /^event: (.*)$/m.exec(block)?.[1] ?? 'message';
+    const data = /^data: (.*)$/m.exec(block)?.[1];
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+}
@@ -0,0 +1,56 @@
+// Saved watchlists / portfolios (lists.js): validation and the list currency cost bases are kept in.
+
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { seedStore, startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  const STORE_DIR = seedStore(undefined, { exchange: 'XETRA', ticker: 'SAP', meta: { currency: 'EUR' } });
+  seedStore(STORE_DIR, { exchange: 'NAS', ticker: 'TEST' });
+  server = await startServer({ STORE_DIR });
+});
+
+after(() => server?.stop());
+
+const put = (id, body) => fetch(`${server.url}/lists/${id}`, {
+  method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+});
+
+test('a list without a currency is pinned to its first holding\'s reporting currency', async () => {
+  let res = await put('mixed', { name: 'Mixed', kind: 'portfolio', items: [] });
+  assert.equal(res.status, 201);
+  assert.equal((await res.json()).currency, null); // nothing to pin yet
+
+  res = await put('mixed', {
+    name: 'Mixed', kind: 'portfolio', currency: null,
+    items: [{ exchange: 'xetra', ticker: 'sap', shares: 10, costBasis: 100 }, { exchange: 'NAS', ticker: 'TEST', shares: 5 }],
+  });
+  assert.equal(res.status, 200);
+  const saved = await res.json();
+  assert.equal(saved.currency, 'EUR'); // stored company metadata, not the exchange default
+  assert.deepEqual(saved.items[0], { exchange: 'XETRA', ticker: 'SAP', shares: 10, costBasis: 100 });
+
+  // Reordering or removing holdings later keeps the pinned currency
+  res = await put('mixed', { ...saved, items: [saved.items[1]] });
+  assert.equal((await res.json()).currency, 'EUR');
+
+  res = await put('usd', { name: 'USD', currency: 'USD', items: [{ exchange: 'XETRA', ticker: 'SAP' }] });
+  assert.equal((await res.json()).currency, 'USD');
+});
+
+test('invalid lists are rejected', async () => {
+  assert.equal((await put('Bad Id', { name: 'x', items: [] })).status, 400);
+  assert.equal((await put('dupes', { name: 'Dupes', items: [{ exchange: 'NAS', ticker: 'TEST' }, { exchange: 'nas', ticker: 'test' }] })).status, 400);
+  assert.equal((await put('neg', { name: 'Neg', items: [{ exchange: 'NAS', ticker: 'TEST', costBasis: -1 }] })).status, 400);
+});
+
+test('browsers may PUT lists cross-origin', async () => {
+  const res = await fetch(`${server.url}/lists/mixed`, {
+    method: 'OPTIONS',
+    headers: { Origin: 'http://localhost:5173', 'Access-Control-Request-Method': 'PUT' },
+  });
+  assert.equal(res.status, 204);
+  assert.ok(res.headers.get('access-control-allow-methods').split(',').includes('PUT'));
+});
@@ -0,0 +1,138 @@
+// LLM provider layer (llm.js): retry with backoff, timeouts and an unknown LLM_PROVIDER.
+// llm.js reads its env at import time, so the stub upstream is started first and the module
+// is imported afterwards (each test file runs in its own process).
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { seedStore, startServer, startStub, sendJson } from './helpers.js';
+
+let stub, llm;
+let mode; // how the stub answers: 'ok' | 'hang' | HTTP status
+
+before(async () => {
+  stub = await startStub((req, body, res) => {
+    if (mode === 'hang') return; // never answers; the client times out
+    if (mode !== 'ok') return sendJson(res, mode, { error: { message: 'stub failure' } });
+    sendJson(res, 200, {
+      id: 'c1', object: 'chat.completion', created: 0, model: body.model,
+      choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: '{"summary":"ok"}' } }],
+    });
+  });
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'openai',
+    OPENAI_API_KEY: 'test-key',
+    OPENAI_BASE_URL: stub.url,
+    OPENAI_TIMEOUT_MS: '200',
+    LLM_RETRIES: '1',
+    LLM_RETRY_BASE_MS: '10',
+  });
+  llm = await import('../llm.js');
+});
+
+after(() => stub?.close());
+
+beforeEach(() => {
+  mode = 'ok';
+  stub.requests.length = 0;
+});
+
+const retryable = () => new llm.LLMError('ai_request_failed', 'HTTP 503', { status: 503, retryable: true });
+
+test('withRetry: backs off exponentially between attempts', async () => {
+  const at = [];
+  const result = await llm.withRetry(async (attempt) => {
+    at.push(Date.now());
+    if (attempt < 3) throw retryable();
+    return 'done';
+  }, { retries: 3, baseMs: 40 });
+  assert.equal(result, 'done');
+  assert.equal(at.length, 4);
+  const gaps = at.slice(1).map((t, i) => t - at[i]);
+  // base, 2×base, 4×base (+ up to 25% jitter)
+  [40, 80, 160].forEach((ms, i) => assert.ok(gaps[i] >= ms - 5 && gaps[i] < ms * 1.25 + 60, `gap ${i}: ${gaps[i]}ms`));
+});
+
+test('withRetry: gives up after `retries` and rethrows as LLMError', async () => {
+  let calls = 0;
+  await assert.rejects(
+    llm.withRetry(async () => { calls++; throw new Error('socket hang up'); }, { retries: 2, baseMs: 1 }),
+    (err) => err instanceof llm.LLMError && err.code === 'ai_request_failed' && err.message === 'socket hang up'
+  );
+  assert.equal(calls, 3);
+});
+
+test('withRetry: no retry for non-retryable errors or once canRetry() is false', async () => {
+  let calls = 0;
+  const fatal = new llm.LLMError('ai_request_failed', 'HTTP 401', { status: 401 });
+  await assert.rejects(llm.withRetry(async () => { calls++; throw fatal; }, { retries: 3, baseMs: 1 }), fatal);
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(
+    llm.withRetry(async () => { calls++; throw retryable(); }, { retries: 3, baseMs: 1, canRetry: () => false }),
+    { code: 'ai_request_failed' }
+  );
+  assert.equal(calls, 1);
+});
+
+test('withRetry: an abort during the backoff rejects with the abort reason', async () => {
+  const ctrl = new AbortController();
+  const reason = new Error('client went away');
+  setTimeout(() => ctrl.abort(reason), 20);
+  let calls = 0;
+  await assert.rejects(
+    llm.withRetry(async () => { calls++; throw retryable(); }, { retries: 3, baseMs: 1000, signal: ctrl.signal }),
+    reason
+  );
+  assert.equal(calls, 1);
+});
+
+test('openai provider: completes against the configured endpoint', async () => {
+  const provider = llm.getProvider();
+  assert.equal(provider.name, 'openai');
+  assert.equal(await provider.complete([{ role: 'user', content: 'hi' }], { json: true }), '{"summary":"ok"}');
+  assert.deepEqual(stub.requests[0].body.response_format, { type: 'json_object' });
+});
+
+test('openai provider: 5xx is retried, 4xx is not', async () => {
+  mode = 500;
+  await assert.rejects(llm.getProvider().complete([{ role: 'user', content: 'hi' }]), { code: 'ai_request_failed', message: 'HTTP 500', status: 500 });
+  assert.equal(stub.requests.length, 2); // LLM_RETRIES=1
+
+  stub.requests.length = 0;
+  mode = 401;
+  await assert.rejects(llm.getProvider().complete([{ role: 'user', content: 'hi' }]), { code: 'ai_request_failed', status: 401 });
+  assert.equal(stub.requests.length, 1);
+});
+
+test('openai provider: a request past OPENAI_TIMEOUT_MS fails with ai_timeout after retrying', async () => {
+  mode = 'hang';
+  const started = Date.now();
+  await assert.rejects(llm.getProvider().complete([{ role: 'user', content: 'hi' }]), { code: 'ai_timeout' });
+  assert.equal(stub.requests.length, 2);
+  assert.ok(Date.now() - started >= 400);
+});
+
+test('an unknown LLM_PROVIDER starts the server and reports ai_not_configured', async () => {
+  const server = await startServer({ LLM_PROVIDER: 'bogus', STORE_DIR: seedStore() });
+  try {
+    assert.match(server.output(), /Unknown LLM_PROVIDER "bogus"/);
+    const res = await fetch(`${server.url}/report/stream?exchange=NAS&ticker=TEST`);
+    assert.equal(res.status, 503);
+    const body = await res.json();
+    assert.equal(body.code, 'ai_not_configured');
+    assert.match(body.error, /Unknown LLM_PROVIDER "bogus"/);
+
+    const report = await fetch(`${server.url}/report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ exchange: 'NAS', ticker: 'TEST' }),
+    });
+    assert.equal(report.status, 200);
+    const { aiNarrative, aiError } = await report.json();
+    assert.equal(aiNarrative, null);
+    assert.equal(aiError.code, 'ai_not_configured');
+  } finally {
+    await server.stop();
+  }
+});
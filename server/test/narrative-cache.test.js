@@ -0,0 +1,101 @@
+// Narrative completion and disk cache (narrative.js) through the mock provider.
+
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { NARRATIVE_KEYS } from '../../shared/narrative.js';
+import { tmpDir } from './helpers.js';
+
+let narrative;
+const CACHE_DIR = tmpDir('narratives');
+
+before(async () => {
+  Object.assign(process.env, { LLM_PROVIDER: 'mock', MOCK_MODEL: 'mock-test', MOCK_DELAY_MS: '1', NARRATIVE_CACHE_DIR: CACHE_DIR });
+  narrative = await import('../narrative.js');
+});
+
+const messagesFor = (ticker) => [
+  { role: 'system', content: 'Reply with JSON sections.' },
+  { role: 'user', content: `Ticker ${ticker} on NAS.` },
+];
+const cacheFiles = () => fs.readdirSync(CACHE_DIR).filter((f) => f.endsWith('.json'));
+
+test('the mock provider is reported as configured', () => {
+  assert.deepEqual(narrative.narrativeInfo(), { provider: 'mock', model: 'mock-test' });
+  assert.equal(narrative.narrativeUnavailable(), null);
+});
+
+test('completeNarrative: writes the cache on a miss and reads it on the next call', async () => {
+  const messages = messagesFor('AAA');
+  assert.equal(narrative.cachedNarrative(messages), null);
+
+  const first = await narrative.completeNarrative(messages);
+  assert.equal(first.cached, false);
+  assert.deepEqual(Object.keys(first.sections), NARRATIVE_KEYS);
+  assert.match(first.sections.summary, /^Mock summary for AAA/);
+  assert.equal(first.provider, 'mock');
+  assert.equal(first.model, 'mock-test');
+  assert.equal(cacheFiles().length, 1);
+
+  const file = path.join(CACHE_DIR, cacheFiles()[0]);
+  const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual(stored, { sections: first.sections, provider: 'mock', model: 'mock-test', createdAt: first.createdAt });
+
+  const second = await narrative.completeNarrative(messages);
+  assert.deepEqual(second, { ...stored, cached: true });
+});
+
+test('streamNarrative: a cache hit resolves without tokens; refresh streams and rewrites', async () => {
+  const messages = messagesFor('BBB');
+  const tokens = [];
+  const fresh = await narrative.streamNarrative(messages, { onToken: (t) => tokens.push(t) });
+  assert.equal(fresh.cached, false);
+  assert.ok(tokens.length > 1);
+  assert.deepEqual(JSON.parse(tokens.join('')), fresh.sections);
+
+  tokens.length = 0;
+  const hit = await narrative.streamNarrative(messages, { onToken: (t) => tokens.push(t) });
+  assert.equal(hit.cached, true);
+  assert.equal(tokens.length, 0);
+
+  const refreshed = await narrative.streamNarrative(messages, { refresh: true, onToken: (t) => tokens.push(t) });
+  assert.equal(refreshed.cached, false);
+  assert.ok(tokens.length > 0);
+  assert.deepEqual(refreshed.sections, fresh.sections); // deterministic output for the same input
+});
+
+test('the cache key follows the prompt: other data is a miss', async () => {
+  await narrative.completeNarrative(messagesFor('CCC'));
+  assert.ok(narrative.cachedNarrative(messagesFor('CCC')));
+  assert.equal(narrative.cachedNarrative(messagesFor('DDD')), null);
+});
+
+test('an unreadable cache entry counts as a miss and is replaced', async () => {
+  const messages = messagesFor('EEE');
+  const before = new Set(cacheFiles());
+  await narrative.completeNarrative(messages);
+  const [file] = cacheFiles().filter((f) => !before.has(f));
+  fs.writeFileSync(path.join(CACHE_DIR, file), '{ not json');
+
+  assert.equal(narrative.cachedNarrative(messages), null);
+  const again = await narrative.completeNarrative(messages);
+  assert.equal(again.cached, false);
+  assert.ok(narrative.cachedNarrative(messages));
+});
+
+test('streamNarrative: aborting the signal stops the stream with the abort reason', async () => {
+  const ctrl = new AbortController();
+  const reason = new Error('client went away');
+  const tokens = [];
+  await assert.rejects(
+    narrative.streamNarrative(messagesFor('FFF'), {
+      refresh: true,
+      signal: ctrl.signal,
+      onToken: (t) => { tokens.push(t); if (tokens.length === 2) ctrl.abort(reason); },
+    }),
+    reason
+  );
+  assert.equal(tokens.length, 2);
+  assert.equal(narrative.cachedNarrative(messagesFor('FFF')), null);
+});
@@ -0,0 +1,39 @@
+// Parsing the model's JSON sections (shared/narrative.js).
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { NARRATIVE_KEYS, parseNarrative, partialNarrative } from '../../shared/narrative.js';
+
+test('parseNarrative: plain, fenced and wrapped JSON', () => {
+  const obj = { summary: 'S', growth: 'G', profitability: 'P', valuation: 'V', risks: 'R' };
+  const expected = { sections: obj, error: null };
+  assert.deepEqual(parseNarrative(JSON.stringify(obj)), expected);
+  assert.deepEqual(parseNarrative('```json\n' + JSON.stringify(obj) + '\n```'), expected);
+  assert.deepEqual(parseNarrative(`Here you go: ${JSON.stringify(obj)} Hope it helps.`), expected);
+});
+
+test('parseNarrative: fills every section, joining lists as bullets', () => {
+  const { sections, error } = parseNarrative(JSON.stringify({ summary: ' Fine. ', risks: ['FX', 'Debt'], extra: 'x' }));
+  assert.equal(error, null);
+  assert.deepEqual(Object.keys(sections), NARRATIVE_KEYS);
+  assert.equal(sections.summary, 'Fine.');
+  assert.equal(sections.risks, '• FX\n• Debt');
+  assert.equal(sections.growth, '');
+});
+
+test('parseNarrative: error codes for empty and non-section output', () => {
+  assert.deepEqual(parseNarrative(''), { sections: null, error: 'ai_empty_response' });
+  assert.deepEqual(parseNarrative('  \n'), { sections: null, error: 'ai_empty_response' });
+  assert.deepEqual(parseNarrative('no json here'), { sections: null, error: 'ai_invalid_json' });
+  assert.deepEqual(parseNarrative('{"summary": '), { sections: null, error: 'ai_invalid_json' });
+  assert.deepEqual(parseNarrative('{"answer": "42"}'), { sections: null, error: 'ai_invalid_json' });
+});
+
+test('partialNarrative: sections seen so far, including one still being written', () => {
+  assert.deepEqual(partialNarrative(''), {});
+  assert.deepEqual(partialNarrative('{"summary": "Revenue grew \\"fast\\".", "growth": "Up 1'), {
+    summary: 'Revenue grew "fast".',
+    growth: 'Up 1',
+  });
+  assert.deepEqual(partialNarrative('{"summary": "Line\\'), { summary: 'Line' });
+});
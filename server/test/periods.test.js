@@ -0,0 +1,89 @@
+// Fiscal periods (shared/periods.js): TTM rows, annual rows derived from quarters, growth and the FV basis.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { annualRows, ttmRows, periodGrowth, ttmFairValues, latestFairValue, periodKey } from '../../shared/periods.js';
+
+const quarter = (year, q, revenue, netIncome, extra = {}) => ({
+  year, quarter: q, revenue, netIncome, eps: netIncome / 100, cash: 10 * q, sharesOutstanding: 100 + q, ...extra,
+});
+
+// FY2022 annual; FY2023 as four quarters only; FY2024 Q1–Q2
+const ROWS = [
+  { year: 2022, revenue: 360, netIncome: 36, eps: 0.36, cash: 5, sharesOutstanding: 100 },
+  quarter(2023, 1, 100, 10), quarter(2023, 2, 110, 11), quarter(2023, 3, 120, 12), quarter(2023, 4, 130, 13),
+  quarter(2024, 1, 140, 14), quarter(2024, 2, 150, 15),
+];
+
+test('ttmRows: one row per quarter closing four consecutive quarters, flows summed and balances latest', () => {
+  const ttm = ttmRows(ROWS);
+  assert.deepEqual(ttm.map(periodKey), ['FY2023Q4', 'FY2024Q1', 'FY2024Q2']);
+  assert.deepEqual(ttm.map((r) => r.revenue), [460, 500, 540]);
+  assert.deepEqual(ttm.map((r) => r.netIncome), [46, 50, 54]);
+  assert.ok(ttm.every((r) => r.ttm));
+  assert.deepEqual([ttm[2].cash, ttm[2].sharesOutstanding], [20, 102]); // FY2024 Q2 balances
+});
+
+test('ttmRows: a missing quarter breaks the run, a missing value nulls only that field', () => {
+  const gap = [quarter(2023, 1, 1, 1), quarter(2023, 2, 1, 1), quarter(2023, 4, 1, 1), quarter(2024, 1, 1, 1), quarter(2024, 2, 1, 1)];
+  assert.deepEqual(ttmRows(gap), []);
+  const missing = [quarter(2023, 1, 1, 1), quarter(2023, 2, null, 1), quarter(2023, 3, 1, 1), quarter(2023, 4, 1, 1)];
+  const [row] = ttmRows(missing);
+  assert.equal(row.revenue, null);
+  assert.equal(row.netIncome, 4);
+  assert.deepEqual(ttmRows([{ year: 2023, revenue: 1 }]), []);
+});
+
+test('annualRows: a fiscal year with only its four quarters becomes a derived annual row', () => {
+  const annual = annualRows(ROWS);
+  assert.deepEqual(annual.map(periodKey), ['FY2022', 'FY2023']); // FY2024 has only two quarters
+  const [given, derived] = annual;
+  assert.equal(given.derived, undefined);
+  assert.equal(derived.derived, true);
+  assert.equal(derived.quarter, null);
+  assert.equal(derived.revenue, 460);
+  assert.equal(derived.cash, 40);
+  assert.equal(derived.sharesOutstanding, 104);
+
+  // An annual row wins over that year's quarters
+  const both = annualRows([...ROWS, { year: 2023, revenue: 999, netIncome: 99 }]);
+  assert.deepEqual(both.map((r) => r.revenue), [360, 999]);
+});
+
+test('rolled-up rows sum EPS over the four quarters', () => {
+  const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-12, `${a} is not close to ${b}`);
+  close(annualRows(ROWS)[1].eps, 0.46);
+  close(ttmRows(ROWS)[2].eps, 0.54);
+  const noEps = ROWS.map((r) => (r.year === 2023 && r.quarter === 3 ? { ...r, eps: undefined } : r));
+  assert.equal(annualRows(noEps)[1].eps, null);
+});
+
+test('periodGrowth: matches yoy and qoq by period, gaps give null', () => {
+  const qs = [quarter(2023, 1, 100, 1), quarter(2023, 2, 110, 1), quarter(2023, 4, 130, 1), quarter(2024, 1, 120, 1), quarter(2024, 2, 99, 1)];
+  const yoy = periodGrowth(qs, 'revenue', 'yoy');
+  assert.deepEqual(yoy.map((g) => g.period), ['FY2023 Q1', 'FY2023 Q2', 'FY2023 Q4', 'FY2024 Q1', 'FY2024 Q2']);
+  assert.deepEqual(yoy.map((g) => g.growth), [null, null, null, 0.2, -0.1]);
+
+  const qoq = periodGrowth(qs, 'revenue', 'qoq');
+  // FY2023 Q4 follows a missing Q3; FY2024 Q1 compares with FY2023 Q4 across the year boundary
+  assert.deepEqual(qoq.map((g) => g.growth), [null, 0.1, null, (120 - 130) / 130, (99 - 120) / 120]);
+
+  const annual = periodGrowth([{ year: 2020, revenue: 100 }, { year: 2022, revenue: 150 }, { year: 2023, revenue: 180 }]);
+  assert.deepEqual(annual.map((g) => g.growth), [null, null, 0.2]);
+  assert.deepEqual([annual[2].year, annual[2].quarter], [2023, null]);
+});
+
+test('latestFairValue: TTM when it reaches a later fiscal year than the last annual row', () => {
+  const fair = [{ year: 2022, fairValuePerShare: 9 }, { year: 2023, fairValuePerShare: 11 }];
+  const ttmFair = ttmFairValues(ROWS, 20); // FY2024 Q2: 54 × 20 / 102
+  assert.deepEqual(latestFairValue(fair, ttmFair), { value: (54 * 20) / 102, period: 'FY2024 Q2', basis: 'ttm' });
+
+  // Same fiscal year: the annual value stands
+  const sameYear = [{ year: 2023, quarter: 4, period: 'FY2023 Q4', fairValuePerShare: 12 }];
+  assert.deepEqual(latestFairValue(fair, sameYear), { value: 11, period: 2023, basis: 'annual' });
+
+  // Missing values are skipped on both sides
+  assert.deepEqual(latestFairValue([...fair, { year: 2024, fairValuePerShare: null }]), { value: 11, period: 2023, basis: 'annual' });
+  assert.deepEqual(latestFairValue([], sameYear), { value: 12, period: 'FY2023 Q4', basis: 'ttm' });
+  assert.equal(latestFairValue([], []), null);
+});
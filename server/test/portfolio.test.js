@@ -0,0 +1,75 @@
+// Portfolio math (shared/portfolio.js): per-holding lines, portfolio totals and the list currency.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { valueHolding, portfolioTotals, listCurrency } from '../../shared/portfolio.js';
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} is not close to ${expected}`);
+
+test('valueHolding: upside, margin of safety, position and gain', () => {
+  const line = valueHolding({ shares: 10, costBasis: 40, price: 50, fairValue: 80 });
+  close(line.upside, 0.6);
+  close(line.marginOfSafety, 0.375);
+  assert.deepEqual(
+    [line.positionValue, line.fairPositionValue, line.costValue, line.gain],
+    [500, 800, 400, 100],
+  );
+});
+
+test('valueHolding: missing inputs give null figures, not zeros', () => {
+  const watch = valueHolding({ price: 50, fairValue: 40 }); // watchlist item: no shares
+  close(watch.marginOfSafety, -0.25);
+  assert.deepEqual([watch.positionValue, watch.costValue, watch.gain], [null, null, null]);
+
+  const noPrice = valueHolding({ shares: 10, costBasis: 40, price: 0, fairValue: 80 });
+  assert.deepEqual(
+    [noPrice.price, noPrice.upside, noPrice.marginOfSafety, noPrice.positionValue, noPrice.gain],
+    [null, null, null, null, null],
+  );
+  assert.equal(noPrice.fairPositionValue, 800);
+
+  const noFv = valueHolding({ shares: 10, price: 50, fairValue: -5 });
+  assert.deepEqual([noFv.fairValue, noFv.marginOfSafety, noFv.positionValue, noFv.costValue], [null, null, 500, null]);
+});
+
+test('portfolioTotals: margin of safety weighted by position value over valued holdings', () => {
+  const lines = [
+    valueHolding({ shares: 10, costBasis: 40, price: 50, fairValue: 100 }), // 500, MoS 0.5
+    valueHolding({ shares: 30, costBasis: 10, price: 10, fairValue: 8 }), // 300, MoS -0.25
+    valueHolding({ shares: 20, price: 10 }), // 200, no fair value
+    valueHolding({ shares: 5, fairValue: 20 }), // no price
+  ];
+  const t = portfolioTotals(lines);
+  assert.equal(t.totalValue, 1000);
+  assert.equal(t.totalFairValue, 1000 + 240 + 100);
+  assert.equal(t.totalCost, 700);
+  assert.equal(t.totalGain, 100);
+  close(t.weightedMarginOfSafety, (0.5 * 500 - 0.25 * 300) / 800);
+  close(t.coverage, 0.8);
+});
+
+test('portfolioTotals: no cost basis anywhere means no gain; nothing priced means no averages', () => {
+  const uncosted = portfolioTotals([valueHolding({ shares: 10, price: 50, fairValue: 60 })]);
+  assert.equal(uncosted.totalGain, null);
+  assert.equal(uncosted.totalCost, 0);
+  assert.equal(uncosted.coverage, 1);
+
+  const unpriced = portfolioTotals([valueHolding({ shares: 10, costBasis: 5, fairValue: 60 })]);
+  assert.deepEqual(
+    [unpriced.totalValue, unpriced.totalGain, unpriced.weightedMarginOfSafety, unpriced.coverage],
+    [0, null, null, null],
+  );
+  assert.deepEqual(portfolioTotals([]), {
+    totalValue: 0, totalFairValue: 0, totalCost: 0, totalGain: null, weightedMarginOfSafety: null, coverage: null,
+  });
+});
+
+test('listCurrency: the list\'s own currency, else the first holding\'s, else the default', () => {
+  const currencyOf = (it) => ({ SAP: 'EUR', VOD: 'GBP' })[it.ticker] ?? null;
+  assert.equal(listCurrency({ currency: 'CHF', items: [{ ticker: 'SAP' }] }, currencyOf), 'CHF');
+  assert.equal(listCurrency({ currency: null, items: [{ ticker: 'VOD' }, { ticker: 'SAP' }] }, currencyOf), 'GBP');
+  assert.equal(listCurrency({ items: [{ ticker: 'XYZ' }] }, currencyOf), 'USD');
+  assert.equal(listCurrency({ items: [] }, currencyOf), 'USD');
+  assert.equal(listCurrency(null, currencyOf), 'USD');
+});
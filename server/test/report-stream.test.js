@@ -0,0 +1,136 @@
+// GET /report/stream against a stub OpenAI-compatible /chat/completions server.
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { NARRATIVE_KEYS, NARRATIVE_SECTIONS } from '../../shared/narrative.js';
+import { seedStore, startServer, startStub, sendJson, readSse } from './helpers.js';
+
+const SECTIONS = Object.fromEntries(NARRATIVE_KEYS.map((k) => [k, `Stub ${k}.`]));
+
+// What the stub answers next: a streamed `text`, or an HTTP `status`
+let reply;
+let stub, server, unconfigured;
+
+function chatCompletions(req, body, res) {
+  if (req.method !== 'POST' || req.url !== '/chat/completions') return sendJson(res, 404, { error: 'not found' });
+  if (reply.status) return sendJson(res, reply.status, { error: { message: 'stub failure' } });
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const part of reply.text.match(/[\s\S]{1,12}/g) ?? []) {
+    res.write(`data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: part } }] })}\n\n`);
+  }
+  res.end('data: [DONE]\n\n');
+}
+
+const stream = (srv, query) => fetch(`${srv.url}/report/stream?${new URLSearchParams(query)}`);
+const TEST_CO = { exchange: 'NAS', ticker: 'TEST' };
+
+before(async () => {
+  stub = await startStub(chatCompletions);
+  const STORE_DIR = seedStore();
+  server = await startServer({
+    STORE_DIR,
+    LLM_PROVIDER: 'openai',
+    OPENAI_API_KEY: 'test-key',
+    OPENAI_BASE_URL: stub.url,
+    OPENAI_MODEL: 'stub-model',
+    LLM_RETRIES: '0',
+  });
+  unconfigured = await startServer({ STORE_DIR });
+});
+
+after(async () => {
+  await Promise.all([server?.stop(), unconfigured?.stop()]);
+  await stub?.close();
+});
+
+beforeEach(() => {
+  reply = { text: JSON.stringify(SECTIONS) };
+  stub.requests.length = 0;
+});
+
+test('streams meta, tokens and done with the structured sections', async () => {
+  const res = await stream(server, { ...TEST_CO, refresh: '1' });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+  const events = await readSse(res);
+
+  assert.equal(events[0].event, 'meta');
+  assert.deepEqual(events[0].data, {
+    ticker: 'TEST', exchange: 'NAS', version: 1, provider: 'openai', model: 'stub-model', cached: false,
+    sections: NARRATIVE_SECTIONS,
+  });
+  const tokens = events.slice(1, -1);
+  assert.ok(tokens.length > 1);
+  assert.ok(tokens.every((e) => e.event === 'token'));
+  assert.equal(tokens.map((e) => e.data.text).join(''), JSON.stringify(SECTIONS));
+
+  const done = events[events.length - 1];
+  assert.equal(done.event, 'done');
+  assert.deepEqual(done.data.sections, SECTIONS);
+  assert.equal(done.data.cached, false);
+
+  // The prompt carries the stored rows
+  assert.equal(stub.requests.length, 1);
+  assert.equal(stub.requests[0].body.stream, true);
+  assert.equal(stub.requests[0].body.model, 'stub-model');
+  assert.match(stub.requests[0].body.messages[1].content, /Ticker TEST on NAS/);
+});
+
+test('replays a cached narrative without calling the provider', async () => {
+  await readSse(await stream(server, { ...TEST_CO, refresh: '1' }));
+  stub.requests.length = 0;
+  reply = { status: 500 }; // would fail if asked
+
+  const events = await readSse(await stream(server, TEST_CO));
+  assert.deepEqual(events.map((e) => e.event), ['meta', 'done']);
+  assert.equal(events[0].data.cached, true);
+  assert.equal(events[1].data.cached, true);
+  assert.deepEqual(events[1].data.sections, SECTIONS);
+  assert.ok(events[1].data.createdAt);
+  assert.equal(stub.requests.length, 0);
+});
+
+test('refresh=1 skips the cache', async () => {
+  await readSse(await stream(server, TEST_CO));
+  stub.requests.length = 0;
+  const events = await readSse(await stream(server, { ...TEST_CO, refresh: '1' }));
+  assert.equal(events[0].data.cached, false);
+  assert.equal(stub.requests.length, 1);
+});
+
+test('upstream HTTP errors end the stream with ai_request_failed', async () => {
+  reply = { status: 401 };
+  const events = await readSse(await stream(server, { ...TEST_CO, refresh: '1' }));
+  assert.deepEqual(events.map((e) => e.event), ['meta', 'error']);
+  assert.equal(events[1].data.code, 'ai_request_failed');
+  assert.match(events[1].data.message, /HTTP 401/);
+});
+
+test('unusable model output ends the stream with ai_invalid_json / ai_empty_response', async () => {
+  reply = { text: 'Sorry, I cannot help with that.' };
+  let events = await readSse(await stream(server, { ...TEST_CO, refresh: '1' }));
+  assert.equal(events[events.length - 1].event, 'error');
+  assert.equal(events[events.length - 1].data.code, 'ai_invalid_json');
+
+  reply = { text: '' };
+  events = await readSse(await stream(server, { ...TEST_CO, refresh: '1' }));
+  assert.deepEqual(events.map((e) => e.event), ['meta', 'error']);
+  assert.equal(events[1].data.code, 'ai_empty_response');
+});
+
+test('reports ai_not_configured as JSON when no provider is set', async () => {
+  const res = await stream(unconfigured, TEST_CO);
+  assert.equal(res.status, 503);
+  assert.equal((await res.json()).code, 'ai_not_configured');
+});
+
+test('rejects bad queries and unknown companies before streaming', async () => {
+  let res = await stream(server, { exchange: 'NAS' });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).code, 'invalid_query');
+
+  res = await stream(server, { exchange: 'NAS', ticker: 'NOPE' });
+  assert.equal(res.status, 404);
+  assert.equal((await res.json()).code, 'dataset_not_found');
+  assert.equal(stub.requests.length, 0);
+});
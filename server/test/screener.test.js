@@ -0,0 +1,130 @@
+// Screener (shared/screener.js, screener.js): query parsing, filtering / sorting and GET /screener.
+
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { parseFiltersParam, parseSortParam, filtersToParam, sortToParam, applyScreen, DEFAULT_SCREEN } from '../../shared/screener.js';
+import { seedStore, startServer, startStub, sendJson, tmpDir } from './helpers.js';
+
+test('parseFiltersParam: metric:op:value list, round-trips with filtersToParam', () => {
+  assert.deepEqual(parseFiltersParam(''), []);
+  assert.deepEqual(parseFiltersParam(undefined), []);
+  const filters = parseFiltersParam('revenueCAGR:>:0.1,netMargin:>=:0.15,revenueGrowth:<:-0.05,upside:<=:-1e-3');
+  assert.deepEqual(filters, [
+    { metric: 'revenueCAGR', op: '>', value: 0.1 },
+    { metric: 'netMargin', op: '>=', value: 0.15 },
+    { metric: 'revenueGrowth', op: '<', value: -0.05 },
+    { metric: 'upside', op: '<=', value: -0.001 },
+  ]);
+  assert.deepEqual(parseFiltersParam(filtersToParam(filters)), filters);
+});
+
+test('parseFiltersParam: unknown metric or operator and non-numeric values throw', () => {
+  assert.throws(() => parseFiltersParam('marketCap:>:1'), /unknown metric "marketCap"/);
+  assert.throws(() => parseFiltersParam('netMargin:=:0.1'), /unknown operator "="/);
+  assert.throws(() => parseFiltersParam('netMargin:>:'), /needs a numeric value/);
+  assert.throws(() => parseFiltersParam('netMargin:>:ten'), /needs a numeric value/);
+  assert.throws(() => parseFiltersParam('netMargin:>'), /needs a numeric value/);
+  assert.throws(() => parseFiltersParam('netMargin:>:0.1,'), /unknown metric ""/);
+});
+
+test('parseSortParam: metric[:dir], defaulting to desc and to DEFAULT_SCREEN.sort', () => {
+  assert.deepEqual(parseSortParam(''), DEFAULT_SCREEN.sort);
+  assert.deepEqual(parseSortParam('netMargin'), { metric: 'netMargin', dir: 'desc' });
+  assert.deepEqual(parseSortParam('price:asc'), { metric: 'price', dir: 'asc' });
+  assert.deepEqual(parseSortParam(sortToParam({ metric: 'upside', dir: 'asc' })), { metric: 'upside', dir: 'asc' });
+  assert.throws(() => parseSortParam('bogus:asc'), /invalid sort/);
+  assert.throws(() => parseSortParam('price:up'), /invalid sort/);
+});
+
+test('applyScreen: filters drop missing values, sorting puts them last either way', () => {
+  const items = [
+    { ticker: 'A', upside: 0.1, netMargin: 0.2 },
+    { ticker: 'B', upside: null, netMargin: 0.3 },
+    { ticker: 'C', upside: -0.2, netMargin: null },
+    { ticker: 'D', upside: 0.5, netMargin: 0.1 },
+    { ticker: 'E', upside: NaN, netMargin: 0.25 },
+  ];
+  const tickers = (list) => list.map((i) => i.ticker);
+  assert.deepEqual(tickers(applyScreen(items)), ['D', 'A', 'C', 'B', 'E']);
+  assert.deepEqual(tickers(applyScreen(items, { sort: { metric: 'upside', dir: 'asc' } })), ['C', 'A', 'D', 'B', 'E']);
+  assert.deepEqual(tickers(applyScreen(items, { filters: [{ metric: 'netMargin', op: '>=', value: 0.2 }], sort: { metric: 'netMargin', dir: 'asc' } })), ['A', 'E', 'B']);
+  assert.deepEqual(tickers(applyScreen(items, { filters: [{ metric: 'upside', op: '<', value: 0 }] })), ['C']);
+  assert.deepEqual(tickers(applyScreen(items, { sort: null })), ['A', 'B', 'C', 'D', 'E']);
+});
+
+/* ============================== GET /screener ============================== */
+let stub, server, live;
+
+before(async () => {
+  // TwelveData stub: a quote of 60 for every symbol, no statistics
+  stub = await startStub((req, _body, res) => {
+    const endpoint = new URL(req.url, 'http://stub').pathname.slice(1);
+    if (endpoint === 'price') return sendJson(res, 200, { price: '60' });
+    if (endpoint === 'statistics') return sendJson(res, 200, { meta: { currency: 'USD' }, statistics: {} });
+    return sendJson(res, 200, {});
+  });
+  const STORE_DIR = seedStore();
+  seedStore(STORE_DIR, { exchange: 'XETRA', ticker: 'SAP', meta: { currency: 'EUR' } });
+  const PRICES_DIR = tmpDir('prices');
+  fs.writeFileSync(path.join(PRICES_DIR, 'NAS_TEST.json'), JSON.stringify({
+    ticker: 'TEST', exchange: 'NAS', currency: 'USD', points: [{ date: '2020-01-02', close: 40 }],
+  }));
+  const env = { STORE_DIR, PRICES_DIR, TARGET_PE: '25' };
+  server = await startServer(env);
+  live = await startServer({ ...env, TWELVE_API_KEY: 'test-key', TWELVE_BASE_URL: stub.url });
+});
+
+after(async () => {
+  await Promise.all([server?.stop(), live?.stop()]);
+  await stub?.close();
+});
+
+const screen = async (srv, query = {}) => {
+  const res = await fetch(`${srv.url}/screener?${new URLSearchParams(query)}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test('GET /screener: metrics per stored company from the stored close', async () => {
+  const { status, body } = await screen(server, { sort: 'upside:desc' });
+  assert.equal(status, 200);
+  assert.equal(body.total, 2);
+  const [first, second] = body.items;
+  assert.equal(first.ticker, 'TEST'); // SAP has no price: sorted last
+  assert.equal(first.fairValuePerShare, 47.5); // 190 × 25 / 100
+  assert.equal(first.price, 40);
+  assert.equal(first.priceSource, 'close 2020-01-02');
+  assert.equal(first.upside, 47.5 / 40 - 1);
+  assert.deepEqual([second.ticker, second.currency, second.price, second.upside], ['SAP', 'EUR', null, null]);
+});
+
+test('GET /screener: a display currency without a known rate blanks the money columns', async () => {
+  const { body } = await screen(server, { currency: 'USD' });
+  const sap = body.items.find((i) => i.ticker === 'SAP');
+  const usd = body.items.find((i) => i.ticker === 'TEST');
+  assert.deepEqual([sap.converted, sap.currency, sap.fairValuePerShare, sap.price], [false, 'EUR', null, null]);
+  assert.ok(sap.netMargin > 0); // ratios need no rate
+  assert.deepEqual([usd.converted, usd.currency, usd.fairValuePerShare], [true, 'USD', 47.5]);
+
+  // Blanked values never pass a filter on them
+  const filtered = await screen(server, { currency: 'USD', filters: 'fairValuePerShare:>:0' });
+  assert.deepEqual(filtered.body.items.map((i) => i.ticker), ['TEST']);
+});
+
+test('GET /screener: live=1 prefers the quote over an old stored close', async () => {
+  const { body } = await screen(live, { live: '1' });
+  const item = body.items.find((i) => i.ticker === 'TEST');
+  assert.equal(item.price, 60);
+  assert.equal(item.priceSource, 'live');
+
+  const stored = (await screen(live)).body.items.find((i) => i.ticker === 'TEST');
+  assert.equal(stored.priceSource, 'close 2020-01-02');
+});
+
+test('GET /screener: bad filters and sorts are 400s', async () => {
+  assert.equal((await screen(server, { filters: 'bogus:>:1' })).status, 400);
+  assert.equal((await screen(server, { filters: 'netMargin:>:x' })).status, 400);
+  assert.equal((await screen(server, { sort: 'netMargin:sideways' })).status, 400);
+  assert.equal((await screen(server, { currency: 'dollars' })).status, 400);
+});
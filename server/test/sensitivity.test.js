@@ -0,0 +1,87 @@
+// Sensitivity grid and scenarios (shared/sensitivity.js).
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_RANGE_VALUES, range, rangeStep, baseRow, meanNetIncomeGrowth, projectedFairValue,
+  sensitivityGrid, defaultScenarios, evaluateScenarios,
+} from '../../shared/sensitivity.js';
+
+const ROWS = [
+  { year: 2021, netIncome: 100, sharesOutstanding: 10 },
+  { year: 2022, netIncome: 110, sharesOutstanding: 10 },
+  { year: 2023, netIncome: 132, sharesOutstanding: 10 },
+  { year: 2024, revenue: 500 }, // no net income: not a base year
+];
+
+test('range: inclusive, no float drift, empty for invalid input', () => {
+  assert.deepEqual(range(10, 30, 5), [10, 15, 20, 25, 30]);
+  assert.deepEqual(range(10, 32, 5), [10, 15, 20, 25, 30]);
+  assert.deepEqual(range(0, 0.3, 0.1), [0, 0.1, 0.2, 0.3]);
+  assert.deepEqual(range(-10, 0, 5), [-10, -5, 0]);
+  assert.deepEqual(range(5, 5, 1), [5]);
+  assert.deepEqual(range(10, 5, 1), []);
+  assert.deepEqual(range(0, 10, 0), []);
+  assert.deepEqual(range(0, 10, -1), []);
+  assert.deepEqual(range(NaN, 10, 1), []);
+});
+
+test('range: a step that would exceed MAX_RANGE_VALUES is widened, still spanning min..max', () => {
+  assert.equal(rangeStep(0, 50, 1), 1); // 51 values: unchanged
+  assert.equal(rangeStep(0, 100, 1), 2);
+  assert.equal(rangeStep(0, 1000, 0.5), 20); // 2001 values -> every 40th
+  assert.equal(rangeStep(0, 10, 0), null);
+
+  const wide = range(0, 100, 1);
+  assert.equal(wide.length, MAX_RANGE_VALUES);
+  assert.equal(wide[0], 0);
+  assert.equal(wide[wide.length - 1], 100);
+
+  for (const [min, max, step] of [[0, 101, 1], [0, 152, 1], [-50, 50, 0.1], [5, 1e6, 0.01]]) {
+    const values = range(min, max, step);
+    assert.ok(values.length <= MAX_RANGE_VALUES && values.length > MAX_RANGE_VALUES / 2, `${min}..${max} by ${step}`);
+    assert.equal(values[0], min);
+    assert.ok(max - values[values.length - 1] < rangeStep(min, max, step) + 1e-9);
+  }
+});
+
+test('baseRow and meanNetIncomeGrowth use the usable years', () => {
+  assert.equal(baseRow(ROWS).year, 2023);
+  assert.equal(baseRow([{ year: 2023, netIncome: 5 }]), null);
+  assert.ok(Math.abs(meanNetIncomeGrowth(ROWS) - 0.15) < 1e-12); // (0.1 + 0.2) / 2
+  assert.equal(meanNetIncomeGrowth(ROWS.slice(0, 1)), null);
+});
+
+test('projectedFairValue: grows base net income, then netIncome × PE per share', () => {
+  const p = projectedFairValue(baseRow(ROWS), { targetPE: 20, growth: 0.1, years: 2 });
+  assert.equal(p.year, 2025);
+  assert.ok(Math.abs(p.netIncome - 132 * 1.21) < 1e-9);
+  assert.ok(Math.abs(p.fairValuePerShare - (132 * 1.21 * 20) / 10) < 1e-9);
+  assert.equal(projectedFairValue(null, { targetPE: 20, growth: 0 }), null);
+});
+
+test('sensitivityGrid: one row per growth, one cell per P/E, upside vs price', () => {
+  const grid = sensitivityGrid(ROWS, { peValues: [10, 20], growthValues: [0, 0.5], price: 264 });
+  assert.deepEqual(grid.map((r) => r.growth), [0, 0.5]);
+  assert.deepEqual(grid[0].cells.map((c) => c.fairValuePerShare), [132, 264]);
+  assert.deepEqual(grid[0].cells.map((c) => c.upside), [-0.5, 0]);
+  assert.deepEqual(grid[1].cells.map((c) => c.fairValuePerShare), [198, 396]);
+
+  const noPrice = sensitivityGrid(ROWS, { peValues: [10], growthValues: [0] });
+  assert.equal(noPrice[0].cells[0].upside, null);
+  const noBase = sensitivityGrid([{ year: 2023, netIncome: 1 }], { peValues: [10], growthValues: [0] });
+  assert.equal(noBase[0].cells[0].fairValuePerShare, null);
+});
+
+test('defaultScenarios and evaluateScenarios: bear / base / bull around the history', () => {
+  const scenarios = defaultScenarios(ROWS, 20);
+  assert.deepEqual(scenarios.map((s) => s.name), ['Bear', 'Base', 'Bull']);
+  assert.deepEqual(scenarios.map((s) => s.targetPE), [16, 20, 24]);
+  assert.ok(Math.abs(scenarios[0].growth - 0.1) < 1e-12);
+
+  const [bear, base, bull] = evaluateScenarios(ROWS, scenarios, 300);
+  assert.ok(bear.fairValuePerShare < base.fairValuePerShare && base.fairValuePerShare < bull.fairValuePerShare);
+  assert.ok(Math.abs(base.fairValuePerShare - 132 * 1.15 * 2) < 1e-9);
+  assert.ok(Math.abs(base.upside - (132 * 1.15 * 2) / 300 + 1) < 1e-9);
+  assert.equal(evaluateScenarios([], scenarios)[0].fairValuePerShare, null);
+});
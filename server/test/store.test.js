@@ -0,0 +1,39 @@
+// Versioned dataset store (store.js): versions, unchanged re-saves and the saved data-quality warnings.
+
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkDataQuality } from '../../shared/quality.js';
+import { tmpDir, ROWS } from './helpers.js';
+
+let store;
+
+before(async () => {
+  process.env.STORE_DIR = tmpDir('store');
+  store = await import('../store.js');
+});
+
+test('saveVersion: appends versions and skips identical rows', () => {
+  assert.deepEqual(store.saveVersion({ ticker: 'aaa', exchange: 'nas', rows: ROWS, sourceFile: 'a.xlsx' }), { version: 1, created: true });
+  assert.deepEqual(store.saveVersion({ ticker: 'AAA', exchange: 'NAS', rows: ROWS }), { version: 1, created: false });
+  const changed = ROWS.map((r) => ({ ...r, revenue: r.revenue + 1 }));
+  assert.deepEqual(store.saveVersion({ ticker: 'AAA', exchange: 'NAS', rows: changed }), { version: 2, created: true });
+
+  const { current, versions } = store.listVersions('NAS', 'AAA');
+  assert.equal(current, 2);
+  assert.deepEqual(versions.map((v) => [v.version, v.sourceFile, v.rowCount]), [[1, 'a.xlsx', 3], [2, null, 3]]);
+  assert.equal(store.loadDataset('NAS', 'AAA', '1').rows[0].revenue, ROWS[0].revenue);
+});
+
+test('saveVersion: keeps the quality warnings on the version entry', () => {
+  const rows = [ROWS[0], { ...ROWS[2], revenue: 5000 }]; // a year gap and a revenue jump
+  const dataQuality = checkDataQuality(rows, { maxYoYJump: 1 });
+  assert.equal(dataQuality.status, 'warning');
+  assert.ok(dataQuality.warnings.length >= 2);
+
+  store.saveVersion({ ticker: 'BBB', exchange: 'NAS', rows, dataQuality });
+  const [entry] = store.listVersions('NAS', 'BBB').versions;
+  assert.deepEqual(entry.dataQuality, { status: 'warning', warnings: dataQuality.warnings });
+
+  store.saveVersion({ ticker: 'BBB', exchange: 'NAS', rows: ROWS });
+  assert.equal(store.listVersions('NAS', 'BBB').versions[1].dataQuality, undefined);
+});
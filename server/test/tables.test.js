@@ -0,0 +1,65 @@
+// Spreadsheet tables -> financial rows (shared/tables.js), as used by server ingest and the browser.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  IGNORE, detectOrientation, tableToRecords, toFinancialRow, mappingOptions, resolveField,
+} from '../../shared/tables.js';
+import { compileMapping } from '../mapping.js';
+
+const BY_ROWS = [
+  ['Fiscal Year', 'Revenue', 'Net Income', 'Notes'],
+  [2022, '1,000', 100, 'restated'],
+  [null, '', null, null],
+  ['2023 Q1', 300, 30, ''],
+];
+const BY_COLUMNS = [
+  ['(USD millions)', 'FY2022', '2023 Q1', 'TTM'],
+  ['Revenue', 1000, 300, 1200],
+  ['EPS', 1.5, 0.4, 1.9],
+];
+
+test('detectOrientation: a label column followed by two or more periods is "columns"', () => {
+  assert.equal(detectOrientation(BY_ROWS), 'rows');
+  assert.equal(detectOrientation(BY_COLUMNS), 'columns');
+  assert.equal(detectOrientation([['Year', 2022, 2023]]), 'rows'); // a "Year" header is a column of years
+  assert.equal(detectOrientation([['Title'], ...BY_COLUMNS], 2), 'columns');
+  assert.equal(detectOrientation([]), 'rows');
+});
+
+test('tableToRecords: rows, columns and auto layouts; blank rows and unlabelled cells are skipped', () => {
+  assert.deepEqual(tableToRecords(BY_ROWS), [
+    { 'Fiscal Year': 2022, Revenue: '1,000', 'Net Income': 100, Notes: 'restated' },
+    { 'Fiscal Year': '2023 Q1', Revenue: 300, 'Net Income': 30, Notes: '' },
+  ]);
+  const columns = [
+    { year: 2022, Revenue: 1000, EPS: 1.5 },
+    { year: 2023, quarter: 1, Revenue: 300, EPS: 0.4 },
+  ];
+  assert.deepEqual(tableToRecords(BY_COLUMNS, { orientation: 'columns' }), columns);
+  assert.deepEqual(tableToRecords(BY_COLUMNS, { orientation: 'auto' }), columns);
+  assert.deepEqual(tableToRecords([['Report'], [], ...BY_COLUMNS], { orientation: 'auto', headerRow: 3 }), columns);
+});
+
+test('toFinancialRow: aliases, periods, scales (never EPS) and extra', () => {
+  const opts = mappingOptions({ scale: 'millions', fieldScales: { sharesOutstanding: 1e3 }, columns: { Notes: IGNORE, 'Sales (net)': 'revenue' } });
+  assert.deepEqual(
+    toFinancialRow({ Year: '2023 Q2', 'Sales (net)': '1.5', EPS: 0.4, Shares: 200, Notes: 'x', Segment: 'EU' }, opts),
+    { extra: { Segment: 'EU' }, year: 2023, quarter: 2, revenue: 1.5e6, eps: 0.4, sharesOutstanding: 2e5 },
+  );
+  assert.deepEqual(toFinancialRow({ year: 2022, revenue: 10, extra: { a: 1 } }), { extra: { a: 1 }, year: 2022, revenue: 10 });
+  assert.equal(toFinancialRow({ Revenue: 10 }), null);
+});
+
+test('mappingOptions: scale words or positive numbers; the server mapping compiles to the same', () => {
+  assert.equal(mappingOptions().scaleFor('revenue'), 1);
+  assert.equal(mappingOptions({ scale: 1000 }).scaleFor('eps'), 1);
+  assert.equal(mappingOptions({ fieldScales: { eps: 'thousands' } }).scaleFor('eps'), 1000);
+  assert.throws(() => mappingOptions({ scale: 'lakhs' }), /scale: expected/);
+  assert.throws(() => mappingOptions({ fieldScales: { revenue: -1 } }), /fieldScales\.revenue/);
+
+  const compiled = compileMapping({ orientation: 'columns', scale: 'billions', columns: { 'Total net sales': 'revenue' } });
+  assert.equal(compiled.orientation, 'columns');
+  assert.equal(compiled.scaleFor('netIncome'), 1e9);
+  assert.equal(resolveField('TOTAL NET SALES ', compiled.columns), 'revenue');
+});
@@ -0,0 +1,150 @@
+// TwelveData client (twelvedata.js) against a stub API: per-symbol caching, TTL expiry and upstream errors.
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, startStub, sendJson } from './helpers.js';
+
+const TTL_MS = 300;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Per-endpoint override: an HTTP status, or a JSON body returned with 200
+let failures;
+let stub, td;
+
+function twelveData(req, _body, res) {
+  const url = new URL(req.url, 'http://stub');
+  const endpoint = url.pathname.slice(1);
+  const symbol = url.searchParams.get('symbol');
+  if (url.searchParams.get('apikey') !== 'test-key') return sendJson(res, 401, { status: 'error', message: 'bad key' });
+  const failure = failures[endpoint];
+  if (typeof failure === 'number') return sendJson(res, failure, { status: 'error', code: failure });
+  if (failure) return sendJson(res, 200, failure);
+  const n = symbol === 'BBB' ? 2 : 1; // BBB: every amount doubled
+  const bodies = {
+    price: { price: String(10 * n) },
+    statistics: {
+      meta: { symbol, currency: symbol === 'BBB' ? 'EUR' : 'USD' },
+      statistics: {
+        valuations_metrics: { enterprise_value: 1000 * n, forward_pe: 20, price_to_sales_ttm: 2 },
+        stock_statistics: { shares_outstanding: 100 },
+        financials: { gross_margin: 0.5, profit_margin: 0.1, operating_margin: 0.2, balance_sheet: { book_value_per_share_mrq: 4 } },
+      },
+    },
+    balance_sheet: { balance_sheet: [{ assets: { current_assets: { cash: 100 * n } }, liabilities: { non_current_liabilities: { long_term_debt: 200 * n } } }] },
+    income_statement: { income_statement: [{ net_income: 50 * n, sales: 500 * n }] },
+    exchange_rate: { symbol, rate: 1.25 },
+    time_series: { meta: { currency: 'USD' }, values: [{ datetime: '2024-01-02', close: '11.5' }, { datetime: '2024-01-03', close: '0' }] },
+  };
+  return bodies[endpoint] ? sendJson(res, 200, bodies[endpoint]) : sendJson(res, 404, { status: 'error', message: 'not found' });
+}
+
+const calls = (endpoint, symbol) => stub.requests.filter((r) => {
+  const url = new URL(r.url, 'http://stub');
+  return url.pathname === `/${endpoint}` && (!symbol || url.searchParams.get('symbol') === symbol);
+}).length;
+
+before(async () => {
+  stub = await startStub(twelveData);
+  Object.assign(process.env, { TWELVE_API_KEY: 'test-key', TWELVE_BASE_URL: `${stub.url}/`, METRICS_TTL_MS: String(TTL_MS) });
+  td = await import('../twelvedata.js');
+});
+
+after(() => stub?.close());
+
+beforeEach(() => {
+  failures = {};
+  stub.requests.length = 0;
+});
+
+test('getValuationMetrics: per-share fair values from the four endpoints', async () => {
+  const m = await td.getValuationMetrics('AAA', 'GBP');
+  assert.deepEqual(m, {
+    price: 10,
+    fairEV: (1000 - 200 + 100) / 100,
+    fairPE: (20 * 50) / 100,
+    fairPS: (2 * 500) / 100,
+    weighted: 0.5 * 9 + 0.25 * 10 + 0.25 * 10,
+    bookValue: 4,
+    grossMargin: 50,
+    netMargin: 10,
+    opMargin: 20,
+    currency: 'USD', // trading currency from /statistics wins over the fallback
+  });
+  assert.deepEqual(['price', 'statistics', 'balance_sheet', 'income_statement'].map((e) => calls(e, 'AAA')), [1, 1, 1, 1]);
+});
+
+test('getValuationMetrics: cached per symbol until METRICS_TTL_MS passes', async () => {
+  const first = await td.getValuationMetrics('CCC');
+  assert.equal(calls('price', 'CCC'), 1);
+  assert.equal(await td.getValuationMetrics('ccc'), first); // same entry, symbol case-insensitive
+  assert.equal(calls('price', 'CCC') + calls('price', 'ccc'), 1);
+
+  const other = await td.getValuationMetrics('BBB');
+  assert.equal(other.price, 20);
+  assert.equal(calls('price', 'BBB'), 1);
+  assert.equal(await td.getValuationMetrics('CCC'), first);
+
+  await sleep(TTL_MS + 50);
+  const refreshed = await td.getValuationMetrics('CCC');
+  assert.notEqual(refreshed, first);
+  assert.deepEqual(refreshed, first);
+  assert.equal(calls('price', 'CCC'), 2);
+});
+
+test('getValuationMetrics: HTTP errors and { status: "error" } bodies are thrown, not cached', async () => {
+  failures = { price: 500 };
+  await assert.rejects(td.getValuationMetrics('DDD'), { message: 'TwelveData price failed: 500' });
+
+  failures = { statistics: { status: 'error', code: 404, message: '**symbol** not found: DDD' } };
+  await assert.rejects(td.getValuationMetrics('DDD'), { message: 'TwelveData statistics: **symbol** not found: DDD' });
+
+  failures = { balance_sheet: { status: 'error', code: 429 } };
+  await assert.rejects(td.getValuationMetrics('DDD'), { message: 'TwelveData balance_sheet: 429' });
+
+  failures = {};
+  assert.equal((await td.getValuationMetrics('DDD')).price, 10);
+  assert.equal(calls('price', 'DDD'), 4);
+});
+
+test('getExchangeRate: cached like metrics; a missing rate is an error', async () => {
+  assert.equal(await td.getExchangeRate('EUR', 'USD'), 1.25);
+  assert.equal(await td.getExchangeRate('EUR', 'USD'), 1.25);
+  assert.equal(calls('exchange_rate', 'EUR/USD'), 1);
+
+  failures = { exchange_rate: { symbol: 'XXX/USD' } };
+  await assert.rejects(td.getExchangeRate('XXX', 'USD'), { message: 'TwelveData exchange_rate: no rate for XXX/USD' });
+});
+
+test('getPriceHistory: closes oldest first, non-positive closes dropped, errors passed through', async () => {
+  assert.deepEqual(await td.getPriceHistory('AAA'), { points: [{ date: '2024-01-02', close: 11.5 }], currency: 'USD' });
+  failures = { time_series: 503 };
+  await assert.rejects(td.getPriceHistory('AAA'), { message: 'TwelveData time_series failed: 503' });
+});
+
+test('GET /metrics: upstream failures become 502; without a key the metrics are zeros', async () => {
+  const live = await startServer({ TWELVE_API_KEY: 'test-key', TWELVE_BASE_URL: stub.url });
+  const offline = await startServer();
+  try {
+    let res = await fetch(`${live.url}/metrics/NAS/AAA`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.price, 10);
+    assert.equal(body.live, true);
+
+    failures = { income_statement: 500 };
+    res = await fetch(`${live.url}/metrics/NAS/EEE`);
+    assert.equal(res.status, 502);
+    assert.deepEqual(await res.json(), { error: 'Failed to fetch live metrics' });
+
+    const before = stub.requests.length;
+    res = await fetch(`${offline.url}/metrics/NAS/AAA`);
+    assert.equal(res.status, 200);
+    const zeros = await res.json();
+    assert.equal(zeros.price, 0);
+    assert.equal(zeros.weighted, 0);
+    assert.equal(zeros.live, false);
+    assert.equal(stub.requests.length, before);
+  } finally {
+    await Promise.all([live.stop(), offline.stop()]);
+  }
+});
@@ -0,0 +1,97 @@
+// Shared valuation math (shared/valuation.js), as used by the server, the web app and the prompts.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calcGrowth, calcMargins, computeFairValuePerYear, normalizeWeights, availableWeights, weightedFairValue, DEFAULT_WEIGHTS,
+} from '../../shared/valuation.js';
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} is not close to ${expected}`);
+
+test('calcGrowth: year-over-year growth from the 2nd row', () => {
+  const rows = [{ year: 2020, revenue: 100 }, { year: 2021, revenue: 120 }, { year: 2022, revenue: 90 }];
+  const g = calcGrowth(rows);
+  assert.deepEqual(g.map((x) => x.year), [2021, 2022]);
+  close(g[0].growth, 0.2);
+  close(g[1].growth, -0.25);
+  assert.deepEqual(calcGrowth([{ year: 2020, revenue: 1 }]), []);
+  assert.deepEqual(calcGrowth([]), []);
+});
+
+test('calcGrowth: zero or missing previous value gives null, negative previous is divided as-is', () => {
+  const rows = [
+    { year: 2019, netIncome: 0 },
+    { year: 2020, netIncome: -50 },
+    { year: 2021, netIncome: 25 },
+    { year: 2022 },
+    { year: 2023, netIncome: 10 },
+  ];
+  const g = calcGrowth(rows, 'netIncome');
+  assert.equal(g[0].growth, null); // from 0
+  close(g[1].growth, -1.5); // (25 - -50) / -50
+  assert.equal(g[2].growth, null); // current missing
+  assert.equal(g[3].growth, null); // previous missing
+});
+
+test('calcMargins: fractions of revenue, null without revenue', () => {
+  const m = calcMargins({ year: 2022, revenue: 200, operatingIncome: 50, netIncome: -20 });
+  assert.deepEqual(m, { year: 2022, operatingMargin: 0.25, netMargin: -0.1 });
+  assert.deepEqual(calcMargins({ year: 2022, revenue: 0, operatingIncome: 5, netIncome: 5 }),
+    { year: 2022, operatingMargin: null, netMargin: null });
+  assert.deepEqual(calcMargins({ year: 2022, operatingIncome: 5 }),
+    { year: 2022, operatingMargin: null, netMargin: null });
+});
+
+test('computeFairValuePerYear: netIncome × PE, per share only with a share count', () => {
+  const out = computeFairValuePerYear([
+    { year: 2021, netIncome: 10, sharesOutstanding: 5 },
+    { year: 2022, netIncome: 12 },
+    { year: 2023, netIncome: 12, sharesOutstanding: 0 },
+    { year: 2024, sharesOutstanding: 5 },
+  ], 20);
+  assert.deepEqual(out, [
+    { year: 2021, equityValue: 200, fairValuePerShare: 40 },
+    { year: 2022, equityValue: 240, fairValuePerShare: null },
+    { year: 2023, equityValue: 240, fairValuePerShare: null },
+    { year: 2024, equityValue: null, fairValuePerShare: null },
+  ]);
+});
+
+test('normalizeWeights: rescales positive weights to sum to 1', () => {
+  const w = normalizeWeights({ ev: 2, pe: 1, ps: 1 });
+  assert.deepEqual(w, { ev: 0.5, pe: 0.25, ps: 0.25 });
+  // unknown methods, non-finite and non-positive weights are dropped
+  assert.deepEqual(normalizeWeights({ ev: 1, bogus: 3, pe: -1, ps: NaN, book: 0 }), { ev: 1 });
+});
+
+test('normalizeWeights: all weights zero or nothing enabled gives an empty set', () => {
+  assert.deepEqual(normalizeWeights({ ev: 0, pe: 0, ps: 0 }), {});
+  assert.deepEqual(normalizeWeights(null), {});
+  assert.deepEqual(normalizeWeights({ ev: 1, pe: 1 }, {}), {});
+});
+
+test('normalizeWeights: methods toggled off are left out of the blend', () => {
+  const w = normalizeWeights({ ev: 0.5, pe: 0.25, ps: 0.25 }, { ev: false, pe: true, ps: true });
+  assert.deepEqual(w, { pe: 0.5, ps: 0.5 });
+  assert.deepEqual(normalizeWeights({ ev: 1, peYear: 1 }, { peYear: true }), { peYear: 1 });
+});
+
+test('weightedFairValue: blends the per-share inputs of each method', () => {
+  const values = { fairEV: 100, fairPE: 80, fairPS: 40, bookValue: 10, perYearPE: 60 };
+  assert.equal(weightedFairValue(values), 0.5 * 100 + 0.25 * 80 + 0.25 * 40);
+  assert.equal(weightedFairValue(values, DEFAULT_WEIGHTS), 80);
+  assert.equal(weightedFairValue(values, { book: 0.5, peYear: 0.5 }), 35);
+});
+
+test('weightedFairValue: missing inputs and empty weights contribute nothing', () => {
+  assert.equal(weightedFairValue({ fairEV: 100 }, { ev: 0.5, pe: 0.5 }), 50);
+  assert.equal(weightedFairValue({ fairEV: 100, fairPE: 80 }, normalizeWeights({ ev: 0, pe: 0 })), 0);
+  assert.equal(weightedFairValue(null), 0);
+});
+
+test('availableWeights: only methods with a positive input, rescaled', () => {
+  assert.deepEqual(availableWeights({ fairEV: 100, fairPE: 0, fairPS: 40 }), { ev: 0.5 / 0.75, ps: 0.25 / 0.75 });
+  assert.deepEqual(availableWeights({ perYearPE: 50 }), {}); // DEFAULT_WEIGHTS has no PE_year
+  assert.deepEqual(availableWeights({ perYearPE: 50, fairEV: NaN }, { ev: 0.5, peYear: 0.5 }), { peYear: 1 });
+});
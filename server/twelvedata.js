@@ -0,0 +1,124 @@
+// TwelveData client for live valuation metrics (price, EV, PE, PS, margins), closing-price history and FX rates.
+// The API key stays on the server; metrics are cached per symbol for METRICS_TTL_MS.
+
+import { perShareFairValues, weightedFairValue } from '../shared/valuation.js';
+
+const BASE_URL = (process.env.TWELVE_BASE_URL || 'https://api.twelvedata.com').replace(/\/+$/, '');
+const API_KEY = process.env.TWELVE_API_KEY || '';
+const TTL_MS = Number(process.env.METRICS_TTL_MS || 15 * 60 * 1000);
+
+const cache = new Map(); // 'SYMBOL|CCY' or 'fx|FROM/TO' -> { at, data }
+
+export const isConfigured = () => Boolean(API_KEY);
+
+function asNum(x) {
+  if (x == null) return 0;
+  if (typeof x === 'number') return x;
+  if (typeof x === 'string') {
+    const n = parseFloat(x.replace(/,/g, ''));
+    return isFinite(n) ? n : 0;
+  }
+  return 0;
+}
+
+async function getJson(endpoint, symbol, params = {}) {
+  const qs = new URLSearchParams({ symbol, ...params, apikey: API_KEY });
+  const url = `${BASE_URL}/${endpoint}?${qs}`;
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`TwelveData ${endpoint} failed: ${r.status}`);
+  const j = await r.json();
+  // TwelveData reports errors with HTTP 200 and { status: 'error', code, message }
+  if (j?.status === 'error') throw new Error(`TwelveData ${endpoint}: ${j.message || j.code}`);
+  return j;
+}
+
+function emptyMetrics(currency) {
+  return {
+    price: 0, fairEV: 0, fairPE: 0, fairPS: 0, weighted: 0,
+    bookValue: 0, grossMargin: 0, netMargin: 0, opMargin: 0, currency,
+  };
+}
+
+async function fetchFromTwelveData(symbol, currency) {
+  const [priceJson, statsJson, bsJson, isJson] = await Promise.all([
+    getJson('price', symbol),
+    getJson('statistics', symbol),
+    getJson('balance_sheet', symbol),
+    getJson('income_statement', symbol),
+  ]);
+
+  const price = asNum(priceJson?.price);
+  const stats = statsJson?.statistics || {};
+  const bs0 = Array.isArray(bsJson?.balance_sheet) ? bsJson.balance_sheet[0] : {};
+  const is0 = Array.isArray(isJson?.income_statement) ? isJson.income_statement[0] : {};
+
+  const enterpriseValue   = asNum(stats?.valuations_metrics?.enterprise_value);
+  const sharesOutstanding = asNum(stats?.stock_statistics?.shares_outstanding);
+  const cash              = asNum(bs0?.assets?.current_assets?.cash);
+  const longTermDebt      = asNum(bs0?.liabilities?.non_current_liabilities?.long_term_debt);
+  const forwardPE         = asNum(stats?.valuations_metrics?.forward_pe);
+  const netIncome         = asNum(is0?.net_income);
+  const priceToSales      = asNum(stats?.valuations_metrics?.price_to_sales_ttm);
+  const sales             = asNum(is0?.sales);
+
+  const { fairEV, fairPE, fairPS } = perShareFairValues({
+    enterpriseValue, longTermDebt, cash, forwardPE, netIncome, priceToSales, sales, sharesOutstanding,
+  });
+  const weighted    = weightedFairValue({ fairEV, fairPE, fairPS });
+  const bookValue   = asNum(stats?.financials?.balance_sheet?.book_value_per_share_mrq);
+  const grossMargin = asNum(stats?.financials?.gross_margin) * 100;
+  const netMargin   = asNum(stats?.financials?.profit_margin) * 100;
+  const opMargin    = asNum(stats?.financials?.operating_margin) * 100;
+
+  // Per-share values are in the listing's trading currency, reported by /statistics when known
+  const tradingCurrency = statsJson?.meta?.currency || currency;
+  return { price, fairEV, fairPE, fairPS, weighted, bookValue, grossMargin, netMargin, opMargin, currency: tradingCurrency };
+}
+
+/**
+ * Live valuation metrics for a TwelveData symbol (ticker + market suffix). `currency` is the fallback
+ * label when TwelveData does not report the trading currency.
+ * Returns zeros when no API key is configured; throws on upstream errors.
+ */
+export async function getValuationMetrics(symbol, currency = 'USD') {
+  if (!API_KEY) return emptyMetrics(currency);
+
+  const key = `${symbol.toUpperCase()}|${currency}`;
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < TTL_MS) return hit.data;
+
+  const data = await fetchFromTwelveData(symbol, currency);
+  cache.set(key, { at: Date.now(), data });
+  return data;
+}
+
+/**
+ * Closing prices from /time_series (interval '1day' | '1week' | '1month'), oldest first.
+ * Throws when no API key is configured (unlike metrics there is nothing sensible to fake).
+ * @returns {Promise<{ points: { date, close }[], currency: string|null }>}
+ */
+export async function getPriceHistory(symbol, { interval = '1day', outputsize = 5000 } = {}) {
+  if (!API_KEY) throw new Error('TWELVE_API_KEY is not configured');
+  const j = await getJson('time_series', symbol, { interval, outputsize: String(outputsize), order: 'ASC' });
+  const points = (Array.isArray(j?.values) ? j.values : [])
+    .map((v) => ({ date: String(v.datetime).slice(0, 10), close: asNum(v.close) }))
+    .filter((p) => p.close > 0);
+  return { points, currency: j?.meta?.currency ?? null };
+}
+
+/**
+ * Units of `to` per one `from` from /exchange_rate, cached like metrics.
+ * Throws when no API key is configured or the pair is unknown.
+ */
+export async function getExchangeRate(from, to) {
+  if (!API_KEY) throw new Error('TWELVE_API_KEY is not configured');
+  const key = `fx|${from}/${to}`;
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < TTL_MS) return hit.data;
+
+  const j = await getJson('exchange_rate', `${from}/${to}`);
+  const rate = asNum(j?.rate);
+  if (!(rate > 0)) throw new Error(`TwelveData exchange_rate: no rate for ${from}/${to}`);
+  cache.set(key, { at: Date.now(), data: rate });
+  return rate;
+}
@@ -0,0 +1,86 @@
+// path: shared/alerts.js
+// Alert rules: the metrics a rule can watch, the valuation snapshot they are read from and rule
+// evaluation. The server's scheduler evaluates rules; the web app uses the same labels.
+//
+// Rule: { id, name?, exchange, ticker, metric, op, value, channels: ['log'|'webhook'|'email'|'browser'], enabled }
+// e.g. "price < 0.8 × weighted FV" = { metric: 'priceToFV', op: '<', value: 0.8 }
+//      "revenue growth turns negative" = { metric: 'revenueGrowth', op: '<', value: 0 }
+// Rules fire when their condition becomes true (not on every check while it stays true).
+
+import { calcGrowth, computeFairValuePerYear, weightedFairValue, availableWeights } from './valuation.js';
+import { annualRows, quarterlyRows, periodGrowth, ttmFairValues, latestFairValue } from './periods.js';
+
+export const ALERT_METRICS = Object.freeze([
+  { key: 'priceToFV', label: 'Price / weighted FV' },
+  { key: 'upside', label: 'Upside to weighted FV', pct: true },
+  { key: 'price', label: 'Price' },
+  { key: 'weighted', label: 'Weighted FV' },
+  { key: 'revenueGrowth', label: 'Revenue growth (latest)', pct: true },
+  { key: 'netIncomeGrowth', label: 'Net income growth (latest)', pct: true },
+]);
+
+export const ALERT_OPS = Object.freeze({
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+});
+
+export const ALERT_CHANNELS = Object.freeze(['log', 'webhook', 'email', 'browser']);
+
+const METRIC = Object.fromEntries(ALERT_METRICS.map((m) => [m.key, m]));
+
+/** A metric value for messages: percentages for growth / upside, else up to 4 decimals. */
+export function formatMetric(metric, v) {
+  if (v == null || !Number.isFinite(v)) return '—';
+  return METRIC[metric]?.pct ? `${Number((v * 100).toFixed(2))}%` : String(Number(v.toFixed(4)));
+}
+
+/** "NASDAQ:AAPL Price / weighted FV < 0.8" */
+export const describeRule = (rule) =>
+  `${rule.exchange}:${rule.ticker} ${METRIC[rule.metric]?.label ?? rule.metric} ${rule.op} ${formatMetric(rule.metric, rule.value)}`;
+
+// Latest growth: same quarter last year when the dataset has quarters, else year over year
+function latestGrowth(rows, field) {
+  const quarters = quarterlyRows(rows);
+  const series = quarters.length ? periodGrowth(quarters, field, 'yoy') : calcGrowth(annualRows(rows), field);
+  return series.filter((g) => g.growth != null).pop()?.growth ?? null;
+}
+
+/**
+ * Values every rule metric is read from. `metrics` are live per-share values (null without a
+ * TwelveData key) and `price` the price to compare with, all in the rows' currency.
+ * The weighted FV blends only the methods that have a value, rescaled; with none of them (e.g. no
+ * live metrics and no PE_year weight) it is the per-year P/E fair value alone.
+ */
+export function valuationSnapshot({ rows, metrics, price, targetPE, weights }) {
+  const fv = latestFairValue(computeFairValuePerYear(annualRows(rows), targetPE), ttmFairValues(rows, targetPE));
+  const inputs = { ...(metrics || {}), perYearPE: fv?.value ?? 0 };
+  let used = availableWeights(inputs, weights);
+  if (!Object.keys(used).length) used = { peYear: 1 };
+  const weighted = weightedFairValue(inputs, used);
+  const hasFv = Number.isFinite(weighted) && weighted > 0;
+  const hasPrice = Number.isFinite(price) && price > 0;
+  return {
+    price: hasPrice ? price : null,
+    weighted: hasFv ? weighted : null,
+    priceToFV: hasPrice && hasFv ? price / weighted : null,
+    upside: hasPrice && hasFv ? weighted / price - 1 : null,
+    revenueGrowth: latestGrowth(rows, 'revenue'),
+    netIncomeGrowth: latestGrowth(rows, 'netIncome'),
+  };
+}
+
+/**
+ * @param {object} rule
+ * @param {object} snapshot  valuationSnapshot()
+ * @param {{ match?: boolean|null }} [state]  the previous evaluation
+ * @returns {{ value: number|null, match: boolean|null, fire: boolean }} match is null when the value is unknown
+ */
+export function evaluateRule(rule, snapshot, state = {}) {
+  const value = snapshot[rule.metric];
+  const test = ALERT_OPS[rule.op];
+  if (value == null || !Number.isFinite(value) || !test) return { value: null, match: null, fire: false };
+  const match = test(value, rule.value);
+  return { value, match, fire: match && state.match !== true };
+}
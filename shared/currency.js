@@ -0,0 +1,98 @@
+// path: shared/currency.js
+// Markets and currencies: per-exchange defaults for the TwelveData symbol suffix and the reporting
+// currency, FX cross rates and conversion of financial rows / live metrics into a display currency.
+//
+// A company's TwelveData symbol is `${ticker}${suffix}`; TwelveData accepts "SYMBOL:EXCHANGE", so
+// non-US suffixes are ":LSE", ":XETR", ... US listings need none.
+
+import { FIELD_KEYS } from './fields.js';
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Exchange code (as stored on the company) -> default suffix and reporting currency
+export const MARKETS = Object.freeze({
+  NASDAQ: { suffix: '', currency: 'USD' },
+  NYSE: { suffix: '', currency: 'USD' },
+  AMEX: { suffix: '', currency: 'USD' },
+  LSE: { suffix: ':LSE', currency: 'GBP' },
+  XETRA: { suffix: ':XETR', currency: 'EUR' },
+  EURONEXT: { suffix: ':Euronext', currency: 'EUR' },
+  SIX: { suffix: ':SIX', currency: 'CHF' },
+  TSX: { suffix: ':TSX', currency: 'CAD' },
+  ASX: { suffix: ':ASX', currency: 'AUD' },
+  TSE: { suffix: ':JPX', currency: 'JPY' },
+  HKEX: { suffix: ':HKEX', currency: 'HKD' },
+  NSE: { suffix: ':NSE', currency: 'INR' },
+});
+
+/** Currencies of the known markets, for display-currency pickers. */
+export const MARKET_CURRENCIES = Object.freeze([...new Set(Object.values(MARKETS).map((m) => m.currency))].sort());
+
+// Sub-units quoted by some exchanges (LSE prices are in pence): code -> [major currency, units per major]
+const SUB_UNITS = Object.freeze({ GBX: ['GBP', 100], GBp: ['GBP', 100], ZAC: ['ZAR', 100], ILA: ['ILS', 100] });
+
+export const normalizeCurrency = (v) => (v in SUB_UNITS ? v : String(v).toUpperCase());
+
+/**
+ * Symbol suffix and reporting currency for a company: its own values, else the exchange defaults.
+ * @param {{ exchange?: string, suffix?: string|null, currency?: string|null }} company
+ * @returns {{ suffix: string, currency: string }}
+ */
+export function marketOf(company) {
+  const defaults = MARKETS[String(company?.exchange || '').toUpperCase()] || { suffix: '', currency: DEFAULT_CURRENCY };
+  return {
+    suffix: company?.suffix ?? defaults.suffix,
+    currency: company?.currency ? normalizeCurrency(company.currency) : defaults.currency,
+  };
+}
+
+/** TwelveData symbol for a company ("VOD:LSE"). */
+export const marketSymbol = (company) => `${company.ticker}${marketOf(company).suffix}`;
+
+/* ============================== FX ============================== */
+/**
+ * Units of `to` per one unit of `from`, crossed through the table's base; null when unknown.
+ * @param {{ base: string, rates: Record<string, number> } | null} fx  rates = units per 1 base
+ */
+export function fxRate(fx, from, to) {
+  if (!from || !to) return null;
+  const [fromMajor, fromDiv] = SUB_UNITS[from] || [normalizeCurrency(from), 1];
+  const [toMajor, toMul] = SUB_UNITS[to] || [normalizeCurrency(to), 1];
+  if (fromMajor === toMajor) return toMul / fromDiv;
+  if (!fx) return null;
+  const perBase = (c) => (c === fx.base ? 1 : fx.rates?.[c]);
+  const a = perBase(fromMajor), b = perBase(toMajor);
+  if (!(a > 0) || !(b > 0)) return null;
+  return (b / a) * (toMul / fromDiv);
+}
+
+// Share counts are not money; every other financial field is an amount in the reporting currency
+export const MONEY_FIELDS = Object.freeze(FIELD_KEYS.filter((k) => k !== 'sharesOutstanding'));
+// Per-share live metrics in the trading currency (margins are percentages)
+export const MONEY_METRICS = Object.freeze(['price', 'fairEV', 'fairPE', 'fairPS', 'weighted', 'bookValue']);
+
+const scale = (v, rate) => (Number.isFinite(v) ? v * rate : v);
+
+/** Rows with every money field multiplied by `rate` (rate 1 returns the same array). */
+export function convertRows(rows, rate) {
+  if (rate === 1 || !Number.isFinite(rate)) return rows;
+  return rows.map((r) => {
+    const out = { ...r };
+    for (const k of MONEY_FIELDS) out[k] = scale(r[k], rate);
+    return out;
+  });
+}
+
+/** Live metrics converted with `rate`; `currency` becomes the target currency. */
+export function convertMetrics(metrics, rate, currency) {
+  if (!metrics || !Number.isFinite(rate)) return metrics;
+  const out = { ...metrics, currency };
+  for (const k of MONEY_METRICS) if (k in metrics) out[k] = scale(metrics[k], rate);
+  return out;
+}
+
+/** Currencies that need a rate to show `sources` in `display` (sub-units map to their major). */
+export function currenciesNeeded(display, sources) {
+  const major = (c) => (SUB_UNITS[c] ? SUB_UNITS[c][0] : normalizeCurrency(c));
+  return [...new Set([display, ...sources].filter(Boolean).map(major))].sort();
+}
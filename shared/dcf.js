@@ -0,0 +1,80 @@
+// path: shared/dcf.js
+// Discounted cash flow (FCFF) model: project revenue, apply an operating margin,
+// tax and reinvest, then discount at WACC with a Gordon-growth terminal value.
+
+import { calcGrowth, calcMargins, calcRatios } from './valuation.js';
+
+export const DCF_DEFAULTS = Object.freeze({
+  years: 5,
+  taxRate: 0.21,
+  reinvestmentRate: 0.3, // share of NOPAT reinvested (capex + working capital − D&A)
+  wacc: 0.09,
+  terminalGrowth: 0.025,
+  netDebt: 0, // when no row has both totalDebt and cash
+});
+
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+const latest = (rows, field) => {
+  for (let i = rows.length - 1; i >= 0; i--) if (Number.isFinite(rows[i]?.[field])) return rows[i];
+  return null;
+};
+
+/**
+ * Assumptions derived from history: mean revenue growth, the latest operating margin and the
+ * latest net debt (totalDebt − cash, from the last row that reports both).
+ */
+export function dcfDefaults(rows) {
+  const growths = calcGrowth(rows).map((g) => g.growth).filter(Number.isFinite);
+  const last = latest(rows, 'revenue');
+  const netDebt = rows.map((r) => calcRatios(r).netDebt).filter(Number.isFinite).pop();
+  return {
+    ...DCF_DEFAULTS,
+    revenueGrowth: mean(growths) ?? 0,
+    operatingMargin: last ? calcMargins(last).operatingMargin ?? 0 : 0,
+    netDebt: netDebt ?? DCF_DEFAULTS.netDebt,
+  };
+}
+
+/**
+ * Run the DCF on annual rows. Missing assumptions fall back to dcfDefaults(rows).
+ * Rates are fractions (0.09 = 9%). Per-share value uses the latest sharesOutstanding.
+ */
+export function computeDCF(rows, assumptions = {}) {
+  const a = { ...dcfDefaults(rows) };
+  for (const [k, v] of Object.entries(assumptions || {})) if (Number.isFinite(v)) a[k] = v;
+  a.years = Math.max(1, Math.min(20, Math.round(a.years)));
+
+  const base = latest(rows, 'revenue');
+  const sharesRow = latest(rows, 'sharesOutstanding');
+  const empty = {
+    assumptions: a, projection: [], terminalValue: null, pvTerminal: null,
+    enterpriseValue: null, equityValue: null, fairValuePerShare: null, error: null,
+  };
+  if (!base) return { ...empty, error: 'no_revenue' };
+  if (a.wacc <= a.terminalGrowth) return { ...empty, error: 'wacc_must_exceed_terminal_growth' };
+
+  const projection = [];
+  let revenue = base.revenue;
+  for (let t = 1; t <= a.years; t++) {
+    revenue *= 1 + a.revenueGrowth;
+    const operatingIncome = revenue * a.operatingMargin;
+    const nopat = operatingIncome * (1 - a.taxRate);
+    const reinvestment = nopat * a.reinvestmentRate;
+    const fcf = nopat - reinvestment;
+    const discountFactor = 1 / Math.pow(1 + a.wacc, t);
+    projection.push({
+      year: base.year + t, revenue, operatingIncome, nopat, reinvestment, fcf,
+      discountFactor, presentValue: fcf * discountFactor,
+    });
+  }
+
+  const last = projection[projection.length - 1];
+  const terminalValue = (last.fcf * (1 + a.terminalGrowth)) / (a.wacc - a.terminalGrowth);
+  const pvTerminal = terminalValue * last.discountFactor;
+  const enterpriseValue = projection.reduce((s, p) => s + p.presentValue, 0) + pvTerminal;
+  const equityValue = enterpriseValue - a.netDebt;
+  const shares = sharesRow?.sharesOutstanding;
+  const fairValuePerShare = shares ? equityValue / shares : null;
+
+  return { ...empty, projection, terminalValue, pvTerminal, enterpriseValue, equityValue, fairValuePerShare };
+}
@@ -0,0 +1,50 @@
+// path: shared/fields.js
+// Financial row schema (field names + accepted header spellings), shared by ingest, server and web.
+
+export const FINANCIAL_FIELDS = Object.freeze([
+  { key: 'revenue', label: 'Revenue', aliases: ['revenue', 'sales', 'totalrevenue', 'netsales'] },
+  { key: 'grossProfit', label: 'Gross Profit', aliases: ['grossprofit', 'grossincome'] },
+  { key: 'operatingIncome', label: 'Operating Income', aliases: ['operatingincome', 'ebit', 'operatingprofit'] },
+  { key: 'netIncome', label: 'Net Income', aliases: ['netincome', 'netprofit', 'netearnings'] },
+  { key: 'eps', label: 'EPS', aliases: ['eps', 'dilutedeps', 'earningspershare'] },
+  { key: 'freeCashFlow', label: 'Free Cash Flow', aliases: ['freecashflow', 'fcf'] },
+  { key: 'capex', label: 'Capex', aliases: ['capex', 'capitalexpenditure', 'capitalexpenditures'] },
+  { key: 'totalDebt', label: 'Total Debt', aliases: ['totaldebt', 'debt'] },
+  { key: 'cash', label: 'Cash', aliases: ['cash', 'cashandequivalents', 'cashandcashequivalents'] },
+  { key: 'equity', label: 'Equity', aliases: ['equity', 'totalequity', 'shareholdersequity', 'stockholdersequity'] },
+  { key: 'dividends', label: 'Dividends', aliases: ['dividends', 'dividendspaid'] },
+  { key: 'buybacks', label: 'Buybacks', aliases: ['buybacks', 'sharerepurchases', 'repurchases', 'stockbuybacks'] },
+  { key: 'sharesOutstanding', label: 'Shares Outstanding', aliases: ['sharesoutstanding', 'shares', 'dilutedshares'] },
+]);
+
+export const FIELD_KEYS = FINANCIAL_FIELDS.map((f) => f.key);
+
+/** "Operating_Income (USD m)" -> "operatingincome" */
+export const normalizeHeader = (h) =>
+  String(h).trim().toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]/g, '');
+
+const HEADER_TO_FIELD = new Map([
+  ['year', 'year'], ['fiscalyear', 'year'], ['fy', 'year'],
+  // Fiscal quarter (1..4) next to the year, or one "2024 Q1" / "FY2024" period column (shared/periods.js)
+  ['quarter', 'quarter'], ['qtr', 'quarter'], ['fq', 'quarter'], ['fiscalquarter', 'quarter'],
+  ['period', 'period'], ['fiscalperiod', 'period'],
+  ...FINANCIAL_FIELDS.flatMap((f) => f.aliases.map((a) => [a, f.key])),
+]);
+
+/** Map a raw column header to a schema field ('year' included), or null when unknown. */
+export const fieldForHeader = (h) => HEADER_TO_FIELD.get(normalizeHeader(h)) ?? null;
+
+// Spreadsheet cells -> number | null (blank / text / NaN become null instead of NaN).
+// Accepts "1,234", "$ 1 234.5", "(500)" (accounting negative), "-", "—" and "n/a".
+export function toNumber(v) {
+  if (v == null) return null;
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  let s = String(v).trim();
+  if (!s || /^[-–—]$|^n\/?a$/i.test(s)) return null;
+  let sign = 1;
+  const paren = /^\((.*)\)$/.exec(s);
+  if (paren) { sign = -1; s = paren[1]; }
+  s = s.replace(/[\s,$€£¥]/g, '');
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(s)) return null;
+  return sign * Number(s);
+}
@@ -0,0 +1,58 @@
+// path: shared/narrative.js
+// Structured AI narrative: section keys, error codes and parsers for the model's JSON output.
+// The server streams raw tokens; the web renders sections as they complete.
+
+export const NARRATIVE_SECTIONS = Object.freeze([
+  { key: 'summary', label: 'Summary' },
+  { key: 'growth', label: 'Growth' },
+  { key: 'profitability', label: 'Profitability' },
+  { key: 'valuation', label: 'Valuation' },
+  { key: 'risks', label: 'Risks' },
+]);
+
+export const NARRATIVE_KEYS = NARRATIVE_SECTIONS.map((s) => s.key);
+
+// Codes reported instead of a null narrative (HTTP body `code` or SSE `error` event)
+export const NARRATIVE_ERRORS = Object.freeze({
+  invalid_query: 'Ticker/exchange are missing or invalid',
+  dataset_not_found: 'No dataset for this company (or asOf)',
+  ai_not_configured: 'No AI provider is configured on the server',
+  ai_request_failed: 'The AI provider returned an error',
+  ai_timeout: 'The AI provider timed out',
+  ai_empty_response: 'The AI provider returned no text',
+  ai_invalid_json: 'The AI response was not the expected JSON sections',
+});
+
+const asText = (v) => (Array.isArray(v) ? v.map((x) => `• ${x}`).join('\n') : v == null ? '' : String(v)).trim();
+
+/**
+ * Parse a complete model response ({ summary, growth, ... }, optionally fenced).
+ * @returns {{ sections: Record<string,string>|null, error: string|null }}
+ */
+export function parseNarrative(text) {
+  if (!text || !text.trim()) return { sections: null, error: 'ai_empty_response' };
+  const fence = /```(?:json)?\s*([\s\S]*?)```/i.exec(text);
+  let raw = fence ? fence[1] : text;
+  const i = raw.indexOf('{'), j = raw.lastIndexOf('}');
+  if (i >= 0 && j > i) raw = raw.slice(i, j + 1);
+  let obj;
+  try { obj = JSON.parse(raw); } catch { return { sections: null, error: 'ai_invalid_json' }; }
+  if (!obj || typeof obj !== 'object' || !NARRATIVE_KEYS.some((k) => k in obj)) {
+    return { sections: null, error: 'ai_invalid_json' };
+  }
+  return { sections: Object.fromEntries(NARRATIVE_KEYS.map((k) => [k, asText(obj[k])])), error: null };
+}
+
+/**
+ * Best-effort sections from a partial stream: string values seen so far, including one
+ * still being written. Used to fill panels while tokens arrive.
+ */
+export function partialNarrative(text) {
+  const out = {};
+  for (const key of NARRATIVE_KEYS) {
+    const m = new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)("?)`).exec(text || '');
+    if (!m) continue;
+    try { out[key] = JSON.parse(`"${m[1].replace(/\\$/, '')}"`); } catch { out[key] = m[1]; }
+  }
+  return out;
+}
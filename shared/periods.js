@@ -0,0 +1,169 @@
+// path: shared/periods.js
+// Fiscal periods: annual rows ({ year }) and fiscal quarters ({ year, quarter: 1..4 }) in one list,
+// fiscal-year-end offsets, trailing-twelve-month (TTM) rows and YoY / QoQ growth.
+//
+// Convention: `year` is the fiscal year, labelled by the calendar year it ends in
+// (fiscalYearEnd = 6 → FY2024 runs Jul 2023 – Jun 2024 and its Q1 ends Sep 2023).
+
+import { computeFairValuePerYear } from './valuation.js';
+
+export const DEFAULT_FISCAL_YEAR_END = 12; // month 1..12
+
+export const PERIOD_VIEWS = Object.freeze([
+  { key: 'annual', label: 'Annual' },
+  { key: 'quarterly', label: 'Quarterly' },
+  { key: 'ttm', label: 'TTM' },
+]);
+
+// Summed over four quarters for TTM / derived annual rows; everything else is a balance (latest quarter)
+export const FLOW_FIELDS = Object.freeze([
+  'revenue', 'grossProfit', 'operatingIncome', 'netIncome', 'eps', 'freeCashFlow', 'capex', 'dividends', 'buybacks',
+]);
+export const BALANCE_FIELDS = Object.freeze(['totalDebt', 'cash', 'equity', 'sharesOutstanding']);
+
+/* ============================== Keys & labels ============================== */
+export const isQuarterly = (row) => Number.isInteger(row?.quarter) && row.quarter >= 1 && row.quarter <= 4;
+
+/** 'FY2024' | 'FY2024Q1' — unique per period, used to merge and de-duplicate rows. */
+export const periodKey = (row) => (isQuarterly(row) ? `FY${row.year}Q${row.quarter}` : `FY${row.year}`);
+
+/** Axis / table label: annual rows keep the bare year, quarters read "FY2024 Q1". */
+export const periodLabel = (row) => (isQuarterly(row) ? `FY${row.year} Q${row.quarter}` : row.year);
+
+/** Sort order: by fiscal year, the annual row before that year's quarters. */
+export const comparePeriods = (a, b) => a.year - b.year || (a.quarter ?? 0) - (b.quarter ?? 0);
+
+const quarterIndex = (row) => row.year * 4 + (row.quarter - 1);
+
+/**
+ * Header or cell -> { year, quarter } | null.
+ * Accepts 2024, "FY2024", "2024 Q1", "Q1 2024", "2024-Q1", "Q1 FY24", "1Q24" and headers like "FY 2024 (USD)".
+ */
+export function parsePeriod(v) {
+  if (typeof v === 'number') return Number.isInteger(v) && v >= 1800 && v <= 2200 ? { year: v, quarter: null } : null;
+  const s = String(v ?? '').trim().toUpperCase();
+  if (!s) return null;
+  const q = /Q\s*([1-4])(?!\d)/.exec(s) || /(?<!\d)([1-4])\s*Q/.exec(s);
+  const rest = q ? s.replace(q[0], ' ') : s;
+  const full = /(\d{4})/.exec(rest);
+  const short = q && !full ? /(?<!\d)(\d{2})(?!\d)/.exec(rest) : null; // "Q1 FY24", "1Q24"
+  const year = full ? Number(full[1]) : short ? 2000 + Number(short[1]) : null;
+  if (year == null) return null;
+  return { year, quarter: q ? Number(q[1]) : null };
+}
+
+/** 1, "1", "Q1", "1Q" -> 1; anything else -> null. */
+export function parseQuarter(v) {
+  const m = /^(?:Q\s*)?([1-4])(?:\s*Q)?$/i.exec(String(v ?? '').trim());
+  return m ? Number(m[1]) : null;
+}
+
+/* ============================== Fiscal calendar ============================== */
+const pad = (n) => String(n).padStart(2, '0');
+const lastDay = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate(); // m is 1-based
+
+/** Last calendar day of a fiscal period, 'YYYY-MM-DD'. */
+export function periodEndDate(row, fiscalYearEnd = DEFAULT_FISCAL_YEAR_END) {
+  const monthsBack = isQuarterly(row) ? 3 * (4 - row.quarter) : 0;
+  const total = row.year * 12 + (fiscalYearEnd - 1) - monthsBack;
+  const y = Math.floor(total / 12), m = (total % 12) + 1;
+  return `${y}-${pad(m)}-${pad(lastDay(y, m))}`;
+}
+
+/** Fiscal year and quarter that contain a calendar date ('YYYY-MM-DD'). */
+export function fiscalPeriodOf(date, fiscalYearEnd = DEFAULT_FISCAL_YEAR_END) {
+  const total = Number(date.slice(0, 4)) * 12 + (Number(date.slice(5, 7)) - 1);
+  const year = Math.ceil((total - (fiscalYearEnd - 1)) / 12);
+  const monthsToEnd = year * 12 + (fiscalYearEnd - 1) - total; // 0..11
+  return { year, quarter: 4 - Math.floor(monthsToEnd / 3) };
+}
+
+/* ============================== Period series ============================== */
+const sumOrNull = (rows, f) => (rows.every((r) => Number.isFinite(r[f])) ? rows.reduce((s, r) => s + r[f], 0) : null);
+
+// Four consecutive quarters -> one twelve-month row (flows summed, balances from the last quarter)
+function rollUp(quarters) {
+  const last = quarters[quarters.length - 1];
+  const row = { year: last.year, quarter: last.quarter };
+  for (const f of FLOW_FIELDS) row[f] = sumOrNull(quarters, f);
+  for (const f of BALANCE_FIELDS) row[f] = Number.isFinite(last[f]) ? last[f] : null;
+  row.extra = {};
+  return row;
+}
+
+export const quarterlyRows = (rows) => rows.filter(isQuarterly).sort(comparePeriods);
+
+/**
+ * Annual rows as given, plus fiscal years that only have all four quarters (summed, `derived: true`).
+ * This is what every year-based calculation (growth, per-year FV, DCF, quality) runs on.
+ */
+export function annualRows(rows) {
+  const annual = rows.filter((r) => !isQuarterly(r));
+  const have = new Set(annual.map((r) => r.year));
+  const byYear = new Map();
+  for (const q of quarterlyRows(rows)) {
+    if (!byYear.has(q.year)) byYear.set(q.year, []);
+    byYear.get(q.year).push(q);
+  }
+  for (const [year, qs] of byYear) {
+    if (have.has(year) || qs.length !== 4 || new Set(qs.map((q) => q.quarter)).size !== 4) continue;
+    annual.push({ ...rollUp(qs), quarter: null, derived: true });
+  }
+  return annual.sort(comparePeriods);
+}
+
+/** Trailing-twelve-month rows, one per quarter that closes a run of four consecutive quarters. */
+export function ttmRows(rows) {
+  const qs = quarterlyRows(rows);
+  const out = [];
+  for (let i = 3; i < qs.length; i++) {
+    const run = qs.slice(i - 3, i + 1);
+    if (quarterIndex(run[3]) - quarterIndex(run[0]) !== 3) continue;
+    out.push({ ...rollUp(run), ttm: true });
+  }
+  return out;
+}
+
+/** Rows for a chart/table view ('annual' | 'quarterly' | 'ttm'), each with a `period` label. */
+export function periodRows(rows, view = 'annual') {
+  const list = view === 'quarterly' ? quarterlyRows(rows) : view === 'ttm' ? ttmRows(rows) : annualRows(rows);
+  return list.map((r) => ({ ...r, period: periodLabel(r) }));
+}
+
+/**
+ * Growth of `field` vs the same period a year earlier ('yoy') or the previous quarter ('qoq').
+ * Matched by period, not position, so gaps give null instead of comparing the wrong periods.
+ * @returns {{ period, year, quarter, growth: number|null }[]}
+ */
+export function periodGrowth(series, field = 'revenue', basis = 'yoy') {
+  const ordinal = (r) => (isQuarterly(r) ? quarterIndex(r) : r.year);
+  const lag = isQuarterly(series[0]) && basis === 'yoy' ? 4 : 1;
+  const byOrdinal = new Map(series.map((r) => [ordinal(r), r]));
+  return series.map((r) => {
+    const prev = byOrdinal.get(ordinal(r) - lag);
+    const ok = prev && Number.isFinite(prev[field]) && Number.isFinite(r[field]) && prev[field] !== 0;
+    return {
+      period: periodLabel(r), year: r.year, quarter: r.quarter ?? null,
+      growth: ok ? (r[field] - prev[field]) / prev[field] : null, // same formula as calcGrowth
+    };
+  });
+}
+
+/* ============================== Fair value on TTM ============================== */
+/** computeFairValuePerYear on TTM net income: [{ year, quarter, period, equityValue, fairValuePerShare }]. */
+export function ttmFairValues(rows, targetPE) {
+  const ttm = ttmRows(rows);
+  return computeFairValuePerYear(ttm, targetPE).map((fv, i) => ({ ...fv, quarter: ttm[i].quarter, period: periodLabel(ttm[i]) }));
+}
+
+/**
+ * Per-share fair value for the weighted blend (PE_year): the latest annual value, or the latest
+ * TTM value when it covers a later fiscal year than the last annual row.
+ * @returns {{ value: number, period: string|number, basis: 'annual'|'ttm' } | null}
+ */
+export function latestFairValue(fair, ttmFair = []) {
+  const last = (list) => [...list].reverse().find((f) => Number.isFinite(f.fairValuePerShare));
+  const a = last(fair), t = last(ttmFair);
+  if (t && (!a || t.year > a.year)) return { value: t.fairValuePerShare, period: t.period, basis: 'ttm' };
+  return a ? { value: a.fairValuePerShare, period: a.year, basis: 'annual' } : null;
+}
@@ -0,0 +1,90 @@
+// path: shared/portfolio.js
+// Watchlists and portfolios: list validation helpers and the per-holding / portfolio-level valuation
+// shown on the dashboard. Amounts are in one currency; callers convert beforehand.
+//
+// List: { id, name, kind: 'watchlist'|'portfolio', currency, items: [{ exchange, ticker, shares?, costBasis? }] }
+// costBasis is per share, in the list's currency (see listCurrency).
+
+import { computeFairValuePerYear, weightedFairValue } from './valuation.js';
+import { annualRows, latestFairValue, ttmFairValues } from './periods.js';
+import { DEFAULT_CURRENCY } from './currency.js';
+
+export const LIST_KINDS = Object.freeze([
+  { key: 'watchlist', label: 'Watchlist' },
+  { key: 'portfolio', label: 'Portfolio' },
+]);
+
+/** URL-safe id from a list name ("My Tech 2025" -> "my-tech-2025"). */
+export const listIdOf = (name) =>
+  String(name || '').toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+
+export const holdingKey = (h) => `${String(h.exchange).toUpperCase()}:${String(h.ticker).toUpperCase()}`;
+
+/**
+ * Currency a list's cost bases are in: its own `currency`, else the first holding's reporting
+ * currency (`currencyOf(item)`), else DEFAULT_CURRENCY. Saving a list with holdings pins it.
+ */
+export function listCurrency(list, currencyOf) {
+  if (list?.currency) return list.currency;
+  const first = list?.items?.[0];
+  return (first && currencyOf(first)) || DEFAULT_CURRENCY;
+}
+
+/* ============================== Valuation ============================== */
+/**
+ * Weighted fair value per share for one company, as on the single-company page: live per-share
+ * values plus the latest per-year (or newer TTM) PE fair value from its rows.
+ * @param {{ metrics: object|null, rows?: object[], targetPE: number, weights: object }} p
+ * @returns {number|null}
+ */
+export function holdingFairValue({ metrics, rows = [], targetPE, weights }) {
+  const latest = latestFairValue(computeFairValuePerYear(annualRows(rows), targetPE), ttmFairValues(rows, targetPE));
+  const inputs = { ...(metrics || {}), perYearPE: latest?.value ?? 0 };
+  const fv = weightedFairValue(inputs, weights);
+  return Number.isFinite(fv) && fv > 0 ? fv : null;
+}
+
+/**
+ * One dashboard line. Upside = FV / price - 1; margin of safety = (FV - price) / FV.
+ * Position figures need `shares`; gain needs a cost basis as well.
+ */
+export function valueHolding({ shares = null, costBasis = null, price = null, fairValue = null }) {
+  const hasPrice = Number.isFinite(price) && price > 0;
+  const hasFv = Number.isFinite(fairValue) && fairValue > 0;
+  const hasShares = Number.isFinite(shares) && shares > 0;
+  const positionValue = hasShares && hasPrice ? shares * price : null;
+  const costValue = hasShares && Number.isFinite(costBasis) ? shares * costBasis : null;
+  return {
+    price: hasPrice ? price : null,
+    fairValue: hasFv ? fairValue : null,
+    upside: hasPrice && hasFv ? fairValue / price - 1 : null,
+    marginOfSafety: hasPrice && hasFv ? (fairValue - price) / fairValue : null,
+    positionValue,
+    fairPositionValue: hasShares && hasFv ? shares * fairValue : null,
+    costValue,
+    gain: positionValue != null && costValue != null ? positionValue - costValue : null,
+  };
+}
+
+const sum = (lines, k) => lines.reduce((s, l) => s + (Number.isFinite(l[k]) ? l[k] : 0), 0);
+
+/**
+ * Portfolio totals from valueHolding() lines. The average margin of safety is weighted by position
+ * value over the holdings that have both a price and a fair value (`coverage` = their share of value).
+ */
+export function portfolioTotals(lines) {
+  const totalValue = sum(lines, 'positionValue');
+  const valued = lines.filter((l) => l.positionValue != null && l.marginOfSafety != null);
+  const valuedValue = sum(valued, 'positionValue');
+  const costed = lines.filter((l) => l.gain != null);
+  return {
+    totalValue,
+    totalFairValue: sum(lines, 'fairPositionValue'),
+    totalCost: sum(costed, 'costValue'),
+    totalGain: costed.length ? sum(costed, 'gain') : null,
+    weightedMarginOfSafety: valuedValue > 0
+      ? valued.reduce((s, l) => s + l.marginOfSafety * l.positionValue, 0) / valuedValue
+      : null,
+    coverage: totalValue > 0 ? valuedValue / totalValue : null,
+  };
+}
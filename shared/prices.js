@@ -0,0 +1,118 @@
+// path: shared/prices.js
+// Historical closing prices: import normalization (server store + uploads), yearly closes and the
+// price-vs-fair-value series drawn by the web chart. Points are { date: 'YYYY-MM-DD', close }.
+
+import { normalizeHeader, toNumber } from './fields.js';
+import { weightedFairValue } from './valuation.js';
+import { DEFAULT_FISCAL_YEAR_END, fiscalPeriodOf } from './periods.js';
+
+const DATE_HEADERS = new Set(['date', 'datetime', 'time', 'day', 'timestamp', 'year', 'fy', 'fiscalyear']);
+const CLOSE_HEADERS = new Set(['close', 'adjclose', 'adjustedclose', 'closeprice', 'price', 'last']);
+
+/** Map a raw column header to 'date' | 'close', or null. */
+export function priceFieldForHeader(h) {
+  const n = normalizeHeader(h);
+  if (DATE_HEADERS.has(n)) return 'date';
+  if (CLOSE_HEADERS.has(n)) return 'close';
+  return null;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const isoOf = (d) => `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+
+/**
+ * Cell -> 'YYYY-MM-DD' | null. Accepts ISO dates/datetimes, Date objects, Excel serial numbers
+ * and bare years (a yearly close is dated Dec 31 of that year).
+ */
+export function toIsoDate(v) {
+  if (v == null || v === '') return null;
+  if (v instanceof Date) return Number.isFinite(v.getTime()) ? isoOf(v) : null;
+  if (typeof v === 'number') {
+    if (Number.isInteger(v) && v >= 1800 && v <= 2200) return `${v}-12-31`;
+    if (v > 10000 && v < 200000) return isoOf(new Date(Date.UTC(1899, 11, 30) + Math.round(v) * 86400000));
+    return null;
+  }
+  const s = String(v).trim();
+  const year = /^(?:FY\s*)?(\d{4})$/i.exec(s);
+  if (year) return `${year[1]}-12-31`;
+  const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(s);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? isoOf(new Date(t)) : null;
+}
+
+/**
+ * Raw records ({ header: value }) -> sorted, de-duplicated points (later records win).
+ * @returns {{ points: { date, close }[], skipped: number }}
+ */
+export function normalizePricePoints(records) {
+  const byDate = new Map();
+  let skipped = 0;
+  for (const rec of records) {
+    let date = null, close = null;
+    for (const [h, v] of Object.entries(rec || {})) {
+      const f = priceFieldForHeader(h);
+      if (f === 'date' && date == null) date = toIsoDate(v);
+      else if (f === 'close' && close == null) close = toNumber(v);
+    }
+    if (!date || !Number.isFinite(close) || close <= 0) { skipped++; continue; }
+    byDate.set(date, close);
+  }
+  const points = [...byDate].sort(([a], [b]) => a.localeCompare(b)).map(([date, close]) => ({ date, close }));
+  return { points, skipped };
+}
+
+/** Merge `incoming` into `existing` by date. @returns {{ points, added, updated }} */
+export function mergePricePoints(existing, incoming) {
+  const byDate = new Map(existing.map((p) => [p.date, p.close]));
+  let added = 0, updated = 0;
+  for (const p of incoming) {
+    if (!byDate.has(p.date)) added++;
+    else if (byDate.get(p.date) !== p.close) updated++;
+    byDate.set(p.date, p.close);
+  }
+  const points = [...byDate].sort(([a], [b]) => a.localeCompare(b)).map(([date, close]) => ({ date, close }));
+  return { points, added, updated };
+}
+
+/** Last close of each fiscal year (calendar year by default): [{ year, date, close }]. */
+export function yearlyCloses(points, fiscalYearEnd = DEFAULT_FISCAL_YEAR_END) {
+  const byYear = new Map();
+  for (const p of points) byYear.set(fiscalPeriodOf(p.date, fiscalYearEnd).year, p); // points are date-sorted
+  return [...byYear].map(([year, p]) => ({ year, date: p.date, close: p.close }));
+}
+
+/**
+ * Price vs fair value over time, one entry per price point (or per year when `yearly`).
+ * Each point gets the fair value of its fiscal year: `fair` = computeFairValuePerYear output, and the
+ * weighted FV blends the live inputs with that year's per-year PE value (other inputs are current).
+ * `over` / `under` are [low, high] ranges between price and the chosen reference, for shaded bands.
+ * @param {{ date, close }[]} points
+ * @param {{ fair, liveInputs?, weights?, reference?: 'fair'|'weighted', yearly?: boolean, fiscalYearEnd?: number }} opts
+ */
+export function priceVsFairValue(points, {
+  fair, liveInputs = null, weights = null, reference = 'fair', yearly = false, fiscalYearEnd = DEFAULT_FISCAL_YEAR_END,
+}) {
+  const fvByYear = new Map(fair.filter((f) => Number.isFinite(f.fairValuePerShare)).map((f) => [f.year, f.fairValuePerShare]));
+  const source = yearly
+    ? yearlyCloses(points, fiscalYearEnd)
+    : points.map((p) => ({ ...p, year: fiscalPeriodOf(p.date, fiscalYearEnd).year }));
+  return source.map(({ year, date, close }) => {
+    const fv = fvByYear.get(year) ?? null;
+    const weighted = liveInputs && weights
+      ? weightedFairValue({ ...liveInputs, perYearPE: fv ?? 0 }, weights) || null
+      : null;
+    const ref = reference === 'weighted' ? weighted : fv;
+    const hasRef = Number.isFinite(ref) && ref > 0;
+    return {
+      x: yearly ? year : date,
+      year,
+      price: close,
+      fairValue: fv,
+      weighted,
+      over: hasRef && close > ref ? [ref, close] : null,
+      under: hasRef && close < ref ? [close, ref] : null,
+      gap: hasRef ? close / ref - 1 : null,
+    };
+  });
+}
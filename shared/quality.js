@@ -0,0 +1,100 @@
+// path: shared/quality.js
+// Data-quality checks for financial rows, run by ingest (before saving), /report and the UI badge.
+// Errors are hard failures (ingest refuses to save); warnings are anomalies worth a look.
+
+import { comparePeriods, isQuarterly, periodKey, periodLabel } from './periods.js';
+
+export const DEFAULT_MAX_YOY_JUMP = 1.0; // |Δ| above 100% year over year is flagged
+
+const JUMP_FIELDS = ['revenue', 'operatingIncome', 'netIncome', 'sharesOutstanding'];
+
+/**
+ * Annual rows and fiscal quarters are checked separately: quarters are compared with the same
+ * quarter a year earlier, so seasonality is not flagged as a jump.
+ * @returns {{ status: 'ok'|'warning'|'error', errors: Issue[], warnings: Issue[] }}
+ *   where Issue = { code, year, quarter?, field?, message }
+ */
+export function checkDataQuality(rows, { maxYoYJump = DEFAULT_MAX_YOY_JUMP } = {}) {
+  const errors = [];
+  const warnings = [];
+  const at = (r) => (isQuarterly(r) ? { year: r.year, quarter: r.quarter } : { year: r.year });
+
+  // Duplicate periods
+  const seen = new Map();
+  for (const r of rows) {
+    const k = periodKey(r);
+    seen.set(k, { row: r, n: (seen.get(k)?.n || 0) + 1 });
+  }
+  for (const { row, n } of seen.values()) {
+    if (n < 2) continue;
+    errors.push(isQuarterly(row)
+      ? { code: 'duplicate_period', ...at(row), message: `Period ${periodLabel(row)} appears ${n} times` }
+      : { code: 'duplicate_year', year: row.year, message: `Year ${row.year} appears ${n} times` });
+  }
+
+  // Per-row sanity
+  for (const r of rows) {
+    if (Number.isFinite(r.sharesOutstanding) && r.sharesOutstanding < 0) {
+      errors.push({ code: 'negative_shares', ...at(r), field: 'sharesOutstanding', message: `Negative share count (${r.sharesOutstanding})` });
+    }
+    if (Number.isFinite(r.operatingIncome) && Number.isFinite(r.revenue) && r.operatingIncome > r.revenue) {
+      errors.push({
+        code: 'operating_income_exceeds_revenue', ...at(r), field: 'operatingIncome',
+        message: `Operating income (${r.operatingIncome}) is greater than revenue (${r.revenue})`,
+      });
+    }
+  }
+
+  // Sequence checks on unique, sorted periods (annual: year gaps; quarters: quarter gaps)
+  const annual = [...new Set(rows.filter((r) => !isQuarterly(r)).map((r) => r.year))].sort((a, b) => a - b);
+  for (let i = 1; i < annual.length; i++) {
+    if (annual[i] - annual[i - 1] > 1) {
+      warnings.push({ code: 'year_gap', year: annual[i], message: `Missing year(s) between ${annual[i - 1]} and ${annual[i]}` });
+    }
+  }
+  const quarters = [...new Map(rows.filter(isQuarterly).map((r) => [periodKey(r), r])).values()].sort(comparePeriods);
+  const ordinal = (r) => r.year * 4 + r.quarter - 1;
+  for (let i = 1; i < quarters.length; i++) {
+    if (ordinal(quarters[i]) - ordinal(quarters[i - 1]) > 1) {
+      warnings.push({
+        code: 'quarter_gap', ...at(quarters[i]),
+        message: `Missing quarter(s) between ${periodLabel(quarters[i - 1])} and ${periodLabel(quarters[i])}`,
+      });
+    }
+  }
+
+  // Jumps vs the previous year (annual) or the same quarter a year earlier
+  const jumps = (curr, prev) => {
+    for (const f of JUMP_FIELDS) {
+      const a = prev[f], b = curr[f];
+      if (!Number.isFinite(a) || !Number.isFinite(b) || a === 0) continue;
+      const change = (b - a) / Math.abs(a);
+      if (Math.abs(change) > maxYoYJump) {
+        warnings.push({
+          code: 'yoy_jump', ...at(curr), field: f,
+          message: `${f} changed ${(change * 100).toFixed(0)}% vs ${periodLabel(prev)}`,
+        });
+      }
+    }
+  };
+  const sorted = rows.filter((r) => !isQuarterly(r)).sort((a, b) => a.year - b.year);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].year !== sorted[i - 1].year) jumps(sorted[i], sorted[i - 1]);
+  }
+  const byQuarter = new Map(quarters.map((q) => [ordinal(q), q]));
+  for (const q of quarters) {
+    const prev = byQuarter.get(ordinal(q) - 4);
+    if (prev) jumps(q, prev);
+  }
+
+  const status = errors.length ? 'error' : warnings.length ? 'warning' : 'ok';
+  return { status, errors, warnings };
+}
+
+/** Plain-text report, one line per issue. */
+export function formatQualityReport({ status, errors, warnings }) {
+  const lines = [`Data quality: ${status.toUpperCase()} (${errors.length} error(s), ${warnings.length} warning(s))`];
+  for (const e of errors) lines.push(`  ERROR   ${e.year != null ? periodLabel(e) : '—'}  ${e.message}`);
+  for (const w of warnings) lines.push(`  WARNING ${w.year != null ? periodLabel(w) : '—'}  ${w.message}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,102 @@
+// path: shared/screener.js
+// Stock screener: per-company metrics from financial rows (+ an optional price), filters and sorting.
+// The server screens its whole dataset store (GET /screener); the web app uses the same functions
+// on the static companies.json catalog.
+//
+// Screen: { id, name, filters: [{ metric, op, value }], sort: { metric, dir: 'asc'|'desc' } }
+// Percentages are fractions (0.1 = 10%) in filters as everywhere else.
+
+import { calcCAGR, calcGrowth, calcMargins, computeFairValuePerYear } from './valuation.js';
+import { annualRows, ttmFairValues, latestFairValue } from './periods.js';
+import { ALERT_OPS } from './alerts.js';
+
+export const SCREEN_METRICS = Object.freeze([
+  { key: 'revenueCAGR', label: 'Revenue CAGR', pct: true },
+  { key: 'revenueGrowth', label: 'Revenue growth (latest YoY)', pct: true },
+  { key: 'netIncomeGrowth', label: 'Net income growth (latest YoY)', pct: true },
+  { key: 'operatingMargin', label: 'Operating margin', pct: true },
+  { key: 'netMargin', label: 'Net margin', pct: true },
+  { key: 'fairValuePerShare', label: 'FV / share (P/E)', money: true },
+  { key: 'price', label: 'Price', money: true },
+  { key: 'upside', label: 'Upside', pct: true },
+]);
+
+export const SCREEN_OPS = ALERT_OPS; // same comparisons as alert rules
+
+export const DEFAULT_SCREEN = Object.freeze({ filters: [], sort: { metric: 'upside', dir: 'desc' } });
+
+const METRIC_KEYS = new Set(SCREEN_METRICS.map((m) => m.key));
+const lastGrowth = (rows, field) => calcGrowth(rows, field).filter((g) => g.growth != null).pop()?.growth ?? null;
+const finite = (v) => (Number.isFinite(v) ? v : null);
+
+/**
+ * Screen metrics for one company. Year-based figures use annual rows (quarters summed); the fair
+ * value is the latest per-year (or newer TTM) P/E value, as in the weighted blend.
+ * @param {object[]} rows  normalized financial rows, in one currency
+ * @param {{ targetPE: number, price?: number|null }} opts  price in the rows' currency
+ */
+export function screenMetrics(rows, { targetPE, price = null }) {
+  const annual = annualRows(rows);
+  const last = annual[annual.length - 1] || {};
+  const margins = calcMargins(last);
+  const fv = latestFairValue(computeFairValuePerYear(annual, targetPE), ttmFairValues(rows, targetPE))?.value ?? null;
+  const fairValuePerShare = finite(fv) && fv > 0 ? fv : null;
+  const p = finite(price) && price > 0 ? price : null;
+  return {
+    firstYear: annual[0]?.year ?? null,
+    lastYear: last.year ?? null,
+    revenueCAGR: calcCAGR(annual, 'revenue'),
+    revenueGrowth: lastGrowth(annual, 'revenue'),
+    netIncomeGrowth: lastGrowth(annual, 'netIncome'),
+    operatingMargin: finite(margins.operatingMargin),
+    netMargin: finite(margins.netMargin),
+    fairValuePerShare,
+    price: p,
+    upside: p && fairValuePerShare ? fairValuePerShare / p - 1 : null,
+  };
+}
+
+/**
+ * Filter and sort screened companies. A company without a value for a filtered metric is left out;
+ * companies without a value for the sort metric go last.
+ * @param {object[]} items  objects carrying the SCREEN_METRICS keys
+ */
+export function applyScreen(items, { filters = [], sort = DEFAULT_SCREEN.sort } = {}) {
+  const matched = items.filter((it) => filters.every((f) => {
+    const v = it[f.metric];
+    return Number.isFinite(v) && SCREEN_OPS[f.op]?.(v, f.value);
+  }));
+  if (!sort?.metric || !METRIC_KEYS.has(sort.metric)) return matched;
+  const sign = sort.dir === 'asc' ? 1 : -1;
+  return [...matched].sort((a, b) => {
+    const x = a[sort.metric], y = b[sort.metric];
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return Number.isFinite(x) ? -1 : Number.isFinite(y) ? 1 : 0;
+    return (x - y) * sign;
+  });
+}
+
+/* ============================== Query string ============================== */
+// filters=revenueCAGR:>:0.1,netMargin:>=:0.15  sort=upside:desc
+
+export const filtersToParam = (filters) => filters.map((f) => `${f.metric}:${f.op}:${f.value}`).join(',');
+export const sortToParam = (sort) => (sort?.metric ? `${sort.metric}:${sort.dir === 'asc' ? 'asc' : 'desc'}` : '');
+
+/** Inverse of filtersToParam; throws on an unknown metric / operator or a non-numeric value. */
+export function parseFiltersParam(s) {
+  if (!s) return [];
+  return s.split(',').map((part) => {
+    const [metric, op, raw] = part.split(':');
+    const value = Number(raw);
+    if (!METRIC_KEYS.has(metric)) throw new Error(`unknown metric "${metric}"`);
+    if (!SCREEN_OPS[op]) throw new Error(`unknown operator "${op}"`);
+    if (raw === '' || !Number.isFinite(value)) throw new Error(`"${part}" needs a numeric value`);
+    return { metric, op, value };
+  });
+}
+
+export function parseSortParam(s) {
+  if (!s) return DEFAULT_SCREEN.sort;
+  const [metric, dir = 'desc'] = s.split(':');
+  if (!METRIC_KEYS.has(metric) || !['asc', 'desc'].includes(dir)) throw new Error(`invalid sort "${s}"`);
+  return { metric, dir };
+}
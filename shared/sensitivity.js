@@ -0,0 +1,90 @@
+// path: shared/sensitivity.js
+// Sensitivity grid (P/E × net-income growth) and named scenarios on top of computeFairValuePerYear.
+
+import { calcGrowth, computeFairValuePerYear } from './valuation.js';
+
+export const MAX_RANGE_VALUES = 51; // per grid axis
+
+/**
+ * Step range() uses: `step`, or the smallest multiple of it that keeps the range within
+ * MAX_RANGE_VALUES values, so a fine step over a wide range still spans min..max. Null when invalid.
+ */
+export function rangeStep(min, max, step) {
+  if (!(step > 0) || !Number.isFinite(min) || !Number.isFinite(max) || max < min) return null;
+  const count = Math.floor((max - min) / step + 1e-9) + 1;
+  return count > MAX_RANGE_VALUES ? Number((step * Math.ceil(count / MAX_RANGE_VALUES)).toFixed(6)) : step;
+}
+
+/** Inclusive numeric range (see rangeStep); guards against zero/negative steps and float drift. */
+export function range(min, max, step) {
+  const s = rangeStep(min, max, step);
+  if (s == null) return [];
+  const out = [];
+  const n = Math.floor((max - min) / s + 1e-9);
+  for (let i = 0; i <= n; i++) out.push(Number((min + i * s).toFixed(6)));
+  return out;
+}
+
+/** Latest row with both net income and share count: the base year for projections. */
+export function baseRow(rows) {
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const r = rows[i];
+    if (Number.isFinite(r?.netIncome) && r?.sharesOutstanding) return r;
+  }
+  return null;
+}
+
+/** Mean historical YoY net-income growth (null when fewer than two usable years). */
+export function meanNetIncomeGrowth(rows) {
+  const gs = calcGrowth(rows, 'netIncome').map((g) => g.growth).filter(Number.isFinite);
+  return gs.length ? gs.reduce((a, b) => a + b, 0) / gs.length : null;
+}
+
+/** Fair value per share after growing base net income for `years` at `growth`, valued at `targetPE`. */
+export function projectedFairValue(base, { targetPE, growth, years = 1 }) {
+  if (!base) return null;
+  const netIncome = base.netIncome * Math.pow(1 + growth, years);
+  const [fv] = computeFairValuePerYear([{ ...base, year: base.year + years, netIncome }], targetPE);
+  return { ...fv, netIncome };
+}
+
+const upsideOf = (fv, price) => (fv != null && price > 0 ? fv / price - 1 : null);
+
+/**
+ * 2-D grid: one row per growth rate, one cell per P/E multiple.
+ * Each cell: { targetPE, growth, fairValuePerShare, upside } (upside vs `price`, fraction).
+ */
+export function sensitivityGrid(rows, { peValues, growthValues, years = 1, price = null }) {
+  const base = baseRow(rows);
+  return growthValues.map((growth) => ({
+    growth,
+    cells: peValues.map((targetPE) => {
+      const fv = projectedFairValue(base, { targetPE, growth, years })?.fairValuePerShare ?? null;
+      return { targetPE, growth, fairValuePerShare: fv, upside: upsideOf(fv, price) };
+    }),
+  }));
+}
+
+/** Default bull/base/bear around a target P/E and the historical net-income growth. */
+export function defaultScenarios(rows, targetPE) {
+  const g = meanNetIncomeGrowth(rows) ?? 0;
+  return [
+    { name: 'Bear', targetPE: targetPE * 0.8, growth: g - 0.05, years: 1 },
+    { name: 'Base', targetPE, growth: g, years: 1 },
+    { name: 'Bull', targetPE: targetPE * 1.2, growth: g + 0.05, years: 1 },
+  ];
+}
+
+/** Evaluate scenarios side by side against the current price. */
+export function evaluateScenarios(rows, scenarios, price = null) {
+  const base = baseRow(rows);
+  return scenarios.map((s) => {
+    const p = projectedFairValue(base, s);
+    return {
+      ...s,
+      netIncome: p?.netIncome ?? null,
+      fairValuePerShare: p?.fairValuePerShare ?? null,
+      upside: upsideOf(p?.fairValuePerShare ?? null, price),
+    };
+  });
+}
@@ -0,0 +1,112 @@
+// path: shared/tables.js
+// Spreadsheet tables -> financial rows, used by server ingest / upload and the browser's data-entry
+// panel: an array-of-arrays table becomes records ({ header: value }) in either layout, and each
+// record becomes a loose financial row through the header aliases in fields.js, optional header
+// overrides and unit scales. Validation of the rows is left to the caller.
+
+import { fieldForHeader, normalizeHeader, toNumber } from './fields.js';
+import { parsePeriod, parseQuarter } from './periods.js';
+
+// Mapping target that drops a column instead of keeping it in `extra`
+export const IGNORE = '-';
+
+export const SCALE_WORDS = Object.freeze({ units: 1, thousands: 1e3, millions: 1e6, billions: 1e9 });
+
+/** 1000 or "thousands" -> 1000; null for anything else. */
+export const scaleFactor = (s) => (typeof s === 'number' ? (s > 0 ? s : null) : SCALE_WORDS[s] ?? null);
+
+/**
+ * Header overrides and unit scales in the form toFinancialRow takes.
+ * `columns` maps raw headers to fields (or IGNORE); `scale` applies to every field except EPS,
+ * which is already per share; `fieldScales` overrides it per field. Throws on an unknown scale.
+ * @returns {{ columns: Map<string, string>, scaleFor: (field: string) => number }}
+ */
+export function mappingOptions({ columns = {}, scale = 1, fieldScales = {} } = {}) {
+  const factor = (s, what) => {
+    const f = scaleFactor(s);
+    if (f == null) throw new Error(`${what}: expected a positive number or one of ${Object.keys(SCALE_WORDS).join(', ')}`);
+    return f;
+  };
+  const global = factor(scale, 'scale');
+  const perField = Object.fromEntries(Object.entries(fieldScales).map(([k, v]) => [k, factor(v, `fieldScales.${k}`)]));
+  return {
+    columns: new Map(Object.entries(columns).map(([h, f]) => [normalizeHeader(h), f])),
+    scaleFor: (field) => perField[field] ?? (field === 'eps' ? 1 : global),
+  };
+}
+
+/**
+ * Schema field for a header: an explicit mapping (`columns`, keyed by normalized header)
+ * wins over the built-in aliases in fields.js.
+ */
+export const resolveField = (header, columns = null) =>
+  columns?.get(normalizeHeader(header)) ?? fieldForHeader(header);
+
+const isBlank = (v) => v == null || String(v).trim() === '';
+
+/**
+ * Layout of a table: 'columns' when the header row is "label, 2021, 2022, ..." (or "2024 Q1", ...)
+ * and its first cell is not itself a year / period header, else 'rows'.
+ */
+export function detectOrientation(table, headerRow = 1) {
+  const header = table[headerRow - 1] || [];
+  const periods = header.filter((h, j) => j > 0 && parsePeriod(h)).length;
+  return !['year', 'period'].includes(fieldForHeader(header[0])) && periods >= 2 ? 'columns' : 'rows';
+}
+
+/**
+ * Array-of-arrays table -> records ({ header: value }).
+ * rows:    headers on `headerRow`, one record per following row.
+ * columns: labels in the first column, years or periods ("2024 Q1") on `headerRow`, one record per column.
+ * auto:    whichever detectOrientation picks.
+ */
+export function tableToRecords(table, { orientation = 'rows', headerRow = 1 } = {}) {
+  const layout = orientation === 'auto' ? detectOrientation(table, headerRow) : orientation;
+  const header = table[headerRow - 1] || [];
+  const body = table.slice(headerRow).filter((r) => Array.isArray(r) && r.some((c) => !isBlank(c)));
+
+  if (layout === 'columns') {
+    const records = [];
+    header.forEach((h, j) => {
+      const p = j > 0 ? parsePeriod(h) : null;
+      if (!p) return;
+      const rec = p.quarter ? { year: p.year, quarter: p.quarter } : { year: p.year };
+      for (const r of body) if (!isBlank(r[0])) rec[String(r[0]).trim()] = r[j] ?? null;
+      records.push(rec);
+    });
+    return records;
+  }
+
+  return body.map((r) => {
+    const rec = {};
+    header.forEach((h, j) => { if (!isBlank(h)) rec[String(h).trim()] = r[j] ?? null; });
+    return rec;
+  });
+}
+
+/**
+ * Map one raw record ({ header: value }) onto the financial fields. Known headers become fields,
+ * everything else is kept verbatim in `extra`. Returns null when the record has no year.
+ * `opts.columns` / `opts.scaleFor` come from mappingOptions (or the server's compiled mapping).
+ */
+export function toFinancialRow(record, { columns = null, scaleFor = null } = {}) {
+  const row = { extra: {} };
+  for (const [header, value] of Object.entries(record)) {
+    const field = resolveField(header, columns);
+    // Round-trip of stored rows: their `extra` object is merged back rather than nested
+    if (header === 'extra' && value && typeof value === 'object') { Object.assign(row.extra, value); continue; }
+    if (field === IGNORE) continue;
+    if (field === 'year' || field === 'period') {
+      // 2024, "FY2024" or "2024 Q1" (a quarter column, if any, still wins)
+      const p = parsePeriod(value);
+      row.year = p?.year ?? toNumber(value);
+      if (p?.quarter && row.quarter == null) row.quarter = p.quarter;
+    } else if (field === 'quarter') row.quarter = parseQuarter(value) ?? row.quarter ?? null;
+    else if (field) {
+      const n = toNumber(value);
+      row[field] = n != null && scaleFor ? n * scaleFor(field) : n;
+    } else if (value != null && value !== '') row.extra[String(header).trim()] = value;
+  }
+  if (!Number.isFinite(row.year)) return null;
+  return row;
+}
@@ -0,0 +1,163 @@
+// path: shared/valuation.js
+// Valuation math shared by the Express server, the React app and the AI prompts.
+// Pure functions only: no I/O, no env, no framework imports.
+
+/* ============================== Growth ============================== */
+/** Year-over-year growth of `field` (default revenue), starting at the 2nd row. */
+export function calcGrowth(series, field = 'revenue') {
+  const out = [];
+  for (let i = 1; i < series.length; i++) {
+    const prev = series[i - 1], curr = series[i];
+    if (Number.isFinite(prev?.[field]) && Number.isFinite(curr?.[field]) && prev[field] !== 0) {
+      out.push({ year: curr.year, growth: (curr[field] - prev[field]) / prev[field] });
+    } else out.push({ year: curr.year, growth: null });
+  }
+  return out;
+}
+
+/** Compound annual growth rate between the first and last finite values of `field`. */
+export function calcCAGR(series, field = 'revenue') {
+  const pts = series.filter((r) => Number.isFinite(r?.[field]) && Number.isFinite(r?.year));
+  if (pts.length < 2) return null;
+  const first = pts[0], last = pts[pts.length - 1];
+  const years = last.year - first.year;
+  if (years <= 0 || first[field] <= 0 || last[field] <= 0) return null;
+  return Math.pow(last[field] / first[field], 1 / years) - 1;
+}
+
+/* ============================== Per-year PE fair value ============================== */
+/** Fair equity value = netIncome × targetPE, and per share when sharesOutstanding is known. */
+export function computeFairValuePerYear(rows, targetPE) {
+  return rows.map((r) => {
+    const equityValue = Number.isFinite(r.netIncome) ? r.netIncome * targetPE : null;
+    const perShare = r.sharesOutstanding && equityValue != null ? equityValue / r.sharesOutstanding : null;
+    return { year: r.year, equityValue, fairValuePerShare: perShare };
+  });
+}
+
+export const describePerYearFormula = (targetPE) => `NetIncome * PE(${targetPE})`;
+
+/* ============================== Margins ============================== */
+const ratio = (a, b) => (Number.isFinite(a) && Number.isFinite(b) && b !== 0 ? a / b : null);
+
+/** Operating and net margin (fractions, not %) for one financial row. */
+export function calcMargins(row) {
+  return {
+    year: row.year,
+    operatingMargin: ratio(row.operatingIncome, row.revenue),
+    netMargin: ratio(row.netIncome, row.revenue),
+  };
+}
+
+export const calcMarginSeries = (rows) => rows.map(calcMargins);
+
+const absOrNull = (v) => (Number.isFinite(v) ? Math.abs(v) : null);
+
+/**
+ * Balance-sheet and cash-flow ratios for one row (fractions). Dividends and buybacks
+ * are often reported as negative cash flows, so their absolute value is used.
+ */
+export function calcRatios(row) {
+  const dividends = absOrNull(row.dividends);
+  const buybacks = absOrNull(row.buybacks);
+  const shareholderReturn = dividends != null || buybacks != null ? (dividends ?? 0) + (buybacks ?? 0) : null;
+  return {
+    year: row.year,
+    grossMargin: ratio(row.grossProfit, row.revenue),
+    fcfMargin: ratio(row.freeCashFlow, row.revenue),
+    debtToEquity: ratio(row.totalDebt, row.equity),
+    netDebt: Number.isFinite(row.totalDebt) && Number.isFinite(row.cash) ? row.totalDebt - row.cash : null,
+    dividendPayout: ratio(dividends, row.netIncome),
+    payoutRatio: ratio(shareholderReturn, row.netIncome),
+  };
+}
+
+/* ============================== Live multiples → per share ============================== */
+/**
+ * Per-share fair values from market multiples (TwelveData statistics/statements).
+ * EV: (enterpriseValue − longTermDebt + cash) / shares; PE: forwardPE × netIncome / shares;
+ * PS: priceToSales × sales / shares. All zero when shares are unknown.
+ */
+export function perShareFairValues({
+  enterpriseValue = 0, longTermDebt = 0, cash = 0, forwardPE = 0,
+  netIncome = 0, priceToSales = 0, sales = 0, sharesOutstanding = 0,
+}) {
+  if (!(sharesOutstanding > 0)) return { fairEV: 0, fairPE: 0, fairPS: 0 };
+  return {
+    fairEV: (enterpriseValue - longTermDebt + cash) / sharesOutstanding,
+    fairPE: (forwardPE * netIncome) / sharesOutstanding,
+    fairPS: (priceToSales * sales) / sharesOutstanding,
+  };
+}
+
+/* ============================== Weighted fair value ============================== */
+// Methods that can take part in the blend; `input` is the per-share field read from the values object.
+export const WEIGHT_METHODS = Object.freeze([
+  { key: 'ev', label: 'EV', input: 'fairEV' },
+  { key: 'pe', label: 'PE', input: 'fairPE' },
+  { key: 'ps', label: 'PS', input: 'fairPS' },
+  { key: 'book', label: 'Book', input: 'bookValue' },
+  { key: 'peYear', label: 'PE_year', input: 'perYearPE' }, // latest per-year (or newer TTM) PE fair value per share
+]);
+
+export const DEFAULT_WEIGHTS = Object.freeze({ ev: 0.5, pe: 0.25, ps: 0.25 });
+
+const METHOD = Object.fromEntries(WEIGHT_METHODS.map((m) => [m.key, m]));
+
+/**
+ * Keep only enabled methods with a positive weight and rescale them to sum to 1.
+ * `enabled` defaults to every method present in `weights`.
+ */
+export function normalizeWeights(weights, enabled = null) {
+  const picked = Object.entries(weights || {}).filter(
+    ([k, w]) => METHOD[k] && (!enabled || enabled[k]) && Number.isFinite(w) && w > 0
+  );
+  const sum = picked.reduce((s, [, w]) => s + w, 0);
+  if (!sum) return {};
+  return Object.fromEntries(picked.map(([k, w]) => [k, w / sum]));
+}
+
+/** `weights` limited to the methods with a positive input in `values`, rescaled to sum to 1. */
+export function availableWeights(values, weights = DEFAULT_WEIGHTS) {
+  return normalizeWeights(Object.fromEntries(
+    Object.entries(weights || {}).filter(([k]) => values?.[METHOD[k]?.input] > 0)
+  ));
+}
+
+/** Weighted blend of the per-share fair values, e.g. 0.5×EV + 0.25×PE + 0.25×PS. */
+export function weightedFairValue(values, weights = DEFAULT_WEIGHTS) {
+  let total = 0;
+  for (const [k, w] of Object.entries(weights)) {
+    const v = values?.[METHOD[k]?.input];
+    if (Number.isFinite(v) && Number.isFinite(w)) total += v * w;
+  }
+  return total;
+}
+
+/** Human/LLM-readable form of the weighted formula, e.g. "0.5*EV + 0.25*PE + 0.25*PS". */
+export const describeWeightedFormula = (weights = DEFAULT_WEIGHTS) =>
+  Object.entries(weights)
+    .filter(([k]) => METHOD[k])
+    .map(([k, w]) => `${Number(w.toFixed(4))}*${METHOD[k].label}`)
+    .join(' + ');
+
+/** Stable short signature of a weight set, for cache keys. */
+export const weightsSig = (weights = DEFAULT_WEIGHTS) =>
+  WEIGHT_METHODS.map((m) => `${m.key}:${Number((weights[m.key] || 0).toFixed(4))}`).join(',');
+
+/* ============================== AI fair-value guard ============================== */
+export const AI_FV_TOLERANCE = 0.15; // beyond ±15% of the weighted value → flagged
+export const AI_FV_REJECT = 0.5;     // beyond ±50% → rejected (next path / local formula)
+
+/**
+ * Compare a model's fair value with the deterministic weighted value.
+ * deviation = (fv - reference) / reference; no usable reference → 'no_reference' (accepted as-is).
+ * @returns {{ status: 'ok'|'flagged'|'rejected'|'no_reference', deviation: number|null }}
+ */
+export function checkAiFairValue(fv, reference, { tolerance = AI_FV_TOLERANCE, rejectAbove = AI_FV_REJECT } = {}) {
+  if (!Number.isFinite(fv) || fv <= 0) return { status: 'rejected', deviation: null };
+  if (!Number.isFinite(reference) || reference <= 0) return { status: 'no_reference', deviation: null };
+  const deviation = (fv - reference) / reference;
+  const off = Math.abs(deviation);
+  return { status: off > rejectAbove ? 'rejected' : off > tolerance ? 'flagged' : 'ok', deviation };
+}
@@ -1,286 +1,117 @@
 // path: web/src/App.jsx
-// Merged: Static JSON charts + per-year FV (PE) + Live EV/PE/PS + Ask AI (WebLLM/OpenAI/local)
-// No server required for charts; TwelveData key is hardcoded for live metrics.
+// Merged: Static JSON charts + per-year FV (PE) + DCF + Live EV/PE/PS + Ask AI (WebLLM/OpenAI/local) + peer comparison + watchlists / portfolios + screener
+// No server required for charts; live metrics come from the server's TwelveData proxy (/api/metrics).
 
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import {
-  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
-  BarChart, Bar
-} from 'recharts';
+  calcGrowth, calcMargins, calcRatios, computeFairValuePerYear, weightedFairValue, describeWeightedFormula,
+  normalizeWeights, weightsSig, checkAiFairValue, AI_FV_TOLERANCE, AI_FV_REJECT,
+} from '@shared/valuation.js';
+import {
+  PERIOD_VIEWS, annualRows, periodRows, periodGrowth, ttmFairValues, latestFairValue, isQuarterly,
+} from '@shared/periods.js';
+import { MARKET_CURRENCIES, marketOf, fxRate, convertRows, convertMetrics } from '@shared/currency.js';
+import { cacheRead, cacheWrite } from './storage.js';
+import { DISPLAY_CURRENCY_KEY, useFxRates } from './currency.js';
+import { useBrowserAlerts } from './alerts.js';
+import { chatComplete, extractJSON, getEngine, hasWebGPU, loadCreateMLCEngine } from './llm.js';
+import { buildChatContext, rowAnchor, fairAnchor, METRICS_ANCHOR } from './chat.js';
+import { normalizeFinancialRows, hasField } from './data.js';
+import { API_BASE, fetchValuationMetrics, fetchCompanies, fetchCompany, reportExportUrl } from './api.js';
+import { buildExportTables, downloadCsv, downloadXlsx } from './sheets.js';
+import { Card, ChartLines, ChartBars, Table } from './components/ui.jsx';
+import { fmtNumber } from './format.js';
+import DcfCard from './components/DcfCard.jsx';
+import PriceFairValueCard from './components/PriceFairValueCard.jsx';
+import SensitivityCard from './components/SensitivityCard.jsx';
+import CompareView from './components/CompareView.jsx';
+import PortfolioView from './components/PortfolioView.jsx';
+import AlertsCard from './components/AlertsCard.jsx';
+import ScreenerView from './components/ScreenerView.jsx';
+import QualityBadge from './components/QualityBadge.jsx';
+import WeightsEditor, { DEFAULT_WEIGHT_CONFIG } from './components/WeightsEditor.jsx';
+import NarrativeCard from './components/NarrativeCard.jsx';
+import ChatPanel from './components/ChatPanel.jsx';
+import DataEntryPanel, { readLocalDatasets } from './components/DataEntryPanel.jsx';
 
 /* ================================== Config ================================== */
-const DATA_URL = '/data/companies.json';       // { companies: [{ticker, exchange, rows:[...]}, ...] }
+const DATA_URL = '/data/companies.json';       // fallback when the server catalog is unreachable
 const TARGET_PE_DEFAULT = 25;
-
-// --- TwelveData (HARDCODED KEY as requested) ---
-const TWELVE_API_KEY = '5da413057f75498490b0303582e0d0de';
-
-// --- Optional OpenAI (leave empty to skip cloud path) ---
-const OPENAI_KEY   = import.meta.env.VITE_OPENAI_API_KEY || '';
-const OPENAI_BASE  = import.meta.env.VITE_OPENAI_API_BASE || 'https://api.openai.com/v1';
-const OPENAI_MODEL = import.meta.env.VITE_OPENAI_MODEL || 'gpt-4o-mini';
-
-// US market settings (for AAPL/MSFT)
-const MARKET_SUFFIX_US = '';
-const MARKET_CCY_US = 'USD';
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
 /* ======================= Ask-AI plumbing & helpers ======================= */
-// localStorage helpers
-const cacheRead  = (k, f = null) => { try { const s = localStorage.getItem(k); return s ? JSON.parse(s) : f; } catch { return f; } };
-const cacheWrite = (k, v)       => { try { localStorage.setItem(k, JSON.stringify(v)); } catch {} };
-
-// cache key for AI FV (depends on key inputs)
+// cache key for AI FV (depends on key inputs and the chosen weights)
 const AI_TTL_MS = 24 * 60 * 60 * 1000;
 const round2 = (n) => (Number.isFinite(n) ? Number(n.toFixed(2)) : 0);
-const aiInputsSig = (m) =>
-  `${round2(m.fairEV)}|${round2(m.fairPE)}|${round2(m.fairPS)}|${round2(m.bookValue)}|${round2(m.price)}`;
-const AI_CACHE_KEY = (symbolWithSuffix, sig) => `ai_fv_cache_v1_${symbolWithSuffix}_${sig}`;
-
-// Optional WebLLM (dynamic import so app runs even if package not installed)
-let _CreateMLCEngine = null;
-let __engine = null;
-
-async function loadCreateMLCEngine() {
-  if (_CreateMLCEngine) return _CreateMLCEngine;
-  const mod = await import(/* @vite-ignore */ '@mlc-ai/web-llm')
-    .catch(() => { throw new Error('webllm_not_installed'); });
-  _CreateMLCEngine = mod.CreateMLCEngine;
-  return _CreateMLCEngine;
-}
-const MODEL_CANDIDATES = [
-  'Phi-3-mini-4k-instruct-q4f16_1-MLC',
-  'Llama-3.2-1B-Instruct-q4f16_1-MLC',
-  'Qwen2.5-1.5B-Instruct-q4f16_1-MLC',
-];
-async function getEngine() {
-  if (__engine) return __engine;
-  const CreateMLCEngine = await loadCreateMLCEngine(); // may throw webllm_not_installed
-  let lastErr;
-  for (const mid of MODEL_CANDIDATES) {
-    try { __engine = await CreateMLCEngine(mid); return __engine; }
-    catch (e) { lastErr = e; }
-  }
-  throw lastErr || new Error('No WebLLM model could be initialized.');
-}
-
-// Extract {"fv":123.45} from LLM text (fenced or raw)
-function extractJSON(text) {
-  if (!text) return null;
-  const fence = /```(?:json)?\s*([\s\S]*?)```/i.exec(text);
-  const raw = fence ? fence[1] : text;
-  try { return JSON.parse(raw); } catch {}
-  const i = raw.lastIndexOf('{'); const j = raw.lastIndexOf('}');
-  if (i >= 0 && j > i) { try { return JSON.parse(raw.slice(i, j + 1)); } catch {} }
-  return null;
-}
-
-/* ============================ Data helpers ============================ */
-function normalizeFinancialRows(arr) {
-  const out = [];
-  for (const r of arr) {
-    const year = num(r.year);
-    const revenue = num(r.revenue);
-    const op = num(r.operatingIncome);
-    const net = num(r.netIncome);
-    const shares = numOrNull(r.sharesOutstanding);
-    if (!Number.isFinite(year)) continue;
-    out.push({ year, revenue, operatingIncome: op, netIncome: net, sharesOutstanding: shares });
-  }
-  out.sort((a, b) => a.year - b.year);
-  return out;
-}
-const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : null);
-const numOrNull = (v) => (Number.isFinite(Number(v)) ? Number(v) : null);
-
-function calcGrowth(series) {
-  const out = [];
-  for (let i = 1; i < series.length; i++) {
-    const prev = series[i - 1], curr = series[i];
-    if (Number.isFinite(prev?.revenue) && Number.isFinite(curr?.revenue)) {
-      out.push({ year: curr.year, growth: (curr.revenue - prev.revenue) / prev.revenue });
-    } else out.push({ year: curr.year, growth: null });
-  }
-  return out;
-}
-function computeFairValuePerYear(rows, targetPE) {
-  return rows.map((r) => {
-    const equityValue = Number.isFinite(r.netIncome) ? r.netIncome * targetPE : null;
-    const perShare = r.sharesOutstanding && equityValue != null ? equityValue / r.sharesOutstanding : null;
-    return { year: r.year, equityValue, fairValuePerShare: perShare };
-  });
-}
-function mergeSeries(series) {
-  const years = Array.from(new Set(series.flatMap((s) => s.data.map((d) => d.year)))).sort();
-  return years.map((y) => {
-    const row = { year: y };
-    for (const s of series) {
-      const f = s.data.find((d) => d.year === y);
-      row[s.name] = f?.value ?? null;
-    }
-    return row;
-  });
-}
-const fmtNumber = (n) => {
-  if (n == null || !isFinite(n)) return '—';
-  if (Math.abs(n) >= 1e9) return (n / 1e9).toFixed(2) + 'B';
-  if (Math.abs(n) >= 1e6) return (n / 1e6).toFixed(2) + 'M';
-  if (Math.abs(n) >= 1e3) return (n / 1e3).toFixed(2) + 'K';
-  return Number(n).toLocaleString();
+const aiInputsSig = (m, weights) =>
+  `${round2(m.fairEV)}|${round2(m.fairPE)}|${round2(m.fairPS)}|${round2(m.bookValue)}|${round2(m.perYearPE)}|${round2(m.price)}|${weightsSig(weights)}`;
+const AI_CACHE_KEY = (symbolWithSuffix, sig) => `ai_fv_cache_v2_${symbolWithSuffix}_${sig}`;
+const WEIGHT_CONFIG_KEY = 'fv_weight_config_v1';
+
+// Guard: AI values are checked against the weighted FV (relative deviation)
+const AI_GUARD = {
+  tolerance: Number(import.meta.env.VITE_AI_FV_TOLERANCE) || AI_FV_TOLERANCE,
+  rejectAbove: Number(import.meta.env.VITE_AI_FV_REJECT) || AI_FV_REJECT,
+};
+const AI_SOURCE_LABELS = { cache: 'Cache', webllm: 'WebLLM', openai: 'OpenAI', local: 'Local formula' };
+const describeAiSource = (src) => {
+  if (!src) return '—';
+  const base = `${AI_SOURCE_LABELS[src.kind] || src.kind}${src.model ? ` (${src.model})` : ''}`;
+  return src.kind === 'cache' && src.origin ? `${base} · originally ${describeAiSource(src.origin)}` : base;
 };
 
-/* ====================== Live valuation metrics (TwelveData) ====================== */
-async function fetchValuationMetrics(symbolWithSuffix, currency) {
-  if (!TWELVE_API_KEY) {
-    return { price: 0, fairEV: 0, fairPE: 0, fairPS: 0, weighted: 0, bookValue: 0, grossMargin: 0, netMargin: 0, opMargin: 0, currency };
-  }
-  const base = 'https://api.twelvedata.com';
-  const key = TWELVE_API_KEY;
-  const enc = (s) => encodeURIComponent(s);
-
-  const [priceResp, statsResp, bsResp, isResp] = await Promise.all([
-    fetch(`${base}/price?symbol=${enc(symbolWithSuffix)}&apikey=${key}`),
-    fetch(`${base}/statistics?symbol=${enc(symbolWithSuffix)}&apikey=${key}`),
-    fetch(`${base}/balance_sheet?symbol=${enc(symbolWithSuffix)}&apikey=${key}`),
-    fetch(`${base}/income_statement?symbol=${enc(symbolWithSuffix)}&apikey=${key}`),
-  ]);
-
-  const priceJson = await priceResp.json();
-  const statsJson = await statsResp.json();
-  const bsJson = await bsResp.json();
-  const isJson = await isResp.json();
-
-  const asNum = (x) => {
-    if (x == null) return 0;
-    if (typeof x === 'number') return x;
-    if (typeof x === 'string') { const n = parseFloat(x.replace(/,/g, '')); return isFinite(n) ? n : 0; }
-    return 0;
-  };
-
-  const price = asNum(priceJson?.price);
-  const stats = statsJson?.statistics || {};
-  const bs0 = Array.isArray(bsJson?.balance_sheet) ? bsJson.balance_sheet[0] : {};
-  const is0 = Array.isArray(isJson?.income_statement) ? isJson.income_statement[0] : {};
-
-  const enterpriseValue  = asNum(stats?.valuations_metrics?.enterprise_value);
-  const sharesOutstanding= asNum(stats?.stock_statistics?.shares_outstanding);
-  const cash             = asNum(bs0?.assets?.current_assets?.cash);
-  const longTermDebt     = asNum(bs0?.liabilities?.non_current_liabilities?.long_term_debt);
-  const forwardPE        = asNum(stats?.valuations_metrics?.forward_pe);
-  const netIncome        = asNum(is0?.net_income);
-  const priceToSales     = asNum(stats?.valuations_metrics?.price_to_sales_ttm);
-  const sales            = asNum(is0?.sales);
-
-  let fairEV = 0, fairPE = 0, fairPS = 0;
-  if (sharesOutstanding > 0) {
-    fairEV = (enterpriseValue - longTermDebt + cash) / sharesOutstanding;
-    fairPE = (forwardPE * netIncome) / sharesOutstanding;
-    fairPS = (priceToSales * sales) / sharesOutstanding;
-  }
-  const weighted    = fairEV * 0.5 + fairPE * 0.25 + fairPS * 0.25;
-  const bookValue   = asNum(stats?.financials?.balance_sheet?.book_value_per_share_mrq);
-  const grossMargin = asNum(stats?.financials?.gross_margin) * 100;
-  const netMargin   = asNum(stats?.financials?.profit_margin) * 100;
-  const opMargin    = asNum(stats?.financials?.operating_margin) * 100;
-
-  return { price, fairEV, fairPE, fairPS, weighted, bookValue, grossMargin, netMargin, opMargin, currency };
-}
-
-/* ================================== UI bits ================================== */
-const Card = ({ title, children }) => (
-  <section className="bg-white rounded-2xl shadow p-4">
-    {title && <h2 className="font-semibold mb-3">{title}</h2>}
-    {children}
-  </section>
-);
+// Replace (or append) a catalog entry by exchange + ticker
+const upsertCompany = (list, entry) => {
+  const i = list.findIndex((c) => c.exchange === entry.exchange && c.ticker === entry.ticker);
+  return i < 0 ? [...list, entry] : list.map((c, j) => (j === i ? { ...c, ...entry } : c));
+};
 
-function ChartLines({ series }) {
-  const merged = mergeSeries(series);
-  return (
-    <div className="h-64">
-      <ResponsiveContainer width="100%" height="100%">
-        <LineChart data={merged} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
-          <CartesianGrid strokeDasharray="3 3" />
-          <XAxis dataKey="year" />
-          <YAxis />
-          <Tooltip />
-          <Legend />
-          {series.map((s, i) => (
-            <Line key={i} type="monotone" dataKey={s.name} dot={false} />
-          ))}
-        </LineChart>
-      </ResponsiveContainer>
-    </div>
-  );
-}
-function ChartBars({ data, suffix }) {
-  return (
-    <div className="h-64">
-      <ResponsiveContainer width="100%" height="100%">
-        <BarChart data={data}>
-          <CartesianGrid strokeDasharray="3 3" />
-          <XAxis dataKey="year" />
-          <YAxis tickFormatter={(v) => `${v}${suffix || ''}`} />
-          <Tooltip formatter={(v) => `${v}${suffix || ''}`} />
-          <Legend />
-          <Bar dataKey="value" name="YoY Growth" />
-        </BarChart>
-      </ResponsiveContainer>
-    </div>
-  );
-}
-function Table({ data, columns }) {
-  return (
-    <div className="overflow-x-auto">
-      <table className="min-w-full text-sm">
-        <thead>
-          <tr className="text-left border-b">
-            {columns.map((c) => (<th key={c.key} className="py-2 pr-4">{c.label}</th>))}
-          </tr>
-        </thead>
-        <tbody>
-          {data.map((row, idx) => (
-            <tr key={idx} className="border-b">
-              {columns.map((c) => (
-                <td key={c.key} className="py-2 pr-4">{c.fmt ? c.fmt(row[c.key]) : row[c.key]}</td>
-              ))}
-            </tr>
-          ))}
-        </tbody>
-      </table>
-    </div>
-  );
-}
+const fmtPct = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(1)}%` : '—');
 
 /* ================================== App ================================== */
 export default function App() {
   const [companies, setCompanies] = useState([]);
   const [selectedKey, setSelectedKey] = useState(''); // e.g. NASDAQ:AAPL
+  const [mode, setMode] = useState('single'); // 'single' | 'compare' | 'portfolio' | 'screener'
   const [targetPE, setTargetPE] = useState(TARGET_PE_DEFAULT);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [catalogSource, setCatalogSource] = useState(''); // 'server' | 'static'
+  const [search, setSearch] = useState('');
+  const [draft, setDraft] = useState(null); // rows being edited in the data-entry panel (unsaved)
 
-  // live metrics
-  const [metrics, setMetrics] = useState(null);
+  // live metrics (trading currency, as returned by the server)
+  const [liveMetrics, setLiveMetrics] = useState(null);
+  const [displayChoice, setDisplayChoice] = useState(() => cacheRead(DISPLAY_CURRENCY_KEY, '')); // '' = reporting
   const [aiBusy, setAiBusy] = useState(false);
-  const [aiFV, setAiFV] = useState(null);
+  const [aiResult, setAiResult] = useState(null); // { fv, rationale, source, check, rejected: [{ fv, deviation }] }
   const [aiError, setAiError] = useState('');
-  const [aiCached, setAiCached] = useState(false);
   const [longWait, setLongWait] = useState(false);
+  const [weightConfig, setWeightConfig] = useState(() => cacheRead(WEIGHT_CONFIG_KEY, DEFAULT_WEIGHT_CONFIG));
 
   // Progress bar CSS (used when AI is busy)
   const progressCss = `
     @keyframes trueprice-progress { 0%{transform:translateX(-100%)} 50%{transform:translateX(-20%)} 100%{transform:translateX(100%)} }
   `;
 
-  // Load companies.json
+  // Load the catalog: live server store first, static companies.json as fallback
   useEffect(() => {
     (async () => {
       try {
         setLoading(true);
-        const r = await fetch(`${DATA_URL}?ts=${Date.now()}`, { cache: 'no-store' });
-        if (!r.ok) throw new Error(`Failed to load ${DATA_URL}: ${r.status}`);
-        const j = await r.json();
-        const list = Array.isArray(j.companies) ? j.companies : [];
+        let list = null;
+        try {
+          const j = await fetchCompanies();
+          if (j.items.length) { list = j.items; setCatalogSource('server'); }
+        } catch { /* server offline — fall back to static JSON */ }
+        if (!list) {
+          const r = await fetch(`${DATA_URL}?ts=${Date.now()}`, { cache: 'no-store' });
+          if (!r.ok) throw new Error(`Failed to load ${DATA_URL}: ${r.status}`);
+          const j = await r.json();
+          list = Array.isArray(j.companies) ? j.companies : [];
+          setCatalogSource('static');
+        }
+        for (const d of readLocalDatasets()) list = upsertCompany(list, { ...d, local: true });
         setCompanies(list);
         if (list.length) setSelectedKey(`${list[0].exchange}:${list[0].ticker}`);
       } catch (e) {
@@ -291,132 +122,240 @@ export default function App() {
     })();
   }, []);
 
+  // Server catalog entries carry no rows; fetch them on demand and keep them in `companies`
+  const ensureRows = useCallback(async (keys) => {
+    const missing = companies.filter((c) => keys.includes(`${c.exchange}:${c.ticker}`) && !c.rows);
+    for (const c of missing) {
+      try {
+        const d = await fetchCompany(c.exchange, c.ticker);
+        setCompanies((prev) => prev.map((p) =>
+          p.exchange === c.exchange && p.ticker === c.ticker ? { ...p, rows: d.rows, version: d.version, dataQuality: d.dataQuality } : p
+        ));
+      } catch (e) {
+        setError(e.message || `Failed to load ${c.ticker}`);
+      }
+    }
+  }, [companies]);
+  useEffect(() => { if (selectedKey) ensureRows([selectedKey]); }, [selectedKey, ensureRows]);
+
+  // A draft belongs to the company it was started on
+  useEffect(() => { setDraft(null); }, [selectedKey]);
+
+  const onDatasetSaved = (entry) => {
+    setCompanies((prev) => upsertCompany(prev, entry));
+    setSelectedKey(`${entry.exchange}:${entry.ticker}`);
+    setDraft(null);
+  };
+
+  const visibleCompanies = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return q
+      ? companies.filter((c) => c.ticker.toLowerCase().includes(q) || c.exchange.toLowerCase().includes(q) || `${c.exchange}:${c.ticker}` === selectedKey)
+      : companies;
+  }, [companies, search, selectedKey]);
+
   const company = useMemo(() => {
     if (!selectedKey || !companies.length) return null;
     const [ex, tk] = selectedKey.split(':');
     return companies.find((c) => c.exchange === ex && c.ticker === tk) || null;
   }, [selectedKey, companies]);
 
-  const rows = useMemo(() => normalizeFinancialRows(company?.rows || []), [company]);
+  // Currencies: rows are in the company's reporting currency, live metrics in the listing's trading
+  // currency; both are converted into the display currency. Without an FX rate rows stay unconverted
+  // and live metrics are hidden rather than mixed with figures in another currency.
+  const market = useMemo(() => marketOf(company), [company]);
+  const displayCcy = displayChoice || market.currency;
+  const { fx, error: fxError, loading: fxLoading } = useFxRates(displayCcy, [market.currency, liveMetrics?.currency]);
+  const rowRate = fxRate(fx, market.currency, displayCcy);
+  const ccy = rowRate != null ? displayCcy : market.currency; // currency of every amount on screen
+  const metricsRate = liveMetrics ? fxRate(fx, liveMetrics.currency, ccy) : null;
+  const metrics = useMemo(
+    () => (liveMetrics && metricsRate != null ? convertMetrics(liveMetrics, metricsRate, ccy) : null),
+    [liveMetrics, metricsRate, ccy]
+  );
+  const fxWarning = fxLoading ? '' : [
+    rowRate == null && `No FX rate for ${market.currency}/${displayCcy}; figures are shown in ${market.currency}.`,
+    liveMetrics && metricsRate == null && `No FX rate for ${liveMetrics.currency}/${ccy}; live metrics are hidden.`,
+    fxError,
+  ].filter(Boolean).join(' ');
+  useEffect(() => { cacheWrite(DISPLAY_CURRENCY_KEY, displayChoice); }, [displayChoice]);
+  useBrowserAlerts(catalogSource === 'server');
+
+  // allRows = annual + quarterly rows as stored; `rows` = annual (quarters summed when a year has no
+  // annual row) and feeds every year-based figure. Charts and the Financials table follow the period view.
+  const allRows = useMemo(
+    () => convertRows(normalizeFinancialRows(draft ?? company?.rows ?? []), rowRate ?? 1),
+    [draft, company, rowRate]
+  );
+  const rows = useMemo(() => annualRows(allRows), [allRows]);
+  const hasQuarters = useMemo(() => allRows.some(isQuarterly), [allRows]);
+  const fiscalYearEnd = company?.fiscalYearEnd ?? 12;
+  const [periodView, setPeriodView] = useState('annual');
+  const [growthBasis, setGrowthBasis] = useState('yoy');
+  const view = hasQuarters ? periodView : 'annual';
+  const viewRows = useMemo(() => periodRows(allRows, view), [allRows, view]);
   const charts = useMemo(() => ({
-    revenue: rows.map((r) => ({ year: r.year, value: r.revenue })),
-    operatingIncome: rows.map((r) => ({ year: r.year, value: r.operatingIncome })),
-    netIncome: rows.map((r) => ({ year: r.year, value: r.netIncome })),
-  }), [rows]);
+    revenue: viewRows.map((r) => ({ year: r.period, value: r.revenue })),
+    operatingIncome: viewRows.map((r) => ({ year: r.period, value: r.operatingIncome })),
+    netIncome: viewRows.map((r) => ({ year: r.period, value: r.netIncome })),
+    freeCashFlow: viewRows.map((r) => ({ year: r.period, value: r.freeCashFlow })),
+    capex: viewRows.map((r) => ({ year: r.period, value: r.capex })),
+  }), [viewRows]);
+  const ratios = useMemo(() => viewRows.map((r) => ({ ...calcRatios(r), period: r.period })), [viewRows]);
+  const ratioSeries = (field) =>
+    ratios.map((r) => ({ year: r.period, value: r[field] != null ? Number((r[field] * 100).toFixed(2)) : null }));
   const growth = useMemo(() => calcGrowth(rows), [rows]);
+  // Annual view keeps calcGrowth; quarterly / TTM views compare with the same quarter last year or the previous one
+  const viewGrowth = useMemo(
+    () => (view === 'annual' ? growth.map((g) => ({ ...g, period: g.year })) : periodGrowth(viewRows, 'revenue', growthBasis)),
+    [view, growth, viewRows, growthBasis]
+  );
   const fair = useMemo(() => computeFairValuePerYear(rows, Number(targetPE) || 0), [rows, targetPE]);
+  const ttmFair = useMemo(() => ttmFairValues(allRows, Number(targetPE) || 0), [allRows, targetPE]);
+  const latestFair = useMemo(() => latestFairValue(fair, ttmFair), [fair, ttmFair]);
+
+  // Weighted FV inputs: live per-share values + latest per-year (or newer TTM) PE fair value
+  const weights = useMemo(
+    () => normalizeWeights(weightConfig.weights, weightConfig.enabled),
+    [weightConfig]
+  );
+  const valuation = useMemo(() => {
+    if (!metrics) return null;
+    const inputs = { ...metrics, perYearPE: latestFair?.value ?? 0 };
+    return { ...inputs, weighted: weightedFairValue(inputs, weights) };
+  }, [metrics, latestFair, weights]);
+  useEffect(() => { cacheWrite(WEIGHT_CONFIG_KEY, weightConfig); }, [weightConfig]);
+
+  // Tables for CSV / .xlsx export (raw values, no K/M/B abbreviation)
+  const exportTables = useMemo(
+    () => buildExportTables({
+      rows, allRows, fair, ttmFair, valuation, weights, targetPE: Number(targetPE) || 0, currency: ccy,
+    }),
+    [rows, allRows, fair, ttmFair, valuation, weights, targetPE, ccy]
+  );
+  const exportName = `${company?.exchange || 'data'}_${company?.ticker || 'export'}`;
+
+  // Chat grounding + citation links (scroll to the cited row and tint it briefly)
+  const financials = useMemo(() => {
+    const yoy = view === 'annual' ? null : periodGrowth(viewRows, 'revenue', 'yoy');
+    return viewRows.map((r, i) => ({
+      ...r,
+      ...calcMargins(r),
+      revenueGrowth: yoy ? yoy[i].growth : i > 0 ? growth[i - 1]?.growth ?? null : null,
+    }));
+  }, [view, viewRows, growth]);
+  const chatContext = useMemo(
+    () => company && buildChatContext({ ticker: company.ticker, exchange: company.exchange, rows, growth, fair, valuation, currency: ccy }),
+    [company?.ticker, company?.exchange, rows, growth, fair, valuation, ccy]
+  );
+  const [citeTarget, setCiteTarget] = useState(null);
+  const cite = useCallback((id) => {
+    setPeriodView('annual'); // cited rows are annual
+    setCiteTarget(id);
+  }, []);
+  useEffect(() => {
+    if (!citeTarget) return;
+    document.getElementById(citeTarget)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const t = setTimeout(() => setCiteTarget(null), 2500);
+    return () => clearTimeout(t);
+  }, [citeTarget]);
 
   // Fetch live metrics when company changes
   useEffect(() => {
     (async () => {
-      setMetrics(null); setAiFV(null); setAiError(''); setAiCached(false);
+      setLiveMetrics(null); setAiResult(null); setAiError('');
       if (!company) return;
-      const symbol = `${company.ticker}${MARKET_SUFFIX_US}`;
-      const data = await fetchValuationMetrics(symbol, MARKET_CCY_US);
-      setMetrics(data);
+      try {
+        setLiveMetrics(await fetchValuationMetrics(company.exchange, company.ticker, market.suffix));
+      } catch {
+        setLiveMetrics(null);
+      }
     })();
-  }, [company]);
+  }, [company?.exchange, company?.ticker, market.suffix]);
 
   // Optional: warm-up WebLLM (won’t crash if not installed)
   useEffect(() => {
-    if (typeof navigator !== 'undefined' && 'gpu' in navigator) {
+    if (hasWebGPU()) {
       loadCreateMLCEngine().then(() => getEngine()).catch(() => {});
     }
   }, []);
 
-  // ASK AI — cache → WebLLM → OpenAI → local
+  // ASK AI — cache → WebLLM → OpenAI → local, every value checked against the weighted FV
   async function askAI() {
-    if (!metrics || aiBusy) return;
+    if (!valuation || aiBusy) return;
 
     setAiError('');
-    setAiFV(null);
+    setAiResult(null);
     setAiBusy(true);
 
     // long-wait hint after 15s (first WebLLM load)
     const waitTimer = setTimeout(() => { if (aiBusy) setLongWait(true); }, 15000);
 
     try {
-      const symbol = `${company.ticker}${MARKET_SUFFIX_US}`;
-      const sig = aiInputsSig(metrics);
-      const key = AI_CACHE_KEY(symbol, sig);
+      const symbol = `${company.ticker}${market.suffix}`;
+      const sig = aiInputsSig(valuation, weights);
+      const key = AI_CACHE_KEY(`${symbol}_${ccy}`, sig);
+
+      const guard = (fv) => checkAiFairValue(fv, valuation.weighted, AI_GUARD);
 
-      // 1) cache
+      // 1) cache (re-checked: the guard settings may have changed since it was stored)
       const cached = cacheRead(key, null);
-      if (cached && Date.now() - cached.at < AI_TTL_MS && Number.isFinite(cached.fv)) {
-        setAiFV(cached.fv); setAiCached(true);
+      if (cached && Date.now() - cached.at < AI_TTL_MS && Number.isFinite(cached.fv) && guard(cached.fv).status !== 'rejected') {
+        setAiResult({
+          fv: cached.fv, rationale: cached.rationale || '', check: guard(cached.fv), rejected: [],
+          source: { kind: 'cache', origin: cached.source || null },
+        });
         return;
       }
-      setAiCached(false);
-
-      const hasWebGPU = typeof navigator !== 'undefined' && 'gpu' in navigator;
-
-      // 2) WebLLM
-      if (hasWebGPU) {
-        try {
-          const eng = await getEngine(); // may throw if not installed/failed
-          const sys = 'You are a careful equity analyst. Output strict JSON only with key: fv (number). Do not add any text outside JSON.';
-          const user = [
-            `Compute FV per share using: FV = 0.5*EV + 0.25*PE + 0.25*PS.`,
-            `Inputs:`,
-            `EV_per_share=${metrics.fairEV.toFixed(2)}`,
-            `PE_per_share=${metrics.fairPE.toFixed(2)}`,
-            `PS_per_share=${metrics.fairPS.toFixed(2)}`,
-            `BookValue_per_share=${metrics.bookValue.toFixed(2)}`,
-            `Current_Price=${metrics.price.toFixed(2)}`,
-            `Return JSON like: {"fv": 123.45}`
-          ].join('\n');
-
-          const resp = await eng.chat.completions.create({
-            messages: [ { role: 'system', content: sys }, { role: 'user', content: user } ],
-            temperature: 0.2, max_tokens: 60
-          });
-          const content = resp?.choices?.[0]?.message?.content ?? resp?.output_text ?? '';
-          const j = extractJSON(content);
-          if (j && typeof j.fv === 'number' && isFinite(j.fv)) {
-            const fvNum = Number(j.fv);
-            setAiFV(fvNum); cacheWrite(key, { at: Date.now(), fv: fvNum });
-            return;
-          }
-          // fallthrough to OpenAI/local
-        } catch {/* ignore; continue */}
-      }
 
-      // 3) OpenAI (if key provided)
-      if (OPENAI_KEY) {
-        const body = {
-          model: OPENAI_MODEL,
-          messages: [
-            { role: 'system', content: 'Output strict JSON with only {"fv": number}. No prose.' },
-            { role: 'user', content:
-              `Compute FV = 0.5*EV + 0.25*PE + 0.25*PS. Return {"fv": number}.\n` +
-              `EV=${metrics.fairEV.toFixed(2)}, PE=${metrics.fairPE.toFixed(2)}, PS=${metrics.fairPS.toFixed(2)}, ` +
-              `Book=${metrics.bookValue.toFixed(2)}, Price=${metrics.price.toFixed(2)}`
-            }
-          ],
-          temperature: 0.2, max_tokens: 20
-        };
-        const r = await fetch(`${OPENAI_BASE}/chat/completions`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OPENAI_KEY}` },
-          body: JSON.stringify(body),
-        });
-        if (!r.ok) throw new Error('api_error');
-        const data = await r.json();
-        const content = data?.choices?.[0]?.message?.content ?? '';
-        const j = extractJSON(content);
-        if (j && typeof j.fv === 'number' && isFinite(j.fv)) {
-          const fvNum = Number(j.fv);
-          setAiFV(fvNum); cacheWrite(key, { at: Date.now(), fv: fvNum });
-          return;
+      // 2) WebLLM → 3) OpenAI (see llm.js); answers outside the reject band fall through
+      const sys = 'You are a careful equity analyst. Output strict JSON only with keys: fv (number) and rationale (string). Do not add any text outside JSON.';
+      const user = [
+        `Compute FV per share using: FV = ${describeWeightedFormula(weights)}.`,
+        `Inputs (per share, ${ccy}):`,
+        `EV_per_share=${valuation.fairEV.toFixed(2)}`,
+        `PE_per_share=${valuation.fairPE.toFixed(2)}`,
+        `PS_per_share=${valuation.fairPS.toFixed(2)}`,
+        `Book_per_share=${valuation.bookValue.toFixed(2)}`,
+        `PE_year_per_share=${valuation.perYearPE.toFixed(2)}`,
+        `Current_Price=${valuation.price.toFixed(2)}`,
+        `In "rationale", say in one or two sentences which inputs drive the value and any adjustment you made.`,
+        `Return JSON like: {"fv": 123.45, "rationale": "..."}`
+      ].join('\n');
+      const parse = (text) => {
+        const j = extractJSON(text);
+        if (!j || typeof j.fv !== 'number' || !isFinite(j.fv)) return null;
+        return { fv: Number(j.fv), rationale: typeof j.rationale === 'string' ? j.rationale.trim() : '' };
+      };
+      const rejected = [];
+      const res = await chatComplete(
+        [ { role: 'system', content: sys }, { role: 'user', content: user } ],
+        { temperature: 0.2, max_tokens: 160 },
+        (text) => {
+          const p = parse(text);
+          if (!p) return false;
+          const check = guard(p.fv);
+          if (check.status === 'rejected') { rejected.push({ fv: p.fv, deviation: check.deviation }); return false; }
+          return true;
         }
-        // fallthrough to local
+      );
+
+      let result;
+      if (res) {
+        const { fv, rationale } = parse(res.text);
+        result = { fv: Number(fv.toFixed(2)), rationale, source: { kind: res.source, model: res.model } };
+      } else {
+        // 4) Local deterministic fallback (same formula)
+        const fvNum = valuation.weighted;
+        if (!isFinite(fvNum)) throw new Error('fallback_error');
+        result = {
+          fv: Number(fvNum.toFixed(2)),
+          rationale: `Deterministic weighted formula: ${describeWeightedFormula(weights)}.`,
+          source: { kind: 'local' },
+        };
       }
-
-      // 4) Local deterministic fallback (same formula)
-      const fvNum = metrics.fairEV * 0.5 + metrics.fairPE * 0.25 + metrics.fairPS * 0.25;
-      if (!isFinite(fvNum)) throw new Error('fallback_error');
-      setAiFV(Number(fvNum.toFixed(2)));
-      cacheWrite(key, { at: Date.now(), fv: Number(fvNum.toFixed(2)) });
+      setAiResult({ ...result, check: guard(result.fv), rejected });
+      cacheWrite(key, { at: Date.now(), ...result });
 
     } catch {
       setAiError('Something went wrong. Try again later.');
@@ -443,19 +382,30 @@ export default function App() {
           <div className="grid md:grid-cols-4 gap-4 items-end">
             <div className="md:col-span-2">
               <label className="block text-sm mb-1">Company</label>
+              <input
+                type="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search ticker or exchange…"
+                className="border rounded p-2 w-full mb-2"
+                disabled={loading || !companies.length || mode !== 'single'}
+              />
               <select
                 value={selectedKey}
                 onChange={(e) => setSelectedKey(e.target.value)}
                 className="border rounded p-2 w-full"
-                disabled={loading || !companies.length}
+                disabled={loading || !companies.length || mode !== 'single'}
               >
-                {companies.map((c) => (
+                {visibleCompanies.map((c) => (
                   <option key={`${c.exchange}:${c.ticker}`} value={`${c.exchange}:${c.ticker}`}>
-                    {c.ticker} ({c.exchange})
+                    {c.ticker} ({c.exchange}){c.local ? ' · local' : ''}
                   </option>
                 ))}
               </select>
-              <p className="text-xs text-gray-500 mt-1">Source: <code>{DATA_URL}</code></p>
+              <p className="text-xs text-gray-500 mt-1">
+                Source: <code>{catalogSource === 'server' ? `${API_BASE}/companies` : DATA_URL}</code>
+                {catalogSource === 'server' && ` · ${companies.length} companies`}
+              </p>
             </div>
 
             <div>
@@ -469,20 +419,141 @@ export default function App() {
               />
             </div>
 
+            <div>
+              <label className="block text-sm mb-1">View</label>
+              <div className="flex rounded border overflow-hidden">
+                {[['single', 'Single'], ['compare', 'Compare'], ['portfolio', 'Lists'], ['screener', 'Screener']].map(([m, label]) => (
+                  <button
+                    key={m}
+                    onClick={() => setMode(m)}
+                    className={`flex-1 p-2 text-sm ${mode === m ? 'bg-black text-white' : 'bg-white'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm mb-1">Display currency</label>
+              <select value={displayChoice} onChange={(e) => setDisplayChoice(e.target.value)} className="border rounded p-2 w-full">
+                <option value="">Reporting currency</option>
+                {MARKET_CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+              </select>
+            </div>
+
             {error && <div className="text-red-600 text-sm">{error}</div>}
           </div>
         </section>
 
-        {!!rows.length && (
+        {mode === 'compare' && companies.length > 0 && (
+          <CompareView companies={companies} targetPE={targetPE} displayCurrency={displayChoice} onNeedRows={ensureRows} />
+        )}
+
+        {mode === 'portfolio' && (
+          <PortfolioView
+            companies={companies}
+            targetPE={targetPE}
+            weights={weights}
+            displayCurrency={displayChoice}
+            serverLists={catalogSource === 'server'}
+            onNeedRows={ensureRows}
+          />
+        )}
+
+        {mode === 'screener' && (
+          <ScreenerView
+            companies={companies}
+            targetPE={targetPE}
+            displayCurrency={displayChoice}
+            serverScreener={catalogSource === 'server'}
+            onOpen={(key) => { setSelectedKey(key); setMode('single'); }}
+          />
+        )}
+
+        {mode === 'single' && (
+          <DataEntryPanel company={company} draft={draft} onDraftChange={setDraft} onSaved={onDatasetSaved} />
+        )}
+
+        {mode === 'single' && !!rows.length && (
           <>
             <Card title="Meta">
-              <p className="text-sm text-gray-700">
+              <div className="text-sm text-gray-700">
                 <strong>Ticker:</strong> {company?.ticker || '—'} &nbsp; | &nbsp;
                 <strong>Exchange:</strong> {company?.exchange || '—'} &nbsp; | &nbsp;
-                <strong>Years:</strong> {rows.map((r) => r.year).join(', ')}
-              </p>
+                <strong>Years:</strong> {rows.map((r) => r.year).join(', ')} &nbsp; | &nbsp;
+                {hasQuarters && (
+                  <>
+                    <strong>Quarters:</strong> {allRows.filter(isQuarterly).length} &nbsp; | &nbsp;
+                  </>
+                )}
+                <strong>Fiscal year ends:</strong> {MONTHS[fiscalYearEnd - 1]} &nbsp; | &nbsp;
+                <strong>Currency:</strong> {ccy}{ccy !== market.currency && ` (reported in ${market.currency})`} &nbsp; | &nbsp;
+                <QualityBadge rows={allRows} quality={draft || company?.local ? null : company?.dataQuality} />
+                {draft && <span className="ml-2 text-xs text-amber-700">· unsaved draft</span>}
+                {!draft && company?.local && <span className="ml-2 text-xs text-gray-500">· saved in this browser</span>}
+              </div>
+              {fxWarning && <div className="mt-1 text-xs text-amber-700">{fxWarning}</div>}
+              {/* Server-rendered report: only for datasets stored on the server (not drafts / browser-only data) */}
+              {catalogSource === 'server' && !draft && !company?.local && (
+                <div className="mt-2 text-sm flex items-center gap-3">
+                  <span className="text-gray-500">Export report:</span>
+                  {['pdf', 'md'].map((fmt) => (
+                    <a
+                      key={fmt}
+                      href={reportExportUrl(company.exchange, company.ticker, fmt, { weights, currency: ccy, suffix: market.suffix })}
+                      download
+                      className="px-2 py-1 rounded border hover:bg-gray-50"
+                    >
+                      {fmt === 'pdf' ? 'PDF' : 'Markdown'}
+                    </a>
+                  ))}
+                </div>
+              )}
+              {/* Client-side export of what is on screen (drafts included), unrounded */}
+              <div className="mt-2 text-sm flex flex-wrap items-center gap-3">
+                <span className="text-gray-500">Export data:</span>
+                <button onClick={() => downloadXlsx(exportTables, `${exportName}.xlsx`)} className="px-2 py-1 rounded border hover:bg-gray-50">
+                  Excel (.xlsx)
+                </button>
+                {exportTables.map((t) => (
+                  <button
+                    key={t.name}
+                    onClick={() => downloadCsv(t, `${exportName}_${t.name.toLowerCase().replace(/\s+/g, '_')}.csv`)}
+                    className="px-2 py-1 rounded border hover:bg-gray-50"
+                  >
+                    {t.name} CSV
+                  </button>
+                ))}
+              </div>
             </Card>
 
+            {/* Period view (only when the dataset has fiscal quarters) */}
+            {hasQuarters && (
+              <div className="flex flex-wrap items-center gap-3 text-sm">
+                <span className="text-gray-500">Period:</span>
+                <div className="flex rounded border overflow-hidden bg-white">
+                  {PERIOD_VIEWS.map((p) => (
+                    <button key={p.key} onClick={() => setPeriodView(p.key)} className={`px-3 py-1 ${view === p.key ? 'bg-black text-white' : ''}`}>
+                      {p.label}
+                    </button>
+                  ))}
+                </div>
+                {view !== 'annual' && (
+                  <label className="flex items-center gap-2">
+                    <span className="text-gray-500">Growth</span>
+                    <select value={growthBasis} onChange={(e) => setGrowthBasis(e.target.value)} className="border rounded p-1">
+                      <option value="yoy">YoY (same quarter last year)</option>
+                      <option value="qoq">QoQ (previous quarter)</option>
+                    </select>
+                  </label>
+                )}
+                {rows.some((r) => r.derived) && (
+                  <span className="text-xs text-gray-500">Years without an annual row are summed from their four quarters.</span>
+                )}
+              </div>
+            )}
+
             {/* Charts */}
             <section className="grid md:grid-cols-2 gap-6">
               <Card title={`Revenue (${company?.ticker || '—'})`}>
@@ -494,21 +565,68 @@ export default function App() {
               <Card title="Net Income">
                 <ChartLines series={[{ name: 'Net Income', data: charts.netIncome }]} />
               </Card>
-              <Card title="Revenue YoY Growth">
+              <Card title={`Revenue ${view !== 'annual' && growthBasis === 'qoq' ? 'QoQ' : 'YoY'} Growth`}>
                 <ChartBars
-                  data={growth.map((g) => ({
-                    year: g.year,
+                  data={viewGrowth.map((g) => ({
+                    year: g.period,
                     value: g.growth != null ? Number((g.growth * 100).toFixed(2)) : null
                   }))}
                   suffix="%"
                 />
               </Card>
+              {hasField(viewRows, 'freeCashFlow') && (
+                <Card title="Free Cash Flow & Capex">
+                  <ChartLines
+                    series={[
+                      { name: 'Free Cash Flow', data: charts.freeCashFlow },
+                      ...(hasField(viewRows, 'capex') ? [{ name: 'Capex', data: charts.capex }] : []),
+                    ]}
+                    yFormatter={fmtNumber}
+                  />
+                </Card>
+              )}
+              {hasField(viewRows, 'totalDebt') && hasField(viewRows, 'equity') && (
+                <Card title="Leverage (Debt / Equity)">
+                  <ChartLines series={[{ name: 'Debt / Equity %', data: ratioSeries('debtToEquity') }]} />
+                </Card>
+              )}
+              {(hasField(viewRows, 'dividends') || hasField(viewRows, 'buybacks')) && (
+                <Card title="Payout Ratio (of Net Income)">
+                  <ChartLines
+                    series={[
+                      { name: 'Dividends %', data: ratioSeries('dividendPayout') },
+                      { name: 'Dividends + Buybacks %', data: ratioSeries('payoutRatio') },
+                    ]}
+                  />
+                </Card>
+              )}
             </section>
 
+            {/* Source rows (citation targets for the chat) */}
+            <Card title="Financials">
+              <Table
+                data={financials}
+                rowId={(r) => rowAnchor(r.period)}
+                highlightId={citeTarget}
+                columns={[
+                  { key: 'period', label: view === 'annual' ? 'Year' : 'Period' },
+                  { key: 'revenue', label: 'Revenue', fmt: fmtNumber },
+                  { key: 'operatingIncome', label: 'Operating Income', fmt: fmtNumber },
+                  { key: 'netIncome', label: 'Net Income', fmt: fmtNumber },
+                  ...(hasField(viewRows, 'freeCashFlow') ? [{ key: 'freeCashFlow', label: 'FCF', fmt: fmtNumber }] : []),
+                  { key: 'operatingMargin', label: 'Op. Margin', fmt: fmtPct },
+                  { key: 'netMargin', label: 'Net Margin', fmt: fmtPct },
+                  { key: 'revenueGrowth', label: 'Revenue YoY', fmt: fmtPct },
+                ]}
+              />
+            </Card>
+
             {/* Per-year FV from JSON rows */}
             <Card title={`Fair Value per Year (PE=${targetPE})`}>
               <Table
                 data={fair}
+                rowId={(r) => fairAnchor(r.year)}
+                highlightId={citeTarget}
                 columns={[
                   { key: 'year', label: 'Year' },
                   { key: 'equityValue', label: 'Fair Value (Equity)', fmt: (v) => fmtNumber(v) },
@@ -517,9 +635,59 @@ export default function App() {
               />
             </Card>
 
+            {/* Per-quarter FV on trailing-twelve-month net income (needs four consecutive quarters) */}
+            {!!ttmFair.length && (
+              <Card title={`Fair Value on TTM Net Income (PE=${targetPE})`}>
+                <Table
+                  data={ttmFair}
+                  columns={[
+                    { key: 'period', label: 'TTM to' },
+                    { key: 'equityValue', label: 'Fair Value (Equity)', fmt: (v) => fmtNumber(v) },
+                    { key: 'fairValuePerShare', label: 'Fair Value / Share', fmt: (v) => (v ? fmtNumber(v) : '—') }
+                  ]}
+                />
+                {latestFair?.basis === 'ttm' && (
+                  <p className="text-xs text-gray-500 mt-2">The weighted fair value uses TTM to {latestFair.period} (newer than the last annual row).</p>
+                )}
+              </Card>
+            )}
+
+            {/* Sensitivity grid + bull/base/bear around the per-year PE fair value */}
+            <SensitivityCard rows={rows} targetPE={targetPE} price={metrics?.price} currency={ccy} />
+
+            {/* DCF (FCFF) with editable assumptions */}
+            <DcfCard companyKey={selectedKey} rows={rows} price={metrics?.price} currency={ccy} />
+
+            {/* Price history lives on the server (file import / provider), next to the datasets */}
+            {catalogSource === 'server' && !company?.local && (
+              <PriceFairValueCard
+                exchange={company.exchange}
+                ticker={company.ticker}
+                fair={fair}
+                liveInputs={valuation}
+                weights={weights}
+                currency={ccy}
+                priceCurrency={liveMetrics?.currency}
+                fx={fx}
+                suffix={market.suffix}
+                fiscalYearEnd={fiscalYearEnd}
+              />
+            )}
+
+            {/* Price / fair-value alert rules, evaluated by the server's scheduler */}
+            {catalogSource === 'server' && !company?.local && (
+              <AlertsCard
+                exchange={company.exchange}
+                ticker={company.ticker}
+                weights={weights}
+                targetPE={targetPE}
+                currency={market.currency}
+              />
+            )}
+
             {/* Weighted FV & Ask AI (uses TwelveData/AI if available) */}
-            {metrics && (
-              <Card title="Weighted Fair Value (EV/PE/PS) & AI">
+            {valuation && (
+              <Card id={METRICS_ANCHOR} title="Weighted Fair Value (EV/PE/PS) & AI">
                 <div className="grid md:grid-cols-2 gap-6">
                   <div className="space-y-2 relative" aria-busy={aiBusy}>
                     {aiBusy && (
@@ -533,30 +701,35 @@ export default function App() {
                     <div className="flex items-end justify-between">
                       <div>
                         <div className="text-xs text-gray-500">Price</div>
-                        <div className="text-2xl font-bold">{metrics.price.toFixed(2)} USD</div>
+                        <div className="text-2xl font-bold">{metrics.price.toFixed(2)} {ccy}</div>
                       </div>
                       <div className="text-right">
                         <div className="text-xs text-gray-500">Weighted FV</div>
-                        <div className="text-xl font-semibold">{metrics.weighted.toFixed(2)} USD</div>
+                        <div className="text-xl font-semibold">{valuation.weighted.toFixed(2)} {ccy}</div>
+                        <div className="text-xs text-gray-500">{describeWeightedFormula(weights) || '—'}</div>
                       </div>
                     </div>
 
                     <div className="grid grid-cols-2 gap-3">
                       <div className="rounded-lg border p-3">
                         <div className="text-xs text-gray-500">EV/share</div>
-                        <div className="text-lg font-medium">{metrics.fairEV.toFixed(2)} USD</div>
+                        <div className="text-lg font-medium">{metrics.fairEV.toFixed(2)} {ccy}</div>
                       </div>
                       <div className="rounded-lg border p-3">
                         <div className="text-xs text-gray-500">PE/share</div>
-                        <div className="text-lg font-medium">{metrics.fairPE.toFixed(2)} USD</div>
+                        <div className="text-lg font-medium">{metrics.fairPE.toFixed(2)} {ccy}</div>
                       </div>
                       <div className="rounded-lg border p-3">
                         <div className="text-xs text-gray-500">PS/share</div>
-                        <div className="text-lg font-medium">{metrics.fairPS.toFixed(2)} USD</div>
+                        <div className="text-lg font-medium">{metrics.fairPS.toFixed(2)} {ccy}</div>
                       </div>
                       <div className="rounded-lg border p-3">
                         <div className="text-xs text-gray-500">Book/share</div>
-                        <div className="text-lg font-medium">{metrics.bookValue.toFixed(2)} USD</div>
+                        <div className="text-lg font-medium">{metrics.bookValue.toFixed(2)} {ccy}</div>
+                      </div>
+                      <div className="rounded-lg border p-3">
+                        <div className="text-xs text-gray-500">PE-year FV/share{latestFair?.basis === 'ttm' ? ` (TTM ${latestFair.period})` : ''}</div>
+                        <div className="text-lg font-medium">{valuation.perYearPE.toFixed(2)} {ccy}</div>
                       </div>
                     </div>
 
@@ -567,19 +740,41 @@ export default function App() {
                       {longWait && aiBusy && (
                         <span className="text-xs text-gray-500">First run can take up to a minute while the model loads…</span>
                       )}
-                      {!TWELVE_API_KEY && (
-                        <span className="text-xs text-amber-700">TwelveData key not set — using zeros/local where needed.</span>
+                      {!metrics.live && (
+                        <span className="text-xs text-amber-700">TwelveData key not set on server — using zeros/local where needed.</span>
                       )}
                     </div>
 
-                    {aiFV != null && (
-                      <div className="rounded-lg border bg-gray-50 p-3 text-sm">
-                        <strong>AI fair value:</strong> {aiFV.toFixed(2)} USD
-                        {aiCached && <span className="ml-2 text-gray-500 text-xs">(from cache)</span>}
+                    {aiResult && (
+                      <div className="rounded-lg border bg-gray-50 p-3 text-sm space-y-1">
+                        <div>
+                          <strong>AI fair value:</strong> {aiResult.fv.toFixed(2)} {ccy}
+                          {aiResult.check.deviation != null && (
+                            <span className="ml-2 text-xs text-gray-500">
+                              ({aiResult.check.deviation >= 0 ? '+' : ''}{(aiResult.check.deviation * 100).toFixed(1)}% vs weighted)
+                            </span>
+                          )}
+                        </div>
+                        <div className="text-xs text-gray-500">Source: {describeAiSource(aiResult.source)}</div>
+                        {aiResult.rationale && <div className="text-xs italic text-gray-700">{aiResult.rationale}</div>}
+                        {aiResult.check.status === 'flagged' && (
+                          <div className="text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded p-2">
+                            ⚠️ Disagrees with the weighted FV ({valuation.weighted.toFixed(2)} {ccy}) by more than
+                            ±{(AI_GUARD.tolerance * 100).toFixed(0)}% — treat with caution.
+                          </div>
+                        )}
+                        {aiResult.rejected.length > 0 && (
+                          <div className="text-xs text-red-700">
+                            Rejected {aiResult.rejected.map((r) => `${r.fv.toFixed(2)}${r.deviation != null ? ` (${(r.deviation * 100).toFixed(0)}%)` : ''}`).join(', ')}:
+                            outside ±{(AI_GUARD.rejectAbove * 100).toFixed(0)}% of the weighted FV.
+                          </div>
+                        )}
                       </div>
                     )}
                     {aiError && <div className="text-sm text-red-600">{aiError}</div>}
                   </div>
+
+                  <WeightsEditor config={weightConfig} onChange={setWeightConfig} />
                 </div>
 
                 <div className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-3 mt-4">
@@ -587,6 +782,15 @@ export default function App() {
                 </div>
               </Card>
             )}
+
+            {chatContext && (
+              <ChatPanel companyKey={`${company.exchange}:${company.ticker}`} context={chatContext} onCite={cite} />
+            )}
+
+            {/* Server-side narrative over the stored dataset (streams section by section) */}
+            {catalogSource === 'server' && company && !company.local && (
+              <NarrativeCard exchange={company.exchange} ticker={company.ticker} />
+            )}
           </>
         )}
       </main>
@@ -0,0 +1,33 @@
+// path: web/src/alerts.js
+// Browser notifications for alerts: the server queues alerts on the 'browser' channel in its history;
+// while the app is open it polls for new ones and shows them with the Notification API.
+
+import { useEffect } from 'react';
+import { cacheRead, cacheWrite } from './storage.js';
+import { fetchAlertHistory } from './api.js';
+
+const SEEN_KEY = 'alerts_seen_v1'; // firedAt of the newest alert already shown
+const POLL_MS = 60_000;
+
+export const notificationsSupported = () => typeof Notification !== 'undefined';
+export const notificationsGranted = () => notificationsSupported() && Notification.permission === 'granted';
+
+/** Poll for browser-channel alerts while `enabled` (server catalog) and notifications are allowed. */
+export function useBrowserAlerts(enabled) {
+  useEffect(() => {
+    if (!enabled || !notificationsSupported()) return undefined;
+    if (!cacheRead(SEEN_KEY, null)) cacheWrite(SEEN_KEY, new Date().toISOString()); // no backlog on first use
+
+    const poll = async () => {
+      if (!notificationsGranted()) return;
+      try {
+        const { items } = await fetchAlertHistory({ channel: 'browser', since: cacheRead(SEEN_KEY, null), limit: 20 });
+        for (const a of [...items].reverse()) new Notification(`Alert: ${a.ticker}`, { body: a.message, tag: a.id });
+        if (items.length) cacheWrite(SEEN_KEY, items[0].firedAt);
+      } catch { /* server offline — try again on the next tick */ }
+    };
+    poll();
+    const timer = setInterval(poll, POLL_MS);
+    return () => clearInterval(timer);
+  }, [enabled]);
+}
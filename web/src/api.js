@@ -0,0 +1,218 @@
+// path: web/src/api.js
+// Client for the Express API (Vite proxies /api -> Express; TwelveData key lives in server/.env).
+
+import { filtersToParam, sortToParam } from '@shared/screener.js';
+
+export const API_BASE = '/api';
+
+/* ====================== Live valuation metrics (TwelveData via server) ====================== */
+// suffix / currency omitted -> the company's stored suffix and its exchange's trading currency;
+// `currency` in the response is the trading currency of the per-share values
+export async function fetchValuationMetrics(exchange, ticker, suffix, currency) {
+  const enc = (s) => encodeURIComponent(s);
+  const qs = new URLSearchParams({ ...(suffix != null ? { suffix } : {}), ...(currency ? { currency } : {}) });
+  const r = await fetch(`${API_BASE}/metrics/${enc(exchange)}/${enc(ticker)}?${qs}`);
+  if (!r.ok) throw new Error(`Failed to load live metrics: ${r.status}`);
+  return r.json(); // { price, fairEV, fairPE, fairPS, weighted, bookValue, grossMargin, netMargin, opMargin, currency, suffix, live }
+}
+
+/* ====================== FX rates (rates file / TwelveData via server) ====================== */
+// -> { base, rates: { EUR: 0.92, ... }, sources, missing: [codes], asOf }
+export async function fetchFxRates(base, symbols) {
+  const qs = new URLSearchParams({ base, symbols: symbols.join(',') });
+  return asJson(await fetch(`${API_BASE}/fx?${qs}`), 'Loading FX rates');
+}
+
+/* ====================== Company catalog (server dataset store) ====================== */
+async function asJson(r, what) {
+  if (r.ok) return r.status === 204 ? null : r.json();
+  let msg = `${what} failed: ${r.status}`;
+  let body = null;
+  try { body = await r.json(); if (body?.error) msg = body.error; } catch {}
+  const err = new Error(msg);
+  err.status = r.status;
+  err.body = body; // e.g. { error, dataQuality, issues } on 422
+  throw err;
+}
+
+// -> { items: [{ ticker, exchange, version, fiscalYearEnd, currency, suffix, rowCount, updatedAt }], total, page, pageSize }
+export async function fetchCompanies({ search = '', page = 1, pageSize = 200 } = {}) {
+  const qs = new URLSearchParams({ search, page: String(page), pageSize: String(pageSize) });
+  return asJson(await fetch(`${API_BASE}/companies?${qs}`), 'Loading companies');
+}
+
+// -> { ticker, exchange, version, rows, fiscalYearEnd, currency, suffix, versions, dataQuality }
+export async function fetchCompany(exchange, ticker) {
+  const enc = encodeURIComponent;
+  return asJson(await fetch(`${API_BASE}/companies/${enc(exchange)}/${enc(ticker)}`), 'Loading company');
+}
+
+export async function deleteCompany(exchange, ticker) {
+  const enc = encodeURIComponent;
+  return asJson(await fetch(`${API_BASE}/companies/${enc(exchange)}/${enc(ticker)}`, { method: 'DELETE' }), 'Delete');
+}
+
+// Rows are validated and quality-checked server-side; 422 carries { dataQuality } on hard errors.
+// Omitted metadata keeps the company's stored values (currency / suffix default from the exchange).
+export async function saveCompany(exchange, ticker, rows, { fiscalYearEnd, currency, suffix } = {}) {
+  const meta = { fiscalYearEnd: fiscalYearEnd || undefined, currency: currency || undefined, suffix: suffix ?? undefined };
+  const r = await fetch(`${API_BASE}/companies`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ exchange, ticker, rows, ...meta }),
+  });
+  return asJson(r, 'Save');
+}
+
+/* ====================== Historical prices ====================== */
+// -> { ticker, exchange, currency, source, updatedAt, interval, points: [{ date, close }] }; 404 when none stored
+export async function fetchPrices(exchange, ticker, { interval = 'daily' } = {}) {
+  const enc = encodeURIComponent;
+  const r = await fetch(`${API_BASE}/prices/${enc(exchange)}/${enc(ticker)}?interval=${interval}`);
+  return asJson(r, 'Loading prices');
+}
+
+// CSV / TSV / XLSX / JSON with a date (or year) column and a close column, sent as the raw body
+export async function uploadPrices(exchange, ticker, file) {
+  const enc = encodeURIComponent;
+  const r = await fetch(`${API_BASE}/prices/${enc(exchange)}/${enc(ticker)}?filename=${enc(file.name)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: file,
+  });
+  return asJson(r, 'Price import');
+}
+
+// Pull daily closes from the server's data provider (503 when it has no API key)
+export async function refreshPrices(exchange, ticker, { suffix = '', interval = '1day' } = {}) {
+  const enc = encodeURIComponent;
+  const qs = new URLSearchParams({ suffix, interval });
+  return asJson(await fetch(`${API_BASE}/prices/${enc(exchange)}/${enc(ticker)}/refresh?${qs}`, { method: 'POST' }), 'Price refresh');
+}
+
+/* ====================== Watchlists / portfolios ====================== */
+// -> { items: [{ id, name, kind, currency, count, updatedAt }] }
+export async function fetchLists() {
+  return asJson(await fetch(`${API_BASE}/lists`), 'Loading lists');
+}
+
+// -> { id, name, kind, currency, items: [{ exchange, ticker, shares, costBasis }], updatedAt }
+export async function fetchList(id) {
+  return asJson(await fetch(`${API_BASE}/lists/${encodeURIComponent(id)}`), 'Loading list');
+}
+
+// Creates or replaces the list stored under `id`
+export async function saveList(id, { name, kind, currency = null, items }) {
+  const r = await fetch(`${API_BASE}/lists/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name, kind, currency, items }),
+  });
+  return asJson(r, 'Saving list');
+}
+
+export async function deleteList(id) {
+  return asJson(await fetch(`${API_BASE}/lists/${encodeURIComponent(id)}`, { method: 'DELETE' }), 'Delete list');
+}
+
+/* ====================== Alerts (rules evaluated by the server's scheduler) ====================== */
+// -> { items: [{ id, exchange, ticker, metric, op, value, channels, enabled, state, description }], intervalMs }
+export async function fetchAlertRules(exchange, ticker) {
+  const qs = new URLSearchParams({ ...(exchange ? { exchange } : {}), ...(ticker ? { ticker } : {}) });
+  return asJson(await fetch(`${API_BASE}/alerts/rules?${qs}`), 'Loading alert rules');
+}
+
+// Creates a rule, or replaces rule `id` when given
+export async function saveAlertRule(rule, id = null) {
+  const r = await fetch(`${API_BASE}/alerts/rules${id ? `/${encodeURIComponent(id)}` : ''}`, {
+    method: id ? 'PUT' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(rule),
+  });
+  return asJson(r, 'Saving alert rule');
+}
+
+export async function deleteAlertRule(id) {
+  return asJson(await fetch(`${API_BASE}/alerts/rules/${encodeURIComponent(id)}`, { method: 'DELETE' }), 'Delete alert rule');
+}
+
+// Evaluate now -> { checkedAt, results: [{ ruleId, value, match, fired, error }] }
+export async function runAlerts(ruleId = null) {
+  const qs = ruleId ? `?ruleId=${encodeURIComponent(ruleId)}` : '';
+  return asJson(await fetch(`${API_BASE}/alerts/run${qs}`, { method: 'POST' }), 'Checking alerts');
+}
+
+// Fired alerts, newest first; filter: { ruleId, exchange, ticker, channel, since, limit }
+export async function fetchAlertHistory(filter = {}) {
+  const qs = new URLSearchParams(Object.entries(filter).filter(([, v]) => v != null).map(([k, v]) => [k, String(v)]));
+  return asJson(await fetch(`${API_BASE}/alerts/history?${qs}`), 'Loading alert history');
+}
+
+/* ====================== Screener ====================== */
+// filters: [{ metric, op, value }], sort: { metric, dir } -> { items, matched, total, currency, targetPE, metrics }
+export async function fetchScreener({ filters = [], sort = null, currency = '', targetPE = null, live = false } = {}) {
+  const qs = new URLSearchParams({
+    filters: filtersToParam(filters), sort: sortToParam(sort),
+    ...(currency ? { currency } : {}), ...(targetPE ? { targetPE: String(targetPE) } : {}), live: live ? '1' : '0',
+  });
+  return asJson(await fetch(`${API_BASE}/screener?${qs}`), 'Screening');
+}
+
+// -> { items: [{ id, name, filters, sort, updatedAt }] }
+export async function fetchScreens() {
+  return asJson(await fetch(`${API_BASE}/screener/screens`), 'Loading screens');
+}
+
+export async function saveScreen(id, { name, filters, sort }) {
+  const r = await fetch(`${API_BASE}/screener/screens/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name, filters, sort }),
+  });
+  return asJson(r, 'Saving screen');
+}
+
+export async function deleteScreen(id) {
+  return asJson(await fetch(`${API_BASE}/screener/screens/${encodeURIComponent(id)}`, { method: 'DELETE' }), 'Delete screen');
+}
+
+/* ====================== AI narrative stream (SSE over fetch) ====================== */
+// EventSource can't read error bodies, so the stream is read manually.
+// onEvent(name, data) gets meta / token / done / error; failures before the stream starts
+// throw with `err.body.code` (invalid_query, dataset_not_found, ai_not_configured).
+export async function streamNarrative(exchange, ticker, { onEvent, signal, refresh = false } = {}) {
+  const qs = new URLSearchParams({ exchange, ticker, ...(refresh ? { refresh: '1' } : {}) });
+  const r = await fetch(`${API_BASE}/report/stream?${qs}`, { signal, headers: { Accept: 'text/event-stream' } });
+  if (!r.ok || !r.body) return asJson(r, 'Narrative');
+
+  const reader = r.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buf = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += value;
+    let sep;
+    while ((sep = buf.indexOf('\n\n')) >= 0) {
+      const block = buf.slice(0, sep);
+      buf = buf.slice(sep + 2);
+      let event = 'message', data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent?.(event, JSON.parse(data));
+    }
+  }
+}
+
+/* ====================== Report export (PDF / Markdown, rendered server-side) ====================== */
+// weights: normalized { ev, pe, ... } as used in the UI -> "ev:0.5,pe:0.25" (zero weights are dropped)
+export function reportExportUrl(exchange, ticker, format, { weights, currency, suffix, narrative = true } = {}) {
+  const qs = new URLSearchParams({
+    ...(currency ? { currency } : {}), ...(suffix != null ? { suffix } : {}), narrative: narrative ? '1' : '0',
+  });
+  const pairs = Object.entries(weights || {}).filter(([, w]) => w > 0).map(([k, w]) => `${k}:${Number(w.toFixed(6))}`);
+  if (pairs.length) qs.set('weights', pairs.join(','));
+  const enc = encodeURIComponent;
+  return `${API_BASE}/report/${enc(exchange)}/${enc(ticker)}.${format}?${qs}`;
+}
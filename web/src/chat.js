@@ -0,0 +1,189 @@
+// path: web/src/chat.js
+// Company chat grounding: the data block sent to the LLM, citation tokens and an offline answer.
+// Answers cite numbers as [[source:year:field]] tokens; the UI swaps each token for the value
+// from the loaded data and links it to the table row it came from.
+
+import { FINANCIAL_FIELDS } from '@shared/fields.js';
+import { calcGrowth, calcMargins } from '@shared/valuation.js';
+import { fmtNumber } from './format.js';
+
+/* ============================ Context ============================ */
+const GROWTH_FIELDS = ['revenue', 'operatingIncome', 'netIncome'];
+const METRIC_FIELDS = ['price', 'fairEV', 'fairPE', 'fairPS', 'bookValue', 'perYearPE', 'weighted'];
+const LABELS = {
+  ...Object.fromEntries(FINANCIAL_FIELDS.map((f) => [f.key, f.label])),
+  operatingMargin: 'Operating margin', netMargin: 'Net margin',
+  fairValuePerShare: 'Fair value / share', equityValue: 'Fair equity value',
+  price: 'Price', fairEV: 'EV / share', fairPE: 'PE / share', fairPS: 'PS / share',
+  bookValue: 'Book / share', perYearPE: 'Per-year PE FV', weighted: 'Weighted FV',
+};
+
+// Link targets (element ids) for each citation source
+export const rowAnchor = (year) => `fin-${year}`;
+export const fairAnchor = (year) => `fair-${year}`;
+export const METRICS_ANCHOR = 'weighted-fv';
+
+/**
+ * Everything the chat may cite, indexed by year.
+ * @param {{ ticker, exchange, rows, growth, fair, valuation }} input  App's derived data
+ */
+export function buildChatContext({ ticker, exchange, rows, growth, fair, valuation, currency = null }) {
+  const byYear = (list) => new Map(list.map((x) => [x.year, x]));
+  const growthBy = { revenue: byYear(growth) };
+  for (const f of GROWTH_FIELDS.slice(1)) growthBy[f] = byYear(calcGrowth(rows, f));
+  return {
+    ticker, exchange, currency,
+    years: rows.map((r) => r.year),
+    rows: byYear(rows),
+    margins: byYear(rows.map(calcMargins)),
+    growth: growthBy,
+    fair: byYear(fair),
+    metrics: valuation || null,
+  };
+}
+
+/* ============================ References ============================ */
+const pct = (v) => `${(v * 100).toFixed(1)}%`;
+const money = (v) => (Math.abs(v) < 1e3 ? v.toFixed(2) : fmtNumber(v));
+
+/**
+ * Resolve "rows:2023:revenue" (or "metrics:price") against the context.
+ * @returns {{ text, label, anchor } | null}
+ */
+export function resolveRef(ref, ctx) {
+  const [source, a, b] = ref.split(':');
+  const year = Number(a);
+  let value, anchor, fmt = money, label;
+  switch (source) {
+    case 'rows':
+      value = ctx.rows.get(year)?.[b]; anchor = rowAnchor(year);
+      fmt = b === 'eps' ? (v) => v.toFixed(2) : fmtNumber;
+      break;
+    case 'margins':
+      value = ctx.margins.get(year)?.[b]; anchor = rowAnchor(year); fmt = pct;
+      break;
+    case 'growth':
+      value = ctx.growth[b]?.get(year)?.growth; anchor = rowAnchor(year); fmt = pct;
+      label = `${LABELS[b] || b} YoY ${year}`;
+      break;
+    case 'fair':
+      value = ctx.fair.get(year)?.[b]; anchor = fairAnchor(year);
+      fmt = b === 'equityValue' ? fmtNumber : money;
+      break;
+    case 'metrics':
+      value = ctx.metrics?.[a]; anchor = METRICS_ANCHOR;
+      return Number.isFinite(value) ? { text: money(value), label: LABELS[a] || a, anchor } : null;
+    default:
+      return null;
+  }
+  if (!Number.isFinite(value)) return null;
+  return { text: fmt(value), label: label || `${LABELS[b] || b} ${year}`, anchor };
+}
+
+const REF_RE = /\[\[\s*([a-z]+:[A-Za-z0-9:]+)\s*\]\]/g;
+
+/** Split an answer into text and citation segments ({ type: 'text'|'ref', ... }). */
+export function parseAnswer(text, ctx) {
+  const out = [];
+  let last = 0;
+  for (const m of text.matchAll(REF_RE)) {
+    if (m.index > last) out.push({ type: 'text', text: text.slice(last, m.index) });
+    const hit = resolveRef(m[1], ctx);
+    out.push(hit ? { type: 'ref', ref: m[1], ...hit } : { type: 'text', text: 'n/a' });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) out.push({ type: 'text', text: text.slice(last) });
+  return out;
+}
+
+/* ============================ LLM messages ============================ */
+const fixed = (v, d = 4) => (Number.isFinite(v) ? Number(v.toFixed(d)) : 'n/a');
+
+function dataBlock(ctx) {
+  const ccy = ctx.currency ? `, currency ${ctx.currency} (metrics too)` : '';
+  const lines = [`Company ${ctx.ticker} (${ctx.exchange}). Financial values are in the dataset's reporting units${ccy}.`];
+  for (const y of ctx.years) {
+    const r = ctx.rows.get(y);
+    const fields = FINANCIAL_FIELDS.filter((f) => Number.isFinite(r[f.key])).map((f) => `${f.key}=${r[f.key]}`);
+    lines.push(`rows:${y} ${fields.join(' ')}`);
+    const m = ctx.margins.get(y);
+    lines.push(`margins:${y} operatingMargin=${fixed(m.operatingMargin)} netMargin=${fixed(m.netMargin)}`);
+    const g = GROWTH_FIELDS.map((f) => `${f}=${fixed(ctx.growth[f].get(y)?.growth)}`);
+    if (ctx.growth.revenue.has(y)) lines.push(`growth:${y} ${g.join(' ')}`);
+    const fv = ctx.fair.get(y);
+    if (fv) lines.push(`fair:${y} fairValuePerShare=${fixed(fv.fairValuePerShare, 2)} equityValue=${fixed(fv.equityValue, 0)}`);
+  }
+  if (ctx.metrics) {
+    lines.push(`metrics ${METRIC_FIELDS.map((k) => `${k}=${fixed(ctx.metrics[k], 2)}`).join(' ')}`);
+  }
+  return lines.join('\n');
+}
+
+const HISTORY_TURNS = 6;
+
+/** System prompt with the data block + the last few turns + the new question. */
+export function buildChatMessages(ctx, history, question) {
+  const sys = [
+    'You are a careful equity analyst answering questions about one company.',
+    'Use ONLY the data below. If it cannot answer the question, say what is missing.',
+    'Cite every number with a reference token instead of writing the number: [[source:year:field]],',
+    'e.g. [[rows:2023:revenue]], [[margins:2023:netMargin]], [[growth:2023:operatingIncome]],',
+    '[[fair:2023:fairValuePerShare]], or [[metrics:field]] such as [[metrics:price]].',
+    'Answer in at most 5 short sentences, plain text.',
+    '',
+    dataBlock(ctx),
+  ].join('\n');
+  const past = history.slice(-HISTORY_TURNS * 2).map((m) => ({ role: m.role, content: m.content }));
+  return [{ role: 'system', content: sys }, ...past, { role: 'user', content: question }];
+}
+
+/* ============================ Offline answer ============================ */
+const TOPICS = [
+  ['margins', /margin|profitab/i],
+  ['revenue', /revenue|sales|top.?line|grow/i],
+  ['netIncome', /net income|earnings|profit(?!ab)/i],
+  ['freeCashFlow', /cash ?flow|fcf/i],
+  ['valuation', /valu|fair|price|upside|cheap|expensive/i],
+];
+
+/**
+ * Deterministic answer from the data alone (last link of the chain, no LLM).
+ * Picks the years and topics mentioned in the question; defaults to the latest year.
+ */
+export function localAnswer(question, ctx) {
+  const mentioned = [...question.matchAll(/\b(19|20)\d{2}\b/g)].map((m) => Number(m[0])).filter((y) => ctx.rows.has(y));
+  const years = mentioned.length ? [...new Set(mentioned)].slice(0, 2) : ctx.years.slice(-1);
+  let topics = TOPICS.filter(([, re]) => re.test(question)).map(([t]) => t);
+  if (!topics.length) topics = ['revenue', 'netIncome', 'margins'];
+
+  const out = [];
+  for (const y of years) {
+    const p = ctx.years[ctx.years.indexOf(y) - 1];
+    const has = (src, field, year = y) => resolveRef(`${src}:${year}:${field}`, ctx) != null;
+    const vs = (src, field) => (p != null && has(src, field, p) ? ` vs [[${src}:${p}:${field}]] in ${p}` : '');
+
+    for (const t of topics) {
+      if (t === 'margins') {
+        if (has('margins', 'operatingMargin')) out.push(`Operating margin in ${y} was [[margins:${y}:operatingMargin]]${vs('margins', 'operatingMargin')}.`);
+        if (has('margins', 'netMargin')) out.push(`Net margin was [[margins:${y}:netMargin]]${vs('margins', 'netMargin')}.`);
+        const mNow = ctx.margins.get(y)?.operatingMargin, mPrev = ctx.margins.get(p)?.operatingMargin;
+        const gRev = ctx.growth.revenue.get(y)?.growth, gOp = ctx.growth.operatingIncome.get(y)?.growth;
+        if ([mNow, mPrev, gRev, gOp].every(Number.isFinite) && mNow < mPrev) {
+          out.push(`Operating income changed [[growth:${y}:operatingIncome]] while revenue changed [[growth:${y}:revenue]], so costs grew faster than sales.`);
+        }
+      } else if (t === 'valuation') {
+        if (has('fair', 'fairValuePerShare')) out.push(`Per-year PE fair value for ${y} is [[fair:${y}:fairValuePerShare]] per share.`);
+        const price = Number.isFinite(ctx.metrics?.price), weighted = Number.isFinite(ctx.metrics?.weighted);
+        if (price && weighted) out.push('Live price is [[metrics:price]] against a weighted fair value of [[metrics:weighted]].');
+        else if (price) out.push('Live price is [[metrics:price]].');
+        else if (weighted) out.push('Weighted fair value is [[metrics:weighted]].');
+      } else if (has('rows', t)) {
+        const g = t in ctx.growth && has('growth', t) ? ` ([[growth:${y}:${t}]] YoY)` : '';
+        out.push(`${LABELS[t]} in ${y} was [[rows:${y}:${t}]]${g}${vs('rows', t)}.`);
+      }
+    }
+  }
+  return out.length
+    ? [...new Set(out)].join(' ')
+    : 'The loaded data has no values that answer this question.';
+}
@@ -0,0 +1,144 @@
+// path: web/src/components/AlertsCard.jsx
+// Alert rules for the selected company (evaluated on the server's schedule) and its fired alerts.
+// New rules use the page's weights and target P/E, so "weighted FV" means the value shown here.
+
+import React, { useEffect, useState } from 'react';
+import { ALERT_METRICS, ALERT_OPS, ALERT_CHANNELS, formatMetric } from '@shared/alerts.js';
+import { fetchAlertRules, saveAlertRule, deleteAlertRule, runAlerts, fetchAlertHistory } from '../api.js';
+import { notificationsSupported } from '../alerts.js';
+import { Card } from './ui.jsx';
+
+const METRIC = Object.fromEntries(ALERT_METRICS.map((m) => [m.key, m]));
+const EMPTY_FORM = { metric: 'priceToFV', op: '<', value: '0.8', channels: ['log', 'browser'], webhookUrl: '' };
+const fmtTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+// Rule body as the API expects it (drops id / state / description)
+const ruleBody = ({ name, exchange, ticker, metric, op, value, channels, enabled, webhookUrl, weights, targetPE }) =>
+  ({ name, exchange, ticker, metric, op, value, channels, enabled, webhookUrl, weights, targetPE });
+
+export default function AlertsCard({ exchange, ticker, weights, targetPE, currency }) {
+  const [rules, setRules] = useState([]);
+  const [intervalMs, setIntervalMs] = useState(0);
+  const [history, setHistory] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [permission, setPermission] = useState(() => (notificationsSupported() ? Notification.permission : 'unsupported'));
+
+  const reload = async () => {
+    try {
+      const [r, h] = await Promise.all([fetchAlertRules(exchange, ticker), fetchAlertHistory({ exchange, ticker, limit: 10 })]);
+      setRules(r.items);
+      setIntervalMs(r.intervalMs);
+      setHistory(h.items);
+    } catch (e) {
+      setError(e.message || 'Failed to load alerts');
+    }
+  };
+  useEffect(() => { setError(''); reload(); }, [exchange, ticker]);
+
+  const act = async (fn) => {
+    setBusy(true); setError('');
+    try { await fn(); await reload(); } catch (e) { setError(e.message || 'Alert request failed'); } finally { setBusy(false); }
+  };
+
+  const pct = METRIC[form.metric]?.pct;
+  const add = () => act(async () => {
+    const value = Number(form.value);
+    if (!Number.isFinite(value)) throw new Error('Enter a threshold.');
+    await saveAlertRule({
+      exchange, ticker, metric: form.metric, op: form.op, value: pct ? value / 100 : value,
+      channels: form.channels, webhookUrl: form.webhookUrl.trim() || null,
+      weights, targetPE: Number(targetPE) || null,
+    });
+    setForm(EMPTY_FORM);
+  });
+  const toggleChannel = (ch) => setForm((f) => ({
+    ...f, channels: f.channels.includes(ch) ? f.channels.filter((c) => c !== ch) : [...f.channels, ch],
+  }));
+  const askPermission = async () => setPermission(await Notification.requestPermission());
+
+  return (
+    <Card title="Alerts">
+      <p className="text-xs text-gray-500 mb-3">
+        {intervalMs > 0 ? `The server checks rules every ${Math.round(intervalMs / 60000)} min` : 'The server scheduler is off (ALERT_INTERVAL_MS=0); use Check now'}
+        {' '}and fires a rule once when its condition becomes true. Prices and fair values are in the reporting currency ({currency}).
+      </p>
+
+      {rules.length > 0 && (
+        <div className="overflow-x-auto mb-4">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                {['Rule', 'Channels', 'Last value', 'Last fired', 'On', ''].map((h) => <th key={h} className="py-2 pr-4">{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map((r) => (
+                <tr key={r.id} className="border-b">
+                  <td className="py-2 pr-4">{r.name || r.description}</td>
+                  <td className="py-2 pr-4">{r.channels.join(', ')}</td>
+                  <td className={`py-2 pr-4 ${r.state?.match ? 'text-red-700 font-medium' : ''}`}>{formatMetric(r.metric, r.state?.value)}</td>
+                  <td className="py-2 pr-4">{fmtTime(r.state?.firedAt)}</td>
+                  <td className="py-2 pr-4">
+                    <input type="checkbox" checked={r.enabled} disabled={busy}
+                      onChange={() => act(() => saveAlertRule({ ...ruleBody(r), enabled: !r.enabled }, r.id))} />
+                  </td>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    <button className="text-xs underline mr-2" disabled={busy} onClick={() => act(() => runAlerts(r.id))}>Check now</button>
+                    <button className="text-xs text-red-600" disabled={busy} onClick={() => act(() => deleteAlertRule(r.id))}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 items-center">
+        <select value={form.metric} onChange={(e) => setForm({ ...form, metric: e.target.value })} className="border rounded p-1 text-sm">
+          {ALERT_METRICS.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+        </select>
+        <select value={form.op} onChange={(e) => setForm({ ...form, op: e.target.value })} className="border rounded p-1 text-sm">
+          {Object.keys(ALERT_OPS).map((op) => <option key={op} value={op}>{op}</option>)}
+        </select>
+        <input value={form.value} onChange={(e) => setForm({ ...form, value: e.target.value })} inputMode="decimal" className="border rounded p-1 text-sm w-24 text-right" />
+        <span className="text-sm text-gray-500">{pct ? '%' : form.metric === 'priceToFV' ? '× FV' : ''}</span>
+        {ALERT_CHANNELS.map((ch) => (
+          <label key={ch} className="text-sm flex items-center gap-1">
+            <input type="checkbox" checked={form.channels.includes(ch)} onChange={() => toggleChannel(ch)} />{ch}
+          </label>
+        ))}
+        {form.channels.includes('webhook') && (
+          <input value={form.webhookUrl} onChange={(e) => setForm({ ...form, webhookUrl: e.target.value })} placeholder="Webhook URL (default: server's)" className="border rounded p-1 text-sm" />
+        )}
+        <button onClick={add} disabled={busy || !form.channels.length} className="text-sm border rounded px-2 py-1 bg-black text-white disabled:opacity-40">Add rule</button>
+      </div>
+
+      {form.channels.includes('browser') && permission !== 'granted' && permission !== 'unsupported' && (
+        <p className="text-xs text-amber-700 mt-2">
+          Browser alerts show while this app is open.{' '}
+          {permission === 'denied' ? 'Notifications are blocked for this site.' : <button className="underline" onClick={askPermission}>Allow notifications</button>}
+        </p>
+      )}
+      {error && <div className="text-red-600 text-sm mt-2">{error}</div>}
+
+      {history.length > 0 && (
+        <div className="mt-4">
+          <h3 className="text-sm font-medium mb-1">Recent alerts</h3>
+          <ul className="text-sm space-y-1">
+            {history.map((a) => {
+              const failed = Object.entries(a.channels).filter(([, s]) => s.startsWith('error'));
+              return (
+                <li key={a.id}>
+                  <span className="text-gray-500">{fmtTime(a.firedAt)}</span> · {a.message}
+                  {failed.length > 0 && <span className="text-xs text-amber-700"> ({failed.map(([c, s]) => `${c} ${s}`).join('; ')})</span>}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </Card>
+  );
+}
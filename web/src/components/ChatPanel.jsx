@@ -0,0 +1,115 @@
+// path: web/src/components/ChatPanel.jsx
+// "Ask about this company": free-form questions answered from the loaded rows / growth / fair values /
+// live metrics. History is kept per company in localStorage; cited numbers link to their table rows.
+
+import React, { useMemo, useState } from 'react';
+import { cacheRead, cacheWrite } from '../storage.js';
+import { chatComplete } from '../llm.js';
+import { buildChatMessages, localAnswer, parseAnswer } from '../chat.js';
+import { Card } from './ui.jsx';
+
+const CHAT_KEY = 'company_chat_v1'; // { "EX:TK": [{ role, content, source?, model?, at }] }
+const MAX_MESSAGES = 40;
+
+const SOURCE_LABELS = { webllm: 'WebLLM', openai: 'OpenAI', local: 'Local (from data)' };
+
+export default function ChatPanel({ companyKey, context, onCite }) {
+  const [all, setAll] = useState(() => cacheRead(CHAT_KEY, {}));
+  const [input, setInput] = useState('');
+  const [busy, setBusy] = useState(false);
+  const history = all[companyKey] || [];
+
+  const save = (key, messages) => {
+    setAll((prev) => {
+      const next = { ...prev, [key]: messages.slice(-MAX_MESSAGES) };
+      cacheWrite(CHAT_KEY, next);
+      return next;
+    });
+  };
+
+  async function send() {
+    const question = input.trim();
+    if (!question || busy) return;
+    const key = companyKey; // the answer belongs to the company asked about, even if the user switches
+    const asked = [...history, { role: 'user', content: question, at: Date.now() }];
+    save(key, asked);
+    setInput('');
+    setBusy(true);
+    try {
+      const res = await chatComplete(buildChatMessages(context, history, question), { temperature: 0.2, max_tokens: 400 });
+      const reply = res
+        ? { role: 'assistant', content: res.text.trim(), source: res.source, model: res.model }
+        : { role: 'assistant', content: localAnswer(question, context), source: 'local' };
+      save(key, [...asked, { ...reply, at: Date.now() }]);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Card title={`Ask about ${context.ticker}`}>
+      <div className="space-y-3 max-h-96 overflow-y-auto mb-3">
+        {!history.length && (
+          <p className="text-sm text-gray-500">
+            Ask anything about the loaded data, e.g. “Why did margins drop in {context.years[context.years.length - 1]}?”
+            Highlighted numbers jump to the row they came from.
+          </p>
+        )}
+        {history.map((m, i) => (
+          <Message key={i} message={m} context={context} onCite={onCite} />
+        ))}
+        {busy && <div className="text-sm text-gray-500">Thinking…</div>}
+      </div>
+
+      <form
+        onSubmit={(e) => { e.preventDefault(); send(); }}
+        className="flex gap-2"
+      >
+        <input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Ask a question about this company…"
+          className="border rounded p-2 flex-1 text-sm"
+          disabled={busy}
+        />
+        <button type="submit" disabled={busy || !input.trim()} className="px-4 py-2 rounded bg-black text-white disabled:opacity-60">
+          Ask
+        </button>
+        {history.length > 0 && (
+          <button type="button" onClick={() => save(companyKey, [])} className="px-3 py-2 rounded border text-sm text-gray-600">
+            Clear
+          </button>
+        )}
+      </form>
+    </Card>
+  );
+}
+
+function Message({ message, context, onCite }) {
+  const segments = useMemo(
+    () => (message.role === 'assistant' ? parseAnswer(message.content, context) : [{ type: 'text', text: message.content }]),
+    [message, context]
+  );
+  const mine = message.role === 'user';
+  return (
+    <div className={`rounded-lg border p-3 text-sm ${mine ? 'bg-gray-50 ml-12' : 'mr-12'}`}>
+      <div className="whitespace-pre-line">
+        {segments.map((s, i) => (s.type === 'ref' ? (
+          <button
+            key={i}
+            onClick={() => onCite(s.anchor)}
+            title={s.label}
+            className="px-1 rounded bg-blue-50 text-blue-700 underline decoration-dotted"
+          >
+            {s.text}
+          </button>
+        ) : <span key={i}>{s.text}</span>))}
+      </div>
+      {!mine && message.source && (
+        <div className="text-xs text-gray-400 mt-1">
+          {SOURCE_LABELS[message.source] || message.source}{message.model ? ` · ${message.model}` : ''}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+// path: web/src/components/CompareView.jsx
+// Multi-company comparison: overlaid revenue / operating income / net income + peer table.
+// Every peer is converted into one currency (the display currency, else the first peer's).
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { calcCAGR, calcMargins, computeFairValuePerYear } from '@shared/valuation.js';
+import { annualRows } from '@shared/periods.js';
+import { marketOf, fxRate, convertRows } from '@shared/currency.js';
+import { normalizeFinancialRows } from '../data.js';
+import { useFxRates } from '../currency.js';
+import { fetchValuationMetrics } from '../api.js';
+import { Card, ChartLines, Table } from './ui.jsx';
+import { fmtNumber } from '../format.js';
+
+const keyOf = (c) => `${c.exchange}:${c.ticker}`;
+const pct = (v) => (v == null || !isFinite(v) ? '—' : `${(v * 100).toFixed(1)}%`);
+
+// Rebase a series so its first finite value = 100
+function indexTo100(data) {
+  const first = data.find((d) => Number.isFinite(d.value) && d.value !== 0);
+  if (!first) return data.map((d) => ({ ...d, value: null }));
+  return data.map((d) => ({ ...d, value: Number.isFinite(d.value) ? (d.value / first.value) * 100 : null }));
+}
+
+const METRICS = [
+  ['revenue', 'Revenue'],
+  ['operatingIncome', 'Operating Income'],
+  ['netIncome', 'Net Income'],
+];
+
+export default function CompareView({ companies, targetPE, displayCurrency = '', onNeedRows }) {
+  const [selected, setSelected] = useState(() => companies.slice(0, 2).map(keyOf));
+  const [indexed, setIndexed] = useState(false);
+  const [prices, setPrices] = useState({}); // key -> { price, currency } | null
+
+  const listed = useMemo(
+    () => companies
+      .filter((c) => selected.includes(keyOf(c)))
+      .map((c) => ({ key: keyOf(c), ticker: c.ticker, exchange: c.exchange, market: marketOf(c), raw: c.rows })),
+    [companies, selected]
+  );
+  const currency = displayCurrency || listed[0]?.market.currency || 'USD';
+  const { fx } = useFxRates(currency, [
+    ...listed.map((p) => p.market.currency),
+    ...Object.values(prices).map((q) => q?.currency),
+  ]);
+
+  // Rows in `currency`; a peer without an FX rate keeps its rows but is flagged and left out of the charts
+  const peers = useMemo(() => listed.map((p) => {
+    const rate = fxRate(fx, p.market.currency, currency);
+    return { ...p, converted: rate != null, rows: annualRows(convertRows(normalizeFinancialRows(p.raw || []), rate ?? 1)) };
+  }), [listed, fx, currency]);
+  const unconverted = peers.filter((p) => !p.converted);
+
+  // Server catalog entries arrive without rows; ask the parent to load them
+  useEffect(() => { onNeedRows?.(selected); }, [selected, onNeedRows]);
+
+  // Live prices for upside (one request per peer; server caches per symbol)
+  useEffect(() => {
+    let cancelled = false;
+    for (const p of peers) {
+      if (p.key in prices) continue;
+      fetchValuationMetrics(p.exchange, p.ticker, p.market.suffix)
+        .then((m) => !cancelled && setPrices((prev) => ({ ...prev, [p.key]: m.price ? { price: m.price, currency: m.currency } : null })))
+        .catch(() => !cancelled && setPrices((prev) => ({ ...prev, [p.key]: null })));
+    }
+    return () => { cancelled = true; };
+  }, [peers]);
+
+  const toggle = (k) =>
+    setSelected((prev) => (prev.includes(k) ? prev.filter((x) => x !== k) : [...prev, k]));
+
+  const table = useMemo(() => peers.map((p) => {
+    const last = p.rows[p.rows.length - 1] || {};
+    const m = calcMargins(last);
+    const fv = p.converted ? computeFairValuePerYear([last], Number(targetPE) || 0)[0]?.fairValuePerShare ?? null : null;
+    const quote = prices[p.key];
+    const priceRate = quote ? fxRate(fx, quote.currency, currency) : null;
+    const price = priceRate != null ? quote.price * priceRate : null;
+    return {
+      ticker: p.ticker,
+      years: p.rows.length ? `${p.rows[0].year}–${last.year}` : '—',
+      revenueCAGR: calcCAGR(p.rows, 'revenue'),
+      netIncomeCAGR: calcCAGR(p.rows, 'netIncome'),
+      operatingMargin: m.operatingMargin,
+      netMargin: m.netMargin,
+      fairValuePerShare: fv,
+      price,
+      upside: fv != null && price > 0 ? fv / price - 1 : null,
+    };
+  }), [peers, prices, fx, currency, targetPE]);
+
+  return (
+    <div className="space-y-6">
+      <Card title="Compare companies">
+        <div className="flex flex-wrap gap-3 items-center">
+          {companies.map((c) => (
+            <label key={keyOf(c)} className="flex items-center gap-1 text-sm border rounded px-2 py-1">
+              <input type="checkbox" checked={selected.includes(keyOf(c))} onChange={() => toggle(keyOf(c))} />
+              {c.ticker} <span className="text-gray-500">({c.exchange})</span>
+            </label>
+          ))}
+          <label className="flex items-center gap-1 text-sm ml-auto">
+            <input type="checkbox" checked={indexed} onChange={(e) => setIndexed(e.target.checked)} />
+            Index to first year = 100
+          </label>
+        </div>
+      </Card>
+
+      {peers.length > 0 && (
+        <>
+          <section className="grid md:grid-cols-3 gap-6">
+            {METRICS.map(([field, label]) => (
+              <Card key={field} title={indexed ? `${label} (index)` : `${label} (${currency})`}>
+                <ChartLines
+                  series={peers.filter((p) => p.converted || indexed).map((p) => {
+                    const data = p.rows.map((r) => ({ year: r.year, value: r[field] }));
+                    return { name: p.ticker, data: indexed ? indexTo100(data) : data };
+                  })}
+                  yFormatter={indexed ? (v) => (v == null ? '—' : Number(v).toFixed(0)) : fmtNumber}
+                />
+              </Card>
+            ))}
+          </section>
+
+          {unconverted.length > 0 && (
+            <p className="text-xs text-amber-700">
+              No FX rate to {currency} for {unconverted.map((p) => `${p.ticker} (${p.market.currency})`).join(', ')}:
+              shown only in indexed charts and growth/margin columns.
+            </p>
+          )}
+
+          <Card title={`Peer table (FV at P/E ${targetPE})`}>
+            <Table
+              data={table}
+              columns={[
+                { key: 'ticker', label: 'Ticker' },
+                { key: 'years', label: 'Years' },
+                { key: 'revenueCAGR', label: 'Revenue CAGR', fmt: pct },
+                { key: 'netIncomeCAGR', label: 'Net Income CAGR', fmt: pct },
+                { key: 'operatingMargin', label: 'Op. Margin', fmt: pct },
+                { key: 'netMargin', label: 'Net Margin', fmt: pct },
+                { key: 'fairValuePerShare', label: `FV / Share (${currency})`, fmt: (v) => (v != null ? v.toFixed(2) : '—') },
+                { key: 'price', label: `Price (${currency})`, fmt: (v) => (v ? v.toFixed(2) : '—') },
+                { key: 'upside', label: 'Upside', fmt: pct },
+              ]}
+            />
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
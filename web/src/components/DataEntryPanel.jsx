@@ -0,0 +1,249 @@
+// path: web/src/components/DataEntryPanel.jsx
+// Data entry: drop a spreadsheet or edit the current rows inline, then save to the server
+// (POST /companies) or to localStorage. The draft lives in App so charts update while editing.
+
+import React, { useState } from 'react';
+import { FINANCIAL_FIELDS } from '@shared/fields.js';
+import { DEFAULT_FISCAL_YEAR_END, periodLabel } from '@shared/periods.js';
+import { marketOf } from '@shared/currency.js';
+import { cacheRead, cacheWrite } from '../storage.js';
+import { normalizeFinancialRows } from '../data.js';
+import { parseSpreadsheetFile, ACCEPTED_FILES } from '../sheets.js';
+import { saveCompany } from '../api.js';
+import { Card, Table } from './ui.jsx';
+
+const LOCAL_DATASETS_KEY = 'local_datasets_v1'; // { "EX:TK": { ticker, exchange, rows, fiscalYearEnd, currency, suffix, savedAt } }
+
+/** Datasets saved in this browser, merged over the catalog by App. */
+export const readLocalDatasets = () => Object.values(cacheRead(LOCAL_DATASETS_KEY, {}));
+
+function writeLocalDataset(entry) {
+  const all = cacheRead(LOCAL_DATASETS_KEY, {});
+  cacheWrite(LOCAL_DATASETS_KEY, { ...all, [`${entry.exchange}:${entry.ticker}`]: entry });
+}
+
+const emptyRow = (year) => ({
+  year, quarter: null, ...Object.fromEntries(FINANCIAL_FIELDS.map((f) => [f.key, null])), extra: {},
+});
+
+const COLUMNS = [
+  { key: 'year', label: 'Fiscal year', editable: true },
+  { key: 'quarter', label: 'Quarter (blank = annual)', editable: true },
+  ...FINANCIAL_FIELDS.map((f) => ({ key: f.key, label: f.label, editable: true })),
+];
+
+const LAYOUTS = [['auto', 'Detect layout'], ['rows', 'Years down the rows'], ['columns', 'Years across the columns']];
+const UNITS = [['units', 'As is'], ['thousands', 'Thousands'], ['millions', 'Millions'], ['billions', 'Billions']];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export default function DataEntryPanel({ company, draft, onDraftChange, onSaved }) {
+  const [exchange, setExchange] = useState('');
+  const [ticker, setTicker] = useState('');
+  const [fiscalYearEnd, setFiscalYearEnd] = useState(DEFAULT_FISCAL_YEAR_END);
+  const [currency, setCurrency] = useState(''); // blank = the exchange's currency / suffix
+  const [suffix, setSuffix] = useState('');
+  const [status, setStatus] = useState(null); // { kind: 'info'|'error', text, details? }
+  const [busy, setBusy] = useState(false);
+  const [dragOver, setDragOver] = useState(false);
+  // How dropped files are read (as in a server mapping file); the scale never applies to EPS
+  const [fileOptions, setFileOptions] = useState({ orientation: 'auto', headerRow: 1, scale: 'units' });
+  const setFileOption = (key, value) => setFileOptions((o) => ({ ...o, [key]: value }));
+
+  const start = (rows, note) => {
+    setExchange(company?.exchange || '');
+    setTicker(company?.ticker || '');
+    setFiscalYearEnd(company?.fiscalYearEnd ?? DEFAULT_FISCAL_YEAR_END);
+    setCurrency(company?.currency ?? '');
+    setSuffix(company?.suffix ?? '');
+    onDraftChange(rows);
+    setStatus(note ? { kind: 'info', text: note } : null);
+  };
+
+  async function loadFile(file) {
+    if (!file) return;
+    try {
+      const { rows, skipped, sheet, orientation } = await parseSpreadsheetFile(file, fileOptions);
+      if (!rows.length) throw new Error('No rows with a year column were found');
+      const layout = orientation === 'columns' ? 'years across the columns' : 'years down the rows';
+      start(rows, `Parsed ${rows.length} row(s) from “${sheet}” in ${file.name} (${layout}${skipped ? `, ${skipped} skipped` : ''}).`);
+    } catch (e) {
+      setStatus({ kind: 'error', text: `Could not read ${file.name}: ${e.message}` });
+    }
+  }
+
+  const editCell = (idx, key, value) =>
+    onDraftChange(draft.map((r, i) => (i === idx ? { ...r, [key]: value } : r)));
+  const addRow = () => {
+    const last = draft.reduce((m, r) => (Number.isFinite(r.year) ? Math.max(m, r.year) : m), new Date().getFullYear() - 1);
+    onDraftChange([...draft, emptyRow(last + 1)]);
+  };
+  const removeRow = (idx) => onDraftChange(draft.filter((_, i) => i !== idx));
+
+  const symbols = () => {
+    const ex = exchange.trim().toUpperCase();
+    const tk = ticker.trim().toUpperCase();
+    if (!ex || !tk) throw new Error('Exchange and ticker are required');
+    return { exchange: ex, ticker: tk };
+  };
+  const marketMeta = () => {
+    const cur = currency.trim().toUpperCase();
+    if (cur && !/^[A-Z]{3}$/.test(cur)) throw new Error('Currency must be a 3-letter code, e.g. EUR');
+    return { currency: cur || undefined, suffix: suffix.trim() || undefined };
+  };
+  const defaults = marketOf({ exchange: exchange.trim() });
+
+  async function save(target) {
+    setBusy(true); setStatus(null);
+    try {
+      const { exchange: ex, ticker: tk } = symbols();
+      const meta = marketMeta();
+      const rows = normalizeFinancialRows(draft);
+      if (!rows.length) throw new Error('Nothing to save — every row needs a year');
+      if (target === 'server') {
+        const res = await saveCompany(ex, tk, rows, { fiscalYearEnd, ...meta });
+        onSaved({
+          exchange: ex, ticker: tk, rows, fiscalYearEnd, currency: res.currency, suffix: res.suffix, version: res.version,
+          dataQuality: res.dataQuality, local: false,
+        });
+      } else {
+        const entry = { exchange: ex, ticker: tk, rows, fiscalYearEnd, ...meta, savedAt: new Date().toISOString() };
+        writeLocalDataset(entry);
+        onSaved({ ...entry, local: true });
+      }
+    } catch (e) {
+      const q = e.body?.dataQuality;
+      setStatus({ kind: 'error', text: e.message || 'Save failed', details: q?.errors?.map((x) => `${periodLabel(x)}: ${x.message}`) });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    loadFile(e.dataTransfer.files?.[0]);
+  };
+
+  return (
+    <Card title="Data entry">
+      <div
+        onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={onDrop}
+        className={`rounded-lg border-2 border-dashed p-3 text-sm flex flex-wrap items-center gap-3 ${dragOver ? 'border-black bg-gray-50' : 'border-gray-300'}`}
+      >
+        <span className="text-gray-600">Drop an .xlsx / .csv file here, or</span>
+        <label className="px-3 py-1.5 rounded border bg-white cursor-pointer">
+          Choose file
+          <input
+            type="file"
+            accept={ACCEPTED_FILES}
+            className="hidden"
+            onChange={(e) => { loadFile(e.target.files?.[0]); e.target.value = ''; }}
+          />
+        </label>
+        <select
+          value={fileOptions.orientation}
+          onChange={(e) => setFileOption('orientation', e.target.value)}
+          className="border rounded p-1.5"
+          title="Whether fiscal years (or quarters) run down the rows or across the header row"
+        >
+          {LAYOUTS.map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        <label className="flex items-center gap-1" title="1-based row holding the headers / years">
+          <span className="text-gray-600">Header row</span>
+          <input
+            type="number"
+            min={1}
+            value={fileOptions.headerRow}
+            onChange={(e) => setFileOption('headerRow', Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+            className="border rounded p-1.5 w-16"
+          />
+        </label>
+        <label className="flex items-center gap-1" title="Unit the file's amounts are in (EPS is left as is)">
+          <span className="text-gray-600">Amounts in</span>
+          <select value={fileOptions.scale} onChange={(e) => setFileOption('scale', e.target.value)} className="border rounded p-1.5">
+            {UNITS.map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+        </label>
+        {!draft && company && (
+          <button
+            onClick={() => start(normalizeFinancialRows(company.rows || []))}
+            className="px-3 py-1.5 rounded border bg-white"
+          >
+            Edit {company.ticker} rows
+          </button>
+        )}
+      </div>
+
+      {status && (
+        <div className={`mt-2 text-sm ${status.kind === 'error' ? 'text-red-600' : 'text-gray-600'}`}>
+          {status.text}
+          {status.details?.length > 0 && (
+            <ul className="list-disc ml-5 text-xs">{status.details.map((d, i) => <li key={i}>{d}</li>)}</ul>
+          )}
+        </div>
+      )}
+
+      {draft && (
+        <div className="mt-3 space-y-3">
+          <p className="text-xs text-amber-700">
+            Editing a draft — charts and fair values above and below use these rows until you save or discard.
+          </p>
+          <Table
+            data={draft}
+            onEdit={editCell}
+            columns={[
+              ...COLUMNS,
+              {
+                key: '_remove', label: '',
+                render: (_, idx) => (
+                  <button onClick={() => removeRow(idx)} className="text-xs text-red-600" title="Remove row">✕</button>
+                ),
+              },
+            ]}
+          />
+          <div className="flex flex-wrap items-end gap-2 text-sm">
+            <button onClick={addRow} className="px-3 py-1.5 rounded border">+ Row</button>
+            <label>
+              <span className="block text-xs text-gray-500">Exchange</span>
+              <input value={exchange} onChange={(e) => setExchange(e.target.value)} className="border rounded p-1.5 w-28" />
+            </label>
+            <label>
+              <span className="block text-xs text-gray-500">Ticker</span>
+              <input value={ticker} onChange={(e) => setTicker(e.target.value)} className="border rounded p-1.5 w-28" />
+            </label>
+            <label>
+              <span className="block text-xs text-gray-500">Fiscal year ends</span>
+              <select value={fiscalYearEnd} onChange={(e) => setFiscalYearEnd(Number(e.target.value))} className="border rounded p-1.5">
+                {MONTHS.map((m, i) => <option key={m} value={i + 1}>{m}</option>)}
+              </select>
+            </label>
+            <label title="Currency the figures are reported in">
+              <span className="block text-xs text-gray-500">Reporting currency</span>
+              <input value={currency} onChange={(e) => setCurrency(e.target.value)} placeholder={defaults.currency} className="border rounded p-1.5 w-20" />
+            </label>
+            <label title="Appended to the ticker for live prices, e.g. :LSE">
+              <span className="block text-xs text-gray-500">Symbol suffix</span>
+              <input value={suffix} onChange={(e) => setSuffix(e.target.value)} placeholder={defaults.suffix || 'none'} className="border rounded p-1.5 w-24" />
+            </label>
+            <button
+              onClick={() => save('server')}
+              disabled={busy}
+              className="px-3 py-1.5 rounded bg-black text-white disabled:opacity-60"
+            >
+              Save to server
+            </button>
+            <button onClick={() => save('local')} disabled={busy} className="px-3 py-1.5 rounded border">
+              Save in this browser
+            </button>
+            <button onClick={() => { onDraftChange(null); setStatus(null); }} className="px-3 py-1.5 rounded border text-gray-600">
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,109 @@
+// path: web/src/components/DcfCard.jsx
+// DCF valuation card: editable assumptions (rates in %) + year-by-year projection table.
+// Untouched assumptions follow the company's history; edits are kept until the company changes.
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { computeDCF, dcfDefaults } from '@shared/dcf.js';
+import { Card, Table } from './ui.jsx';
+import { fmtNumber } from '../format.js';
+
+// [key, label, unit] — '%' inputs are shown ×100, 'money' ones in the display currency
+const FIELDS = [
+  ['revenueGrowth', 'Revenue growth %', '%'],
+  ['operatingMargin', 'Operating margin %', '%'],
+  ['taxRate', 'Tax rate %', '%'],
+  ['reinvestmentRate', 'Reinvestment % of NOPAT', '%'],
+  ['wacc', 'WACC %', '%'],
+  ['terminalGrowth', 'Terminal growth %', '%'],
+  ['years', 'Projection years', null],
+  ['netDebt', 'Net debt', 'money'],
+];
+
+const toInputs = (a) =>
+  Object.fromEntries(FIELDS.map(([k, , unit]) => [k, unit === '%' ? Number((a[k] * 100).toFixed(2)) : a[k]]));
+const fromInputs = (inputs) =>
+  Object.fromEntries(FIELDS.map(([k, , unit]) => {
+    const n = Number(inputs[k]);
+    return [k, Number.isFinite(n) && inputs[k] !== '' ? (unit === '%' ? n / 100 : n) : undefined];
+  }));
+
+export default function DcfCard({ companyKey, rows, price, currency = 'USD' }) {
+  const defaults = useMemo(() => dcfDefaults(rows), [rows]);
+  const [edits, setEdits] = useState({}); // analyst's overrides, by field
+  useEffect(() => { setEdits({}); }, [companyKey]);
+  const inputs = useMemo(() => ({ ...toInputs(defaults), ...edits }), [defaults, edits]);
+
+  const dcf = useMemo(() => computeDCF(rows, fromInputs(inputs)), [rows, inputs]);
+  const upside = dcf.fairValuePerShare != null && price > 0 ? dcf.fairValuePerShare / price - 1 : null;
+
+  return (
+    <Card title="Discounted Cash Flow (DCF)">
+      <div className="grid md:grid-cols-4 gap-3 mb-4">
+        {FIELDS.map(([k, label, unit]) => (
+          <div key={k}>
+            <label className="block text-xs text-gray-500 mb-1">{unit === 'money' ? `${label} (${currency})` : label}</label>
+            <input
+              type="number"
+              step="any"
+              value={inputs[k]}
+              onChange={(e) => setEdits((p) => ({ ...p, [k]: e.target.value }))}
+              className="border rounded p-2 w-full"
+            />
+          </div>
+        ))}
+        <div className="flex items-end">
+          <button onClick={() => setEdits({})} className="border rounded px-3 py-2 text-sm">
+            Reset to history
+          </button>
+        </div>
+      </div>
+
+      {dcf.error ? (
+        <div className="text-sm text-red-600">
+          {dcf.error === 'wacc_must_exceed_terminal_growth'
+            ? 'WACC must be greater than terminal growth.'
+            : 'Not enough data for a DCF.'}
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            <div className="rounded-lg border p-3">
+              <div className="text-xs text-gray-500">Enterprise value</div>
+              <div className="text-lg font-medium">{fmtNumber(dcf.enterpriseValue)}</div>
+            </div>
+            <div className="rounded-lg border p-3">
+              <div className="text-xs text-gray-500">PV of terminal value</div>
+              <div className="text-lg font-medium">{fmtNumber(dcf.pvTerminal)}</div>
+            </div>
+            <div className="rounded-lg border p-3">
+              <div className="text-xs text-gray-500">DCF value / share</div>
+              <div className="text-lg font-medium">
+                {dcf.fairValuePerShare != null ? `${dcf.fairValuePerShare.toFixed(2)} ${currency}` : '—'}
+              </div>
+            </div>
+            <div className="rounded-lg border p-3">
+              <div className="text-xs text-gray-500">Upside vs price</div>
+              <div className={`text-lg font-medium ${upside == null ? '' : upside >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                {upside != null ? `${(upside * 100).toFixed(1)}%` : '—'}
+              </div>
+            </div>
+          </div>
+
+          <Table
+            data={dcf.projection}
+            columns={[
+              { key: 'year', label: 'Year' },
+              { key: 'revenue', label: 'Revenue', fmt: fmtNumber },
+              { key: 'operatingIncome', label: 'Operating Income', fmt: fmtNumber },
+              { key: 'nopat', label: 'NOPAT', fmt: fmtNumber },
+              { key: 'reinvestment', label: 'Reinvestment', fmt: fmtNumber },
+              { key: 'fcf', label: 'Free Cash Flow', fmt: fmtNumber },
+              { key: 'discountFactor', label: 'Discount Factor', fmt: (v) => v.toFixed(3) },
+              { key: 'presentValue', label: 'Present Value', fmt: fmtNumber },
+            ]}
+          />
+        </>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,98 @@
+// path: web/src/components/NarrativeCard.jsx
+// Streaming AI narrative (GET /report/stream): one panel per section, filled while tokens arrive.
+
+import React, { useEffect, useRef, useState } from 'react';
+import { NARRATIVE_SECTIONS, NARRATIVE_ERRORS, partialNarrative } from '@shared/narrative.js';
+import { streamNarrative } from '../api.js';
+import { Card } from './ui.jsx';
+
+export default function NarrativeCard({ exchange, ticker }) {
+  const [text, setText] = useState('');
+  const [sections, setSections] = useState(null); // final sections once `done` arrives
+  const [source, setSource] = useState(null); // { provider, model, cached }
+  const [error, setError] = useState(null); // { code, message }
+  const [busy, setBusy] = useState(false);
+  const abortRef = useRef(null);
+
+  // New company: drop the old narrative and cancel a running stream
+  useEffect(() => {
+    setText(''); setSections(null); setError(null); setSource(null);
+    return () => abortRef.current?.abort();
+  }, [exchange, ticker]);
+
+  async function generate(refresh = false) {
+    abortRef.current?.abort();
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    setText(''); setSections(null); setError(null); setBusy(true);
+    try {
+      await streamNarrative(exchange, ticker, {
+        signal: ctrl.signal,
+        refresh,
+        onEvent: (event, data) => {
+          if (event === 'meta') setSource({ provider: data.provider, model: data.model, cached: data.cached });
+          else if (event === 'token') setText((t) => t + data.text);
+          else if (event === 'done') setSections(data.sections);
+          else if (event === 'error') setError(data);
+        },
+      });
+    } catch (e) {
+      if (ctrl.signal.aborted) return;
+      const code = e.body?.code;
+      setError({ code: code || 'network_error', message: e.body?.error || NARRATIVE_ERRORS[code] || e.message });
+    } finally {
+      if (abortRef.current === ctrl) setBusy(false);
+    }
+  }
+
+  const shown = sections || partialNarrative(text);
+  const started = busy || text || sections;
+
+  return (
+    <Card title="AI Narrative">
+      <div className="flex items-center gap-3 text-sm mb-3">
+        {!busy ? (
+          <>
+            <button onClick={() => generate(false)} className="px-4 py-2 rounded bg-black text-white">
+              Generate narrative
+            </button>
+            {(sections || error) && (
+              <button onClick={() => generate(true)} className="px-4 py-2 rounded border" title="Skip the server cache">
+                Regenerate
+              </button>
+            )}
+          </>
+        ) : (
+          <button onClick={() => { abortRef.current?.abort(); setBusy(false); }} className="px-4 py-2 rounded border">
+            Stop
+          </button>
+        )}
+        {busy && <span className="text-gray-500">Streaming…</span>}
+        {source && (
+          <span className="text-xs text-gray-500">
+            Model: <code>{source.provider}/{source.model}</code>{source.cached && ' · cached'}
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div className="text-sm text-red-600 mb-3">
+          {error.message} <code className="text-xs">({error.code})</code>
+        </div>
+      )}
+
+      {started && (
+        <div className="grid md:grid-cols-2 gap-3">
+          {NARRATIVE_SECTIONS.map((s) => (
+            <div key={s.key} className={`rounded-lg border p-3 ${s.key === 'summary' ? 'md:col-span-2' : ''}`}>
+              <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{s.label}</div>
+              <p className="text-sm whitespace-pre-line">
+                {shown[s.key] || <span className="text-gray-400">{busy ? '…' : '—'}</span>}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,268 @@
+// path: web/src/components/PortfolioView.jsx
+// Watchlists and portfolios: saved lists of holdings (shares + cost basis per share) with a dashboard
+// of price, weighted fair value, upside and position value, plus portfolio totals. Cost bases are kept
+// in the list's currency (listCurrency); the dashboard shows every amount in the display currency when
+// one is set, else in the list's, converting cost bases with FX for display only.
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { MARKET_CURRENCIES, marketOf, fxRate, convertRows, convertMetrics } from '@shared/currency.js';
+import {
+  LIST_KINDS, listIdOf, holdingKey, listCurrency, holdingFairValue, valueHolding, portfolioTotals,
+} from '@shared/portfolio.js';
+import { normalizeFinancialRows } from '../data.js';
+import { useFxRates } from '../currency.js';
+import { listStore } from '../lists.js';
+import { fetchValuationMetrics } from '../api.js';
+import { Card, Table } from './ui.jsx';
+
+const keyOf = (c) => `${c.exchange}:${c.ticker}`;
+const pct = (v) => (v == null || !isFinite(v) ? '—' : `${(v * 100).toFixed(1)}%`);
+const money = (v) => (v == null || !isFinite(v) ? '—' : v.toLocaleString(undefined, { maximumFractionDigits: 2 }));
+const tone = (v) => (v == null ? '' : v >= 0 ? 'text-green-700' : 'text-red-700');
+
+export default function PortfolioView({ companies, targetPE, weights, displayCurrency = '', serverLists, onNeedRows }) {
+  const store = listStore(serverLists);
+  const [lists, setLists] = useState([]); // summaries: { id, name, kind, currency, count, updatedAt }
+  const [list, setList] = useState(null); // the open list (edited in place until saved)
+  const [dirty, setDirty] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newKind, setNewKind] = useState('portfolio');
+  const [addKey, setAddKey] = useState('');
+  const [quotes, setQuotes] = useState({}); // holding key -> live metrics (trading currency) | null
+  const [error, setError] = useState('');
+
+  const refreshLists = async () => {
+    try {
+      const all = await store.all();
+      setLists(all);
+      return all;
+    } catch (e) {
+      setError(e.message || 'Failed to load lists');
+      return [];
+    }
+  };
+
+  const open = async (id) => {
+    setError('');
+    try {
+      setList(await store.get(id));
+      setDirty(false);
+    } catch (e) {
+      setError(e.message || 'Failed to load list');
+    }
+  };
+
+  useEffect(() => {
+    (async () => {
+      const all = await refreshLists();
+      if (all.length) open(all[0].id);
+      else setList(null);
+    })();
+  }, [serverLists]);
+
+  const create = async () => {
+    const name = newName.trim();
+    const id = listIdOf(name);
+    if (!id) return setError('Enter a list name.');
+    if (lists.some((l) => l.id === id)) return setError(`A list named "${name}" already exists.`);
+    try {
+      const saved = await store.save(id, { name, kind: newKind, currency: null, items: [] });
+      setNewName('');
+      setList(saved);
+      setDirty(false);
+      await refreshLists();
+    } catch (e) {
+      setError(e.message || 'Failed to create list');
+    }
+  };
+
+  const save = async () => {
+    try {
+      setList(await store.save(list.id, { name: list.name, kind: list.kind, currency: list.currency, items: list.items }));
+      setDirty(false);
+      setError('');
+      await refreshLists();
+    } catch (e) {
+      setError(e.message || 'Failed to save list');
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete "${list.name}"?`)) return;
+    try {
+      await store.remove(list.id);
+      const all = await refreshLists();
+      if (all.length) open(all[0].id);
+      else setList(null);
+    } catch (e) {
+      setError(e.message || 'Failed to delete list');
+    }
+  };
+
+  const edit = (patch) => { setList((prev) => ({ ...prev, ...patch })); setDirty(true); };
+  const editItem = (i, k, v) => edit({ items: list.items.map((it, j) => (j === i ? { ...it, [k]: v } : it)) });
+  // A holding's reporting currency: its catalog entry's, else its exchange's
+  const reportingCurrency = (it) => marketOf(companies.find((c) => holdingKey(c) === holdingKey(it)) ?? it).currency;
+  const addItem = () => {
+    const c = companies.find((x) => keyOf(x) === addKey);
+    if (!c || list.items.some((it) => holdingKey(it) === holdingKey(c))) return;
+    const items = [...list.items, { exchange: c.exchange, ticker: c.ticker, shares: null, costBasis: null }];
+    // Pin the currency with the first holding, as the server does on save
+    edit({ items, currency: list.currency || listCurrency({ items }, reportingCurrency) });
+  };
+
+  // Holdings joined with their catalog entry; rows load on demand for server catalog entries
+  const holdings = useMemo(() => (list?.items ?? []).map((it) => {
+    const company = companies.find((c) => holdingKey(c) === holdingKey(it)) || null;
+    return { ...it, key: holdingKey(it), company, market: marketOf(company ?? it) };
+  }), [list, companies]);
+  const holdingKeys = holdings.filter((h) => h.company).map((h) => keyOf(h.company));
+  useEffect(() => { onNeedRows?.(holdingKeys); }, [holdingKeys.join(','), onNeedRows]);
+
+  // Live quotes (one request per holding; the server caches per symbol)
+  useEffect(() => {
+    let cancelled = false;
+    for (const h of holdings) {
+      if (h.key in quotes) continue;
+      fetchValuationMetrics(h.exchange, h.ticker, h.market.suffix)
+        .then((m) => !cancelled && setQuotes((prev) => ({ ...prev, [h.key]: m.price ? m : null })))
+        .catch(() => !cancelled && setQuotes((prev) => ({ ...prev, [h.key]: null })));
+    }
+    return () => { cancelled = true; };
+  }, [holdings]);
+
+  const bookCurrency = list ? listCurrency(list, reportingCurrency) : null; // cost bases
+  const currency = displayCurrency || bookCurrency || 'USD'; // everything shown
+  const { fx, loading: fxLoading } = useFxRates(currency, [
+    bookCurrency,
+    ...holdings.map((h) => h.market.currency),
+    ...holdings.map((h) => quotes[h.key]?.currency),
+  ]);
+
+  // Rows (reporting currency), live metrics (trading currency) and cost bases (list currency) all go
+  // into `currency`; a holding without a rate is flagged and left out of the totals rather than mixed
+  // in another currency
+  const costRate = bookCurrency ? fxRate(fx, bookCurrency, currency) : null;
+  const lines = useMemo(() => holdings.map((h) => {
+    const quote = quotes[h.key];
+    const rowRate = fxRate(fx, h.market.currency, currency);
+    const quoteRate = quote ? fxRate(fx, quote.currency, currency) : null;
+    const hasCost = Number.isFinite(h.costBasis);
+    const converted = rowRate != null && (!quote || quoteRate != null) && (!hasCost || costRate != null);
+    const metrics = quote && quoteRate != null ? convertMetrics(quote, quoteRate, currency) : null;
+    const rows = convertRows(normalizeFinancialRows(h.company?.rows ?? []), rowRate ?? 1);
+    const fairValue = converted ? holdingFairValue({ metrics, rows, targetPE: Number(targetPE) || 0, weights }) : null;
+    const costBasis = converted && hasCost ? h.costBasis * costRate : null;
+    const line = valueHolding({ shares: h.shares, costBasis, price: metrics?.price ?? null, fairValue });
+    return { ...h, ...line, converted, pending: !(h.key in quotes) };
+  }), [holdings, quotes, fx, currency, costRate, targetPE, weights]);
+  const totals = useMemo(() => portfolioTotals(lines), [lines]);
+  const table = lines.map((l) => ({ ...l, weight: l.positionValue != null && totals.totalValue > 0 ? l.positionValue / totals.totalValue : null }));
+  const unconverted = fxLoading ? [] : lines.filter((l) => !l.converted);
+  const isPortfolio = list?.kind === 'portfolio';
+
+  const columns = [
+    { key: 'ticker', label: 'Holding', render: (r) => <>{r.ticker} <span className="text-gray-500">({r.exchange})</span>{!r.company && <span className="text-amber-700"> · not in catalog</span>}</> },
+    ...(isPortfolio ? [
+      { key: 'shares', label: 'Shares', editable: true },
+      { key: 'costBasis', label: `Cost / share (${bookCurrency})`, editable: true },
+    ] : []),
+    { key: 'price', label: `Price (${currency})`, render: (r) => (r.pending ? '…' : money(r.price)) },
+    { key: 'fairValue', label: `Weighted FV (${currency})`, fmt: money },
+    { key: 'upside', label: 'Upside', render: (r) => <span className={tone(r.upside)}>{pct(r.upside)}</span> },
+    { key: 'marginOfSafety', label: 'Margin of safety', fmt: pct },
+    ...(isPortfolio ? [
+      { key: 'positionValue', label: `Position (${currency})`, fmt: money },
+      { key: 'weight', label: 'Weight', fmt: pct },
+      { key: 'gain', label: 'Gain', render: (r) => <span className={tone(r.gain)}>{money(r.gain)}</span> },
+    ] : []),
+    { key: 'remove', label: '', render: (_r, i) => (
+      <button className="text-xs text-red-600" onClick={() => edit({ items: list.items.filter((_, j) => j !== i) })}>Remove</button>
+    ) },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <Card title="Watchlists & portfolios">
+        <div className="flex flex-wrap gap-2 items-center">
+          {lists.map((l) => (
+            <button
+              key={l.id}
+              onClick={() => open(l.id)}
+              className={`text-sm border rounded px-2 py-1 ${list?.id === l.id ? 'bg-black text-white' : 'bg-white'}`}
+            >
+              {l.name} <span className="opacity-60">({l.count})</span>
+            </button>
+          ))}
+          <div className="flex gap-2 items-center ml-auto">
+            <input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="New list name" className="border rounded p-1 text-sm" />
+            <select value={newKind} onChange={(e) => setNewKind(e.target.value)} className="border rounded p-1 text-sm">
+              {LIST_KINDS.map((k) => <option key={k.key} value={k.key}>{k.label}</option>)}
+            </select>
+            <button onClick={create} className="text-sm border rounded px-2 py-1">Create</button>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          Stored {serverLists ? 'on the server' : 'in this browser (server catalog unavailable)'}.
+        </p>
+        {error && <div className="text-red-600 text-sm mt-2">{error}</div>}
+      </Card>
+
+      {list && (
+        <>
+          {isPortfolio && (
+            <section className="grid md:grid-cols-4 gap-4">
+              {[
+                ['Market value', money(totals.totalValue)],
+                ['Fair value', money(totals.totalFairValue)],
+                ['Gain vs cost', money(totals.totalGain), tone(totals.totalGain)],
+                ['Weighted margin of safety', pct(totals.weightedMarginOfSafety), tone(totals.weightedMarginOfSafety)],
+              ].map(([label, value, cls]) => (
+                <div key={label} className="bg-white rounded-2xl shadow p-4">
+                  <div className="text-xs text-gray-500">{label}{label !== 'Weighted margin of safety' ? ` (${currency})` : ''}</div>
+                  <div className={`text-lg font-medium ${cls || ''}`}>{value}</div>
+                </div>
+              ))}
+            </section>
+          )}
+
+          <Card title={`${list.name} (FV at P/E ${targetPE})`}>
+            <div className="flex flex-wrap gap-2 items-center mb-3">
+              <select value={addKey} onChange={(e) => setAddKey(e.target.value)} className="border rounded p-1 text-sm">
+                <option value="">Add company…</option>
+                {companies.filter((c) => !list.items.some((it) => holdingKey(it) === holdingKey(c))).map((c) => (
+                  <option key={keyOf(c)} value={keyOf(c)}>{c.ticker} ({c.exchange})</option>
+                ))}
+              </select>
+              <button onClick={addItem} disabled={!addKey} className="text-sm border rounded px-2 py-1">Add</button>
+              <label className="text-sm ml-auto">
+                List currency{' '}
+                <select value={list.currency || ''} onChange={(e) => edit({ currency: e.target.value || null })} className="border rounded p-1 text-sm">
+                  <option value="">First holding ({bookCurrency})</option>
+                  {MARKET_CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+                </select>
+              </label>
+              <button onClick={save} disabled={!dirty} className="text-sm border rounded px-2 py-1 bg-black text-white disabled:opacity-40">Save</button>
+              <button onClick={remove} className="text-sm border rounded px-2 py-1 text-red-600">Delete list</button>
+            </div>
+
+            {list.items.length
+              ? <Table data={table} columns={columns} onEdit={isPortfolio ? editItem : undefined} />
+              : <p className="text-sm text-gray-500">No holdings yet.</p>}
+
+            {isPortfolio && totals.coverage != null && totals.coverage < 1 && (
+              <p className="text-xs text-gray-500 mt-2">
+                Margin of safety covers {pct(totals.coverage)} of market value (holdings with a price and a fair value).
+              </p>
+            )}
+            {unconverted.length > 0 && (
+              <p className="text-xs text-amber-700 mt-2">
+                No FX rate to {currency} for {unconverted.map((l) => `${l.ticker} (${l.market.currency})`).join(', ')}: left out of the totals.
+              </p>
+            )}
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+// path: web/src/components/PriceFairValueCard.jsx
+// Historical closing price vs per-year PE fair value and weighted fair value, with the gap between
+// price and the chosen reference shaded red (over-valued) or green (under-valued). Closes are converted
+// from their own currency into `currency` (the one the fair values are shown in).
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
+} from 'recharts';
+import { priceVsFairValue } from '@shared/prices.js';
+import { fxRate } from '@shared/currency.js';
+import { fetchPrices, uploadPrices, refreshPrices } from '../api.js';
+import { Card, SERIES_COLORS } from './ui.jsx';
+
+const REFERENCES = { fair: 'Per-year PE FV', weighted: 'Weighted FV' };
+const money = (v) => (Number.isFinite(v) ? v.toFixed(2) : '—');
+
+export default function PriceFairValueCard({
+  exchange, ticker, fair, liveInputs, weights, currency = 'USD', priceCurrency = null, fx = null, suffix = '', fiscalYearEnd = 12,
+}) {
+  const [history, setHistory] = useState(null); // GET /prices response (daily points)
+  const [status, setStatus] = useState(null); // { kind: 'info'|'error', text }
+  const [busy, setBusy] = useState(false);
+  const [yearly, setYearly] = useState(false);
+  const [reference, setReference] = useState('fair');
+
+  async function load() {
+    try {
+      setHistory(await fetchPrices(exchange, ticker));
+      setStatus(null);
+    } catch (e) {
+      setHistory(null);
+      setStatus(e.status === 404 ? null : { kind: 'error', text: e.message });
+    }
+  }
+  useEffect(() => { setHistory(null); setStatus(null); load(); }, [exchange, ticker]);
+
+  async function run(action) {
+    setBusy(true);
+    try {
+      const r = await action();
+      await load();
+      setStatus({
+        kind: 'info',
+        text: `${r.added} added, ${r.updated} updated (${r.count} closes, ${r.first} – ${r.last})${r.skipped ? `, ${r.skipped} row(s) skipped` : ''}.`,
+      });
+    } catch (e) {
+      setStatus({ kind: 'error', text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // Stored history says which currency its closes are in; imports without one use the live quote's
+  const closeCcy = history?.currency || priceCurrency || currency;
+  const rate = fxRate(fx, closeCcy, currency);
+  const data = useMemo(() => {
+    if (!history || rate == null) return [];
+    const points = rate === 1 ? history.points : history.points.map((p) => ({ ...p, close: p.close * rate }));
+    return priceVsFairValue(points, { fair, liveInputs, weights, reference, yearly, fiscalYearEnd });
+  }, [history, rate, fair, liveInputs, weights, reference, yearly, fiscalYearEnd]);
+  const hasWeighted = data.some((d) => d.weighted != null);
+  const last = [...data].reverse().find((d) => d.gap != null);
+
+  return (
+    <Card title="Price vs Fair Value">
+      <div className="flex flex-wrap items-center gap-3 text-sm mb-3">
+        <div className="flex rounded border overflow-hidden">
+          {[['Daily', false], ['Yearly', true]].map(([label, v]) => (
+            <button key={label} onClick={() => setYearly(v)} className={`px-3 py-1 ${yearly === v ? 'bg-black text-white' : ''}`}>
+              {label}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-500">Bands vs</span>
+          <select value={reference} onChange={(e) => setReference(e.target.value)} className="border rounded p-1">
+            {Object.entries(REFERENCES).map(([k, label]) => (
+              <option key={k} value={k} disabled={k === 'weighted' && !hasWeighted}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className={`px-2 py-1 rounded border cursor-pointer hover:bg-gray-50 ${busy ? 'opacity-60 pointer-events-none' : ''}`}>
+          Import prices…
+          <input
+            type="file"
+            accept=".csv,.tsv,.xlsx,.xls,.json"
+            className="hidden"
+            onChange={(e) => { const f = e.target.files?.[0]; e.target.value = ''; if (f) run(() => uploadPrices(exchange, ticker, f)); }}
+          />
+        </label>
+        <button onClick={() => run(() => refreshPrices(exchange, ticker, { suffix }))} disabled={busy} className="px-2 py-1 rounded border hover:bg-gray-50 disabled:opacity-60">
+          Fetch from provider
+        </button>
+      </div>
+
+      {status && (
+        <div className={`text-sm mb-2 ${status.kind === 'error' ? 'text-red-600' : 'text-gray-600'}`}>{status.text}</div>
+      )}
+
+      {history && rate == null ? (
+        <p className="text-sm text-amber-700">
+          Prices are in {closeCcy} and there is no FX rate to {currency}; add it to the server's rates file to compare.
+        </p>
+      ) : !data.length ? (
+        <p className="text-sm text-gray-500">
+          No price history for {ticker}. Import a file with date (or year) and close columns, or fetch daily
+          closes from the provider.
+        </p>
+      ) : (
+        <>
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={data} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="x" minTickGap={24} />
+                <YAxis tickFormatter={money} />
+                <Tooltip formatter={(v) => (Array.isArray(v) ? `${money(v[0])} – ${money(v[1])}` : money(v))} />
+                <Legend />
+                <Area dataKey="over" name="Over-valued" stroke="none" fill="#dc2626" fillOpacity={0.15} isAnimationActive={false} />
+                <Area dataKey="under" name="Under-valued" stroke="none" fill="#16a34a" fillOpacity={0.15} isAnimationActive={false} />
+                <Line dataKey="price" name={`Price (${currency})`} stroke={SERIES_COLORS[0]} dot={yearly} isAnimationActive={false} />
+                <Line dataKey="fairValue" name="Per-year PE FV" type="stepAfter" stroke={SERIES_COLORS[2]} strokeDasharray="5 3" dot={false} isAnimationActive={false} />
+                {hasWeighted && (
+                  <Line dataKey="weighted" name="Weighted FV" type="stepAfter" stroke={SERIES_COLORS[3]} strokeDasharray="2 2" dot={false} isAnimationActive={false} />
+                )}
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="text-xs text-gray-500 mt-2">
+            {last && (
+              <span className="mr-3">
+                Latest ({last.x}): price {money(last.price)} is {Math.abs(last.gap * 100).toFixed(1)}% {last.gap >= 0 ? 'above' : 'below'} {REFERENCES[reference]}.
+              </span>
+            )}
+            Each close is compared with its {fiscalYearEnd === 12 ? 'calendar' : 'fiscal'} year's fair value; the weighted FV uses today's EV/PE/PS/Book inputs
+            with that year's PE value. Source: {history.source || '—'}{closeCcy !== currency && `, converted from ${closeCcy}`}.
+          </div>
+        </>
+      )}
+    </Card>
+  );
+}
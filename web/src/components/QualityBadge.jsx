@@ -0,0 +1,38 @@
+// path: web/src/components/QualityBadge.jsx
+// Data-quality badge with an expandable issue list. Shows the server's result (its MAX_YOY_JUMP
+// threshold) for stored datasets; drafts and browser-only datasets are checked here with the same code.
+
+import React, { useMemo, useState } from 'react';
+import { checkDataQuality } from '@shared/quality.js';
+import { periodLabel } from '@shared/periods.js';
+
+const STYLES = {
+  ok: 'bg-green-100 text-green-800 border-green-200',
+  warning: 'bg-amber-100 text-amber-800 border-amber-200',
+  error: 'bg-red-100 text-red-800 border-red-200',
+};
+const LABELS = { ok: 'Data OK', warning: 'Data warnings', error: 'Data errors' };
+
+export default function QualityBadge({ rows, quality = null }) {
+  const q = useMemo(() => quality ?? checkDataQuality(rows), [quality, rows]);
+  const [open, setOpen] = useState(false);
+  const issues = [...q.errors, ...q.warnings];
+
+  return (
+    <span className="relative inline-block">
+      <button
+        onClick={() => issues.length && setOpen((o) => !o)}
+        className={`text-xs border rounded-full px-2 py-0.5 ${STYLES[q.status]}`}
+        title={issues.length ? 'Show data-quality issues' : 'No data-quality issues'}
+      >
+        {LABELS[q.status]}{issues.length ? ` (${issues.length})` : ''}
+      </button>
+      {open && (
+        <ul className="absolute z-20 mt-1 w-80 bg-white border rounded-lg shadow p-2 text-xs space-y-1">
+          {q.errors.map((e, i) => <li key={`e${i}`} className="text-red-700">{periodLabel(e)}: {e.message}</li>)}
+          {q.warnings.map((w, i) => <li key={`w${i}`} className="text-amber-700">{periodLabel(w)}: {w.message}</li>)}
+        </ul>
+      )}
+    </span>
+  );
+}
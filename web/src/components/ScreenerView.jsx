@@ -0,0 +1,213 @@
+// path: web/src/components/ScreenerView.jsx
+// Screener: filter and sort every company by growth, margins, P/E fair value and upside; save screens
+// and export the results. Uses GET /screener on the server catalog (whole store, stored / live prices),
+// else screens the static catalog in the browser (no prices there, so no upside).
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { SCREEN_METRICS, SCREEN_OPS, DEFAULT_SCREEN, screenMetrics, applyScreen } from '@shared/screener.js';
+import { listIdOf } from '@shared/portfolio.js';
+import { marketOf, fxRate, convertRows } from '@shared/currency.js';
+import { normalizeFinancialRows } from '../data.js';
+import { useFxRates } from '../currency.js';
+import { screenStore } from '../lists.js';
+import { fetchScreener } from '../api.js';
+import { downloadCsv, downloadXlsx } from '../sheets.js';
+import { Card, Table } from './ui.jsx';
+
+const METRIC = Object.fromEntries(SCREEN_METRICS.map((m) => [m.key, m]));
+const keyOf = (c) => `${c.exchange}:${c.ticker}`;
+const pct = (v) => (v == null || !isFinite(v) ? '—' : `${(v * 100).toFixed(1)}%`);
+const money = (v) => (v == null || !isFinite(v) ? '—' : v.toFixed(2));
+const fmtMetric = (k) => (METRIC[k].pct ? pct : money);
+
+// Filters are edited as text in display units (% for percentage metrics)
+const toDraft = (f) => ({ ...f, text: String(METRIC[f.metric]?.pct ? Number((f.value * 100).toFixed(6)) : f.value) });
+const fromDraft = (drafts) => drafts
+  .map((d) => ({ metric: d.metric, op: d.op, value: Number(d.text) / (METRIC[d.metric]?.pct ? 100 : 1) }))
+  .filter((f) => Number.isFinite(f.value));
+
+export default function ScreenerView({ companies, targetPE, displayCurrency = '', serverScreener, onOpen }) {
+  const store = screenStore(serverScreener);
+  const [drafts, setDrafts] = useState([]); // [{ metric, op, text }]
+  const [sort, setSort] = useState(DEFAULT_SCREEN.sort);
+  const [live, setLive] = useState(false);
+  const [screens, setScreens] = useState([]);
+  const [screenName, setScreenName] = useState('');
+  const [result, setResult] = useState(null); // { items, matched, total }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const filters = useMemo(() => fromDraft(drafts.filter((d) => d.text.trim() !== '')), [drafts]);
+  const pe = Number(targetPE) || 0;
+
+  useEffect(() => {
+    store.all().then(setScreens, (e) => setError(e.message || 'Failed to load screens'));
+  }, [serverScreener]);
+
+  // Static catalog: screen in the browser, amounts in the display currency when a rate is known
+  const { fx } = useFxRates(displayCurrency, serverScreener ? [] : companies.map((c) => marketOf(c).currency));
+  const localItems = useMemo(() => {
+    if (serverScreener) return null;
+    return companies.filter((c) => c.rows).map((c) => {
+      const reporting = marketOf(c).currency;
+      const rate = displayCurrency ? fxRate(fx, reporting, displayCurrency) : 1;
+      const metrics = screenMetrics(convertRows(normalizeFinancialRows(c.rows), rate ?? 1), { targetPE: pe });
+      if (rate == null) metrics.fairValuePerShare = null; // not compared across currencies
+      return {
+        exchange: c.exchange, ticker: c.ticker, currency: rate != null ? displayCurrency || reporting : reporting,
+        converted: rate != null, priceSource: null, ...metrics,
+      };
+    });
+  }, [serverScreener, companies, fx, displayCurrency, pe]);
+
+  // Server catalog: re-run shortly after the last change
+  useEffect(() => {
+    if (!serverScreener) {
+      const matched = applyScreen(localItems, { filters, sort });
+      setResult({ items: matched, matched: matched.length, total: localItems.length });
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setBusy(true); setError('');
+      try {
+        const j = await fetchScreener({ filters, sort, currency: displayCurrency, targetPE: pe, live });
+        if (!cancelled) setResult(j);
+      } catch (e) {
+        if (!cancelled) setError(e.message || 'Screen failed');
+      } finally {
+        if (!cancelled) setBusy(false);
+      }
+    }, 300);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [serverScreener, localItems, filters, sort, displayCurrency, pe, live]);
+
+  const editDraft = (i, patch) => setDrafts((prev) => prev.map((d, j) => (j === i ? { ...d, ...patch } : d)));
+  const loadScreen = (id) => {
+    const s = screens.find((x) => x.id === id);
+    if (!s) return;
+    setDrafts(s.filters.map(toDraft));
+    setSort(s.sort || DEFAULT_SCREEN.sort);
+    setScreenName(s.name);
+  };
+  const save = async () => {
+    const name = screenName.trim();
+    const id = listIdOf(name);
+    if (!id) return setError('Enter a screen name.');
+    try {
+      await store.save(id, { name, filters, sort });
+      setScreens(await store.all());
+      setError('');
+    } catch (e) {
+      setError(e.message || 'Failed to save screen');
+    }
+  };
+  const remove = async () => {
+    const id = listIdOf(screenName);
+    if (!screens.some((s) => s.id === id) || !window.confirm(`Delete screen "${screenName}"?`)) return;
+    try {
+      await store.remove(id);
+      setScreens(await store.all());
+    } catch (e) {
+      setError(e.message || 'Failed to delete screen');
+    }
+  };
+
+  const currencyLabel = displayCurrency || 'reporting currency';
+  const columns = [
+    { key: 'ticker', label: 'Company', render: (r) => (
+      <button className="underline" onClick={() => onOpen(keyOf(r))}>{r.ticker}</button>
+    ) },
+    { key: 'exchange', label: 'Exchange' },
+    { key: 'years', label: 'Years', render: (r) => (r.lastYear ? `${r.firstYear}–${r.lastYear}` : '—') },
+    ...SCREEN_METRICS.map((m) => ({
+      key: m.key,
+      label: m.money ? `${m.label} (${displayCurrency || 'ccy'})` : m.label,
+      fmt: fmtMetric(m.key),
+    })),
+    ...(displayCurrency ? [] : [{ key: 'currency', label: 'Ccy' }]),
+    { key: 'priceSource', label: 'Price from', fmt: (v) => v || '—' },
+  ];
+
+  // Export: one table, full precision (percentages as fractions, like the other exports)
+  const exportTable = useMemo(() => ({
+    name: 'Screen',
+    headers: ['Exchange', 'Ticker', 'First Year', 'Last Year', ...SCREEN_METRICS.map((m) => m.label), 'Currency', 'Price From'],
+    rows: (result?.items ?? []).map((r) => [
+      r.exchange, r.ticker, r.firstYear, r.lastYear, ...SCREEN_METRICS.map((m) => r[m.key] ?? null), r.currency, r.priceSource,
+    ]),
+  }), [result]);
+  const exportName = `screen_${listIdOf(screenName) || 'results'}`;
+  const unconverted = (result?.items ?? []).filter((r) => !r.converted);
+
+  return (
+    <div className="space-y-6">
+      <Card title="Screener">
+        <div className="space-y-2">
+          {drafts.map((d, i) => (
+            <div key={i} className="flex gap-2 items-center">
+              <select value={d.metric} onChange={(e) => editDraft(i, { metric: e.target.value })} className="border rounded p-1 text-sm">
+                {SCREEN_METRICS.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+              </select>
+              <select value={d.op} onChange={(e) => editDraft(i, { op: e.target.value })} className="border rounded p-1 text-sm">
+                {Object.keys(SCREEN_OPS).map((op) => <option key={op} value={op}>{op}</option>)}
+              </select>
+              <input value={d.text} onChange={(e) => editDraft(i, { text: e.target.value })} inputMode="decimal" className="border rounded p-1 text-sm w-24 text-right" />
+              <span className="text-sm text-gray-500 w-6">{METRIC[d.metric].pct ? '%' : ''}</span>
+              <button className="text-xs text-red-600" onClick={() => setDrafts((prev) => prev.filter((_, j) => j !== i))}>Remove</button>
+            </div>
+          ))}
+          <div className="flex flex-wrap gap-2 items-center">
+            <button onClick={() => setDrafts((prev) => [...prev, { metric: 'revenueCAGR', op: '>', text: '' }])} className="text-sm border rounded px-2 py-1">
+              Add filter
+            </button>
+            <label className="text-sm">
+              Sort by{' '}
+              <select value={sort.metric} onChange={(e) => setSort({ ...sort, metric: e.target.value })} className="border rounded p-1 text-sm">
+                {SCREEN_METRICS.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+              </select>
+            </label>
+            <select value={sort.dir} onChange={(e) => setSort({ ...sort, dir: e.target.value })} className="border rounded p-1 text-sm">
+              <option value="desc">High → low</option>
+              <option value="asc">Low → high</option>
+            </select>
+            {serverScreener && (
+              <label className="text-sm flex items-center gap-1" title="Quotes from the data provider instead of stored closes (slower, rate-limited; closes fill gaps)">
+                <input type="checkbox" checked={live} onChange={(e) => setLive(e.target.checked)} /> Live prices
+              </label>
+            )}
+          </div>
+          <div className="flex flex-wrap gap-2 items-center border-t pt-2">
+            <select value="" onChange={(e) => loadScreen(e.target.value)} className="border rounded p-1 text-sm">
+              <option value="">Saved screens…</option>
+              {screens.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </select>
+            <input value={screenName} onChange={(e) => setScreenName(e.target.value)} placeholder="Screen name" className="border rounded p-1 text-sm" />
+            <button onClick={save} className="text-sm border rounded px-2 py-1">Save screen</button>
+            <button onClick={remove} className="text-sm border rounded px-2 py-1 text-red-600">Delete</button>
+            <span className="ml-auto flex gap-2">
+              <button onClick={() => downloadCsv(exportTable, `${exportName}.csv`)} disabled={!result?.items.length} className="text-sm border rounded px-2 py-1">CSV</button>
+              <button onClick={() => downloadXlsx([exportTable], `${exportName}.xlsx`)} disabled={!result?.items.length} className="text-sm border rounded px-2 py-1">Excel</button>
+            </span>
+          </div>
+          <p className="text-xs text-gray-500">
+            Fair value at P/E {targetPE}; amounts in {currencyLabel}.
+            {!serverScreener && ' Screening the static catalog in the browser: no prices, so no upside.'}
+          </p>
+          {error && <div className="text-red-600 text-sm">{error}</div>}
+        </div>
+      </Card>
+
+      {result && (
+        <Card title={`${result.matched} of ${result.total} companies${busy ? ' …' : ''}`}>
+          <Table data={result.items} columns={columns} />
+          {unconverted.length > 0 && (
+            <p className="text-xs text-amber-700 mt-2">
+              No FX rate to {displayCurrency} for {unconverted.map((r) => r.ticker).join(', ')}: fair value and price left blank.
+            </p>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+}
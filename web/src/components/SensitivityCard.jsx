@@ -0,0 +1,153 @@
+// path: web/src/components/SensitivityCard.jsx
+// Sensitivity grid (P/E × net-income growth) coloured by upside vs price + bull/base/bear scenarios.
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  range, rangeStep, sensitivityGrid, defaultScenarios, evaluateScenarios, meanNetIncomeGrowth, MAX_RANGE_VALUES,
+} from '@shared/sensitivity.js';
+import { Card } from './ui.jsx';
+import { fmtNumber } from '../format.js';
+
+const pct = (v, d = 1) => (v == null ? '—' : `${(v * 100).toFixed(d)}%`);
+
+// Green for upside, red for downside; stronger colour as |upside| grows
+function cellClass(upside) {
+  if (upside == null) return 'bg-gray-50';
+  const a = Math.abs(upside);
+  if (upside >= 0) return a > 0.3 ? 'bg-green-300' : a > 0.1 ? 'bg-green-200' : 'bg-green-100';
+  return a > 0.3 ? 'bg-red-300' : a > 0.1 ? 'bg-red-200' : 'bg-red-100';
+}
+
+function NumInput({ label, value, onChange, step = 'any' }) {
+  return (
+    <div>
+      <label className="block text-xs text-gray-500 mb-1">{label}</label>
+      <input type="number" step={step} value={value} onChange={(e) => onChange(e.target.value)} className="border rounded p-1 w-full" />
+    </div>
+  );
+}
+
+export default function SensitivityCard({ rows, targetPE, price, currency = 'USD' }) {
+  const pe = Number(targetPE) || 0;
+  const histGrowth = useMemo(() => meanNetIncomeGrowth(rows) ?? 0, [rows]);
+
+  // Grid axes (growth in % for editing)
+  const [axes, setAxes] = useState({});
+  useEffect(() => {
+    const g = Math.round(histGrowth * 100);
+    setAxes({
+      peMin: Math.max(5, Math.round(pe * 0.6)), peMax: Math.round(pe * 1.4) || 40, peStep: 5,
+      gMin: g - 10, gMax: g + 10, gStep: 5, years: 1,
+    });
+  }, [histGrowth, pe]);
+
+  const [scenarios, setScenarios] = useState([]);
+  useEffect(() => { setScenarios(defaultScenarios(rows, pe)); }, [rows, pe]);
+
+  const peValues = useMemo(() => range(Number(axes.peMin), Number(axes.peMax), Number(axes.peStep)), [axes]);
+  const growthValues = useMemo(
+    () => range(Number(axes.gMin), Number(axes.gMax), Number(axes.gStep)).map((g) => g / 100),
+    [axes]
+  );
+  // Steps widened by range() so an axis stays within MAX_RANGE_VALUES values
+  const widened = [
+    ['P/E', rangeStep(Number(axes.peMin), Number(axes.peMax), Number(axes.peStep)), Number(axes.peStep), ''],
+    ['Growth', rangeStep(Number(axes.gMin), Number(axes.gMax), Number(axes.gStep)), Number(axes.gStep), '%'],
+  ].filter(([, used, given]) => used != null && used !== given);
+  const grid = useMemo(
+    () => sensitivityGrid(rows, { peValues, growthValues, years: Number(axes.years) || 1, price }),
+    [rows, peValues, growthValues, axes.years, price]
+  );
+
+  // The cell whose fair value is closest to the current price gets a ring
+  const closest = useMemo(() => {
+    let best = null;
+    grid.forEach((r, i) => r.cells.forEach((c, j) => {
+      if (c.upside != null && (!best || Math.abs(c.upside) < best.d)) best = { i, j, d: Math.abs(c.upside) };
+    }));
+    return best;
+  }, [grid]);
+
+  const evaluated = useMemo(() => evaluateScenarios(rows, scenarios, price), [rows, scenarios, price]);
+  const setScenario = (idx, k, v) =>
+    setScenarios((p) => p.map((s, i) => (i === idx ? { ...s, [k]: v === '' ? 0 : Number(v) } : s)));
+
+  const setAxis = (k) => (v) => setAxes((p) => ({ ...p, [k]: v }));
+
+  return (
+    <Card title="Sensitivity & Scenarios (Fair Value / Share)">
+      <div className="grid grid-cols-3 md:grid-cols-7 gap-2 mb-3">
+        <NumInput label="P/E min" value={axes.peMin ?? ''} onChange={setAxis('peMin')} />
+        <NumInput label="P/E max" value={axes.peMax ?? ''} onChange={setAxis('peMax')} />
+        <NumInput label="P/E step" value={axes.peStep ?? ''} onChange={setAxis('peStep')} />
+        <NumInput label="NI growth min %" value={axes.gMin ?? ''} onChange={setAxis('gMin')} />
+        <NumInput label="NI growth max %" value={axes.gMax ?? ''} onChange={setAxis('gMax')} />
+        <NumInput label="Growth step %" value={axes.gStep ?? ''} onChange={setAxis('gStep')} />
+        <NumInput label="Years ahead" value={axes.years ?? ''} onChange={setAxis('years')} step={1} />
+      </div>
+
+      <p className="text-xs text-gray-600 mb-2">
+        Current price: <strong>{price > 0 ? `${price.toFixed(2)} ${currency}` : '—'}</strong>
+        {' '}· cells show fair value per share; colour = upside (green) / downside (red); ringed cell is closest to price.
+      </p>
+      {widened.length > 0 && (
+        <p className="text-xs text-amber-700 mb-2">
+          {widened.map(([axis, used, , unit]) => `${axis} step widened to ${used}${unit}`).join('; ')}
+          {' '}to keep each axis within {MAX_RANGE_VALUES} values.
+        </p>
+      )}
+
+      <div className="overflow-x-auto mb-6">
+        <table className="text-sm">
+          <thead>
+            <tr>
+              <th className="py-1 pr-3 text-left text-xs text-gray-500">Growth \ P/E</th>
+              {peValues.map((p) => <th key={p} className="py-1 px-2 text-right">{p}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {grid.map((r, i) => (
+              <tr key={r.growth}>
+                <th className="py-1 pr-3 text-left font-medium">{pct(r.growth, 0)}</th>
+                {r.cells.map((c, j) => (
+                  <td
+                    key={c.targetPE}
+                    title={c.upside != null ? `Upside ${pct(c.upside)}` : undefined}
+                    className={`py-1 px-2 text-right ${cellClass(c.upside)} ${closest?.i === i && closest?.j === j ? 'ring-2 ring-black' : ''}`}
+                  >
+                    {c.fairValuePerShare != null ? c.fairValuePerShare.toFixed(2) : '—'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="text-sm font-medium mb-2">Scenarios</div>
+      <div className="grid md:grid-cols-3 gap-4">
+        {evaluated.map((s, idx) => (
+          <div key={s.name} className="rounded-lg border p-3 space-y-2">
+            <div className="font-semibold">{s.name}</div>
+            <div className="grid grid-cols-3 gap-2">
+              <NumInput label="P/E" value={Number(s.targetPE.toFixed(2))} onChange={(v) => setScenario(idx, 'targetPE', v)} />
+              <NumInput
+                label="NI growth %"
+                value={Number((s.growth * 100).toFixed(2))}
+                onChange={(v) => setScenario(idx, 'growth', v === '' ? '' : Number(v) / 100)}
+              />
+              <NumInput label="Years" value={s.years} onChange={(v) => setScenario(idx, 'years', v)} step={1} />
+            </div>
+            <div className="text-xs text-gray-500">Projected net income: {fmtNumber(s.netIncome)}</div>
+            <div className="text-lg font-medium">
+              {s.fairValuePerShare != null ? `${s.fairValuePerShare.toFixed(2)} ${currency}` : '—'}
+            </div>
+            <div className={s.upside == null ? 'text-gray-500' : s.upside >= 0 ? 'text-green-700' : 'text-red-700'}>
+              {s.upside != null ? `${pct(s.upside)} vs price` : 'No live price'}
+            </div>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
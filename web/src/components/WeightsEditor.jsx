@@ -0,0 +1,101 @@
+// path: web/src/components/WeightsEditor.jsx
+// Weighting editor for the Weighted Fair Value: per-method weight + on/off, named presets in localStorage.
+
+import React, { useState } from 'react';
+import { WEIGHT_METHODS, DEFAULT_WEIGHTS, normalizeWeights } from '@shared/valuation.js';
+import { cacheRead, cacheWrite } from '../storage.js';
+
+const PRESETS_KEY = 'fv_weight_presets_v1';
+
+export const DEFAULT_WEIGHT_CONFIG = Object.freeze({
+  weights: { ev: 0.5, pe: 0.25, ps: 0.25, book: 0, peYear: 0 },
+  enabled: Object.fromEntries(WEIGHT_METHODS.map((m) => [m.key, m.key in DEFAULT_WEIGHTS])),
+});
+
+const METHOD_NAMES = {
+  ev: 'EV / share',
+  pe: 'PE / share',
+  ps: 'PS / share',
+  book: 'Book / share',
+  peYear: 'Per-year PE FV (latest)',
+};
+
+export default function WeightsEditor({ config, onChange }) {
+  const [presets, setPresets] = useState(() => cacheRead(PRESETS_KEY, {}));
+  const [presetName, setPresetName] = useState('');
+  const normalized = normalizeWeights(config.weights, config.enabled);
+
+  const setWeight = (k, v) => onChange({ ...config, weights: { ...config.weights, [k]: v === '' ? 0 : Number(v) } });
+  const toggle = (k) => onChange({ ...config, enabled: { ...config.enabled, [k]: !config.enabled[k] } });
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    const next = { ...presets, [name]: config };
+    setPresets(next); cacheWrite(PRESETS_KEY, next); setPresetName('');
+  };
+  const deletePreset = (name) => {
+    const next = { ...presets }; delete next[name];
+    setPresets(next); cacheWrite(PRESETS_KEY, next);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="text-sm font-medium">Weighting</div>
+      <table className="min-w-full text-sm">
+        <tbody>
+          {WEIGHT_METHODS.map((m) => (
+            <tr key={m.key} className="border-b">
+              <td className="py-1 pr-2">
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={!!config.enabled[m.key]} onChange={() => toggle(m.key)} />
+                  {METHOD_NAMES[m.key]}
+                </label>
+              </td>
+              <td className="py-1 pr-2 w-24">
+                <input
+                  type="number"
+                  min={0}
+                  step="0.05"
+                  value={config.weights[m.key] ?? 0}
+                  disabled={!config.enabled[m.key]}
+                  onChange={(e) => setWeight(m.key, e.target.value)}
+                  className="border rounded p-1 w-full disabled:opacity-50"
+                />
+              </td>
+              <td className="py-1 text-right text-gray-500 w-16">
+                {normalized[m.key] != null ? `${(normalized[m.key] * 100).toFixed(1)}%` : '—'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {!Object.keys(normalized).length && (
+        <div className="text-xs text-red-600">Enable at least one method with a weight above zero.</div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={() => onChange(DEFAULT_WEIGHT_CONFIG)} className="border rounded px-2 py-1 text-xs">
+          Default 50/25/25
+        </button>
+        {Object.keys(presets).map((name) => (
+          <span key={name} className="inline-flex items-center border rounded text-xs">
+            <button onClick={() => onChange(presets[name])} className="px-2 py-1">{name}</button>
+            <button onClick={() => deletePreset(name)} className="px-1 text-gray-400" aria-label={`Delete preset ${name}`}>×</button>
+          </span>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <input
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="Preset name"
+          className="border rounded p-1 text-sm flex-1"
+        />
+        <button onClick={savePreset} disabled={!presetName.trim()} className="border rounded px-2 py-1 text-sm disabled:opacity-50">
+          Save preset
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+// path: web/src/components/ui.jsx
+// Shared presentational bits: cards, line/bar charts and tables (number formatting: ../format.js).
+
+import React, { useEffect, useState } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
+  BarChart, Bar
+} from 'recharts';
+import { toNumber } from '@shared/fields.js';
+
+/* ============================ Chart data ============================ */
+export function mergeSeries(series) {
+  const years = Array.from(new Set(series.flatMap((s) => s.data.map((d) => d.year)))).sort();
+  return years.map((y) => {
+    const row = { year: y };
+    for (const s of series) {
+      const f = s.data.find((d) => d.year === y);
+      row[s.name] = f?.value ?? null;
+    }
+    return row;
+  });
+}
+
+/* ================================== UI bits ================================== */
+// Line colours, cycled when several series share one chart (e.g. comparison mode)
+export const SERIES_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#4b5563'];
+
+export const Card = ({ title, id, children }) => (
+  <section id={id} className="bg-white rounded-2xl shadow p-4 scroll-mt-4">
+    {title && <h2 className="font-semibold mb-3">{title}</h2>}
+    {children}
+  </section>
+);
+
+export function ChartLines({ series, yFormatter }) {
+  const merged = mergeSeries(series);
+  return (
+    <div className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={merged} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="year" />
+          <YAxis tickFormatter={yFormatter} />
+          <Tooltip formatter={yFormatter} />
+          <Legend />
+          {series.map((s, i) => (
+            <Line key={i} type="monotone" dataKey={s.name} dot={false} stroke={SERIES_COLORS[i % SERIES_COLORS.length]} />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+export function ChartBars({ data, suffix }) {
+  return (
+    <div className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="year" />
+          <YAxis tickFormatter={(v) => `${v}${suffix || ''}`} />
+          <Tooltip formatter={(v) => `${v}${suffix || ''}`} />
+          <Legend />
+          <Bar dataKey="value" name="YoY Growth" />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+// Text input that keeps what the user typed ("1." / "-") while reporting parsed numbers upward
+function NumberCell({ value, onChange }) {
+  const [text, setText] = useState(value ?? '');
+  useEffect(() => {
+    if (toNumber(text) !== (value ?? null)) setText(value ?? '');
+  }, [value]);
+  return (
+    <input
+      value={text}
+      onChange={(e) => { setText(e.target.value); onChange(toNumber(e.target.value)); }}
+      className="border rounded px-1 py-0.5 w-28 text-right"
+      inputMode="decimal"
+    />
+  );
+}
+
+// Columns with `editable: true` render inputs when `onEdit(rowIndex, key, number|null)` is given.
+// `rowId(row)` sets each <tr> id (citation anchors); the row whose id equals `highlightId` is tinted.
+export function Table({ data, columns, onEdit, rowId, highlightId }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left border-b">
+            {columns.map((c) => (<th key={c.key} className="py-2 pr-4">{c.label}</th>))}
+          </tr>
+        </thead>
+        <tbody>
+          {data.map((row, idx) => (
+            <tr
+              key={idx}
+              id={rowId?.(row)}
+              className={`border-b transition-colors ${highlightId && rowId?.(row) === highlightId ? 'bg-yellow-100' : ''}`}
+            >
+              {columns.map((c) => (
+                <td key={c.key} className="py-2 pr-4">
+                  {onEdit && c.editable
+                    ? <NumberCell value={row[c.key]} onChange={(v) => onEdit(idx, c.key, v)} />
+                    : c.render ? c.render(row, idx) : c.fmt ? c.fmt(row[c.key]) : row[c.key]}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+// path: web/src/currency.js
+// Display currency: the user's choice (persisted) and FX rates fetched from the server (/fx), which
+// serves a local rates file and fills gaps from TwelveData. Conversions themselves live in
+// @shared/currency.js so the server's reports use the same rules.
+
+import { useEffect, useState } from 'react';
+import { DEFAULT_CURRENCY, currenciesNeeded } from '@shared/currency.js';
+import { fetchFxRates } from './api.js';
+
+export const DISPLAY_CURRENCY_KEY = 'display_currency_v1'; // '' = each company's reporting currency
+
+const fxCache = new Map(); // 'EUR,GBP,USD' -> Promise<{ base, rates, missing }>
+
+/**
+ * FX table covering `display` and every currency in `sources` (null until loaded, or when only one
+ * currency is involved). `error` is set when the server cannot be reached.
+ * @returns {{ fx: { base, rates, missing, asOf } | null, error: string, loading: boolean }}
+ */
+export function useFxRates(display, sources) {
+  const needed = currenciesNeeded(display, sources);
+  const key = needed.join(',');
+  const [state, setState] = useState({ key: '', fx: null, error: '' });
+
+  useEffect(() => {
+    if (needed.length < 2) return undefined;
+    let cancelled = false;
+    if (!fxCache.has(key)) fxCache.set(key, fetchFxRates(DEFAULT_CURRENCY, needed));
+    fxCache.get(key).then(
+      (fx) => !cancelled && setState({ key, fx, error: '' }),
+      (e) => {
+        fxCache.delete(key); // retry on the next change
+        if (!cancelled) setState({ key, fx: null, error: e.message || 'FX rates unavailable' });
+      }
+    );
+    return () => { cancelled = true; };
+  }, [key]);
+
+  if (state.key === key) return { fx: state.fx, error: state.error, loading: false };
+  return { fx: null, error: '', loading: needed.length > 1 };
+}
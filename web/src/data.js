@@ -0,0 +1,27 @@
+// path: web/src/data.js
+// Financial row normalization shared by the single-company and comparison views.
+
+import { FIELD_KEYS } from '@shared/fields.js';
+import { comparePeriods } from '@shared/periods.js';
+
+/* ============================ Data helpers ============================ */
+// Every schema field becomes number | null; unknown columns stay in `extra` (never dropped).
+// `quarter` is 1..4 for fiscal-quarter rows and null for annual rows.
+export function normalizeFinancialRows(arr) {
+  const out = [];
+  for (const r of arr) {
+    const year = num(r.year);
+    if (!Number.isFinite(year)) continue;
+    const q = num(r.quarter);
+    const row = { year, quarter: Number.isInteger(q) && q >= 1 && q <= 4 ? q : null };
+    for (const k of FIELD_KEYS) row[k] = num(r[k]);
+    row.extra = r.extra && typeof r.extra === 'object' ? { ...r.extra } : {};
+    out.push(row);
+  }
+  out.sort(comparePeriods);
+  return out;
+}
+const num = (v) => (v != null && v !== '' && Number.isFinite(Number(v)) ? Number(v) : null);
+
+/** True when at least one row has a finite value for `field`. */
+export const hasField = (rows, field) => rows.some((r) => Number.isFinite(r[field]));
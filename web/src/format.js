@@ -0,0 +1,12 @@
+// path: web/src/format.js
+// Number formatting shared by the components, exports and chat grounding (no React / chart imports,
+// so plain modules and their tests can use it).
+
+/** 1234567 -> "1.23M"; amounts below 1,000 keep locale grouping; null / NaN -> "—". */
+export const fmtNumber = (n) => {
+  if (n == null || !isFinite(n)) return '—';
+  if (Math.abs(n) >= 1e9) return (n / 1e9).toFixed(2) + 'B';
+  if (Math.abs(n) >= 1e6) return (n / 1e6).toFixed(2) + 'M';
+  if (Math.abs(n) >= 1e3) return (n / 1e3).toFixed(2) + 'K';
+  return Number(n).toLocaleString();
+};
@@ -0,0 +1,47 @@
+// path: web/src/lists.js
+// Saved watchlists / portfolios and screener screens: stored by the server when the catalog comes
+// from the server, else in localStorage (same shapes, so an entry can be moved by re-saving it).
+
+import { cacheRead, cacheWrite } from './storage.js';
+import { fetchLists, fetchList, saveList, deleteList, fetchScreens, saveScreen, deleteScreen } from './api.js';
+
+const LOCAL_LISTS_KEY = 'lists_v1'; // { [id]: { id, name, kind, currency, items, updatedAt } }
+const LOCAL_SCREENS_KEY = 'screens_v1'; // { [id]: { id, name, filters, sort, updatedAt } }
+
+// { all, get, save, remove } over one localStorage object keyed by id; `all` maps each entry with `summary`
+const localCollection = (key, summary = (e) => e) => ({
+  all: async () =>
+    Object.values(cacheRead(key, {})).map(summary).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)),
+  get: async (id) => cacheRead(key, {})[id] ?? null,
+  save: async (id, entry) => {
+    const saved = { ...entry, id, updatedAt: new Date().toISOString() };
+    cacheWrite(key, { ...cacheRead(key, {}), [id]: saved });
+    return saved;
+  },
+  remove: async (id) => {
+    const all = cacheRead(key, {});
+    delete all[id];
+    cacheWrite(key, all);
+  },
+});
+
+const localLists = localCollection(LOCAL_LISTS_KEY, ({ items, ...rest }) => ({ ...rest, count: items.length }));
+const serverLists = {
+  all: async () => (await fetchLists()).items,
+  get: fetchList,
+  save: saveList,
+  remove: deleteList,
+};
+
+const localScreens = localCollection(LOCAL_SCREENS_KEY);
+const serverScreens = {
+  all: async () => (await fetchScreens()).items,
+  save: saveScreen,
+  remove: deleteScreen,
+};
+
+/** @returns {{ all, get, save, remove }} async list store for the current catalog source */
+export const listStore = (server) => (server ? serverLists : localLists);
+
+/** @returns {{ all, save, remove }} async saved-screen store (`all` returns full screens) */
+export const screenStore = (server) => (server ? serverScreens : localScreens);
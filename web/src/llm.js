@@ -0,0 +1,84 @@
+// path: web/src/llm.js
+// Browser LLM chain shared by Ask AI and the company chat: WebLLM (WebGPU) → OpenAI → caller's fallback.
+
+/* ================================== Config ================================== */
+// --- Optional OpenAI (leave empty to skip cloud path) ---
+const OPENAI_KEY   = import.meta.env.VITE_OPENAI_API_KEY || '';
+const OPENAI_BASE  = import.meta.env.VITE_OPENAI_API_BASE || 'https://api.openai.com/v1';
+const OPENAI_MODEL = import.meta.env.VITE_OPENAI_MODEL || 'gpt-4o-mini';
+
+/* ============================ WebLLM (optional) ============================ */
+// Dynamic import so the app runs even if the package is not installed
+let _CreateMLCEngine = null;
+let __engine = null;
+let __engineModel = null;
+
+export async function loadCreateMLCEngine() {
+  if (_CreateMLCEngine) return _CreateMLCEngine;
+  const mod = await import(/* @vite-ignore */ '@mlc-ai/web-llm')
+    .catch(() => { throw new Error('webllm_not_installed'); });
+  _CreateMLCEngine = mod.CreateMLCEngine;
+  return _CreateMLCEngine;
+}
+const MODEL_CANDIDATES = [
+  'Phi-3-mini-4k-instruct-q4f16_1-MLC',
+  'Llama-3.2-1B-Instruct-q4f16_1-MLC',
+  'Qwen2.5-1.5B-Instruct-q4f16_1-MLC',
+];
+export async function getEngine() {
+  if (__engine) return __engine;
+  const CreateMLCEngine = await loadCreateMLCEngine(); // may throw webllm_not_installed
+  let lastErr;
+  for (const mid of MODEL_CANDIDATES) {
+    try { __engine = await CreateMLCEngine(mid); __engineModel = mid; return __engine; }
+    catch (e) { lastErr = e; }
+  }
+  throw lastErr || new Error('No WebLLM model could be initialized.');
+}
+
+export const hasWebGPU = () => typeof navigator !== 'undefined' && 'gpu' in navigator;
+
+/* ================================ Helpers ================================ */
+// Extract a JSON object from LLM text (fenced or raw)
+export function extractJSON(text) {
+  if (!text) return null;
+  const fence = /```(?:json)?\s*([\s\S]*?)```/i.exec(text);
+  const raw = fence ? fence[1] : text;
+  try { return JSON.parse(raw); } catch {}
+  const i = raw.lastIndexOf('{'); const j = raw.lastIndexOf('}');
+  if (i >= 0 && j > i) { try { return JSON.parse(raw.slice(i, j + 1)); } catch {} }
+  return null;
+}
+
+/* ================================= Chain ================================= */
+/**
+ * Run `messages` through WebLLM (when WebGPU is available), then OpenAI (when a key is set).
+ * A step counts only if `accept(text)` passes; failures fall through to the next step.
+ * @returns {Promise<{ text, source: 'webllm'|'openai', model } | null>} null → caller uses its local fallback
+ */
+export async function chatComplete(messages, { temperature = 0.2, max_tokens = 400 } = {}, accept = (t) => !!t.trim()) {
+  if (hasWebGPU()) {
+    try {
+      const eng = await getEngine(); // may throw if not installed/failed
+      const resp = await eng.chat.completions.create({ messages, temperature, max_tokens });
+      const text = resp?.choices?.[0]?.message?.content ?? resp?.output_text ?? '';
+      if (accept(text)) return { text, source: 'webllm', model: __engineModel };
+    } catch {/* ignore; continue */}
+  }
+
+  if (OPENAI_KEY) {
+    try {
+      const r = await fetch(`${OPENAI_BASE}/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OPENAI_KEY}` },
+        body: JSON.stringify({ model: OPENAI_MODEL, messages, temperature, max_tokens }),
+      });
+      if (!r.ok) throw new Error('api_error');
+      const data = await r.json();
+      const text = data?.choices?.[0]?.message?.content ?? '';
+      if (accept(text)) return { text, source: 'openai', model: OPENAI_MODEL };
+    } catch {/* ignore; fall back */}
+  }
+
+  return null;
+}
@@ -0,0 +1,123 @@
+// path: web/src/sheets.js
+// In-browser spreadsheets: parsing for the data-entry panel (.xlsx/.xls/.csv/.tsv) and
+// CSV / .xlsx export of the computed tables. Tables map to rows with the same code as server
+// ingest (shared/tables.js); years (or "2024 Q1" periods) may run down the rows or across the columns.
+
+import { read, utils, writeFile } from 'xlsx';
+import { FINANCIAL_FIELDS } from '@shared/fields.js';
+import { WEIGHT_METHODS, calcGrowth, calcMargins } from '@shared/valuation.js';
+import { detectOrientation, tableToRecords, toFinancialRow, mappingOptions } from '@shared/tables.js';
+import { normalizeFinancialRows } from './data.js';
+
+export const ACCEPTED_FILES = '.xlsx,.xls,.csv,.tsv';
+
+/**
+ * Parse a dropped File into normalized rows (first sheet only). The options are those of a server
+ * mapping file: orientation ('auto' | 'rows' | 'columns'), headerRow (1-based), columns
+ * (header -> field), scale and fieldScales.
+ * @returns {Promise<{ rows: object[], skipped: number, sheet: string, orientation: string }>}
+ */
+export async function parseSpreadsheetFile(file, { orientation = 'auto', headerRow = 1, ...mapping } = {}) {
+  const options = mappingOptions(mapping);
+  const buf = await file.arrayBuffer();
+  const isTsv = /\.tsv$/i.test(file.name);
+  const wb = isTsv
+    ? read(new TextDecoder().decode(buf), { type: 'string', FS: '\t', raw: true })
+    : read(buf, { type: 'array', raw: /\.csv$/i.test(file.name) });
+  const sheet = wb.SheetNames[0];
+  if (!sheet) throw new Error('The file has no sheets');
+  const table = utils.sheet_to_json(wb.Sheets[sheet], { header: 1, defval: null, raw: true });
+  const layout = orientation === 'auto' ? detectOrientation(table, headerRow) : orientation;
+  const records = tableToRecords(table, { orientation: layout, headerRow });
+  const rows = normalizeFinancialRows(records.map((r) => toFinancialRow(r, options)).filter(Boolean));
+  return { rows, skipped: records.length - rows.length, sheet, orientation: layout };
+}
+
+/* ================================ Export ================================ */
+// Values are written unrounded (the UI's fmtNumber abbreviates to K/M/B); ratios stay as fractions.
+const GROWTH_FIELDS = ['revenue', 'operatingIncome', 'netIncome'];
+const LIVE_MARGINS = [['grossMargin', 'Gross margin (%)'], ['opMargin', 'Operating margin (%)'], ['netMargin', 'Net margin (%)']];
+
+/**
+ * Current company's tables as header + rows arrays (one per sheet).
+ * @param {{ rows, allRows?, fair, ttmFair?, valuation, weights, targetPE, currency }} input  App's derived data (rows = annual)
+ * @returns {{ name: string, headers: string[], rows: any[][] }[]}
+ */
+export function buildExportTables({ rows, allRows = rows, fair, ttmFair = [], valuation, weights, targetPE, currency }) {
+  const fields = FINANCIAL_FIELDS.filter((f) => allRows.some((r) => Number.isFinite(r[f.key])));
+  const num = (v) => (Number.isFinite(v) ? v : null);
+  // Rows as entered (annual and quarterly); Quarter is blank for annual rows
+  const quarterly = allRows.some((r) => r.quarter != null);
+  const tables = [
+    {
+      name: 'Rows',
+      headers: ['Year', ...(quarterly ? ['Quarter'] : []), ...fields.map((f) => f.label)],
+      rows: allRows.map((r) => [r.year, ...(quarterly ? [r.quarter ?? null] : []), ...fields.map((f) => num(r[f.key]))]),
+    },
+  ];
+
+  const growth = Object.fromEntries(GROWTH_FIELDS.map((f) => [f, new Map(calcGrowth(rows, f).map((g) => [g.year, g.growth]))]));
+  tables.push({
+    name: 'Growth',
+    headers: ['Year', 'Revenue YoY', 'Operating Income YoY', 'Net Income YoY', 'Operating Margin', 'Net Margin'],
+    rows: rows.map((r) => {
+      const m = calcMargins(r);
+      return [r.year, ...GROWTH_FIELDS.map((f) => num(growth[f].get(r.year))), num(m.operatingMargin), num(m.netMargin)];
+    }),
+  });
+
+  tables.push({
+    name: 'Fair Values',
+    headers: ['Year', 'Net Income', 'Target PE', 'Fair Value (Equity)', 'Shares Outstanding', 'Fair Value / Share'],
+    rows: fair.map((f, i) => [
+      f.year, num(rows[i]?.netIncome), num(targetPE), num(f.equityValue), num(rows[i]?.sharesOutstanding), num(f.fairValuePerShare),
+    ]),
+  });
+
+  if (ttmFair.length) {
+    tables.push({
+      name: 'TTM Fair Values',
+      headers: ['TTM to', 'Target PE', 'Fair Value (Equity)', 'Fair Value / Share'],
+      rows: ttmFair.map((f) => [f.period, num(targetPE), num(f.equityValue), num(f.fairValuePerShare)]),
+    });
+  }
+
+  if (valuation) {
+    tables.push({
+      name: 'Live Metrics',
+      headers: ['Metric', `Value (${currency})`, 'Weight'],
+      rows: [
+        ['Price', num(valuation.price), null],
+        ...WEIGHT_METHODS.map((m) => [m.label, num(valuation[m.input]), weights[m.key] ?? 0]),
+        ['Weighted fair value', num(valuation.weighted), null],
+        ...LIVE_MARGINS.filter(([k]) => k in valuation).map(([k, label]) => [label, num(valuation[k]), null]),
+        ['Live data', valuation.live ? 'yes' : 'no', null],
+      ],
+    });
+  }
+  return tables;
+}
+
+// RFC 4180 quoting; numbers use JS shortest round-trip form (no locale, no rounding)
+const csvCell = (v) => {
+  if (v == null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+export const toCsv = ({ headers, rows }) =>
+  [headers, ...rows].map((r) => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+export function downloadCsv(table, filename) {
+  const blob = new Blob([toCsv(table)], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = Object.assign(document.createElement('a'), { href: url, download: filename });
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** One sheet per table; cells keep full double precision (no number format applied). */
+export function downloadXlsx(tables, filename) {
+  const wb = utils.book_new();
+  for (const t of tables) utils.book_append_sheet(wb, utils.aoa_to_sheet([t.headers, ...t.rows]), t.name);
+  writeFile(wb, filename, { compression: true });
+}
@@ -0,0 +1,6 @@
+// path: web/src/storage.js
+// localStorage helpers (JSON, never throw — private mode / quota errors fall back silently)
+
+export const cacheRead  = (k, f = null) => { try { const s = localStorage.getItem(k); return s ? JSON.parse(s) : f; } catch { return f; } };
+export const cacheWrite = (k, v)       => { try { localStorage.setItem(k, JSON.stringify(v)); } catch {} };
+export const cacheRemove = (k)         => { try { localStorage.removeItem(k); } catch {} };
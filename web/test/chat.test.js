@@ -0,0 +1,111 @@
+// path: web/test/chat.test.js
+// Chat grounding (src/chat.js): citation tokens, answer parsing and the offline answer.
+
+import { describe, it, expect } from 'vitest';
+import { calcGrowth, computeFairValuePerYear } from '@shared/valuation.js';
+import { buildChatContext, resolveRef, parseAnswer, localAnswer, METRICS_ANCHOR } from '../src/chat.js';
+
+const ROWS = [
+  { year: 2021, revenue: 1_000_000, operatingIncome: 200_000, netIncome: 150_000, eps: 1.5, sharesOutstanding: 100_000 },
+  { year: 2022, revenue: 1_200_000, operatingIncome: 300_000, netIncome: 180_000, eps: 1.8, sharesOutstanding: 100_000 },
+  { year: 2023, revenue: 1_500_000, operatingIncome: 330_000, netIncome: 240_000, eps: 2.4, sharesOutstanding: 100_000 },
+];
+
+const contextOf = (valuation = { price: 45.5, weighted: 50.25 }, rows = ROWS) => buildChatContext({
+  ticker: 'TEST', exchange: 'NAS', rows, growth: calcGrowth(rows), fair: computeFairValuePerYear(rows, 20), valuation,
+});
+
+describe('resolveRef', () => {
+  const ctx = contextOf();
+
+  it('resolves each source to a formatted value, a label and the row it links to', () => {
+    expect(resolveRef('rows:2023:revenue', ctx)).toEqual({ text: '1.50M', label: 'Revenue 2023', anchor: 'fin-2023' });
+    expect(resolveRef('rows:2022:eps', ctx)).toEqual({ text: '1.80', label: 'EPS 2022', anchor: 'fin-2022' });
+    expect(resolveRef('margins:2023:operatingMargin', ctx)).toEqual({ text: '22.0%', label: 'Operating margin 2023', anchor: 'fin-2023' });
+    expect(resolveRef('growth:2022:revenue', ctx)).toEqual({ text: '20.0%', label: 'Revenue YoY 2022', anchor: 'fin-2022' });
+    expect(resolveRef('growth:2023:netIncome', ctx)).toEqual({ text: '33.3%', label: 'Net Income YoY 2023', anchor: 'fin-2023' });
+    expect(resolveRef('fair:2023:fairValuePerShare', ctx)).toEqual({ text: '48.00', label: 'Fair value / share 2023', anchor: 'fair-2023' });
+    expect(resolveRef('fair:2023:equityValue', ctx)).toEqual({ text: '4.80M', label: 'Fair equity value 2023', anchor: 'fair-2023' });
+    expect(resolveRef('metrics:price', ctx)).toEqual({ text: '45.50', label: 'Price', anchor: METRICS_ANCHOR });
+  });
+
+  it('returns null for unknown sources, years, fields and missing values', () => {
+    expect(resolveRef('rows:1999:revenue', ctx)).toBeNull();
+    expect(resolveRef('rows:2023:bogus', ctx)).toBeNull();
+    expect(resolveRef('growth:2021:revenue', ctx)).toBeNull(); // first year has no YoY
+    expect(resolveRef('news:2023:headline', ctx)).toBeNull();
+    expect(resolveRef('metrics:fairEV', ctx)).toBeNull();
+    expect(resolveRef('metrics:price', contextOf(null))).toBeNull();
+  });
+});
+
+describe('parseAnswer', () => {
+  const ctx = contextOf();
+
+  it('splits text and citations, resolving each token', () => {
+    const parts = parseAnswer('Revenue was [[rows:2023:revenue]] ([[ growth:2023:revenue ]] YoY).', ctx);
+    expect(parts).toEqual([
+      { type: 'text', text: 'Revenue was ' },
+      { type: 'ref', ref: 'rows:2023:revenue', text: '1.50M', label: 'Revenue 2023', anchor: 'fin-2023' },
+      { type: 'text', text: ' (' },
+      { type: 'ref', ref: 'growth:2023:revenue', text: '25.0%', label: 'Revenue YoY 2023', anchor: 'fin-2023' },
+      { type: 'text', text: ' YoY).' },
+    ]);
+  });
+
+  it('replaces unresolvable tokens with n/a and leaves plain text alone', () => {
+    expect(parseAnswer('Cash was [[rows:2023:cash]].', ctx)).toEqual([
+      { type: 'text', text: 'Cash was ' },
+      { type: 'text', text: 'n/a' },
+      { type: 'text', text: '.' },
+    ]);
+    expect(parseAnswer('No numbers [[here]].', ctx)).toEqual([{ type: 'text', text: 'No numbers [[here]].' }]);
+    expect(parseAnswer('', ctx)).toEqual([]);
+  });
+});
+
+describe('localAnswer', () => {
+  const ctx = contextOf();
+  const refsOf = (answer) => [...answer.matchAll(/\[\[([^\]]+)\]\]/g)].map((m) => m[1]);
+
+  it('defaults to the latest year and the revenue / net income / margin topics', () => {
+    const answer = localAnswer('How is the company doing?', ctx);
+    expect(refsOf(answer)).toEqual([
+      'rows:2023:revenue', 'growth:2023:revenue', 'rows:2022:revenue',
+      'rows:2023:netIncome', 'growth:2023:netIncome', 'rows:2022:netIncome',
+      'margins:2023:operatingMargin', 'margins:2022:operatingMargin',
+      'margins:2023:netMargin', 'margins:2022:netMargin',
+      'growth:2023:operatingIncome', 'growth:2023:revenue',
+    ]);
+    expect(parseAnswer(answer, ctx).some((p) => p.text === 'n/a')).toBe(false);
+  });
+
+  it('answers for the years mentioned (known ones only) and the topics asked about', () => {
+    const answer = localAnswer('What were the margins in 2021 and 2022 (and 1990)?', ctx);
+    const refs = refsOf(answer);
+    expect(refs).toContain('margins:2021:operatingMargin');
+    expect(refs).toContain('margins:2022:netMargin');
+    expect(refs.some((r) => r.includes('2023'))).toBe(false);
+    expect(refs.some((r) => r.startsWith('rows:'))).toBe(false);
+    expect(answer.indexOf('2021')).toBeLessThan(answer.indexOf('2022'));
+  });
+
+  it('cites price and weighted fair value only when they are known', () => {
+    expect(localAnswer('Is it cheap?', ctx)).toContain('Live price is [[metrics:price]] against a weighted fair value of [[metrics:weighted]].');
+
+    const noWeighted = localAnswer('Is it cheap?', contextOf({ price: 45.5, weighted: NaN }));
+    expect(noWeighted).toContain('Live price is [[metrics:price]].');
+    expect(noWeighted).not.toContain('metrics:weighted');
+    expect(parseAnswer(noWeighted, contextOf({ price: 45.5 })).some((p) => p.text === 'n/a')).toBe(false);
+
+    expect(localAnswer('Is it cheap?', contextOf({ weighted: 50 }))).toContain('Weighted fair value is [[metrics:weighted]].');
+    const none = localAnswer('Is it cheap?', contextOf(null));
+    expect(none).not.toContain('metrics:');
+    expect(none).toContain('[[fair:2023:fairValuePerShare]]');
+  });
+
+  it('says so when the data cannot answer', () => {
+    const rows = [{ year: 2023, revenue: 1000 }];
+    expect(localAnswer('What is the free cash flow?', contextOf(null, rows))).toBe('The loaded data has no values that answer this question.');
+  });
+});
@@ -0,0 +1,20 @@
+// path: web/test/format.test.js
+// Number formatting (src/format.js), importable without React.
+
+import { describe, it, expect } from 'vitest';
+import { fmtNumber } from '../src/format.js';
+
+describe('fmtNumber', () => {
+  it('abbreviates thousands, millions and billions to two decimals', () => {
+    expect(fmtNumber(1234)).toBe('1.23K');
+    expect(fmtNumber(-5_600_000)).toBe('-5.60M');
+    expect(fmtNumber(7e9)).toBe('7.00B');
+  });
+
+  it('shows a dash for missing values', () => {
+    expect(fmtNumber(null)).toBe('—');
+    expect(fmtNumber(undefined)).toBe('—');
+    expect(fmtNumber(NaN)).toBe('—');
+    expect(fmtNumber(Infinity)).toBe('—');
+  });
+});
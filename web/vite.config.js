@@ -1,9 +1,17 @@
 import { defineConfig } from 'vite'
+import { fileURLToPath } from 'url'
+
+// Valuation math lives in ../shared so the server and the web app use the same formulas
+const sharedDir = fileURLToPath(new URL('../shared', import.meta.url))
 
 export default defineConfig({
+  resolve: {
+    alias: { '@shared': sharedDir }
+  },
   server: {
     port: 5173,
     strictPort: true,
+    fs: { allow: ['.', sharedDir] },
     proxy: {
       '/api': {
         target: 'http://localhost:5050',